@@ -0,0 +1,264 @@
+// =============================================================================
+// AUDIT LOG - Record of node mutations, and the operations that undo them
+// =============================================================================
+//
+// Each mutation sent to a plugin (update-node, replace-child, insert-child,
+// delete-node, move-node, or a batch of them) becomes one entry:
+//   { id, type, caller: { key, sessionId }, clientId, fileKey, payload,
+//     status, result, previousState, error, timestamp, finishedAt,
+//     undoneBy, undoOf }
+// status: pending -> succeeded | failed
+//
+// The plugin reports what a mutation replaced in its operation-result
+// (`previousState`, per result for batches). From that, inverseOperations()
+// builds the operations that put the nodes back:
+//   update-node   -> update-node with the previous property values
+//   insert-child  -> delete-node of the inserted node
+//   replace-child -> delete-node of the new child, restore-node of the old one
+//   delete-node   -> restore-node of the deleted node
+//   restore-node  -> delete-node of the restored node
+//   move-node     -> move-node back to the previous index
+//
+// Entries are kept in memory (the newest `limit`). With `filePath`, every
+// change to an entry is appended to a JSON Lines file, which is read back on
+// startup. The file is rewritten with just the kept entries when it holds
+// more lines than them on startup, and again once `limit` more lines have
+// been appended since, so it stays within about twice `limit` lines.
+
+const fs = require('fs');
+const path = require('path');
+
+// -----------------------------------------------------------------------------
+// INVERSE OPERATIONS
+// -----------------------------------------------------------------------------
+
+function undoError(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+/**
+ * Inverse of one operation, given the plugin's result for it
+ */
+function inverseOfOperation(op, result = {}) {
+  const previous = result.previousState || {};
+  
+  switch (op.type) {
+    case 'update-node':
+      if (!previous.properties) throw undoError('Plugin did not report the previous properties');
+      return [{ type: 'update-node', targetId: result.nodeId || op.targetId, updates: previous.properties }];
+    case 'insert-child':
+    case 'restore-node':
+      if (!result.nodeId) throw undoError('Plugin did not report the created node ID');
+      return [{ type: 'delete-node', targetId: result.nodeId }];
+    case 'replace-child':
+      if (!result.nodeId || !previous.node) throw undoError('Plugin did not report the replaced node');
+      return [
+        { type: 'delete-node', targetId: result.nodeId },
+        restoreOperation(previous, op.targetId, op.childIndex)
+      ];
+    case 'delete-node':
+      if (!previous.node || !previous.parentId) throw undoError('Plugin did not report the deleted node');
+      return [restoreOperation(previous)];
+    case 'move-node':
+      if (previous.index === undefined) throw undoError('Plugin did not report the previous index');
+      return [{ type: 'move-node', targetId: result.nodeId || op.targetId, index: previous.index }];
+    default:
+      throw undoError(`Cannot undo ${op.type}`);
+  }
+}
+
+function restoreOperation(previous, parentId, index) {
+  return {
+    type: 'restore-node',
+    parentId: previous.parentId || parentId,
+    index: previous.index !== undefined ? previous.index : index,
+    node: previous.node
+  };
+}
+
+/**
+ * Whether an entry changed any nodes. A non-atomic batch can fail part-way
+ * and still have changed some; a rolled-back batch changed none.
+ */
+function changedNodes(entry) {
+  if (entry.status === 'succeeded') return true;
+  return entry.type === 'batch' && Boolean(entry.result?.results) && !entry.result.rolledBack;
+}
+
+/**
+ * Operations that undo an entry, in the order they must run
+ */
+function inverseOperations(entry) {
+  if (!changedNodes(entry)) {
+    throw undoError(`Operation ${entry.id} did not change anything (${entry.status})`);
+  }
+  if (entry.undoneBy) {
+    throw undoError(`Operation ${entry.id} was already undone by ${entry.undoneBy}`);
+  }
+  
+  if (entry.type !== 'batch' && entry.type !== 'undo') {
+    return inverseOfOperation(entry.payload, { ...entry.result, previousState: entry.previousState });
+  }
+  
+  // Undo the operations that ran, last first
+  const results = entry.result?.results || [];
+  const inverse = [];
+  entry.payload.operations.forEach((op, i) => {
+    const result = results[i];
+    if (!result || result.success === false) return;
+    inverse.unshift(...inverseOfOperation(op, result));
+  });
+  return inverse;
+}
+
+// -----------------------------------------------------------------------------
+// LOG
+// -----------------------------------------------------------------------------
+
+/**
+ * Entries in a JSON Lines file, merged by id, and how many lines it has
+ */
+function loadEntries(filePath, limit) {
+  if (!filePath || !fs.existsSync(filePath)) return { entries: [], lines: 0 };
+  
+  const byId = new Map();
+  let lines = 0;
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach((line) => {
+    if (!line.trim()) return;
+    lines++;
+    try {
+      const entry = JSON.parse(line);
+      byId.set(entry.id, { ...byId.get(entry.id), ...entry });
+    } catch (err) {
+      // Skip a line cut short by a crash
+    }
+  });
+  return { entries: [...byId.values()].slice(-limit), lines };
+}
+
+/**
+ * Replace the file with one line per finished entry. Written to a temporary
+ * file first so a crash leaves either the old file or the new one.
+ */
+function writeEntries(filePath, entries) {
+  const finished = entries.filter((entry) => entry.status !== 'pending');
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, finished.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+  fs.renameSync(tmpPath, filePath);
+  return finished.length;
+}
+
+/**
+ * Create an audit log: { limit, filePath }
+ */
+function createAuditLog(options = {}) {
+  const limit = options.limit || 1000;
+  const filePath = options.filePath || '';
+  const loaded = loadEntries(filePath, limit);
+  const entries = loaded.entries;
+  // Lines in the file, and the count right after it was last rewritten
+  let lines = loaded.lines;
+  let compactedLines = lines;
+  
+  if (filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (entries.length > 0) console.log(`Loaded ${entries.length} audit entries from ${filePath}`);
+    if (lines > entries.length) compact();
+  }
+  
+  function compact() {
+    try {
+      lines = writeEntries(filePath, entries);
+      compactedLines = lines;
+      return true;
+    } catch (err) {
+      console.error('Audit log compaction failed:', err.message);
+      // Try again after another `limit` lines
+      compactedLines = lines;
+      return false;
+    }
+  }
+  
+  function append(entry) {
+    if (!filePath) return;
+    lines++;
+    // The entry is already in memory, so the rewrite includes it
+    if (lines - compactedLines > limit && compact()) return;
+    fs.appendFile(filePath, `${JSON.stringify(entry)}\n`, (err) => {
+      if (err) console.error('Audit log write failed:', err.message);
+    });
+  }
+  
+  function record(fields) {
+    const now = Date.now();
+    const entry = {
+      id: `op_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      status: 'pending',
+      result: null,
+      previousState: null,
+      error: null,
+      timestamp: now,
+      finishedAt: null,
+      undoneBy: null,
+      undoOf: null,
+      ...fields
+    };
+    entries.push(entry);
+    if (entries.length > limit) entries.splice(0, entries.length - limit);
+    return entry;
+  }
+  
+  /**
+   * Store the plugin's answer. The previous state is kept apart from the
+   * rest of the result.
+   */
+  function finish(entry, { result, error }) {
+    const { previousState, requestId, ...rest } = result || {};
+    Object.assign(entry, {
+      status: error ? 'failed' : 'succeeded',
+      result: result ? rest : null,
+      previousState: previousState || null,
+      error: error ? error.message : null,
+      finishedAt: Date.now()
+    });
+    append(entry);
+    return entry;
+  }
+  
+  function markUndone(entry, undoId) {
+    entry.undoneBy = undoId;
+    append({ id: entry.id, undoneBy: undoId });
+  }
+  
+  function get(id) {
+    return entries.find((entry) => entry.id === id) || null;
+  }
+  
+  /**
+   * Entries matching { clientId, fileKey, type, key }, newest first
+   */
+  function list(filter = {}) {
+    return entries
+      .filter((entry) => (!filter.clientId || entry.clientId === filter.clientId) &&
+        (!filter.fileKey || entry.fileKey === filter.fileKey) &&
+        (!filter.type || entry.type === filter.type) &&
+        (!filter.key || entry.caller?.key === filter.key))
+      .reverse();
+  }
+  
+  return {
+    record,
+    finish,
+    markUndone,
+    get,
+    list
+  };
+}
+
+module.exports = {
+  createAuditLog,
+  changedNodes,
+  inverseOperations
+};
@@ -0,0 +1,485 @@
+// =============================================================================
+// CODEGEN - Turn selection data back into the spec DSL, React JSX or HTML
+// =============================================================================
+//
+// nodeToSpec() reads a serialized node (as sent in selection-data) into the
+// spec DSL that create and insert-child accept. Instances of components the
+// registry knows become `$` nodes with their component props; other nodes
+// become primitives with the props the registry defines for their type.
+// Props at their Figma default (visible, opacity 1, no layout) are left out.
+//
+// The JSX and HTML outputs are generated from that spec. Auto-layout becomes
+// flexbox; children of frames without auto-layout are positioned absolutely.
+// Components render as simple stand-ins (<button>, <input>, ...), or as a
+// <div data-component="..."> when there is no obvious element.
+
+const { COMMON_PROPS } = require('./spec-schema');
+const { readProp, normalizeColor } = require('./spec-sync');
+const { slugify } = require('./tokens');
+
+const FORMATS = ['spec', 'jsx', 'html'];
+
+const CONTENT_TYPES = {
+  spec: 'application/json',
+  jsx: 'text/jsx',
+  html: 'text/html'
+};
+
+const FILE_EXTENSIONS = {
+  spec: 'spec.json',
+  jsx: 'jsx',
+  html: 'html'
+};
+
+// Spec type for each Figma node type
+const SPEC_TYPES = {
+  FRAME: 'frame',
+  COMPONENT: 'component',
+  COMPONENT_SET: 'frame',
+  INSTANCE: 'frame',
+  SECTION: 'section',
+  GROUP: 'group',
+  TEXT: 'text',
+  RECTANGLE: 'rectangle',
+  ELLIPSE: 'ellipse',
+  LINE: 'line',
+  VECTOR: 'vector',
+  BOOLEAN_OPERATION: 'vector',
+  STAR: 'vector',
+  POLYGON: 'vector'
+};
+
+// Values that are Figma defaults, left out of the spec
+const DEFAULTS = {
+  visible: true,
+  opacity: 1,
+  layout: 'none',
+  gap: 0,
+  padding: [0, 0, 0, 0],
+  clipContent: false,
+  strokeWidth: 0,
+  cornerRadius: 0
+};
+
+// Primitive props the spec never takes from the node itself
+const SKIPPED_PROPS = ['children', 'text', 'x', 'y'];
+
+// Component props filled from the first text layer when the node has none
+const TEXT_PROPS = ['label', 'text', 'title'];
+
+// -----------------------------------------------------------------------------
+// NODE -> SPEC
+// -----------------------------------------------------------------------------
+
+function round(value) {
+  return typeof value === 'number' ? Math.round(value * 100) / 100 : value;
+}
+
+function isDefault(prop, value) {
+  return DEFAULTS[prop] !== undefined && JSON.stringify(DEFAULTS[prop]) === JSON.stringify(value);
+}
+
+/**
+ * The registry component a node is an instance of, or null
+ */
+function componentOf(node, registry) {
+  if (node.type !== 'INSTANCE') return null;
+  const candidates = [
+    node.componentSetName,
+    node.mainComponent?.componentSetName,
+    node.componentName,
+    node.mainComponent?.name,
+    node.name
+  ];
+  return candidates.find((name) => name && registry.components[name]) || null;
+}
+
+function firstText(node) {
+  if (node.type === 'TEXT') return readProp(node, 'text');
+  for (const child of node.children || []) {
+    const text = firstText(child);
+    if (text !== undefined) return text;
+  }
+  return undefined;
+}
+
+/**
+ * A Figma value for a prop schema: variant values are matched to the enum
+ * case-insensitively ("Primary" -> "primary")
+ */
+function fitValue(value, schema) {
+  if (typeof value === 'string' && schema.enum) {
+    return schema.enum.find((option) => String(option).toLowerCase() === value.toLowerCase()) ?? value;
+  }
+  if (typeof value === 'string' && [].concat(schema.type).includes('boolean') && /^(true|false)$/i.test(value)) {
+    return value.toLowerCase() === 'true';
+  }
+  return value;
+}
+
+/**
+ * Convert a serialized node (and its subtree) into a spec node. `parent` is
+ * the serialized parent; x and y are kept only outside auto-layout.
+ * Unknown node types are noted in `warnings`.
+ */
+function nodeToSpec(node, registry, parent = null, warnings = []) {
+  const component = componentOf(node, registry);
+  const spec = {};
+  let props;
+  
+  if (component) {
+    spec.$ = component;
+    props = { name: COMMON_PROPS.name, ...registry.components[component].props };
+  } else {
+    spec.type = SPEC_TYPES[String(node.type || '').toUpperCase()] || 'frame';
+    if (spec.type === 'rectangle' && (node.fills || []).some((paint) => paint && paint.type === 'IMAGE')) {
+      spec.type = 'image';
+    }
+    if (!SPEC_TYPES[String(node.type || '').toUpperCase()]) {
+      warnings.push({ nodeId: node.id, message: `Unknown node type ${node.type}, exported as a frame` });
+    }
+    const definition = registry.nodeTypes[spec.type] || { props: {} };
+    props = { ...COMMON_PROPS, ...definition.props };
+  }
+  
+  // Component props come from the instance's component properties only
+  const properties = { componentProperties: node.componentProperties };
+  
+  Object.entries(props).forEach(([prop, schema]) => {
+    if (!component && SKIPPED_PROPS.includes(prop)) return;
+    if (spec.type === 'text' && prop === 'fill') return;
+    let value = readProp(component && prop !== 'name' ? properties : node, prop);
+    if (value === undefined && component && TEXT_PROPS.includes(prop)) value = firstText(node);
+    if (value === undefined || value === null || typeof value === 'symbol') return;
+    value = fitValue(round(Array.isArray(value) ? value.map(round) : value), schema);
+    if (['fill', 'stroke', 'color'].includes(prop)) value = normalizeColor(value);
+    if (!isDefault(prop, value)) spec[prop] = value;
+  });
+  
+  const inLayout = parent && parent.layoutMode && parent.layoutMode !== 'NONE';
+  if (parent && !inLayout && parent.type !== 'GROUP') {
+    if (typeof node.x === 'number') spec.x = round(node.x);
+    if (typeof node.y === 'number') spec.y = round(node.y);
+  }
+  
+  // An instance's children belong to its component
+  if (!component && Array.isArray(node.children) && node.children.length > 0) {
+    spec.children = node.children.map((child) => nodeToSpec(child, registry, node, warnings));
+  }
+  return spec;
+}
+
+// -----------------------------------------------------------------------------
+// STYLES
+// -----------------------------------------------------------------------------
+
+// Style properties that take plain numbers (no px)
+const UNITLESS = ['opacity', 'fontWeight', 'flex', 'zIndex'];
+
+function px(values) {
+  return [].concat(values).map((value) => `${value}px`).join(' ');
+}
+
+function size(value, axis, parentLayout) {
+  if (typeof value === 'number') return value;
+  if (value !== 'fill') return undefined;
+  if (parentLayout !== 'horizontal' && parentLayout !== 'vertical') return '100%';
+  // Filling the main axis is flex: 1 (null), the cross axis 100%
+  return (axis === 'width') === (parentLayout === 'horizontal') ? null : '100%';
+}
+
+/**
+ * CSS for a spec node as a camelCase object; numbers are pixels except for
+ * UNITLESS properties
+ */
+function styleOf(spec, parent) {
+  const style = {};
+  const parentLayout = parent ? parent.layout : undefined;
+  const absolute = parent && (!parentLayout || parentLayout === 'none') && (spec.x !== undefined || spec.y !== undefined);
+  
+  if (absolute) {
+    style.position = 'absolute';
+    if (spec.x !== undefined) style.left = spec.x;
+    if (spec.y !== undefined) style.top = spec.y;
+  }
+  
+  ['width', 'height'].forEach((axis) => {
+    const value = size(spec[axis], axis, parentLayout);
+    if (value === null) style.flex = 1;
+    else if (value !== undefined) style[axis] = value;
+  });
+  
+  if (spec.layout === 'horizontal' || spec.layout === 'vertical') {
+    style.display = 'flex';
+    style.flexDirection = spec.layout === 'horizontal' ? 'row' : 'column';
+  } else if (spec.children && spec.children.some((child) => child.x !== undefined || child.y !== undefined)) {
+    style.position = style.position || 'relative';
+  }
+  if (spec.gap !== undefined) style.gap = spec.gap;
+  if (spec.padding !== undefined) style.padding = Array.isArray(spec.padding) ? px(spec.padding) : spec.padding;
+  if (spec.align === 'space-between') style.justifyContent = 'space-between';
+  else if (spec.align) style.alignItems = { start: 'flex-start', end: 'flex-end' }[spec.align] || spec.align;
+  
+  if (spec.fill !== undefined) style.background = normalizeColor(spec.fill);
+  if (spec.stroke !== undefined) style.border = `${spec.strokeWidth || 1}px solid ${normalizeColor(spec.stroke)}`;
+  if (spec.type === 'ellipse') style.borderRadius = '50%';
+  else if (spec.cornerRadius !== undefined) style.borderRadius = Array.isArray(spec.cornerRadius) ? px(spec.cornerRadius) : spec.cornerRadius;
+  if (spec.opacity !== undefined) style.opacity = spec.opacity;
+  if (spec.visible === false) style.display = 'none';
+  if (spec.clipContent) style.overflow = 'hidden';
+  
+  if (spec.fontFamily) style.fontFamily = spec.fontFamily;
+  if (spec.fontSize !== undefined) style.fontSize = spec.fontSize;
+  if (spec.fontWeight !== undefined) style.fontWeight = spec.fontWeight;
+  if (spec.lineHeight !== undefined) style.lineHeight = typeof spec.lineHeight === 'number' ? `${spec.lineHeight}px` : spec.lineHeight;
+  if (spec.color !== undefined) style.color = normalizeColor(spec.color);
+  if (spec.textAlign) style.textAlign = spec.textAlign === 'justified' ? 'justify' : spec.textAlign;
+  
+  return style;
+}
+
+function cssValue(property, value) {
+  return typeof value === 'number' && !UNITLESS.includes(property) ? `${value}px` : String(value);
+}
+
+// -----------------------------------------------------------------------------
+// ELEMENTS
+// -----------------------------------------------------------------------------
+
+/**
+ * The element a spec node renders as: { tag, attributes, text, children }.
+ * Used by both the JSX and the HTML output.
+ */
+function elementOf(spec) {
+  const element = { tag: 'div', attributes: {}, text: null, children: spec.children || [] };
+  
+  if (spec.$ === undefined) {
+    if (spec.type === 'text') {
+      element.tag = 'span';
+      element.text = spec.characters ?? spec.text ?? '';
+    } else if (spec.type === 'image') {
+      element.tag = 'img';
+      element.attributes = { src: spec.src || '', alt: spec.name || '' };
+    } else if (spec.type === 'line') {
+      element.tag = 'hr';
+    }
+    return element;
+  }
+  
+  const label = spec.label ?? spec.text ?? spec.title ?? null;
+  switch (spec.$) {
+    case 'Button':
+    case 'IconButton':
+      return { ...element, tag: 'button', text: label, attributes: { type: 'button', disabled: spec.disabled } };
+    case 'Link':
+      return { ...element, tag: 'a', text: label, attributes: { href: spec.href || '#' } };
+    case 'Heading':
+      return { ...element, tag: `h${spec.level || 2}`, text: label };
+    case 'Text':
+      return { ...element, tag: 'p', text: label };
+    case 'Input':
+      return { ...element, tag: 'input', attributes: { type: spec.type || 'text', placeholder: spec.placeholder, defaultValue: spec.value, disabled: spec.disabled } };
+    case 'TextArea':
+      return { ...element, tag: 'textarea', attributes: { placeholder: spec.placeholder, rows: spec.rows, defaultValue: spec.value } };
+    case 'Checkbox':
+    case 'Radio':
+    case 'Toggle':
+      return { ...element, tag: 'label', text: label, attributes: {}, control: { type: spec.$ === 'Radio' ? 'radio' : 'checkbox', checked: spec.checked } };
+    case 'Divider':
+      return { ...element, tag: 'hr' };
+    default:
+      return { ...element, text: label, attributes: { 'data-component': spec.$, 'data-variant': spec.variant } };
+  }
+}
+
+function componentName(spec, used) {
+  const base = slugify(spec.name || spec.$ || spec.type || 'Design')
+    .split('-')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('') || 'Design';
+  const safe = /^[A-Z]/.test(base) ? base : `Design${base}`;
+  let name = safe;
+  for (let i = 2; used.has(name); i++) name = `${safe}${i}`;
+  used.add(name);
+  return name;
+}
+
+// -----------------------------------------------------------------------------
+// JSX
+// -----------------------------------------------------------------------------
+
+const JSX_ATTRIBUTES = { class: 'className', for: 'htmlFor' };
+
+function jsxAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null && value !== false)
+    .map(([name, value]) => {
+      const attr = JSX_ATTRIBUTES[name] || name;
+      if (value === true) return ` ${attr}`;
+      return typeof value === 'string' ? ` ${attr}=${JSON.stringify(value)}` : ` ${attr}={${JSON.stringify(value)}}`;
+    })
+    .join('');
+}
+
+function jsxStyle(style) {
+  const entries = Object.entries(style);
+  if (entries.length === 0) return '';
+  const body = entries.map(([property, value]) => `${property}: ${JSON.stringify(value)}`).join(', ');
+  return ` style={{ ${body} }}`;
+}
+
+function jsxText(text) {
+  return /[{}<>"'&]/.test(text) || text !== text.trim() ? `{${JSON.stringify(text)}}` : text;
+}
+
+function renderJsx(spec, parent, depth) {
+  const indent = '  '.repeat(depth);
+  const element = elementOf(spec);
+  const open = `${element.tag}${jsxAttributes(element.attributes)}${jsxStyle(styleOf(spec, parent))}`;
+  const hasText = element.text !== null && element.text !== undefined && element.text !== '';
+  if (hasText && !element.control && element.children.length === 0) {
+    return `${indent}<${open}>${jsxText(String(element.text))}</${element.tag}>`;
+  }
+  
+  const inner = [];
+  if (element.control) {
+    inner.push(`${indent}  <input type="${element.control.type}"${element.control.checked ? ' defaultChecked' : ''} />`);
+  }
+  if (hasText) inner.push(`${indent}  ${jsxText(String(element.text))}`);
+  element.children.forEach((child) => inner.push(renderJsx(child, spec, depth + 1)));
+  
+  if (inner.length === 0) return `${indent}<${open} />`;
+  return `${indent}<${open}>\n${inner.join('\n')}\n${indent}</${element.tag}>`;
+}
+
+/**
+ * One React function component per root spec
+ */
+function toJsx(specs) {
+  const used = new Set();
+  const components = specs.map((spec) => {
+    const name = componentName(spec, used);
+    return `export function ${name}() {\n  return (\n${renderJsx(spec, null, 2)}\n  );\n}`;
+  });
+  return `${components.join('\n\n')}\n`;
+}
+
+// -----------------------------------------------------------------------------
+// HTML
+// -----------------------------------------------------------------------------
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+const VOID_TAGS = ['img', 'input', 'hr'];
+
+const HTML_ATTRIBUTES = { defaultValue: 'value' };
+
+/**
+ * A standalone HTML page with one class (and CSS rule) per styled node
+ */
+function toHtml(specs, title = 'Figma export') {
+  const rules = [];
+  const classes = new Set();
+  
+  const className = (spec) => {
+    const base = slugify(spec.name || spec.$ || spec.type || 'node') || 'node';
+    let name = base;
+    for (let i = 2; classes.has(name); i++) name = `${base}-${i}`;
+    classes.add(name);
+    return name;
+  };
+  
+  const render = (spec, parent, depth) => {
+    const indent = '  '.repeat(depth);
+    const element = elementOf(spec);
+    const style = styleOf(spec, parent);
+    const attributes = { ...element.attributes };
+    
+    if (Object.keys(style).length > 0) {
+      const name = className(spec);
+      attributes.class = name;
+      const declarations = Object.entries(style)
+        .map(([property, value]) => `  ${slugify(property)}: ${cssValue(property, value)};`)
+        .join('\n');
+      rules.push(`.${name} {\n${declarations}\n}`);
+    }
+    
+    const attrs = Object.entries(attributes)
+      .filter(([, value]) => value !== undefined && value !== null && value !== false)
+      .map(([name, value]) => (value === true ? ` ${HTML_ATTRIBUTES[name] || name}` : ` ${HTML_ATTRIBUTES[name] || name}="${escapeHtml(value)}"`))
+      .join('');
+    if (VOID_TAGS.includes(element.tag)) return `${indent}<${element.tag}${attrs}>`;
+    
+    const hasText = element.text !== null && element.text !== undefined && element.text !== '';
+    if (hasText && !element.control && element.children.length === 0) {
+      return `${indent}<${element.tag}${attrs}>${escapeHtml(element.text)}</${element.tag}>`;
+    }
+    
+    const inner = [];
+    if (element.control) {
+      inner.push(`${indent}  <input type="${element.control.type}"${element.control.checked ? ' checked' : ''}>`);
+    }
+    if (hasText) inner.push(`${indent}  ${escapeHtml(element.text)}`);
+    element.children.forEach((child) => inner.push(render(child, spec, depth + 1)));
+    
+    if (inner.length === 0) return `${indent}<${element.tag}${attrs}></${element.tag}>`;
+    return `${indent}<${element.tag}${attrs}>\n${inner.join('\n')}\n${indent}</${element.tag}>`;
+  };
+  
+  const body = specs.map((spec) => render(spec, null, 1)).join('\n');
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '  <meta charset="utf-8">',
+    `  <title>${escapeHtml(title)}</title>`,
+    '  <style>',
+    '    * { box-sizing: border-box; margin: 0; }',
+    ...rules.map((rule) => rule.split('\n').map((line) => `    ${line}`).join('\n')),
+    '  </style>',
+    '</head>',
+    '<body>',
+    body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+// -----------------------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------------------
+
+/**
+ * Export selection root nodes in a format. Returns
+ * { body, contentType, extension, warnings }.
+ */
+function exportNodes(roots, options) {
+  const format = options.format || 'spec';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (expected ${FORMATS.join(', ')})`);
+  }
+  
+  const warnings = [];
+  const specs = roots.map((root) => nodeToSpec(root, options.registry, null, warnings));
+  
+  let body;
+  if (format === 'spec') {
+    body = JSON.stringify(specs.length === 1 ? specs[0] : specs, null, 2);
+  } else if (format === 'jsx') {
+    body = toJsx(specs);
+  } else {
+    body = toHtml(specs, options.title);
+  }
+  return { body, contentType: CONTENT_TYPES[format], extension: FILE_EXTENSIONS[format], warnings };
+}
+
+module.exports = {
+  FORMATS,
+  nodeToSpec,
+  toJsx,
+  toHtml,
+  exportNodes
+};
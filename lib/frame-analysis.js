@@ -0,0 +1,314 @@
+// =============================================================================
+// FRAME ANALYSIS - Suggest frame names with an LLM provider
+// =============================================================================
+//
+// Shared by POST /api/figma/analyze-frames and the plugin's `analyze-frames`
+// WebSocket message. Frames are { id, name, width, height, nodeTree }, and
+// suggestions are { frameId, suggestedName, pageName, number, description,
+// reason } plus the review fields from lib/naming.js.
+//
+// Names are checked against the request's naming profile. Names that fail
+// are repaired where possible; frames still without a valid name are sent
+// back to the model with the problems, up to `maxRetries` more times.
+//
+// Large selections are split into chunks (at most `chunkSize` frames and
+// `maxPromptChars` of node trees per call). Later chunks are told which pages
+// and numbers exist so far, and {nn} is renumbered across chunks at the end.
+// Valid suggestions are cached by a hash of the frame's node tree and size,
+// the profile and the model. A chunk that fails does not fail the others;
+// its frames are listed in `failed`.
+
+const crypto = require('crypto');
+const naming = require('./naming');
+
+const TRUNCATED = '\n... (node tree truncated)';
+
+function buildPrompt(frames) {
+  const frameSummaries = frames.map((f, i) => {
+    return `Frame ${i + 1} (id: ${f.id}, current name: "${f.name}", size: ${f.width}x${f.height}):\n${f.nodeTree}`;
+  }).join('\n\n---\n\n');
+  
+  return `Analyze these ${frames.length} Figma frame(s) and suggest names:\n\n${frameSummaries}`;
+}
+
+/**
+ * Split frames into chunks that fit one prompt. A node tree longer than
+ * maxChars on its own is truncated.
+ */
+function chunkFrames(frames, chunkSize, maxChars) {
+  const chunks = [];
+  let chunk = [];
+  let chars = 0;
+  
+  frames.forEach((frame) => {
+    let f = frame;
+    const tree = String(frame.nodeTree || '');
+    if (tree.length > maxChars) {
+      f = { ...frame, nodeTree: tree.slice(0, maxChars - TRUNCATED.length) + TRUNCATED };
+    }
+    const size = String(f.nodeTree || '').length;
+    
+    if (chunk.length > 0 && (chunk.length >= chunkSize || chars + size > maxChars)) {
+      chunks.push(chunk);
+      chunk = [];
+      chars = 0;
+    }
+    chunk.push(f);
+    chars += size;
+  });
+  if (chunk.length > 0) chunks.push(chunk);
+  
+  return chunks;
+}
+
+/**
+ * Tell a later chunk which pages and numbers earlier chunks used
+ */
+function buildContext(suggestions, profile) {
+  const last = new Map();
+  suggestions.forEach((suggestion) => {
+    const parts = suggestion.valid ? naming.checkName(suggestion.suggestedName, profile).parts : null;
+    if (!parts) return;
+    const key = parts.page || '';
+    const number = parts.nn === undefined ? null : Number(parts.nn);
+    last.set(key, Math.max(last.get(key) ?? -Infinity, number ?? -Infinity));
+  });
+  if (last.size === 0) return '';
+  
+  const lines = [...last.entries()].map(([page, number]) => {
+    const label = page ? `- ${page}` : '- (all frames)';
+    return Number.isFinite(number) ? `${label}: last number ${number}` : label;
+  });
+  const numbering = profile.numbering.scope === 'global'
+    ? 'continue the numbering after the highest number'
+    : 'continue each page\'s numbering';
+  return `\n\nEarlier frames in this selection were already named. Reuse these page names where they fit, and ${numbering}:\n${lines.join('\n')}`;
+}
+
+function cacheKey(frame, profile, provider) {
+  return crypto.createHash('sha256').update(JSON.stringify([
+    provider.name,
+    provider.model,
+    profile.pattern,
+    profile.locale,
+    profile.maxLength,
+    profile.numbering,
+    frame.width,
+    frame.height,
+    frame.nodeTree || ''
+  ])).digest('hex');
+}
+
+/**
+ * The reply the mock provider gives: one stable name per frame, in order
+ */
+function mockSuggestions(frames, profile) {
+  const { start, padding } = profile.numbering;
+  return frames.map((f, i) => {
+    const description = [...String(f.name || 'Frame')].slice(0, profile.maxLength).join('').trim();
+    return {
+      frameId: f.id,
+      suggestedName: naming.formatName(profile, {
+        page: 'Mock',
+        nn: String(start + i).padStart(padding, '0'),
+        description
+      }),
+      pageName: 'Mock',
+      number: start + i,
+      description,
+      reason: 'Mock provider'
+    };
+  });
+}
+
+/**
+ * Ask the model again for frames whose names broke the convention
+ */
+function buildRetryPrompt(frames, rejected) {
+  const feedback = rejected.map((suggestion) => {
+    const name = suggestion.suggestedName === undefined ? '(none)' : `"${suggestion.suggestedName}"`;
+    return `- ${suggestion.frameId}: ${name}: ${(suggestion.problems || []).join('; ')}`;
+  }).join('\n');
+  
+  return `${buildPrompt(frames)}\n\nYour previous names for these frames did not follow the naming convention:\n${feedback}\n\nSuggest corrected names that follow every rule.`;
+}
+
+/**
+ * Parse the model's text as a JSON array of suggestions
+ */
+function parseSuggestions(text) {
+  let suggestions;
+  try {
+    suggestions = JSON.parse((text || '[]').replace(/```json|```/g, '').trim());
+  } catch (parseErr) {
+    suggestions = null;
+  }
+  
+  if (!Array.isArray(suggestions)) {
+    console.error('LLM response parse error:', text);
+    const err = new Error('Failed to parse LLM response');
+    err.status = 502;
+    err.raw = text;
+    throw err;
+  }
+  return suggestions;
+}
+
+/**
+ * Create the analysis service around a provider from lib/llm.js
+ */
+function createFrameAnalyzer(options) {
+  const {
+    provider,
+    maxRetries = 1,
+    chunkSize = 10,
+    maxPromptChars = 40000,
+    cacheSize = 1000,
+    cacheTtlMs = 24 * 60 * 60 * 1000
+  } = options;
+  
+  // Least recently used first - Key: cacheKey, Value: { suggestion, storedAt }
+  const cache = new Map();
+  
+  function cacheGet(key) {
+    const entry = cache.get(key);
+    if (!entry) return null;
+    cache.delete(key);
+    if (entry.storedAt + cacheTtlMs <= Date.now()) return null;
+    cache.set(key, entry);
+    return entry.suggestion;
+  }
+  
+  function cacheSet(key, suggestion) {
+    const { frameId, valid, repaired, originalName, problems, warnings, ...stored } = suggestion;
+    cache.delete(key);
+    cache.set(key, { suggestion: stored, storedAt: Date.now() });
+    while (cache.size > cacheSize) cache.delete(cache.keys().next().value);
+  }
+  
+  /**
+   * Name one chunk, asking again for rejected names. Returns the raw
+   * suggestions by frameId and the number of LLM calls.
+   */
+  async function analyzeChunk(frames, profile, system, context) {
+    const latest = new Map();
+    let pending = frames;
+    let prompt = buildPrompt(frames) + context;
+    let attempts = 0;
+    
+    while (pending.length > 0 && attempts <= maxRetries) {
+      const text = await provider.complete({
+        system,
+        prompt,
+        mock: mockSuggestions(pending, profile)
+      });
+      attempts++;
+      
+      const pendingIds = new Set(pending.map((f) => f.id));
+      parseSuggestions(text).forEach((suggestion) => {
+        if (suggestion && pendingIds.has(suggestion.frameId)) latest.set(suggestion.frameId, suggestion);
+      });
+      
+      const reviewed = naming.reviewSuggestions(frames.map((f) => latest.get(f.id) || { frameId: f.id }), profile);
+      const rejected = reviewed
+        .filter((suggestion) => !suggestion.valid)
+        .map((suggestion) => (latest.has(suggestion.frameId)
+          ? suggestion
+          : { frameId: suggestion.frameId, problems: ['No suggestion returned'] }));
+      const rejectedIds = new Set(rejected.map((suggestion) => suggestion.frameId));
+      pending = frames.filter((f) => rejectedIds.has(f.id));
+      prompt = buildRetryPrompt(pending, rejected) + context;
+    }
+    
+    return { latest, attempts };
+  }
+  
+  /**
+   * Suggest names for frames in a profile's convention.
+   * Returns { suggestions, failed, partial, profile, attempts, chunks, cached }.
+   * Throws only when every frame that needed the model failed.
+   */
+  async function analyzeFrames(frames, { profile, useCache = true }) {
+    if (!Array.isArray(frames) || frames.length === 0) {
+      const err = new Error('Missing or empty frames array');
+      err.status = 400;
+      throw err;
+    }
+    
+    const system = naming.buildSystemPrompt(profile);
+    const raw = new Map();
+    const keys = new Map(frames.map((f) => [f.id, cacheKey(f, profile, provider)]));
+    const failed = [];
+    let attempts = 0;
+    let firstError = null;
+    
+    const uncached = frames.filter((f) => {
+      const hit = useCache ? cacheGet(keys.get(f.id)) : null;
+      if (hit) raw.set(f.id, { ...hit, frameId: f.id, cached: true });
+      return !hit;
+    });
+    const chunks = chunkFrames(uncached, chunkSize, maxPromptChars);
+    
+    for (const chunk of chunks) {
+      const named = naming.reviewSuggestions(frames.filter((f) => raw.has(f.id)).map((f) => raw.get(f.id)), profile);
+      try {
+        const result = await analyzeChunk(chunk, profile, system, buildContext(named, profile));
+        attempts += result.attempts;
+        chunk.forEach((f) => {
+          if (result.latest.has(f.id)) raw.set(f.id, result.latest.get(f.id));
+        });
+      } catch (err) {
+        if (!firstError) firstError = err;
+        console.error(`Frame analysis chunk failed (${chunk.length} frames): ${err.message}`);
+        chunk.forEach((f) => failed.push({ frameId: f.id, error: err.message }));
+      }
+    }
+    
+    if (uncached.length > 0 && failed.length === uncached.length && raw.size === 0) {
+      throw firstError;
+    }
+    
+    const failedIds = new Set(failed.map((entry) => entry.frameId));
+    let suggestions = naming.reviewSuggestions(
+      frames.filter((f) => !failedIds.has(f.id)).map((f) => raw.get(f.id) || { frameId: f.id }),
+      profile
+    ).map((suggestion) => (raw.has(suggestion.frameId)
+      ? suggestion
+      : { frameId: suggestion.frameId, valid: false, problems: ['No suggestion returned'] }));
+    
+    // Numbers chosen in separate calls (or cached) don't line up on their own
+    if (chunks.length > 1 || uncached.length < frames.length) {
+      suggestions = naming.renumberSuggestions(suggestions, profile);
+    }
+    
+    if (useCache) {
+      suggestions.forEach((suggestion) => {
+        if (suggestion.valid && !suggestion.cached) cacheSet(keys.get(suggestion.frameId), suggestion);
+      });
+    }
+    
+    return {
+      suggestions,
+      failed,
+      partial: failed.length > 0,
+      profile: profile.name,
+      attempts,
+      chunks: chunks.length,
+      cached: frames.length - uncached.length
+    };
+  }
+  
+  return {
+    provider: provider.name,
+    model: provider.model,
+    analyzeFrames,
+    clearCache: () => cache.clear()
+  };
+}
+
+module.exports = {
+  createFrameAnalyzer,
+  buildPrompt,
+  chunkFrames,
+  parseSuggestions
+};
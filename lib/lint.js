@@ -0,0 +1,467 @@
+// =============================================================================
+// LINT - Design and accessibility rules over selection node trees
+// =============================================================================
+//
+// lintNodes() walks the nodes of a selection-data payload and returns
+// findings:
+//   { id, rule, severity, nodeId, nodeName, path, message, suggestion, details, fix }
+// `fix` is null or the `updates` of an update-node operation that resolves
+// the finding. Variable bindings are written to `boundVariables`, the field
+// plugins report them in:
+//   { boundVariables: { fills: [{ type: 'VARIABLE_ALIAS', id: 'VariableID:1:2' }] } }
+// Finding IDs are "<rule>@<nodeId>", plus "/<field>" for per-field rules,
+// so they stay the same as long as the selection does.
+//
+// Rules (each can be turned off with `false`, or tuned with an object of
+// options; every rule takes `severity`):
+//   contrast           text below WCAG contrast on its filled ancestors { level }
+//   hardcoded-color    solid fills and strokes equal to a COLOR variable, unbound
+//   hardcoded-spacing  gap and padding equal to a spacing FLOAT variable, unbound
+//                      { pattern: which variable names count as spacing }
+//   touch-target       interactive layers smaller than { minSize }
+//                      { pattern: which layer names count as interactive }
+//   off-grid           gap and padding that are not multiples of { grid }
+//   naming             top-level frames that break the naming profile, and
+//                      layers still called "Frame 12" or "Rectangle 3"
+
+const tokens = require('./tokens');
+const naming = require('./naming');
+const { readProp, normalizeColor } = require('./spec-sync');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const DEFAULT_RULES = {
+  contrast: { severity: 'error', level: 'AA' },
+  'hardcoded-color': { severity: 'warning' },
+  'hardcoded-spacing': { severity: 'warning', pattern: 'spac|gap|padding' },
+  'touch-target': { severity: 'warning', minSize: 44, pattern: 'button|btn|link|\\btabs?\\b|toggle|checkbox|radio|switch|chip|input' },
+  'off-grid': { severity: 'info', grid: 4 },
+  naming: { severity: 'warning' }
+};
+
+// Minimum contrast ratios for normal and large text
+const WCAG_LEVELS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+
+// Layer names Figma gives new layers
+const DEFAULT_NAME = /^(Frame|Group|Rectangle|Ellipse|Line|Vector|Polygon|Star|Section|Slice|Image)( \d+)?$/;
+
+// Frames directly under these are the ones naming profiles describe
+const FRAME_PARENTS = ['DOCUMENT', 'PAGE', 'SECTION'];
+
+const SPACING_FIELDS = ['itemSpacing', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'];
+
+function lintError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// -----------------------------------------------------------------------------
+// RULES
+// -----------------------------------------------------------------------------
+
+/**
+ * Merge a request's rule options over the defaults. Returns
+ * { [rule]: options } for the enabled rules; throws 400 on bad options.
+ */
+function resolveRules(config = {}) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw lintError('rules must be an object of rule names to options or false');
+  }
+  const unknown = Object.keys(config).filter((name) => !DEFAULT_RULES[name]);
+  if (unknown.length > 0) {
+    throw lintError(`Unknown lint rules: ${unknown.join(', ')} (rules: ${Object.keys(DEFAULT_RULES).join(', ')})`);
+  }
+  
+  const rules = {};
+  Object.entries(DEFAULT_RULES).forEach(([name, defaults]) => {
+    const value = config[name];
+    if (value === false) return;
+    if (value !== undefined && value !== true && (typeof value !== 'object' || value === null)) {
+      throw lintError(`rules.${name} must be true, false or an options object`);
+    }
+    const options = { ...defaults, ...(typeof value === 'object' ? value : {}) };
+    
+    if (!SEVERITIES.includes(options.severity)) {
+      throw lintError(`rules.${name}.severity must be one of: ${SEVERITIES.join(', ')}`);
+    }
+    if (options.level !== undefined && !WCAG_LEVELS[options.level]) {
+      throw lintError(`rules.${name}.level must be AA or AAA`);
+    }
+    ['minSize', 'grid'].forEach((key) => {
+      if (options[key] !== undefined && !(typeof options[key] === 'number' && options[key] > 0)) {
+        throw lintError(`rules.${name}.${key} must be a positive number`);
+      }
+    });
+    if (options.pattern !== undefined) {
+      try {
+        options.regex = new RegExp(options.pattern, 'i');
+      } catch (err) {
+        throw lintError(`rules.${name}.pattern is not a valid regular expression`);
+      }
+    }
+    rules[name] = options;
+  });
+  return rules;
+}
+
+// -----------------------------------------------------------------------------
+// COLOR
+// -----------------------------------------------------------------------------
+
+function luminance(color) {
+  const linear = (c) => (c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+  return 0.2126 * linear(color.r) + 0.7152 * linear(color.g) + 0.0722 * linear(color.b);
+}
+
+function contrastRatio(a, b) {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+// `top` painted over an opaque `bottom`
+function blend(top, bottom) {
+  const mix = (channel) => top[channel] * top.a + bottom[channel] * (1 - top.a);
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+function mixColor(color, toward, amount) {
+  const mix = (channel) => color[channel] + (toward[channel] - color[channel]) * amount;
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+/**
+ * The smallest step of `color` toward black or white that reaches `required`
+ * contrast on `background`, or null
+ */
+function fixContrast(color, background, required) {
+  const black = { r: 0, g: 0, b: 0 };
+  const white = { r: 1, g: 1, b: 1 };
+  for (let step = 1; step <= 20; step++) {
+    const candidates = [mixColor(color, black, step / 20), mixColor(color, white, step / 20)]
+      .filter((candidate) => contrastRatio(candidate, background) >= required);
+    if (candidates.length > 0) {
+      return candidates.sort((a, b) => contrastRatio(b, background) - contrastRatio(a, background))[0];
+    }
+  }
+  return null;
+}
+
+/**
+ * The color a node's fills paint, as an opaque color over `below`, or null
+ */
+function paintedColor(node, below) {
+  const hex = readProp(node, 'fill');
+  if (typeof hex !== 'string') return null;
+  return blend(tokens.hexToColor(hex), below);
+}
+
+// -----------------------------------------------------------------------------
+// VARIABLES
+// -----------------------------------------------------------------------------
+
+/**
+ * Index the variables a hard-coded value could be bound to:
+ * { colors: Map<hex, variable[]>, spacing: Map<number, variable[]> }
+ */
+function indexVariables(normalized, spacingPattern) {
+  const colors = new Map();
+  const spacing = new Map();
+  if (!normalized) return { colors, spacing };
+  
+  const index = tokens.createIndex(normalized);
+  const add = (map, key, variable) => {
+    if (!map.has(key)) map.set(key, []);
+    if (!map.get(key).includes(variable)) map.get(key).push(variable);
+  };
+  
+  normalized.variables.forEach((variable) => {
+    Object.keys(variable.valuesByMode).forEach((modeId) => {
+      const value = tokens.resolveValue(index, variable, modeId);
+      if (variable.type === 'COLOR' && value && typeof value === 'object' && typeof value.r === 'number') {
+        add(colors, normalizeColor(value), variable);
+      } else if (variable.type === 'FLOAT' && typeof value === 'number' && (!spacingPattern || spacingPattern.test(variable.name))) {
+        add(spacing, value, variable);
+      }
+    });
+  });
+  return { colors, spacing };
+}
+
+function isBound(node, field, paint) {
+  const binding = node.boundVariables?.[field];
+  if (Array.isArray(binding) ? binding.length > 0 : Boolean(binding)) return true;
+  return Boolean(paint?.boundVariables?.color);
+}
+
+function alias(variable) {
+  return { type: 'VARIABLE_ALIAS', id: variable.id };
+}
+
+function describeVariables(variables) {
+  return variables.map((variable) => ({ id: variable.id, name: variable.name }));
+}
+
+// -----------------------------------------------------------------------------
+// LINT
+// -----------------------------------------------------------------------------
+
+function isAutoLayout(node) {
+  const layout = readProp(node, 'layout');
+  return layout === 'horizontal' || layout === 'vertical';
+}
+
+function spacingOf(node) {
+  const values = {};
+  const gap = readProp(node, 'gap');
+  const padding = readProp(node, 'padding');
+  if (typeof gap === 'number') values.itemSpacing = gap;
+  if (Array.isArray(padding)) {
+    ['paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'].forEach((field, i) => {
+      if (typeof padding[i] === 'number') values[field] = padding[i];
+    });
+  }
+  return values;
+}
+
+/**
+ * Update-node props that set spacing fields to new values
+ */
+function spacingUpdates(current, changes) {
+  const updates = {};
+  if (changes.itemSpacing !== undefined) updates.gap = changes.itemSpacing;
+  if (SPACING_FIELDS.slice(1).some((field) => changes[field] !== undefined)) {
+    updates.padding = SPACING_FIELDS.slice(1).map((field) => changes[field] ?? current[field] ?? 0);
+  }
+  return updates;
+}
+
+/**
+ * Run rules over node trees. Options: { rules (from resolveRules), variables
+ * (normalized, see tokens.js), profile (naming profile) }. Returns
+ * { findings, summary, skipped, nodeCount }.
+ */
+function lintNodes(roots, options = {}) {
+  const rules = options.rules || resolveRules();
+  const variables = indexVariables(options.variables, rules['hardcoded-spacing']?.regex);
+  const findings = [];
+  const skipped = [];
+  let nodeCount = 0;
+  
+  // Binding rules need variables to bind to
+  const needsVariables = ['hardcoded-color', 'hardcoded-spacing'];
+  if (!options.variables) {
+    needsVariables.filter((rule) => rules[rule]).forEach((rule) => {
+      skipped.push({ rule, reason: 'No variables cached for this file' });
+    });
+  }
+  if (rules.naming && !options.profile) {
+    skipped.push({ rule: 'naming', reason: 'No naming profile; only default layer names were checked' });
+  }
+  const check = (rule) => Boolean(rules[rule]) && (Boolean(options.variables) || !needsVariables.includes(rule));
+  
+  const report = (rule, node, ancestors, finding) => {
+    const { field, severity, ...rest } = finding;
+    findings.push({
+      id: `${rule}@${node.id}${field ? `/${field}` : ''}`,
+      rule,
+      severity: severity || rules[rule].severity,
+      nodeId: node.id,
+      nodeName: node.name,
+      path: [...ancestors, node].map((n) => n.name).join(' / '),
+      suggestion: null,
+      details: {},
+      fix: null,
+      ...rest
+    });
+  };
+  
+  const lintContrast = (node, ancestors) => {
+    const color = readProp(node, 'color');
+    if (typeof color !== 'string') return;
+    const filled = ancestors.filter((ancestor) => typeof readProp(ancestor, 'fill') === 'string');
+    if (filled.length === 0) return;
+    
+    // Paint the ancestors' fills from the outermost in, over a white canvas
+    const background = filled.reduce((below, ancestor) => paintedColor(ancestor, below), { r: 1, g: 1, b: 1, a: 1 });
+    const foreground = blend(tokens.hexToColor(color), background);
+    const weight = Number(readProp(node, 'fontWeight')) || 400;
+    const size = typeof node.fontSize === 'number' ? node.fontSize : 0;
+    const large = size >= 24 || (size >= 18.66 && weight >= 700);
+    const { level } = rules.contrast;
+    const required = WCAG_LEVELS[level][large ? 'large' : 'normal'];
+    const ratio = contrastRatio(foreground, background);
+    if (ratio >= required) return;
+    
+    const fixed = fixContrast(foreground, background, required);
+    report('contrast', node, ancestors, {
+      message: `Contrast ${ratio.toFixed(2)}:1 of ${normalizeColor(foreground)} on ${normalizeColor(background)} is below WCAG ${level} (${required}:1${large ? ', large text' : ''})`,
+      suggestion: fixed ? `Change the text color to ${normalizeColor(fixed)}` : 'No text color reaches this contrast; change the background',
+      details: { ratio: Math.round(ratio * 100) / 100, required, foreground: normalizeColor(foreground), background: normalizeColor(background), large },
+      fix: fixed ? { color: normalizeColor(fixed) } : null
+    });
+  };
+  
+  const lintColors = (node, ancestors) => {
+    [['fills', 'fill', 'Fill'], ['strokes', 'stroke', 'Stroke']].forEach(([field, prop, label]) => {
+      const hex = readProp(node, prop);
+      if (typeof hex !== 'string') return;
+      const paint = Array.isArray(node[field]) ? node[field].find((p) => p && p.type === 'SOLID' && p.visible !== false) : null;
+      if (isBound(node, field, paint)) return;
+      const matches = variables.colors.get(hex);
+      if (!matches) return;
+      
+      report('hardcoded-color', node, ancestors, {
+        field,
+        message: `${label} ${hex} is hard-coded but matches variable ${matches[0].name}`,
+        suggestion: `Bind the ${prop} to ${matches[0].name}`,
+        details: { value: hex, variables: describeVariables(matches) },
+        fix: { boundVariables: { ...node.boundVariables, [field]: [alias(matches[0])] } }
+      });
+    });
+  };
+  
+  const lintSpacing = (node, ancestors) => {
+    const values = spacingOf(node);
+    const bindings = {};
+    const matched = [];
+    Object.entries(values).forEach(([field, value]) => {
+      if (value <= 0 || isBound(node, field)) return;
+      const matches = variables.spacing.get(value);
+      if (!matches) return;
+      bindings[field] = alias(matches[0]);
+      matched.push({ field, value, variables: describeVariables(matches) });
+    });
+    if (matched.length === 0) return;
+    
+    report('hardcoded-spacing', node, ancestors, {
+      message: `Hard-coded spacing matches variables: ${matched.map((m) => `${m.field} ${m.value} (${m.variables[0].name})`).join(', ')}`,
+      suggestion: 'Bind the spacing to the matching variables',
+      details: { fields: matched },
+      fix: { boundVariables: { ...node.boundVariables, ...bindings } }
+    });
+  };
+  
+  const lintGrid = (node, ancestors) => {
+    const { grid } = rules['off-grid'];
+    const values = spacingOf(node);
+    const changes = {};
+    Object.entries(values).forEach(([field, value]) => {
+      if (isBound(node, field)) return;
+      const snapped = Math.round(value / grid) * grid;
+      if (Math.abs(snapped - value) > 0.01) changes[field] = snapped;
+    });
+    const fields = Object.keys(changes);
+    if (fields.length === 0) return;
+    
+    report('off-grid', node, ancestors, {
+      message: `Spacing off the ${grid}px grid: ${fields.map((field) => `${field} ${values[field]}`).join(', ')}`,
+      suggestion: `Round to ${fields.map((field) => `${field} ${changes[field]}`).join(', ')}`,
+      details: { grid, fields: fields.map((field) => ({ field, value: values[field], suggested: changes[field] })) },
+      fix: spacingUpdates(values, changes)
+    });
+  };
+  
+  const isInteractive = (node) => {
+    if (Array.isArray(node.reactions) && node.reactions.length > 0) return true;
+    const pattern = rules['touch-target'].regex;
+    return pattern.test(node.name || '') || pattern.test(node.componentName || node.mainComponent?.name || '');
+  };
+  
+  const lintTouchTarget = (node, ancestors) => {
+    const { minSize } = rules['touch-target'];
+    const { width, height } = node;
+    if (typeof width !== 'number' || typeof height !== 'number') return;
+    if (width >= minSize && height >= minSize) return;
+    
+    const fix = {};
+    if (width < minSize) fix.width = minSize;
+    if (height < minSize) fix.height = minSize;
+    report('touch-target', node, ancestors, {
+      message: `Touch target is ${width}x${height}, smaller than ${minSize}x${minSize}`,
+      suggestion: `Resize to at least ${minSize}x${minSize}, or add padding`,
+      details: { width, height, minSize },
+      fix
+    });
+  };
+  
+  const lintNaming = (node, ancestors) => {
+    const parent = ancestors[ancestors.length - 1];
+    const isFrame = node.type === 'FRAME' && (!parent || FRAME_PARENTS.includes(parent.type));
+    
+    if (isFrame && options.profile) {
+      const result = naming.checkName(node.name, options.profile);
+      if (!result.valid || result.warnings.length > 0) {
+        report('naming', node, ancestors, {
+          severity: result.valid ? 'info' : undefined,
+          message: [...result.problems, ...result.warnings].join('; '),
+          suggestion: 'Suggest names with analyze-frames and apply them with apply-names',
+          details: { profile: options.profile.name, problems: result.problems, warnings: result.warnings }
+        });
+        return;
+      }
+    }
+    if (node.type !== 'TEXT' && DEFAULT_NAME.test(node.name || '')) {
+      report('naming', node, ancestors, {
+        severity: 'info',
+        message: `"${node.name}" is a default layer name`,
+        suggestion: 'Give the layer a name that says what it is'
+      });
+    }
+  };
+  
+  const walk = (node, ancestors, insideTarget) => {
+    if (!node || typeof node !== 'object' || node.visible === false) return;
+    nodeCount++;
+    
+    if (check('contrast') && node.type === 'TEXT') lintContrast(node, ancestors);
+    if (check('hardcoded-color')) lintColors(node, ancestors);
+    if (check('hardcoded-spacing') && isAutoLayout(node)) lintSpacing(node, ancestors);
+    if (check('off-grid') && isAutoLayout(node)) lintGrid(node, ancestors);
+    if (check('naming')) lintNaming(node, ancestors);
+    
+    // Layers inside a button are part of its target, not targets themselves
+    const target = !insideTarget && check('touch-target') && node.type !== 'TEXT' && isInteractive(node);
+    if (target) lintTouchTarget(node, ancestors);
+    
+    (node.children || []).forEach((child) => walk(child, [...ancestors, node], insideTarget || target));
+  };
+  
+  roots.forEach((root) => walk(root, [], false));
+  
+  const summary = { error: 0, warning: 0, info: 0, fixable: 0, byRule: {} };
+  findings.forEach((finding) => {
+    summary[finding.severity]++;
+    if (finding.fix) summary.fixable++;
+    summary.byRule[finding.rule] = (summary.byRule[finding.rule] || 0) + 1;
+  });
+  
+  return { findings, summary, skipped, nodeCount };
+}
+
+/**
+ * Combine the fixes of findings into one update-node operation per node
+ */
+function planFixes(findings) {
+  const updatesByNode = new Map();
+  findings.filter((finding) => finding.fix).forEach((finding) => {
+    const updates = updatesByNode.get(finding.nodeId) || {};
+    const { boundVariables, ...rest } = finding.fix;
+    Object.assign(updates, rest);
+    if (boundVariables) updates.boundVariables = { ...updates.boundVariables, ...boundVariables };
+    updatesByNode.set(finding.nodeId, updates);
+  });
+  return [...updatesByNode].map(([targetId, updates]) => ({ type: 'update-node', targetId, updates }));
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  SEVERITIES,
+  resolveRules,
+  lintNodes,
+  planFixes,
+  contrastRatio
+};
@@ -0,0 +1,205 @@
+// =============================================================================
+// LLM PROVIDERS - One interface over Anthropic, OpenAI-compatible and mock
+// =============================================================================
+//
+// A provider turns one prompt into text:
+//   complete({ system, prompt, mock }) -> Promise<string>
+//
+// Providers:
+//   anthropic: Anthropic Messages API
+//   openai:    any OpenAI-compatible /chat/completions endpoint (OpenAI,
+//              Ollama, LM Studio, vLLM, ...)
+//   mock:      no network; returns the caller's `mock` reply as JSON, so
+//              callers can be exercised without a live API
+//
+// Failures throw an Error with `status` (HTTP status for the relay response)
+// and, for upstream errors, `upstreamStatus`. Rate limits (429), upstream 5xx,
+// timeouts and network errors are retried with exponential backoff first,
+// honouring Retry-After.
+
+const DEFAULTS = {
+  anthropic: {
+    baseUrl: 'https://api.anthropic.com/v1',
+    model: 'claude-haiku-4-5-20251001'
+  },
+  openai: {
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini'
+  },
+  mock: {
+    baseUrl: null,
+    model: 'mock'
+  }
+};
+
+const PROVIDERS = Object.keys(DEFAULTS);
+
+// Longest wait between attempts, whatever Retry-After says
+const MAX_RETRY_DELAY = 60000;
+
+function providerError(status, message, upstreamStatus) {
+  const err = new Error(message);
+  err.status = status;
+  if (upstreamStatus !== undefined) err.upstreamStatus = upstreamStatus;
+  return err;
+}
+
+function isRetryable(err) {
+  if (err.upstreamStatus !== undefined) return err.upstreamStatus === 429 || err.upstreamStatus >= 500;
+  return err.status === 502 || err.status === 504;
+}
+
+/**
+ * Retry-After as milliseconds (seconds or an HTTP date), or null
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Call fn, retrying retryable errors up to `retries` times.
+ * Waits retryDelayMs, doubling each time (plus up to 20% jitter).
+ */
+async function withRetries(fn, { retries, retryDelayMs }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      
+      const backoff = retryDelayMs * 2 ** attempt * (1 + Math.random() * 0.2);
+      const delay = Math.min(err.retryAfterMs ?? backoff, MAX_RETRY_DELAY);
+      console.warn(`${err.message}; retrying in ${Math.round(delay)}ms (${attempt + 1}/${retries})`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * POST JSON and return the parsed response, aborting after timeoutMs
+ */
+async function postJson(url, headers, body, timeoutMs, label) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (err) {
+    if (err.name === 'TimeoutError') {
+      throw providerError(504, `${label} request timeout`);
+    }
+    throw providerError(502, `${label} request failed: ${err.message}`);
+  }
+  
+  if (!response.ok) {
+    const errText = await response.text();
+    console.error(`${label} error:`, response.status, errText);
+    const err = providerError(502, `${label} error: ${response.status}`, response.status);
+    const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    if (retryAfterMs !== null) err.retryAfterMs = retryAfterMs;
+    throw err;
+  }
+  
+  return response.json();
+}
+
+// -----------------------------------------------------------------------------
+// PROVIDERS
+// -----------------------------------------------------------------------------
+
+function createAnthropicProvider(config) {
+  return {
+    async complete({ system, prompt }) {
+      if (!config.apiKey) {
+        throw providerError(500, 'ANTHROPIC_API_KEY not configured on server');
+      }
+      
+      const data = await postJson(`${config.baseUrl}/messages`, {
+        'x-api-key': config.apiKey,
+        'anthropic-version': '2023-06-01'
+      }, {
+        model: config.model,
+        max_tokens: config.maxTokens,
+        system,
+        messages: [{ role: 'user', content: prompt }]
+      }, config.timeoutMs, 'Anthropic API');
+      
+      return data.content?.[0]?.text || '';
+    }
+  };
+}
+
+function createOpenAIProvider(config) {
+  return {
+    async complete({ system, prompt }) {
+      // Local servers usually need no key
+      const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+      
+      const data = await postJson(`${config.baseUrl}/chat/completions`, headers, {
+        model: config.model,
+        max_tokens: config.maxTokens,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ]
+      }, config.timeoutMs, 'LLM API');
+      
+      return data.choices?.[0]?.message?.content || '';
+    }
+  };
+}
+
+function createMockProvider() {
+  return {
+    async complete({ mock }) {
+      return JSON.stringify(mock === undefined ? null : mock);
+    }
+  };
+}
+
+/**
+ * Create a provider from config:
+ *   { provider, model, maxTokens, baseUrl, apiKey, timeoutMs, retries, retryDelayMs }
+ * Missing model and baseUrl fall back to the provider's defaults.
+ */
+function createProvider(options = {}) {
+  const name = options.provider || 'anthropic';
+  if (!PROVIDERS.includes(name)) {
+    throw new Error(`Unknown LLM provider: ${name} (expected ${PROVIDERS.join(', ')})`);
+  }
+  
+  const config = {
+    provider: name,
+    model: options.model || DEFAULTS[name].model,
+    maxTokens: options.maxTokens || 4096,
+    baseUrl: (options.baseUrl || DEFAULTS[name].baseUrl || '').replace(/\/+$/, ''),
+    apiKey: options.apiKey || '',
+    timeoutMs: options.timeoutMs || 60000,
+    retries: options.retries ?? 2,
+    retryDelayMs: options.retryDelayMs ?? 1000
+  };
+  
+  const implementation = name === 'anthropic' ? createAnthropicProvider(config)
+    : name === 'openai' ? createOpenAIProvider(config)
+      : createMockProvider(config);
+  
+  return {
+    name,
+    model: config.model,
+    baseUrl: config.baseUrl || null,
+    maxTokens: config.maxTokens,
+    complete: (request) => withRetries(() => implementation.complete(request), config)
+  };
+}
+
+module.exports = {
+  createProvider,
+  PROVIDERS
+};
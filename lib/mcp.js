@@ -0,0 +1,443 @@
+// =============================================================================
+// MCP - Model Context Protocol server over the relay's REST API
+// =============================================================================
+//
+// Tools are REST routes: each tool names the route it calls and the JSON
+// Schema of its arguments. A call runs the route with the caller's
+// credentials, so tools get the same validation, scopes and audit log as
+// HTTP callers. Spec arguments use the JSON Schema of the spec registry.
+//
+// Resources are the cached selection and variables:
+//   figma://selection, figma://variables         latest from any client
+//   figma://clients/{clientId}/selection          one client's selection
+//   figma://clients/{clientId}/variables          one client's variables
+// Sessions that subscribe to a resource get notifications/resources/updated
+// when new selection-data or variables-data arrives.
+//
+// createMcpSession() speaks JSON-RPC 2.0 and knows nothing about transports;
+// the streamable HTTP endpoint and stdio live in server.js.
+
+// Newest first; the first is offered to clients asking for anything else
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const ERROR_CODES = {
+  parse: -32700,
+  invalidRequest: -32600,
+  methodNotFound: -32601,
+  invalidParams: -32602,
+  internal: -32603
+};
+
+function rpcError(code, message, data) {
+  const err = new Error(message);
+  err.rpcCode = code;
+  if (data) err.data = data;
+  return err;
+}
+
+// -----------------------------------------------------------------------------
+// TOOLS
+// -----------------------------------------------------------------------------
+
+const TARGET_PROPERTIES = {
+  clientId: { type: 'string', description: 'Plugin client to use (see GET /api/figma/clients)' },
+  fileKey: { type: 'string', description: 'Use the plugin that has this Figma file open' },
+  sandbox: { type: 'boolean', description: 'Use the in-memory sandbox document instead of Figma' }
+};
+
+const NODE_ID = { type: 'string', description: 'Figma node ID, e.g. "123:456"' };
+
+function objectSchema(properties, required = [], defs) {
+  return {
+    type: 'object',
+    ...(defs && { $defs: defs }),
+    properties: { ...properties, ...TARGET_PROPERTIES },
+    required
+  };
+}
+
+function variableOperationSchema() {
+  const values = {
+    type: 'object',
+    description: 'Mode name or ID -> value. Colors may be hex; "{Collection.path}" makes an alias.',
+    additionalProperties: true
+  };
+  const collection = {
+    collectionId: { type: 'string' },
+    collection: { type: 'string', description: 'Collection name' }
+  };
+  const variable = { variableId: { type: 'string' }, ...collection, name: { type: 'string' } };
+  const operation = (type, properties, required = []) => ({
+    type: 'object',
+    properties: { type: { const: type }, ...properties },
+    required: ['type', ...required]
+  });
+  
+  return {
+    anyOf: [
+      operation('create-collection', { name: { type: 'string' }, modes: { type: 'array', items: { type: 'string' } } }, ['name']),
+      operation('rename-collection', { ...collection, name: { type: 'string' } }, ['name']),
+      operation('delete-collection', collection),
+      operation('add-mode', { ...collection, name: { type: 'string' } }, ['name']),
+      operation('create-variable', {
+        ...collection,
+        name: { type: 'string' },
+        resolvedType: { enum: ['COLOR', 'FLOAT', 'STRING', 'BOOLEAN'] },
+        description: { type: 'string' },
+        values
+      }, ['name', 'resolvedType']),
+      operation('update-variable', {
+        ...variable,
+        description: { type: 'string' },
+        scopes: { type: 'array', items: { type: 'string' } },
+        hiddenFromPublishing: { type: 'boolean' },
+        codeSyntax: { type: 'object' }
+      }),
+      operation('rename-variable', { variableId: { type: 'string' }, name: { type: 'string' } }, ['variableId', 'name']),
+      operation('delete-variable', variable),
+      operation('set-values', { ...variable, values }, ['values'])
+    ]
+  };
+}
+
+/**
+ * Tool definitions: { name, description, inputSchema, method, path, body }.
+ * `path` and `body` turn the arguments into a REST request; GET arguments
+ * become the query string.
+ */
+function buildTools(specSchema) {
+  const defs = specSchema.$defs;
+  const spec = { $ref: '#/$defs/spec' };
+  // Components (`$`) can be nested, but /api/figma/create needs a root `type`
+  const rootSpec = { allOf: [spec, { type: 'object', required: ['type'] }] };
+  
+  return [
+    {
+      name: 'create',
+      description: 'Create a design from a UI spec with a root `type`. Returns a create job; check it with get_job.',
+      inputSchema: objectSchema({ spec: rootSpec }, ['spec'], defs),
+      method: 'POST',
+      path: () => '/api/figma/create',
+      body: ({ spec: tree, ...target }) => ({ ...tree, ...target })
+    },
+    {
+      name: 'get_job',
+      description: 'Status of a create job, with the created node IDs once it succeeded.',
+      inputSchema: { type: 'object', properties: { jobId: { type: 'string' } }, required: ['jobId'] },
+      method: 'GET',
+      path: ({ jobId }) => `/api/figma/jobs/${encodeURIComponent(jobId)}`,
+      body: () => ({})
+    },
+    {
+      name: 'get_selection',
+      description: 'The latest selection a plugin sent, as serialized node trees.',
+      inputSchema: objectSchema({}),
+      method: 'GET',
+      path: () => '/api/figma/selection'
+    },
+    {
+      name: 'refresh_selection',
+      description: 'Ask the plugin for its current selection and wait for it.',
+      inputSchema: objectSchema({}),
+      method: 'POST',
+      path: () => '/api/figma/request-selection'
+    },
+    {
+      name: 'update_node',
+      description: 'Set properties on a node.',
+      inputSchema: objectSchema({
+        targetId: NODE_ID,
+        updates: { type: 'object', description: 'Property -> new value, e.g. { "characters": "Hi" }', minProperties: 1 }
+      }, ['targetId', 'updates']),
+      method: 'POST',
+      path: () => '/api/figma/update'
+    },
+    {
+      name: 'replace_child',
+      description: 'Replace the child at an index with a new node built from a spec.',
+      inputSchema: objectSchema({
+        targetId: NODE_ID,
+        childIndex: { type: 'integer', minimum: 0 },
+        newChild: spec
+      }, ['targetId', 'childIndex', 'newChild'], defs),
+      method: 'POST',
+      path: () => '/api/figma/replace-child'
+    },
+    {
+      name: 'insert_child',
+      description: 'Insert a new node built from a spec at an index (-1 or omitted appends).',
+      inputSchema: objectSchema({
+        targetId: NODE_ID,
+        childIndex: { type: 'integer', minimum: -1 },
+        newChild: spec
+      }, ['targetId', 'newChild'], defs),
+      method: 'POST',
+      path: () => '/api/figma/insert-child'
+    },
+    {
+      name: 'delete_node',
+      description: 'Delete a node.',
+      inputSchema: objectSchema({ targetId: NODE_ID }, ['targetId']),
+      method: 'POST',
+      path: () => '/api/figma/delete'
+    },
+    {
+      name: 'get_variables',
+      description: 'The Figma variables and collections a plugin sent.',
+      inputSchema: objectSchema({}),
+      method: 'GET',
+      path: () => '/api/figma/variables'
+    },
+    {
+      name: 'write_variables',
+      description: 'Create, update, rename and delete variables and collections, in order.',
+      inputSchema: objectSchema({
+        operations: { type: 'array', minItems: 1, items: variableOperationSchema() }
+      }, ['operations']),
+      method: 'POST',
+      path: () => '/api/figma/variables/operations'
+    },
+    {
+      name: 'analyze_frames',
+      description: 'Suggest frame names with the configured LLM and naming profile.',
+      inputSchema: objectSchema({
+        frames: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              width: { type: 'number' },
+              height: { type: 'number' },
+              page: { type: 'string' },
+              nodeTree: { type: 'string', description: 'Outline of the frame\'s layers' }
+            },
+            required: ['id', 'name']
+          }
+        },
+        profile: { type: 'string', description: 'Naming profile' },
+        cache: { type: 'boolean', description: 'Reuse cached suggestions (default true)' }
+      }, ['frames']),
+      method: 'POST',
+      path: () => '/api/figma/analyze-frames'
+    },
+    {
+      name: 'lint_selection',
+      description: 'Check the cached selection for contrast, unbound colors and spacing, small touch targets, off-grid spacing and naming; optionally apply the fixes.',
+      inputSchema: objectSchema({
+        nodeId: { ...NODE_ID, description: 'Lint only this node of the selection' },
+        rules: { type: 'object', description: 'Rule name -> false or options, e.g. { "off-grid": { "grid": 8 }, "naming": false }' },
+        profile: { type: 'string', description: 'Naming profile' },
+        apply: {
+          anyOf: [{ type: 'boolean' }, { type: 'array', items: { type: 'string' } }],
+          description: 'true to apply every fix, or the IDs of the findings to fix'
+        }
+      }),
+      method: 'POST',
+      path: () => '/api/figma/lint'
+    }
+  ];
+}
+
+// -----------------------------------------------------------------------------
+// RESOURCES
+// -----------------------------------------------------------------------------
+
+const RESOURCE_KINDS = {
+  selection: { path: '/api/figma/selection', label: 'selection' },
+  variables: { path: '/api/figma/variables', label: 'variables' }
+};
+
+function resourceUris(kind, clientId) {
+  return [`figma://${kind}`, `figma://clients/${clientId}/${kind}`];
+}
+
+function parseResourceUri(uri) {
+  const match = /^figma:\/\/(?:clients\/([^/]+)\/)?(selection|variables)$/.exec(uri || '');
+  if (!match) throw rpcError(ERROR_CODES.invalidParams, `Unknown resource: ${uri}`);
+  return { clientId: match[1] ? decodeURIComponent(match[1]) : null, kind: match[2] };
+}
+
+// -----------------------------------------------------------------------------
+// SESSION
+// -----------------------------------------------------------------------------
+
+function queryString(args) {
+  const params = new URLSearchParams();
+  Object.entries(args).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) params.set(key, String(value));
+  });
+  const text = params.toString();
+  return text ? `?${text}` : '';
+}
+
+/**
+ * Create an MCP session:
+ *   serverInfo   { name, version }
+ *   tools        from buildTools()
+ *   request      (method, path, body) -> Promise<{ status, body }>, runs a
+ *                REST route with the caller's credentials
+ *   clientIds    () -> clients the caller can name in resource URIs
+ *   notify       (message) sends a server-initiated message, when the
+ *                transport can
+ * Returns { id, handle(message) -> Promise<response or null>, ... }.
+ */
+function createMcpSession(options) {
+  const id = `mcp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const tools = new Map(options.tools.map((tool) => [tool.name, tool]));
+  const subscriptions = new Set();
+  let initialized = false;
+  
+  function notify(method, params) {
+    if (!initialized || !options.notify) return;
+    options.notify({ jsonrpc: '2.0', method, params });
+  }
+  
+  async function callTool(params) {
+    const tool = tools.get(params.name);
+    if (!tool) throw rpcError(ERROR_CODES.invalidParams, `Unknown tool: ${params.name}`);
+    const args = params.arguments || {};
+    if (typeof args !== 'object' || Array.isArray(args)) {
+      throw rpcError(ERROR_CODES.invalidParams, 'arguments must be an object');
+    }
+    
+    const path = tool.path(args);
+    const body = tool.body ? tool.body(args) : args;
+    const { status, body: result } = tool.method === 'GET'
+      ? await options.request('GET', path + queryString(body))
+      : await options.request(tool.method, path, body);
+    
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      structuredContent: result,
+      isError: status >= 400
+    };
+  }
+  
+  function listResources() {
+    const resources = Object.entries(RESOURCE_KINDS).map(([kind, { label }]) => ({
+      uri: `figma://${kind}`,
+      name: `Latest ${label}`,
+      description: `The most recent cached ${label} from any plugin`,
+      mimeType: 'application/json'
+    }));
+    options.clientIds().forEach((clientId) => {
+      Object.entries(RESOURCE_KINDS).forEach(([kind, { label }]) => {
+        resources.push({
+          uri: `figma://clients/${encodeURIComponent(clientId)}/${kind}`,
+          name: `${clientId} ${label}`,
+          description: `Cached ${label} from plugin ${clientId}`,
+          mimeType: 'application/json'
+        });
+      });
+    });
+    return { resources };
+  }
+  
+  async function readResource(params) {
+    const { clientId, kind } = parseResourceUri(params.uri);
+    const { status, body } = await options.request('GET', RESOURCE_KINDS[kind].path + queryString({ clientId }));
+    if (status >= 400) {
+      throw rpcError(status === 404 ? ERROR_CODES.invalidParams : ERROR_CODES.internal, body.error || `Read failed (${status})`, body);
+    }
+    return {
+      contents: [{ uri: params.uri, mimeType: 'application/json', text: JSON.stringify(body, null, 2) }]
+    };
+  }
+  
+  const methods = {
+    initialize: (params) => {
+      initialized = true;
+      const requested = params.protocolVersion;
+      return {
+        protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+        capabilities: {
+          tools: { listChanged: false },
+          resources: { subscribe: true, listChanged: true }
+        },
+        serverInfo: options.serverInfo,
+        instructions: 'Design in Figma through the relay. Specs use the relay spec DSL; read the selection before editing nodes.'
+      };
+    },
+    ping: () => ({}),
+    'tools/list': () => ({
+      tools: [...tools.values()].map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+    }),
+    'tools/call': callTool,
+    'resources/list': listResources,
+    'resources/templates/list': () => ({
+      resourceTemplates: Object.entries(RESOURCE_KINDS).map(([kind, { label }]) => ({
+        uriTemplate: `figma://clients/{clientId}/${kind}`,
+        name: `Plugin ${label}`,
+        mimeType: 'application/json'
+      }))
+    }),
+    'resources/read': readResource,
+    'resources/subscribe': (params) => {
+      parseResourceUri(params.uri);
+      subscriptions.add(params.uri);
+      return {};
+    },
+    'resources/unsubscribe': (params) => {
+      subscriptions.delete(params.uri);
+      return {};
+    }
+  };
+  
+  /**
+   * Handle one JSON-RPC message. Resolves to the response, or null for
+   * notifications and responses.
+   */
+  async function handle(message) {
+    if (!message || message.jsonrpc !== '2.0' || (message.method === undefined && message.id === undefined)) {
+      return { jsonrpc: '2.0', id: message?.id ?? null, error: { code: ERROR_CODES.invalidRequest, message: 'Invalid JSON-RPC message' } };
+    }
+    // Notifications (notifications/initialized, cancelled) and responses need no answer
+    if (message.id === undefined || message.method === undefined) return null;
+    
+    const method = methods[message.method];
+    if (!method) {
+      return { jsonrpc: '2.0', id: message.id, error: { code: ERROR_CODES.methodNotFound, message: `Method not found: ${message.method}` } };
+    }
+    try {
+      const result = await method(message.params || {});
+      return { jsonrpc: '2.0', id: message.id, result };
+    } catch (err) {
+      const error = { code: err.rpcCode || ERROR_CODES.internal, message: err.message };
+      if (err.data) error.data = err.data;
+      return { jsonrpc: '2.0', id: message.id, error };
+    }
+  }
+  
+  /**
+   * New selection-data or variables-data from a client
+   */
+  function resourceUpdated(kind, clientId) {
+    resourceUris(kind, encodeURIComponent(clientId)).forEach((uri) => {
+      if (subscriptions.has(uri)) notify('notifications/resources/updated', { uri });
+    });
+  }
+  
+  /**
+   * A client connected or went away, so the resource list changed
+   */
+  function resourceListChanged() {
+    notify('notifications/resources/list_changed', {});
+  }
+  
+  return {
+    id,
+    handle,
+    resourceUpdated,
+    resourceListChanged
+  };
+}
+
+module.exports = {
+  PROTOCOL_VERSIONS,
+  ERROR_CODES,
+  buildTools,
+  createMcpSession
+};
@@ -0,0 +1,522 @@
+// =============================================================================
+// NAMING CONVENTIONS - Profiles for frame names suggested by analyze-frames
+// =============================================================================
+//
+// A profile describes the names one team uses:
+//   {
+//     name: "default",
+//     description: "...",
+//     pattern: "{page}-{nn}_{description}",
+//     locale: "ko",
+//     maxLength: 15,
+//     numbering: { start: 1, padding: 2, scope: "page" },
+//     examples: ["Onboarding-01_스크립트 설치 안내"]
+//   }
+//
+// Pattern placeholders:
+//   {page}        logical page or section, English PascalCase
+//   {nn}          sequence number, counted per page or across all frames
+//   {description} short description in the profile's locale, at most
+//                 maxLength characters
+// Everything else in the pattern is literal text.
+
+const fs = require('fs');
+
+const PLACEHOLDERS = {
+  page: '([A-Z][A-Za-z0-9]*)',
+  nn: '(\\d+)',
+  description: '(.+?)'
+};
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+const NUMBERING_SCOPES = ['page', 'global'];
+
+const DEFAULT_NUMBERING = { start: 1, padding: 2, scope: 'page' };
+
+// Largest {nn} a name may use
+const MAX_NUMBER = 9999;
+
+// Scripts a description in these locales is expected to use
+const LOCALE_SCRIPTS = {
+  ko: /[\uac00-\ud7a3]/,
+  ja: /[\u3040-\u30ff\u4e00-\u9fff]/,
+  zh: /[\u4e00-\u9fff]/
+};
+
+// Hangul, kana and CJK ideographs, unexpected in other locales
+const CJK = /[\u3040-\u30ff\u4e00-\u9fff\uac00-\ud7a3]/;
+
+const BUILTIN_PROFILES = {
+  default: {
+    description: 'Korean descriptions grouped by page, e.g. Onboarding-01_스크립트 설치 안내',
+    pattern: '{page}-{nn}_{description}',
+    locale: 'ko',
+    maxLength: 15,
+    numbering: { start: 1, padding: 2, scope: 'page' },
+    examples: ['Onboarding-01_스크립트 설치 안내', 'Dashboard-01_매출 요약 카드']
+  },
+  english: {
+    description: 'English descriptions grouped by page, e.g. Onboarding-01_Install script guide',
+    pattern: '{page}-{nn}_{description}',
+    locale: 'en',
+    maxLength: 30,
+    numbering: { start: 1, padding: 2, scope: 'page' },
+    examples: ['Onboarding-01_Install script guide', 'Dashboard-01_Revenue summary card']
+  },
+  'screen-path': {
+    description: 'Page and screen as a layer path, e.g. Checkout/Payment method',
+    pattern: '{page}/{description}',
+    locale: 'en',
+    maxLength: 40,
+    examples: ['Checkout/Payment method', 'Settings/Notifications']
+  }
+};
+
+// -----------------------------------------------------------------------------
+// PROFILES
+// -----------------------------------------------------------------------------
+
+function placeholdersOf(pattern) {
+  return [...pattern.matchAll(PLACEHOLDER)].map((match) => match[1]);
+}
+
+/**
+ * Fill in defaults for a profile definition
+ */
+function normalizeProfile(name, definition) {
+  return {
+    name,
+    description: definition.description || '',
+    pattern: definition.pattern,
+    locale: definition.locale || 'en',
+    maxLength: definition.maxLength || 30,
+    numbering: { ...DEFAULT_NUMBERING, ...(definition.numbering || {}) },
+    examples: definition.examples || []
+  };
+}
+
+/**
+ * Check a profile definition. Returns an error message, or null when valid.
+ */
+function validateProfile(name, definition) {
+  if (!name || !/^[A-Za-z0-9][\w-]*$/.test(name)) return 'name must be letters, digits, "-" or "_"';
+  if (!definition || typeof definition !== 'object') return 'Profile must be an object';
+  if (typeof definition.pattern !== 'string' || !definition.pattern) return 'Missing pattern';
+  
+  const placeholders = placeholdersOf(definition.pattern);
+  const unknown = placeholders.find((placeholder) => !PLACEHOLDERS[placeholder]);
+  if (unknown) return `Unknown placeholder {${unknown}} (expected {page}, {nn} or {description})`;
+  if (!placeholders.includes('description')) return 'pattern must contain {description}';
+  if (new Set(placeholders).size !== placeholders.length) return 'pattern repeats a placeholder';
+  
+  if (definition.locale !== undefined && (typeof definition.locale !== 'string' || !definition.locale)) {
+    return 'locale must be a language code such as "en" or "ko"';
+  }
+  if (definition.maxLength !== undefined && !(Number.isInteger(definition.maxLength) && definition.maxLength > 0)) {
+    return 'maxLength must be a positive integer';
+  }
+  
+  const numbering = definition.numbering;
+  if (numbering !== undefined) {
+    if (!numbering || typeof numbering !== 'object') return 'numbering must be an object';
+    if (numbering.start !== undefined && !(Number.isInteger(numbering.start) && numbering.start >= 0)) {
+      return 'numbering.start must be a non-negative integer';
+    }
+    if (numbering.padding !== undefined && !(Number.isInteger(numbering.padding) && numbering.padding >= 1 && numbering.padding <= 6)) {
+      return 'numbering.padding must be an integer from 1 to 6';
+    }
+    if (numbering.scope !== undefined && !NUMBERING_SCOPES.includes(numbering.scope)) {
+      return `numbering.scope must be one of: ${NUMBERING_SCOPES.join(', ')}`;
+    }
+  }
+  
+  if (definition.examples !== undefined) {
+    if (!Array.isArray(definition.examples) || definition.examples.some((example) => typeof example !== 'string')) {
+      return 'examples must be an array of strings';
+    }
+    const profile = normalizeProfile(name, definition);
+    const bad = definition.examples.find((example) => !checkName(example, profile).valid);
+    if (bad !== undefined) return `Example "${bad}" does not match the pattern`;
+  }
+  
+  return null;
+}
+
+/**
+ * Built-in profiles, extended or overridden by a JSON file of
+ * { "<name>": { pattern, ... } }. A null entry removes a built-in.
+ */
+function loadProfiles(file) {
+  const definitions = { ...BUILTIN_PROFILES };
+  
+  if (file && fs.existsSync(file)) {
+    const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.entries(overrides).forEach(([name, definition]) => {
+      if (definition === null) {
+        delete definitions[name];
+        return;
+      }
+      const error = validateProfile(name, definition);
+      if (error) throw new Error(`Naming profile "${name}" in ${file}: ${error}`);
+      definitions[name] = definition;
+    });
+    console.log(`Loaded naming profiles from ${file}`);
+  }
+  
+  const profiles = new Map();
+  Object.entries(definitions).forEach(([name, definition]) => {
+    profiles.set(name, normalizeProfile(name, definition));
+  });
+  return profiles;
+}
+
+/**
+ * Write the profiles that differ from the built-ins back to a JSON file
+ */
+function saveProfiles(file, profiles) {
+  const overrides = {};
+  profiles.forEach((profile, name) => {
+    const { name: _name, ...definition } = profile;
+    const builtin = BUILTIN_PROFILES[name] && normalizeProfile(name, BUILTIN_PROFILES[name]);
+    if (!builtin || JSON.stringify(builtin) !== JSON.stringify(profile)) overrides[name] = definition;
+  });
+  Object.keys(BUILTIN_PROFILES).forEach((name) => {
+    if (!profiles.has(name)) overrides[name] = null;
+  });
+  
+  const tempPath = `${file}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(overrides, null, 2));
+  fs.renameSync(tempPath, file);
+}
+
+// -----------------------------------------------------------------------------
+// CHECKING AND REPAIRING NAMES
+// -----------------------------------------------------------------------------
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compilePattern(pattern) {
+  const groups = [];
+  let source = '';
+  let last = 0;
+  for (const match of pattern.matchAll(PLACEHOLDER)) {
+    source += escapeRegExp(pattern.slice(last, match.index)) + PLACEHOLDERS[match[1]];
+    groups.push(match[1]);
+    last = match.index + match[0].length;
+  }
+  source += escapeRegExp(pattern.slice(last));
+  return { regex: new RegExp(`^${source}$`), groups };
+}
+
+function padNumber(number, numbering) {
+  return String(number).padStart(numbering.padding, '0');
+}
+
+/**
+ * Check a name against a profile. Pattern, number and length problems make
+ * the name invalid; a description in an unexpected script is only a warning.
+ */
+function checkName(name, profile) {
+  const problems = [];
+  const warnings = [];
+  const { regex, groups } = compilePattern(profile.pattern);
+  const match = typeof name === 'string' ? name.match(regex) : null;
+  
+  if (!match) {
+    return { valid: false, problems: [`"${name}" does not match ${profile.pattern}`], warnings, parts: null };
+  }
+  
+  const parts = {};
+  groups.forEach((group, i) => {
+    parts[group] = match[i + 1];
+  });
+  
+  if (parts.nn !== undefined) {
+    const number = Number(parts.nn);
+    if (parts.nn !== padNumber(number, profile.numbering)) {
+      problems.push(`{nn} must be zero-padded to ${profile.numbering.padding} digits`);
+    }
+    if (number < profile.numbering.start) {
+      problems.push(`{nn} must start at ${profile.numbering.start}`);
+    }
+    if (number > MAX_NUMBER) {
+      problems.push(`{nn} must be at most ${MAX_NUMBER}`);
+    }
+  }
+  
+  const description = parts.description;
+  if (description.trim() !== description) {
+    problems.push('{description} has leading or trailing spaces');
+  }
+  if ([...description].length > profile.maxLength) {
+    problems.push(`{description} is longer than ${profile.maxLength} characters`);
+  }
+  
+  const language = profile.locale.split('-')[0].toLowerCase();
+  const script = LOCALE_SCRIPTS[language];
+  if (script ? !script.test(description) : CJK.test(description)) {
+    warnings.push(`{description} does not look like ${languageName(profile.locale)}`);
+  }
+  
+  return { valid: problems.length === 0, problems, warnings, parts };
+}
+
+/**
+ * Fill a profile's pattern with { page, nn, description }
+ */
+function formatName(profile, parts) {
+  return profile.pattern.replace(PLACEHOLDER, (placeholder, key) => (parts[key] !== undefined ? String(parts[key]) : placeholder));
+}
+
+function toPascalCase(text) {
+  const words = String(text || '').match(/[A-Za-z0-9]+/g) || [];
+  const pascal = words.map((word) => word[0].toUpperCase() + word.slice(1)).join('');
+  return /^[A-Z]/.test(pascal) ? pascal : `Unnamed${pascal}`;
+}
+
+/**
+ * Check each suggestion against the profile and repair what can be fixed
+ * without the LLM: page casing, number padding and description length.
+ * Suggestions may carry pageName, number and description next to
+ * suggestedName; repairs are built from those. Returns the suggestions with
+ * `valid`, and `repaired`/`originalName`, `problems` or `warnings` as needed.
+ */
+function reviewSuggestions(suggestions, profile) {
+  const placeholders = placeholdersOf(profile.pattern);
+  const counters = new Map();
+  
+  return suggestions.map((suggestion) => {
+    const check = checkName(suggestion.suggestedName, profile);
+    const page = check.parts?.page || toPascalCase(suggestion.pageName);
+    
+    // Count every frame so repaired numbers continue the sequence
+    const counterKey = profile.numbering.scope === 'global' ? '' : page;
+    const sequence = counters.has(counterKey) ? counters.get(counterKey) + 1 : profile.numbering.start;
+    counters.set(counterKey, sequence);
+    
+    if (check.valid) {
+      return withReview(suggestion, check);
+    }
+    
+    const number = Number.isInteger(Number(suggestion.number)) && Number(suggestion.number) >= profile.numbering.start
+      ? Number(suggestion.number)
+      : sequence;
+    const description = String(suggestion.description || check.parts?.description || '')
+      .trim();
+    const parts = {
+      page,
+      nn: padNumber(number, profile.numbering),
+      description: [...description].slice(0, profile.maxLength).join('').trim()
+    };
+    
+    const repairedName = description && placeholders.every((key) => parts[key])
+      ? formatName(profile, parts)
+      : null;
+    const recheck = repairedName ? checkName(repairedName, profile) : null;
+    if (recheck?.valid) {
+      return {
+        ...withReview({ ...suggestion, suggestedName: repairedName }, recheck),
+        repaired: true,
+        originalName: suggestion.suggestedName
+      };
+    }
+    
+    return withReview(suggestion, check);
+  });
+}
+
+/**
+ * Number {nn} again in frame order, per page or across all frames. Used when
+ * suggestions come from several LLM calls or the cache, whose numbers were
+ * chosen without seeing each other. Invalid suggestions are left alone.
+ */
+function renumberSuggestions(suggestions, profile) {
+  if (!placeholdersOf(profile.pattern).includes('nn')) return suggestions;
+  const counters = new Map();
+  
+  return suggestions.map((suggestion) => {
+    const check = suggestion.valid ? checkName(suggestion.suggestedName, profile) : null;
+    if (!check?.parts) return suggestion;
+    
+    const key = profile.numbering.scope === 'global' ? '' : check.parts.page;
+    const number = counters.has(key) ? counters.get(key) + 1 : profile.numbering.start;
+    counters.set(key, number);
+    
+    const nn = padNumber(number, profile.numbering);
+    if (nn === check.parts.nn) return suggestion;
+    return { ...suggestion, suggestedName: formatName(profile, { ...check.parts, nn }), number };
+  });
+}
+
+function withReview(suggestion, check) {
+  const reviewed = { ...suggestion, valid: check.valid };
+  if (check.problems.length > 0) reviewed.problems = check.problems;
+  if (check.warnings.length > 0) reviewed.warnings = check.warnings;
+  return reviewed;
+}
+
+// -----------------------------------------------------------------------------
+// APPLYING NAMES
+// -----------------------------------------------------------------------------
+
+/**
+ * Plan the renames for accepted names: items are { frameId, name,
+ * currentName, pageName }. Within each page (or across all frames, per the
+ * profile's numbering scope) it reports repeated numbers and gaps, and with
+ * `renumber` assigns {nn} again from numbering.start, keeping the existing
+ * order. Names that do not match the pattern are applied as given.
+ * Returns { renames, unchanged, issues, conflicts }, where conflicts are the
+ * names still used by more than one frame after renumbering.
+ */
+function planRenames(items, profile, options = {}) {
+  const renumber = options.renumber !== false;
+  const hasNumber = placeholdersOf(profile.pattern).includes('nn');
+  const { start } = profile.numbering;
+  const issues = { duplicates: [], numberConflicts: [], gaps: [], unparsed: [] };
+  
+  const entries = items.map((item, index) => {
+    const check = checkName(item.name, profile);
+    if (!check.parts) {
+      issues.unparsed.push({ frameId: item.frameId, name: item.name, problems: check.problems });
+    }
+    return { ...item, index, parts: check.parts, finalName: item.name };
+  });
+  
+  const groupNames = (list) => {
+    const byName = new Map();
+    list.forEach((entry) => {
+      if (!byName.has(entry.finalName)) byName.set(entry.finalName, []);
+      byName.get(entry.finalName).push(entry.frameId);
+    });
+    return [...byName.entries()]
+      .filter(([, frameIds]) => frameIds.length > 1)
+      .map(([name, frameIds]) => ({ name, frameIds }));
+  };
+  issues.duplicates = groupNames(entries);
+  
+  if (hasNumber) {
+    const groups = new Map();
+    entries.filter((entry) => entry.parts).forEach((entry) => {
+      const key = profile.numbering.scope === 'global' ? '' : (entry.parts.page || entry.pageName || '');
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    });
+    
+    groups.forEach((group, page) => {
+      const numbers = group.map((entry) => Number(entry.parts.nn));
+      const counts = new Map();
+      numbers.forEach((number) => counts.set(number, (counts.get(number) || 0) + 1));
+      counts.forEach((count, number) => {
+        if (count > 1) {
+          issues.numberConflicts.push({
+            page: page || null,
+            number,
+            frameIds: group.filter((entry) => Number(entry.parts.nn) === number).map((entry) => entry.frameId)
+          });
+        }
+      });
+      
+      // Gaps as { from, to } ranges, so a stray large number stays cheap
+      const missing = [];
+      let next = start;
+      [...counts.keys()].sort((a, b) => a - b).forEach((number) => {
+        if (number > next) missing.push({ from: next, to: number - 1 });
+        next = Math.max(next, number + 1);
+      });
+      if (missing.length > 0) issues.gaps.push({ page: page || null, missing });
+      
+      if (renumber) {
+        [...group]
+          .sort((a, b) => Number(a.parts.nn) - Number(b.parts.nn) || a.index - b.index)
+          .forEach((entry, i) => {
+            const nn = padNumber(start + i, profile.numbering);
+            if (nn !== entry.parts.nn) {
+              entry.finalName = formatName(profile, { ...entry.parts, nn });
+              entry.renumbered = true;
+            }
+          });
+      }
+    });
+  }
+  
+  const renames = [];
+  const unchanged = [];
+  entries.forEach((entry) => {
+    if (entry.currentName !== undefined && entry.finalName === entry.currentName) {
+      unchanged.push({ frameId: entry.frameId, name: entry.finalName });
+      return;
+    }
+    renames.push({
+      frameId: entry.frameId,
+      from: entry.currentName === undefined ? null : entry.currentName,
+      to: entry.finalName,
+      ...(entry.renumbered && { suggestedName: entry.name, renumbered: true })
+    });
+  });
+  
+  return { renames, unchanged, issues, conflicts: groupNames(entries) };
+}
+
+// -----------------------------------------------------------------------------
+// PROMPT
+// -----------------------------------------------------------------------------
+
+function languageName(locale) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(locale) || locale;
+  } catch (err) {
+    return locale;
+  }
+}
+
+/**
+ * System prompt asking for names in a profile's convention
+ */
+function buildSystemPrompt(profile) {
+  const language = languageName(profile.locale);
+  const placeholders = placeholdersOf(profile.pattern);
+  const { start, padding, scope } = profile.numbering;
+  const examples = profile.examples.length > 0
+    ? ` (e.g., ${profile.examples.map((example) => `"${example}"`).join(', ')})`
+    : '';
+  
+  const rules = [`- Format: "${profile.pattern}"${examples}`];
+  if (placeholders.includes('page')) {
+    rules.push('- {page}: Infer the logical page/section from content (English, PascalCase, letters and digits only)');
+  }
+  if (placeholders.includes('nn')) {
+    rules.push(`- {nn}: Sequential number starting from ${padNumber(start, profile.numbering)}, zero-padded to ${padding} digits, counted ${scope === 'global' ? 'across all frames' : 'separately for each page'}`);
+  }
+  rules.push(`- {description}: Brief ${language} description of the frame's purpose (max ${profile.maxLength} chars)`);
+  if (placeholders.includes('page')) {
+    rules.push('- If multiple frames belong to the same logical page, use the same page name');
+    rules.push('- If you cannot determine a meaningful page, use "Unnamed"');
+  }
+  rules.push('- Everything outside the placeholders is literal text; copy it exactly');
+  
+  return `You are a Figma frame naming assistant. Analyze the node tree of each frame and suggest a descriptive ${language} name.
+
+Rules:
+${rules.join('\n')}
+
+Respond ONLY with a JSON array. Each element: {"frameId": "...", "suggestedName": "...", "pageName": "...", "number": 1, "description": "...", "reason": "..."}
+"pageName", "number" and "description" are the values used for {page}, {nn} and {description}.
+No markdown fences, no explanation outside the JSON.`;
+}
+
+module.exports = {
+  BUILTIN_PROFILES,
+  normalizeProfile,
+  validateProfile,
+  loadProfiles,
+  saveProfiles,
+  checkName,
+  formatName,
+  reviewSuggestions,
+  renumberSuggestions,
+  planRenames,
+  buildSystemPrompt
+};
@@ -0,0 +1,128 @@
+// =============================================================================
+// PROTOCOL - Versions, capabilities and message migrations for plugins
+// =============================================================================
+//
+// After `connected`, a plugin announces itself:
+//   { type: 'hello', protocolVersion: 2, capabilities: ['create', ...],
+//     pluginVersion: '1.4.0' }
+// Capabilities are the server-to-plugin message types the plugin handles.
+// The relay answers with `hello-ack` and from then on only sends the plugin
+// what it said it can handle. A plugin that never says hello speaks
+// protocol 1 and is assumed to handle only LEGACY_CAPABILITIES.
+//
+// When a message changes shape, the protocol version goes up and MIGRATIONS
+// gets an entry for the new version:
+//   { version, description, outgoing: { [type]: fn }, incoming: { [type]: fn } }
+// `outgoing` rewrites a current message for plugins older than `version`;
+// `incoming` rewrites what those plugins send into the current shape. The
+// rest of the relay only ever sees current shapes.
+
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+
+// Every message type a plugin can declare support for
+const CAPABILITIES = [
+  'create',
+  'read-selection',
+  'find-nodes',
+  'read-node',
+  'update-node',
+  'replace-child',
+  'insert-child',
+  'delete-node',
+  'move-node',
+  'restore-node',
+  'batch',
+  'variable-ops',
+  'export-nodes'
+];
+
+// What plugins handled before the handshake existed: everything but the
+// message types added with protocol 2 or later
+const LEGACY_CAPABILITIES = CAPABILITIES.filter((type) => type !== 'export-nodes');
+
+// Message shape changes, oldest first. Protocol 2 only added the handshake.
+const MIGRATIONS = [];
+
+function protocolError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Agree on a protocol with a plugin's hello. Returns
+ * { protocolVersion, capabilities, pluginVersion }; throws for a plugin
+ * older than MIN_PROTOCOL_VERSION or a malformed hello.
+ */
+function negotiate(hello) {
+  const version = hello.protocolVersion;
+  if (!Number.isInteger(version)) {
+    throw protocolError('protocolVersion must be an integer');
+  }
+  if (version < MIN_PROTOCOL_VERSION) {
+    throw protocolError(`Protocol ${version} is no longer supported (minimum ${MIN_PROTOCOL_VERSION}); update the plugin`);
+  }
+  if (!Array.isArray(hello.capabilities) || hello.capabilities.some((c) => typeof c !== 'string')) {
+    throw protocolError('capabilities must be an array of message types');
+  }
+  
+  return {
+    protocolVersion: Math.min(version, PROTOCOL_VERSION),
+    capabilities: [...new Set(hello.capabilities)],
+    pluginVersion: typeof hello.pluginVersion === 'string' ? hello.pluginVersion : null
+  };
+}
+
+/**
+ * Capabilities a message needs: its type, and for a batch every operation type
+ */
+function requiredCapabilities(message) {
+  const types = [message.type];
+  if (message.type === 'batch') {
+    (message.operations || []).forEach((op) => types.push(op.type));
+  }
+  return [...new Set(types)];
+}
+
+/**
+ * Capabilities a message needs that a client did not declare
+ */
+function missingCapabilities(message, capabilities) {
+  return requiredCapabilities(message).filter((type) => CAPABILITIES.includes(type) && !capabilities.includes(type));
+}
+
+function migrate(message, steps) {
+  return steps.reduce((current, fn) => (fn ? fn(current) : current), message);
+}
+
+/**
+ * Rewrite a message for a plugin speaking `version`, newest change first
+ */
+function migrateOutgoing(message, version, migrations = MIGRATIONS) {
+  const steps = migrations.filter((m) => version < m.version)
+    .reverse()
+    .map((m) => m.outgoing && m.outgoing[message.type]);
+  return migrate(message, steps);
+}
+
+/**
+ * Rewrite a message from a plugin speaking `version` into the current shape
+ */
+function migrateIncoming(message, version, migrations = MIGRATIONS) {
+  const steps = migrations.filter((m) => version < m.version)
+    .map((m) => m.incoming && m.incoming[message.type]);
+  return migrate(message, steps);
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  CAPABILITIES,
+  LEGACY_CAPABILITIES,
+  MIGRATIONS,
+  negotiate,
+  missingCapabilities,
+  migrateOutgoing,
+  migrateIncoming
+};
@@ -0,0 +1,308 @@
+// =============================================================================
+// NODE QUERY - A small selector language over serialized Figma node trees
+// =============================================================================
+//
+// Selectors look like CSS:
+//   TEXT                          nodes of a type (case-insensitive, * = any)
+//   FRAME:name(Card*)             name glob (* and ?, case-insensitive)
+//   TEXT:text(sign in)            text content contains (case-insensitive)
+//   TEXT[fontSize > 20]           property test: = != > >= < <= *= ^= $= ~=
+//   [visible = false]             ~= is a glob; [prop] tests that it is set
+//   [layout.mode = "VERTICAL"]    dotted paths reach nested properties
+//   FRAME:name(Card*) TEXT        descendant
+//   FRAME > TEXT                  direct child
+//   TEXT, INSTANCE                either selector
+//
+// Nodes are { id, name, type, children, ... } as sent in selection-data.
+// Text content is `characters` (or `text`).
+
+const COMPARATORS = ['!=', '>=', '<=', '*=', '^=', '$=', '~=', '=', '>', '<'];
+
+const PSEUDOS = ['name', 'text'];
+
+function syntaxError(message, position) {
+  const err = new Error(`Invalid selector: ${message} at position ${position}`);
+  err.status = 400;
+  return err;
+}
+
+// -----------------------------------------------------------------------------
+// PARSER
+// -----------------------------------------------------------------------------
+
+/**
+ * Parse a selector into alternatives, each a list of steps:
+ *   { combinator: 'descendant' | 'child' | null, type, tests, pseudos }
+ */
+function parseSelector(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    const err = new Error('Missing selector');
+    err.status = 400;
+    throw err;
+  }
+  
+  let pos = 0;
+  const peek = () => text[pos];
+  const skipSpaces = () => {
+    const start = pos;
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+    return pos > start;
+  };
+  
+  const readWord = () => {
+    const start = pos;
+    while (pos < text.length && /[\w\-.*]/.test(text[pos])) pos++;
+    return text.slice(start, pos);
+  };
+  
+  const readQuoted = () => {
+    const quote = text[pos++];
+    let value = '';
+    while (pos < text.length && text[pos] !== quote) {
+      if (text[pos] === '\\' && pos + 1 < text.length) pos++;
+      value += text[pos++];
+    }
+    if (text[pos] !== quote) throw syntaxError('unterminated string', pos);
+    pos++;
+    return value;
+  };
+  
+  const readValue = () => {
+    skipSpaces();
+    if (peek() === '"' || peek() === "'") return readQuoted();
+    const start = pos;
+    while (pos < text.length && !/[\]\s]/.test(text[pos])) pos++;
+    const word = text.slice(start, pos);
+    if (!word) throw syntaxError('expected a value', pos);
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    if (word !== '' && !Number.isNaN(Number(word))) return Number(word);
+    return word;
+  };
+  
+  const readTest = () => {
+    pos++; // [
+    skipSpaces();
+    const prop = readWord();
+    if (!prop) throw syntaxError('expected a property name', pos);
+    skipSpaces();
+    
+    if (peek() === ']') {
+      pos++;
+      return { prop, op: 'exists' };
+    }
+    const op = COMPARATORS.find((candidate) => text.startsWith(candidate, pos));
+    if (!op) throw syntaxError('expected a comparison', pos);
+    pos += op.length;
+    
+    const value = readValue();
+    skipSpaces();
+    if (peek() !== ']') throw syntaxError('expected "]"', pos);
+    pos++;
+    return { prop, op, value };
+  };
+  
+  const readPseudo = () => {
+    pos++; // :
+    const start = pos;
+    const name = readWord();
+    if (!PSEUDOS.includes(name)) throw syntaxError(`unknown :${name}, expected :name() or :text()`, start);
+    if (peek() !== '(') throw syntaxError('expected "("', pos);
+    pos++;
+    skipSpaces();
+    
+    let arg;
+    if (peek() === '"' || peek() === "'") {
+      arg = readQuoted();
+      skipSpaces();
+    } else {
+      const argStart = pos;
+      while (pos < text.length && text[pos] !== ')') pos++;
+      arg = text.slice(argStart, pos).trim();
+    }
+    if (peek() !== ')') throw syntaxError('expected ")"', pos);
+    pos++;
+    return { name, arg };
+  };
+  
+  const readCompound = () => {
+    const step = { type: null, tests: [], pseudos: [] };
+    if (peek() === '*') {
+      pos++;
+    } else if (/[A-Za-z_]/.test(peek() || '')) {
+      step.type = readWord().toUpperCase();
+    }
+    
+    while (peek() === '[' || peek() === ':') {
+      if (peek() === '[') step.tests.push(readTest());
+      else step.pseudos.push(readPseudo());
+    }
+    return step;
+  };
+  
+  const alternatives = [];
+  let steps = [];
+  let combinator = null;
+  skipSpaces();
+  
+  while (pos < text.length) {
+    const start = pos;
+    const step = readCompound();
+    if (pos === start) throw syntaxError(`unexpected "${peek()}"`, pos);
+    steps.push({ combinator, ...step });
+    combinator = null;
+    
+    const hadSpace = skipSpaces();
+    if (pos >= text.length) break;
+    
+    if (peek() === ',') {
+      pos++;
+      skipSpaces();
+      alternatives.push(steps);
+      steps = [];
+      combinator = null;
+    } else if (peek() === '>') {
+      pos++;
+      skipSpaces();
+      combinator = 'child';
+    } else if (hadSpace) {
+      combinator = 'descendant';
+    } else {
+      throw syntaxError(`unexpected "${peek()}"`, pos);
+    }
+  }
+  
+  if (steps.length === 0 || combinator) throw syntaxError('selector ends early', pos);
+  alternatives.push(steps);
+  return alternatives;
+}
+
+// -----------------------------------------------------------------------------
+// MATCHING
+// -----------------------------------------------------------------------------
+
+function globToRegExp(glob) {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function getProp(node, prop) {
+  if (prop === 'text') return node.characters !== undefined ? node.characters : node.text;
+  return prop.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), node);
+}
+
+function compare(actual, op, expected) {
+  if (op === 'exists') return actual !== undefined && actual !== null;
+  if (actual === undefined) return op === '!=';
+  
+  switch (op) {
+    case '=': return String(actual) === String(expected);
+    case '!=': return String(actual) !== String(expected);
+    case '>': return Number(actual) > Number(expected);
+    case '>=': return Number(actual) >= Number(expected);
+    case '<': return Number(actual) < Number(expected);
+    case '<=': return Number(actual) <= Number(expected);
+    case '*=': return String(actual).includes(String(expected));
+    case '^=': return String(actual).startsWith(String(expected));
+    case '$=': return String(actual).endsWith(String(expected));
+    case '~=': return globToRegExp(String(expected)).test(String(actual));
+    default: return false;
+  }
+}
+
+function matchesStep(node, step) {
+  if (step.type && String(node.type || '').toUpperCase() !== step.type) return false;
+  if (!step.tests.every((test) => compare(getProp(node, test.prop), test.op, test.value))) return false;
+  
+  return step.pseudos.every((pseudo) => {
+    if (pseudo.name === 'name') return globToRegExp(pseudo.arg).test(String(node.name || ''));
+    const content = getProp(node, 'text');
+    return content !== undefined && String(content).toLowerCase().includes(pseudo.arg.toLowerCase());
+  });
+}
+
+/**
+ * Does the node (with its ancestors, root first) match the steps? Steps are
+ * matched right to left: the last step is the node itself.
+ */
+function matchesSteps(node, ancestors, steps) {
+  const match = (stepIndex, current, above) => {
+    if (!matchesStep(current, steps[stepIndex])) return false;
+    if (stepIndex === 0) return true;
+    
+    if (steps[stepIndex].combinator === 'child') {
+      return above.length > 0 && match(stepIndex - 1, above[above.length - 1], above.slice(0, -1));
+    }
+    for (let i = above.length - 1; i >= 0; i--) {
+      if (match(stepIndex - 1, above[i], above.slice(0, i))) return true;
+    }
+    return false;
+  };
+  return match(steps.length - 1, node, ancestors);
+}
+
+/**
+ * The node trees in a selection-data payload: an array of nodes, an object
+ * with `nodes` or `selection`, or a single node
+ */
+function rootsOf(data) {
+  if (Array.isArray(data)) return data;
+  if (!data || typeof data !== 'object') return [];
+  if (Array.isArray(data.nodes)) return data.nodes;
+  if (Array.isArray(data.selection)) return data.selection;
+  return data.id !== undefined ? [data] : [];
+}
+
+/**
+ * The node with an ID anywhere in the trees, or null
+ */
+function findById(roots, id) {
+  for (const root of roots) {
+    if (!root || typeof root !== 'object') continue;
+    if (root.id === id) return root;
+    const found = findById(root.children || [], id);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Find nodes matching parsed alternatives, in document order. Returns
+ * { matches: [{ id, name, type, path, ancestorIds }], truncated }.
+ */
+function findNodes(roots, alternatives, options = {}) {
+  const limit = options.limit || 100;
+  const matches = [];
+  let truncated = false;
+  
+  const walk = (node, ancestors) => {
+    if (truncated || !node || typeof node !== 'object') return;
+    
+    if (alternatives.some((steps) => matchesSteps(node, ancestors, steps))) {
+      if (matches.length >= limit) {
+        truncated = true;
+        return;
+      }
+      matches.push({
+        id: node.id,
+        name: node.name,
+        type: node.type,
+        path: [...ancestors, node].map((n) => n.name).join(' / '),
+        ancestorIds: ancestors.map((n) => n.id)
+      });
+    }
+    
+    (node.children || []).forEach((child) => walk(child, [...ancestors, node]));
+  };
+  
+  roots.forEach((root) => walk(root, []));
+  return { matches, truncated };
+}
+
+module.exports = {
+  parseSelector,
+  findNodes,
+  findById,
+  rootsOf
+};
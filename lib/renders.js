@@ -0,0 +1,299 @@
+// =============================================================================
+// RENDERS - Node images sent by plugins in binary chunks, and their cache
+// =============================================================================
+//
+// The relay asks for renders with `export-nodes`. For each node the plugin
+// sends an `export-data` message announcing a transfer:
+//   { type: 'export-data', requestId, transferId, nodeId, format, version,
+//     byteLength, chunkCount }
+// then `chunkCount` binary WebSocket frames, each laid out as
+//   [uint32 big-endian header length][header JSON][chunk bytes]
+// with header { transferId, index }, and finally one `export-result`
+// listing { nodeId, transferId } per node. Chunks may arrive in any order.
+//
+// `version` identifies the node's content (the plugin decides how, e.g. a
+// hash of the node). Renders with a version are cached per file, node,
+// format and scale; the relay tells the plugin which versions it already
+// has, and the plugin answers { nodeId, version, unchanged: true } for those
+// instead of sending the bytes again.
+
+const FORMATS = {
+  PNG: { contentType: 'image/png', extension: 'png' },
+  SVG: { contentType: 'image/svg+xml', extension: 'svg' },
+  PDF: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+function renderError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Split a binary frame into its header and chunk bytes
+ */
+function parseChunkFrame(frame) {
+  if (frame.length < 4) throw renderError(400, 'Chunk frame too short');
+  const headerLength = frame.readUInt32BE(0);
+  if (4 + headerLength > frame.length) throw renderError(400, 'Chunk header longer than frame');
+  
+  let header;
+  try {
+    header = JSON.parse(frame.subarray(4, 4 + headerLength).toString('utf8'));
+  } catch (err) {
+    throw renderError(400, 'Chunk header is not JSON');
+  }
+  if (!header || typeof header.transferId !== 'string' || !Number.isInteger(header.index)) {
+    throw renderError(400, 'Chunk header needs transferId and index');
+  }
+  return { header, payload: frame.subarray(4 + headerLength) };
+}
+
+// -----------------------------------------------------------------------------
+// TRANSFERS
+// -----------------------------------------------------------------------------
+
+/**
+ * Create a store of transfers in progress: { maxBytes, maxPendingBytes, ttlMs }.
+ * `maxBytes` bounds one transfer, `maxPendingBytes` all announced transfers
+ * together.
+ */
+function createTransferStore(options = {}) {
+  const maxBytes = options.maxBytes || 50 * 1024 * 1024;
+  const maxPendingBytes = options.maxPendingBytes || 4 * maxBytes;
+  const ttlMs = options.ttlMs || 2 * 60 * 1000;
+  // Key: transferId, Value: { requestId, clientId, nodeId, format, version, byteLength, chunkCount, chunks, received, bytes, startedAt }
+  const transfers = new Map();
+  let pendingBytes = 0;
+  
+  function remove(transferId) {
+    pendingBytes -= transfers.get(transferId).byteLength;
+    transfers.delete(transferId);
+  }
+  
+  /**
+   * Start a transfer announced by an export-data message
+   */
+  function begin(clientId, data) {
+    if (typeof data.transferId !== 'string' || !data.transferId) throw renderError(400, 'export-data needs a transferId');
+    if (!Number.isInteger(data.byteLength) || data.byteLength < 0) throw renderError(400, 'export-data needs a byteLength');
+    if (!Number.isInteger(data.chunkCount) || data.chunkCount < 0) throw renderError(400, 'export-data needs a chunkCount');
+    // Every chunk but an empty render's one carries at least a byte
+    if (data.chunkCount > Math.max(1, data.byteLength)) {
+      throw renderError(400, `export-data announces ${data.chunkCount} chunks for ${data.byteLength} bytes`);
+    }
+    if (transfers.has(data.transferId)) {
+      throw renderError(409, `Transfer ${data.transferId} is already in progress`);
+    }
+    if (data.byteLength > maxBytes) {
+      throw renderError(413, `Render of ${data.nodeId} is ${data.byteLength} bytes (max ${maxBytes})`);
+    }
+    if (pendingBytes + data.byteLength > maxPendingBytes) {
+      throw renderError(503, `Too many render bytes in progress (max ${maxPendingBytes}); try again later`);
+    }
+    
+    pendingBytes += data.byteLength;
+    transfers.set(data.transferId, {
+      requestId: data.requestId,
+      clientId,
+      nodeId: data.nodeId,
+      format: data.format,
+      version: data.version ?? null,
+      byteLength: data.byteLength,
+      chunkCount: data.chunkCount,
+      chunks: new Array(data.chunkCount),
+      received: 0,
+      bytes: 0,
+      startedAt: Date.now()
+    });
+  }
+  
+  /**
+   * Store one binary frame from a client. Frames for unknown transfers
+   * (e.g. after a timeout) are dropped. Throws 413, with the transfer's
+   * `requestId`, and drops the transfer once it holds more than the
+   * announced byteLength.
+   */
+  function addChunk(clientId, frame) {
+    const { header, payload } = parseChunkFrame(frame);
+    const transfer = transfers.get(header.transferId);
+    if (!transfer || transfer.clientId !== clientId) return;
+    if (header.index < 0 || header.index >= transfer.chunkCount) {
+      throw renderError(400, `Chunk ${header.index} out of range for transfer ${header.transferId}`);
+    }
+    
+    const previous = transfer.chunks[header.index];
+    const bytes = transfer.bytes - (previous ? previous.length : 0) + payload.length;
+    if (bytes > transfer.byteLength) {
+      remove(header.transferId);
+      const err = renderError(413, `Render of ${transfer.nodeId} is over its announced ${transfer.byteLength} bytes`);
+      err.requestId = transfer.requestId;
+      throw err;
+    }
+    if (!previous) transfer.received++;
+    transfer.bytes = bytes;
+    transfer.chunks[header.index] = Buffer.from(payload);
+  }
+  
+  /**
+   * Remove a finished transfer and return its bytes. Throws 502 when chunks
+   * are missing or the size does not match.
+   */
+  function take(requestId, transferId) {
+    const transfer = transfers.get(transferId);
+    if (!transfer || transfer.requestId !== requestId) {
+      throw renderError(502, `Plugin reported unknown transfer ${transferId}`);
+    }
+    remove(transferId);
+    if (transfer.received < transfer.chunkCount) {
+      throw renderError(502, `Render of ${transfer.nodeId} is incomplete (${transfer.received}/${transfer.chunkCount} chunks)`);
+    }
+    const buffer = Buffer.concat(transfer.chunks);
+    if (buffer.length !== transfer.byteLength) {
+      throw renderError(502, `Render of ${transfer.nodeId} is ${buffer.length} bytes, expected ${transfer.byteLength}`);
+    }
+    return { ...transfer, buffer };
+  }
+  
+  /**
+   * Drop every transfer of a request (it failed, timed out or finished)
+   */
+  function dropRequest(requestId) {
+    transfers.forEach((transfer, transferId) => {
+      if (transfer.requestId === requestId) remove(transferId);
+    });
+  }
+  
+  /**
+   * Drop transfers older than the TTL
+   */
+  function sweep(now = Date.now()) {
+    transfers.forEach((transfer, transferId) => {
+      if (transfer.startedAt + ttlMs <= now) remove(transferId);
+    });
+  }
+  
+  return {
+    begin,
+    addChunk,
+    take,
+    dropRequest,
+    sweep,
+    stats: () => ({ transfers: transfers.size, bytes: pendingBytes, maxBytes: maxPendingBytes })
+  };
+}
+
+// -----------------------------------------------------------------------------
+// CACHE
+// -----------------------------------------------------------------------------
+
+/**
+ * Create a render cache holding at most `maxBytes`, least recently used
+ * renders evicted first
+ */
+function createRenderCache(options = {}) {
+  const maxBytes = options.maxBytes ?? 100 * 1024 * 1024;
+  // Key: "file:nodeId:format:scale", Value: { version, buffer, createdAt }
+  const entries = new Map();
+  let totalBytes = 0;
+  
+  const keyOf = (file, nodeId, format, scale) => `${file}:${nodeId}:${format}:${scale}`;
+  
+  function get(file, nodeId, format, scale) {
+    const key = keyOf(file, nodeId, format, scale);
+    const entry = entries.get(key);
+    if (!entry) return null;
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  }
+  
+  function set(file, nodeId, format, scale, version, buffer) {
+    const key = keyOf(file, nodeId, format, scale);
+    if (entries.has(key)) totalBytes -= entries.get(key).buffer.length;
+    entries.delete(key);
+    if (buffer.length > maxBytes) return;
+    
+    entries.set(key, { version, buffer, createdAt: Date.now() });
+    totalBytes += buffer.length;
+    for (const [oldest, entry] of entries) {
+      if (totalBytes <= maxBytes) break;
+      entries.delete(oldest);
+      totalBytes -= entry.buffer.length;
+    }
+  }
+  
+  return {
+    get,
+    set,
+    stats: () => ({ entries: entries.size, bytes: totalBytes, maxBytes })
+  };
+}
+
+// -----------------------------------------------------------------------------
+// DOWNLOADS
+// -----------------------------------------------------------------------------
+
+/**
+ * Create a store of download links holding at most `maxBytes` of renders,
+ * oldest links evicted first
+ */
+function createDownloadStore(options = {}) {
+  const maxBytes = options.maxBytes || 200 * 1024 * 1024;
+  // Key: token, Value: { buffer, contentType, filename, expiresAt }
+  const downloads = new Map();
+  let totalBytes = 0;
+  
+  function remove(token) {
+    totalBytes -= downloads.get(token).buffer.length;
+    downloads.delete(token);
+  }
+  
+  /**
+   * Add a link to a render. Throws 413 when the render alone is over
+   * `maxBytes`.
+   */
+  function add(token, { buffer, contentType, filename, expiresAt }) {
+    if (buffer.length > maxBytes) {
+      throw renderError(413, `Render is ${buffer.length} bytes, more than download links can hold (${maxBytes})`);
+    }
+    if (downloads.has(token)) remove(token);
+    
+    downloads.set(token, { buffer, contentType, filename, expiresAt });
+    totalBytes += buffer.length;
+    for (const oldest of downloads.keys()) {
+      if (totalBytes <= maxBytes) break;
+      remove(oldest);
+    }
+  }
+  
+  function get(token, now = Date.now()) {
+    const download = downloads.get(token);
+    if (!download || download.expiresAt <= now) return null;
+    return download;
+  }
+  
+  /**
+   * Drop expired links
+   */
+  function sweep(now = Date.now()) {
+    for (const [token, download] of downloads) {
+      if (download.expiresAt <= now) remove(token);
+    }
+  }
+  
+  return {
+    add,
+    get,
+    sweep,
+    stats: () => ({ entries: downloads.size, bytes: totalBytes, maxBytes })
+  };
+}
+
+module.exports = {
+  FORMATS,
+  parseChunkFrame,
+  createTransferStore,
+  createRenderCache,
+  createDownloadStore
+};
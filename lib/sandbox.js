@@ -0,0 +1,591 @@
+// =============================================================================
+// SANDBOX - In-memory stand-in for a Figma document and its plugin
+// =============================================================================
+//
+// A sandbox document answers the messages the relay sends to a plugin with
+// the messages a plugin would send back:
+//   create                -> create-result
+//   read-selection        -> selection-data
+//   find-nodes, read-node -> nodes-data
+//   update-node, replace-child, insert-child, delete-node, move-node,
+//   restore-node, batch   -> operation-result (with previousState for undo)
+//   variable-ops          -> variables-data, then operation-result
+//
+// Nodes are kept in the serialized form plugins send in selection-data
+// ({ id, name, type, children, fills, layoutMode, characters, ... }), so
+// everything that reads selection data works on sandbox nodes too. Spec
+// props are written to the Figma fields lib/spec-sync.js reads them from.
+//
+// Batches run like the plugin's: `@ref` targets resolve to nodes created by
+// earlier operations, and a failure in an atomic batch restores the
+// document as it was before the batch.
+
+const { readProp, NODE_TYPES } = require('./spec-sync');
+const { hexToColor } = require('./tokens');
+
+// Node types that can hold children
+const CONTAINERS = ['DOCUMENT', 'PAGE', 'FRAME', 'COMPONENT', 'GROUP', 'SECTION'];
+
+const FONT_STYLES = {
+  100: 'Thin',
+  200: 'ExtraLight',
+  300: 'Light',
+  400: 'Regular',
+  500: 'Medium',
+  600: 'SemiBold',
+  700: 'Bold',
+  800: 'ExtraBold',
+  900: 'Black'
+};
+
+function operationError(message) {
+  return new Error(message);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// -----------------------------------------------------------------------------
+// WRITING PROPS
+// -----------------------------------------------------------------------------
+
+function toColor(value) {
+  if (typeof value === 'string') return hexToColor(value);
+  return { r: value.r, g: value.g, b: value.b, a: value.a === undefined ? 1 : value.a };
+}
+
+function toPaints(value) {
+  if (value === null || value === undefined) return [];
+  const { a, ...color } = toColor(value);
+  return [{ type: 'SOLID', visible: true, opacity: a, color }];
+}
+
+function toPadding(value) {
+  if (typeof value === 'number') return [value, value, value, value];
+  if (value.length === 2) return [value[0], value[1], value[0], value[1]];
+  if (value.length === 3) return [value[0], value[1], value[2], value[1]];
+  return value;
+}
+
+function toLineHeight(value) {
+  if (typeof value === 'number') return { unit: 'PIXELS', value };
+  if (typeof value === 'string' && value.endsWith('%')) return { unit: 'PERCENT', value: Number(value.slice(0, -1)) };
+  return { unit: 'AUTO' };
+}
+
+// Spec props stored under other Figma fields. Each writer gets null to clear.
+const WRITERS = {
+  text: (node, value) => { node.characters = value ?? ''; },
+  width: (node, value) => writeSize(node, 'width', value),
+  height: (node, value) => writeSize(node, 'height', value),
+  fill: (node, value) => { node.fills = toPaints(value); },
+  color: (node, value) => { node.fills = toPaints(value); },
+  stroke: (node, value) => { node.strokes = toPaints(value); },
+  strokeWidth: (node, value) => { node.strokeWeight = value ?? 0; },
+  layout: (node, value) => { node.layoutMode = value ? value.toUpperCase() : 'NONE'; },
+  gap: (node, value) => { node.itemSpacing = value ?? 0; },
+  padding: (node, value) => {
+    const [top, right, bottom, left] = value === null ? [0, 0, 0, 0] : toPadding(value);
+    Object.assign(node, { paddingTop: top, paddingRight: right, paddingBottom: bottom, paddingLeft: left });
+  },
+  align: (node, value) => {
+    delete node.align;
+    node.primaryAxisAlignItems = value === 'space-between' ? 'SPACE_BETWEEN' : 'MIN';
+    node.counterAxisAlignItems = { center: 'CENTER', end: 'MAX' }[value] || 'MIN';
+    if (value === 'stretch') node.align = 'stretch';
+  },
+  clipContent: (node, value) => { node.clipsContent = Boolean(value); },
+  fontFamily: (node, value) => { node.fontName = { family: value || 'Inter', style: node.fontName?.style || 'Regular' }; },
+  fontWeight: (node, value) => {
+    const style = typeof value === 'number' ? FONT_STYLES[Math.round(value / 100) * 100] : value;
+    node.fontName = { family: node.fontName?.family || 'Inter', style: style || 'Regular' };
+  },
+  textAlign: (node, value) => { node.textAlignHorizontal = (value || 'left').toUpperCase(); },
+  lineHeight: (node, value) => { node.lineHeight = toLineHeight(value); }
+};
+
+function writeSize(node, axis, value) {
+  const field = axis === 'width' ? 'layoutSizingHorizontal' : 'layoutSizingVertical';
+  if (value === 'fill' || value === 'hug') {
+    node[field] = value.toUpperCase();
+  } else {
+    node[field] = 'FIXED';
+    if (typeof value === 'number') node[axis] = value;
+  }
+}
+
+// Props that are always node fields, even on instances
+const NODE_PROPS = ['name', 'x', 'y', 'visible', 'opacity', 'cornerRadius', 'characters', 'fontSize'];
+
+/**
+ * Write one spec (or Figma) prop to a node. On instances, props that are not
+ * node props become component properties.
+ */
+function writeProp(node, prop, value) {
+  if (WRITERS[prop]) {
+    WRITERS[prop](node, value);
+  } else if (node.type === 'INSTANCE' && !NODE_PROPS.includes(prop) && !(prop in node)) {
+    node.componentProperties = node.componentProperties || {};
+    node.componentProperties[prop] = { type: typeof value === 'boolean' ? 'BOOLEAN' : 'TEXT', value };
+  } else if (value === null) {
+    delete node[prop];
+  } else {
+    node[prop] = value;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// DOCUMENT
+// -----------------------------------------------------------------------------
+
+/**
+ * Create a sandbox document: { fileKey, fileName }
+ */
+function createSandboxDocument(options = {}) {
+  const fileKey = options.fileKey || 'sandbox';
+  const fileName = options.fileName || 'Sandbox';
+  let state;
+  let nextId;
+  
+  function reset(seed = {}) {
+    nextId = 1;
+    const page = { id: '0:1', name: 'Page 1', type: 'PAGE', children: [] };
+    state = {
+      document: { id: '0:0', name: fileName, type: 'DOCUMENT', children: [page] },
+      selection: [],
+      collections: [],
+      variables: []
+    };
+    (seed.nodes || []).forEach((spec) => page.children.push(buildNode(spec, [])));
+    (seed.variableOperations || []).forEach((op) => applyVariableOperation(op));
+  }
+  
+  function generateId() {
+    return `1:${nextId++}`;
+  }
+  
+  function currentPage() {
+    return state.document.children[0];
+  }
+  
+  /**
+   * Find a node and its parent: { node, parent, index }, or null
+   */
+  function locate(id, node = state.document, parent = null, index = -1) {
+    if (node.id === id) return { node, parent, index };
+    for (let i = 0; i < (node.children || []).length; i++) {
+      const found = locate(id, node.children[i], node, i);
+      if (found) return found;
+    }
+    return null;
+  }
+  
+  function getNode(id) {
+    const found = locate(id);
+    if (!found) throw operationError(`Node not found: ${id}`);
+    return found;
+  }
+  
+  function getContainer(id) {
+    const { node } = getNode(id);
+    if (!CONTAINERS.includes(node.type)) throw operationError(`Node ${id} (${node.type}) cannot have children`);
+    node.children = node.children || [];
+    return node;
+  }
+  
+  /**
+   * Build a node tree from a spec, collecting the new node IDs
+   */
+  function buildNode(spec, nodeIds) {
+    const node = { id: generateId() };
+    nodeIds.push(node.id);
+    
+    if (spec.$ !== undefined) {
+      Object.assign(node, { type: 'INSTANCE', name: spec.$, componentName: spec.$, componentProperties: {}, width: 120, height: 40 });
+    } else {
+      const type = (NODE_TYPES[spec.type] || [String(spec.type || 'frame').toUpperCase()])[0];
+      Object.assign(node, { type, name: spec.type === 'text' ? (spec.characters ?? spec.text ?? 'Text') : type.charAt(0) + type.slice(1).toLowerCase() });
+      if (type === 'TEXT') {
+        const fontSize = spec.fontSize || 16;
+        const characters = spec.characters ?? spec.text ?? '';
+        Object.assign(node, { characters, fontSize, fontName: { family: 'Inter', style: 'Regular' }, width: Math.max(1, characters.length) * fontSize * 0.6, height: fontSize * 1.2 });
+      } else {
+        Object.assign(node, { width: 100, height: 100 });
+      }
+      if (CONTAINERS.includes(type)) node.children = [];
+    }
+    
+    Object.entries(spec).forEach(([prop, value]) => {
+      if (prop === '$' || prop === 'children' || (prop === 'type' && spec.$ === undefined)) return;
+      writeProp(node, prop, value);
+    });
+    
+    if (Array.isArray(spec.children)) {
+      if (!node.children) throw operationError(`A ${node.type} cannot have children`);
+      spec.children.forEach((child) => node.children.push(buildNode(child, nodeIds)));
+    }
+    return node;
+  }
+  
+  /**
+   * Give a restored node snapshot (and its subtree) new IDs
+   */
+  function renumber(node) {
+    const copy = clone(node);
+    const walk = (n) => {
+      n.id = generateId();
+      (n.children || []).forEach(walk);
+    };
+    walk(copy);
+    return copy;
+  }
+  
+  function checkIndex(index, length, allowEnd) {
+    const max = allowEnd ? length : length - 1;
+    if (!Number.isInteger(index) || index < 0 || index > max) {
+      throw operationError(`Index ${index} out of range (0-${max})`);
+    }
+  }
+  
+  // ---------------------------------------------------------------------------
+  // NODE OPERATIONS
+  // ---------------------------------------------------------------------------
+  
+  const resolve = (id, refs) => (typeof id === 'string' && id.startsWith('@') ? refs[id.slice(1)] || id : id);
+  
+  /**
+   * Apply one operation; returns its result ({ nodeId, previousState, ... })
+   */
+  function applyOperation(op, refs = {}) {
+    switch (op.type) {
+      case 'update-node': {
+        const { node } = getNode(resolve(op.targetId, refs));
+        if (!op.updates || typeof op.updates !== 'object') throw operationError('Missing updates');
+        const properties = {};
+        Object.entries(op.updates).forEach(([prop, value]) => {
+          const previous = readProp(node, prop);
+          properties[prop] = previous === undefined ? null : clone(previous);
+          writeProp(node, prop, value);
+        });
+        return { nodeId: node.id, previousState: { properties } };
+      }
+      case 'insert-child': {
+        const parent = getContainer(resolve(op.targetId, refs));
+        const index = op.childIndex === undefined || op.childIndex === -1 ? parent.children.length : op.childIndex;
+        checkIndex(index, parent.children.length, true);
+        const nodeIds = [];
+        const node = buildNode(op.newChild || {}, nodeIds);
+        parent.children.splice(index, 0, node);
+        if (op.ref) refs[op.ref] = node.id;
+        return { nodeId: node.id, nodeIds };
+      }
+      case 'replace-child': {
+        const parent = getContainer(resolve(op.targetId, refs));
+        checkIndex(op.childIndex, parent.children.length, false);
+        const nodeIds = [];
+        const node = buildNode(op.newChild || {}, nodeIds);
+        const [previous] = parent.children.splice(op.childIndex, 1, node);
+        if (op.ref) refs[op.ref] = node.id;
+        return { nodeId: node.id, nodeIds, previousState: { parentId: parent.id, index: op.childIndex, node: previous } };
+      }
+      case 'delete-node': {
+        const { node, parent, index } = getNode(resolve(op.targetId, refs));
+        if (!parent || node.type === 'PAGE') throw operationError(`Cannot delete ${node.type} ${node.id}`);
+        parent.children.splice(index, 1);
+        state.selection = state.selection.filter((id) => locate(id));
+        return { nodeId: node.id, previousState: { parentId: parent.id, index, node } };
+      }
+      case 'move-node': {
+        const { node, parent, index } = getNode(resolve(op.targetId, refs));
+        if (!parent || node.type === 'PAGE') throw operationError(`Cannot move ${node.type} ${node.id}`);
+        checkIndex(op.index, parent.children.length, false);
+        parent.children.splice(index, 1);
+        parent.children.splice(op.index, 0, node);
+        return { nodeId: node.id, previousState: { index } };
+      }
+      case 'restore-node': {
+        const parent = getContainer(resolve(op.parentId, refs));
+        if (!op.node || typeof op.node !== 'object') throw operationError('Missing node');
+        const index = Math.min(op.index ?? parent.children.length, parent.children.length);
+        const node = renumber(op.node);
+        parent.children.splice(index, 0, node);
+        return { nodeId: node.id };
+      }
+      default:
+        throw operationError(`Unknown operation type: ${op.type}`);
+    }
+  }
+  
+  function applyBatch(message) {
+    const before = clone(state);
+    const beforeId = nextId;
+    const refs = {};
+    const results = [];
+    let failedIndex = null;
+    let error = null;
+    
+    for (let i = 0; i < (message.operations || []).length; i++) {
+      try {
+        results.push({ success: true, ...applyOperation(message.operations[i], refs) });
+      } catch (err) {
+        results.push({ success: false, error: err.message });
+        if (failedIndex === null) {
+          failedIndex = i;
+          error = `Operation ${i} (${message.operations[i].type}) failed: ${err.message}`;
+        }
+        if (message.atomic) break;
+      }
+    }
+    
+    if (failedIndex !== null && message.atomic) {
+      state = before;
+      nextId = beforeId;
+      return { success: false, error, results, refs, failedIndex, rolledBack: true };
+    }
+    if (failedIndex !== null) {
+      return { success: false, error, results, refs, failedIndex, rolledBack: false };
+    }
+    return { success: true, results, refs };
+  }
+  
+  // ---------------------------------------------------------------------------
+  // VARIABLES
+  // ---------------------------------------------------------------------------
+  
+  function findCollection(op) {
+    const collection = state.collections.find((c) => c.id === op.collectionId || (!op.collectionId && c.name === op.collection));
+    if (!collection) throw operationError(`Collection not found: ${op.collectionId || op.collection}`);
+    return collection;
+  }
+  
+  function findVariable(op) {
+    let variable;
+    if (op.variableId) {
+      variable = state.variables.find((v) => v.id === op.variableId);
+    } else {
+      const collection = findCollection(op);
+      variable = state.variables.find((v) => v.variableCollectionId === collection.id && v.name === op.name);
+    }
+    if (!variable) throw operationError(`Variable not found: ${op.variableId || `${op.collection || op.collectionId}/${op.name}`}`);
+    return variable;
+  }
+  
+  function findMode(collection, key) {
+    const mode = collection.modes.find((m) => m.modeId === key || m.name === key);
+    if (!mode) throw operationError(`Mode not found in ${collection.name}: ${key}`);
+    return mode;
+  }
+  
+  function toVariableValue(value) {
+    if (value && typeof value === 'object' && value.aliasName !== undefined) {
+      const target = state.variables.find((v) => v.name === value.aliasName &&
+        (!value.collection || state.collections.find((c) => c.id === v.variableCollectionId)?.name === value.collection));
+      if (!target) throw operationError(`Alias target not found: ${value.collection ? `${value.collection}.` : ''}${value.aliasName}`);
+      return { type: 'VARIABLE_ALIAS', id: target.id };
+    }
+    return value;
+  }
+  
+  function setValues(variable, values) {
+    const collection = state.collections.find((c) => c.id === variable.variableCollectionId);
+    Object.entries(values || {}).forEach(([key, value]) => {
+      variable.valuesByMode[findMode(collection, key).modeId] = toVariableValue(value);
+    });
+  }
+  
+  function applyVariableOperation(op) {
+    switch (op.type) {
+      case 'create-collection': {
+        if (state.collections.some((c) => c.name === op.name)) throw operationError(`Collection already exists: ${op.name}`);
+        const id = `VariableCollectionId:${generateId()}`;
+        const modes = (op.modes && op.modes.length > 0 ? op.modes : ['Mode 1'])
+          .map((name) => ({ modeId: `${id}:${generateId()}`, name }));
+        state.collections.push({ id, name: op.name, modes, defaultModeId: modes[0].modeId });
+        return { collectionId: id };
+      }
+      case 'rename-collection':
+        findCollection(op).name = op.name;
+        return {};
+      case 'delete-collection': {
+        const collection = findCollection(op);
+        state.collections = state.collections.filter((c) => c !== collection);
+        state.variables = state.variables.filter((v) => v.variableCollectionId !== collection.id);
+        return {};
+      }
+      case 'add-mode': {
+        const collection = findCollection(op);
+        const mode = { modeId: `${collection.id}:${generateId()}`, name: op.name };
+        collection.modes.push(mode);
+        return { modeId: mode.modeId };
+      }
+      case 'create-variable': {
+        const collection = findCollection(op);
+        if (state.variables.some((v) => v.variableCollectionId === collection.id && v.name === op.name)) {
+          throw operationError(`Variable already exists: ${collection.name}/${op.name}`);
+        }
+        const variable = {
+          id: `VariableID:${generateId()}`,
+          name: op.name,
+          variableCollectionId: collection.id,
+          resolvedType: op.resolvedType,
+          description: op.description || '',
+          scopes: op.scopes || ['ALL_SCOPES'],
+          hiddenFromPublishing: Boolean(op.hiddenFromPublishing),
+          codeSyntax: op.codeSyntax || {},
+          valuesByMode: {}
+        };
+        state.variables.push(variable);
+        setValues(variable, op.values);
+        return { variableId: variable.id };
+      }
+      case 'update-variable': {
+        const variable = findVariable(op);
+        ['description', 'scopes', 'hiddenFromPublishing', 'codeSyntax'].forEach((field) => {
+          if (op[field] !== undefined) variable[field] = op[field];
+        });
+        return { variableId: variable.id };
+      }
+      case 'rename-variable': {
+        const variable = findVariable({ variableId: op.variableId });
+        variable.name = op.name;
+        return { variableId: variable.id };
+      }
+      case 'delete-variable': {
+        const variable = findVariable(op);
+        state.variables = state.variables.filter((v) => v !== variable);
+        return { variableId: variable.id };
+      }
+      case 'set-values': {
+        const variable = findVariable(op);
+        setValues(variable, op.values);
+        return { variableId: variable.id };
+      }
+      default:
+        throw operationError(`Unknown variable operation type: ${op.type}`);
+    }
+  }
+  
+  function applyVariableOperations(operations) {
+    const results = [];
+    for (let i = 0; i < operations.length; i++) {
+      try {
+        results.push({ success: true, ...applyVariableOperation(operations[i]) });
+      } catch (err) {
+        results.push({ success: false, error: err.message });
+        return { success: false, error: `Operation ${i} (${operations[i].type}) failed: ${err.message}`, results, failedIndex: i };
+      }
+    }
+    return { success: true, results };
+  }
+  
+  function variablesData() {
+    return {
+      type: 'variables-data',
+      variables: clone(state.variables),
+      collections: clone(state.collections),
+      collectionCount: state.collections.length,
+      fileKey,
+      fileName
+    };
+  }
+  
+  // ---------------------------------------------------------------------------
+  // MESSAGES
+  // ---------------------------------------------------------------------------
+  
+  function selectedNodes() {
+    return state.selection.map((id) => locate(id)).filter(Boolean).map((found) => clone(found.node));
+  }
+  
+  function selectionData() {
+    const selection = selectedNodes();
+    return { type: 'selection-data', selection, nodeCount: selection.length, fileKey, fileName };
+  }
+  
+  function operationResult(requestId, apply) {
+    try {
+      return { type: 'operation-result', requestId, success: true, ...apply() };
+    } catch (err) {
+      return { type: 'operation-result', requestId, success: false, error: err.message };
+    }
+  }
+  
+  /**
+   * Answer one relay message. Returns the plugin's replies, in order.
+   */
+  function handle(message) {
+    const { requestId } = message;
+    
+    switch (message.type) {
+      case 'create': {
+        try {
+          const nodeIds = [];
+          const node = buildNode(message.spec || {}, nodeIds);
+          currentPage().children.push(node);
+          state.selection = [node.id];
+          // The plugin selects what it created, which reports a new selection
+          return [
+            { type: 'create-result', jobId: message.jobId, success: true, rootNodeId: node.id, nodeIds },
+            selectionData()
+          ];
+        } catch (err) {
+          return [{ type: 'create-result', jobId: message.jobId, success: false, error: err.message }];
+        }
+      }
+      case 'read-selection':
+        return [{ ...selectionData(), requestId }];
+      case 'find-nodes': {
+        const scope = message.scope || 'page';
+        const nodes = scope === 'selection' ? selectedNodes()
+          : scope === 'document' ? clone(state.document.children) : [clone(currentPage())];
+        return [{ type: 'nodes-data', requestId, nodes }];
+      }
+      case 'read-node': {
+        const found = locate(message.nodeId);
+        return [{ type: 'nodes-data', requestId, nodes: found ? [clone(found.node)] : [] }];
+      }
+      case 'batch':
+        return [{ type: 'operation-result', requestId, ...applyBatch(message) }];
+      case 'update-node':
+      case 'replace-child':
+      case 'insert-child':
+      case 'delete-node':
+      case 'move-node':
+      case 'restore-node':
+        return [operationResult(requestId, () => applyOperation(message))];
+      case 'variable-ops': {
+        const result = applyVariableOperations(message.operations || []);
+        return [variablesData(), { type: 'operation-result', requestId, ...result }];
+      }
+      default:
+        // connected, pong, pairing and analysis messages need no answer
+        return [];
+    }
+  }
+  
+  /**
+   * Select nodes by ID (what the user would do in Figma)
+   */
+  function select(nodeIds) {
+    nodeIds.forEach((id) => getNode(id));
+    state.selection = [...nodeIds];
+  }
+  
+  reset(options.seed);
+  
+  return {
+    fileKey,
+    fileName,
+    handle,
+    reset,
+    select,
+    selectionData,
+    variablesData,
+    getDocument: () => clone({ document: state.document, selection: state.selection })
+  };
+}
+
+module.exports = {
+  createSandboxDocument
+};
@@ -0,0 +1,453 @@
+// =============================================================================
+// SPEC SCHEMA - Registry and validator for the UI spec DSL
+// =============================================================================
+//
+// A spec node is either a primitive with `type` ("frame", "text", ...) or a
+// design-system component with `$` ("Button", "Badge", ...). Both may carry
+// `children`, an array of spec nodes.
+//
+// Prop schemas use a small JSON-Schema subset:
+//   { type, enum, required, minimum, maximum, items, description }
+// where `type` is one of string, number, boolean, array, object, color, spec
+// (or an array of those). "color" accepts "#rgb", "#rrggbb", "#rrggbbaa" or
+// an { r, g, b, a } object. "spec" is a nested spec node.
+
+const fs = require('fs');
+
+const COLOR_HEX = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// -----------------------------------------------------------------------------
+// DEFAULT REGISTRY
+// -----------------------------------------------------------------------------
+
+const COMMON_PROPS = {
+  name: { type: 'string', description: 'Layer name' },
+  width: { type: ['number', 'string'], description: 'Pixels, or "fill" / "hug"' },
+  height: { type: ['number', 'string'], description: 'Pixels, or "fill" / "hug"' },
+  x: { type: 'number' },
+  y: { type: 'number' },
+  visible: { type: 'boolean' },
+  opacity: { type: 'number', minimum: 0, maximum: 1 },
+  fill: { type: 'color' },
+  stroke: { type: 'color' },
+  strokeWidth: { type: 'number', minimum: 0 },
+  cornerRadius: { type: ['number', 'array'], minimum: 0 },
+  children: { type: 'array', items: { type: 'spec' } }
+};
+
+const LAYOUT_PROPS = {
+  layout: { type: 'string', enum: ['horizontal', 'vertical', 'none'] },
+  gap: { type: 'number', minimum: 0 },
+  padding: { type: ['number', 'array'], minimum: 0 },
+  align: { type: 'string', enum: ['start', 'center', 'end', 'space-between', 'stretch'] },
+  clipContent: { type: 'boolean' }
+};
+
+const TEXT_PROPS = {
+  characters: { type: 'string' },
+  text: { type: 'string' },
+  fontSize: { type: 'number', minimum: 1 },
+  fontWeight: { type: ['number', 'string'] },
+  fontFamily: { type: 'string' },
+  color: { type: 'color' },
+  textAlign: { type: 'string', enum: ['left', 'center', 'right', 'justified'] },
+  lineHeight: { type: ['number', 'string'] }
+};
+
+const SIZES = ['sm', 'md', 'lg'];
+
+const DEFAULT_REGISTRY = {
+  version: 1,
+  nodeTypes: {
+    screen: { description: 'Top-level screen frame', props: { ...LAYOUT_PROPS } },
+    frame: { description: 'Frame, optionally with auto-layout', props: { ...LAYOUT_PROPS } },
+    component: { description: 'Figma component', props: { ...LAYOUT_PROPS } },
+    section: { description: 'Figma section', props: {} },
+    group: { description: 'Group of nodes', props: {} },
+    text: { description: 'Text layer', props: { ...TEXT_PROPS } },
+    rectangle: { description: 'Rectangle', props: {} },
+    ellipse: { description: 'Ellipse', props: {} },
+    line: { description: 'Line', props: {} },
+    vector: { description: 'Vector path', props: { path: { type: 'string' } } },
+    image: { description: 'Image fill', props: { src: { type: 'string' }, scaleMode: { type: 'string', enum: ['fill', 'fit', 'crop', 'tile'] } } },
+    icon: { description: 'Icon from the icon library', props: { icon: { type: 'string', required: true }, size: { type: 'number', minimum: 1 }, color: { type: 'color' } } }
+  },
+  components: {
+    Button: {
+      description: 'Button',
+      props: {
+        label: { type: 'string', required: true },
+        variant: { type: 'string', enum: ['primary', 'secondary', 'tertiary', 'ghost', 'danger', 'link'] },
+        size: { type: 'string', enum: SIZES },
+        icon: { type: 'string' },
+        iconPosition: { type: 'string', enum: ['left', 'right'] },
+        disabled: { type: 'boolean' },
+        fullWidth: { type: 'boolean' }
+      }
+    },
+    IconButton: {
+      description: 'Button showing only an icon',
+      props: {
+        icon: { type: 'string', required: true },
+        label: { type: 'string', description: 'Accessible name' },
+        variant: { type: 'string', enum: ['primary', 'secondary', 'ghost', 'danger'] },
+        size: { type: 'string', enum: SIZES },
+        disabled: { type: 'boolean' }
+      }
+    },
+    Badge: {
+      description: 'Small status label',
+      props: {
+        label: { type: 'string', required: true },
+        variant: { type: 'string', enum: ['default', 'primary', 'success', 'warning', 'danger', 'info', 'neutral'] }
+      }
+    },
+    Tag: {
+      description: 'Removable tag',
+      props: { label: { type: 'string', required: true }, removable: { type: 'boolean' } }
+    },
+    Heading: {
+      description: 'Heading text',
+      props: { text: { type: 'string' }, level: { type: 'number', minimum: 1, maximum: 6 }, color: { type: 'color' } }
+    },
+    Text: {
+      description: 'Body text',
+      props: { text: { type: 'string' }, size: { type: 'string', enum: ['xs', 'sm', 'md', 'lg', 'xl'] }, weight: { type: ['number', 'string'] }, color: { type: 'color' } }
+    },
+    Link: {
+      description: 'Text link',
+      props: { label: { type: 'string', required: true }, href: { type: 'string' } }
+    },
+    Icon: {
+      description: 'Icon',
+      props: { name: { type: 'string', required: true }, size: { type: 'number', minimum: 1 }, color: { type: 'color' } }
+    },
+    Avatar: {
+      description: 'User avatar',
+      props: { name: { type: 'string' }, src: { type: 'string' }, size: { type: 'string', enum: ['sm', 'md', 'lg', 'xl'] } }
+    },
+    Input: {
+      description: 'Text input',
+      props: {
+        label: { type: 'string' },
+        placeholder: { type: 'string' },
+        value: { type: 'string' },
+        helperText: { type: 'string' },
+        error: { type: 'string' },
+        type: { type: 'string', enum: ['text', 'email', 'password', 'number', 'search', 'tel', 'url'] },
+        disabled: { type: 'boolean' }
+      }
+    },
+    TextArea: {
+      description: 'Multi-line text input',
+      props: { label: { type: 'string' }, placeholder: { type: 'string' }, value: { type: 'string' }, rows: { type: 'number', minimum: 1 } }
+    },
+    Select: {
+      description: 'Dropdown select',
+      props: {
+        label: { type: 'string' },
+        placeholder: { type: 'string' },
+        options: { type: 'array', items: { type: 'string' } },
+        value: { type: 'string' },
+        disabled: { type: 'boolean' }
+      }
+    },
+    Checkbox: {
+      description: 'Checkbox with label',
+      props: { label: { type: 'string', required: true }, checked: { type: 'boolean' }, disabled: { type: 'boolean' } }
+    },
+    Radio: {
+      description: 'Radio button with label',
+      props: { label: { type: 'string', required: true }, checked: { type: 'boolean' }, disabled: { type: 'boolean' } }
+    },
+    Toggle: {
+      description: 'On/off switch',
+      props: { label: { type: 'string' }, checked: { type: 'boolean' }, disabled: { type: 'boolean' } }
+    },
+    Tabs: {
+      description: 'Tab bar',
+      props: { items: { type: 'array', required: true, items: { type: 'string' } }, activeIndex: { type: 'number', minimum: 0 } }
+    },
+    Alert: {
+      description: 'Inline alert',
+      props: {
+        title: { type: 'string' },
+        message: { type: 'string' },
+        variant: { type: 'string', enum: ['info', 'success', 'warning', 'error'] }
+      }
+    },
+    Card: {
+      description: 'Card container',
+      props: { title: { type: 'string' }, subtitle: { type: 'string' }, ...LAYOUT_PROPS }
+    },
+    Modal: {
+      description: 'Modal dialog',
+      props: { title: { type: 'string' }, ...LAYOUT_PROPS }
+    },
+    Navbar: {
+      description: 'Top navigation bar',
+      props: { title: { type: 'string' }, items: { type: 'array', items: { type: 'string' } } }
+    },
+    Sidebar: {
+      description: 'Side navigation',
+      props: { items: { type: 'array', items: { type: 'string' } }, activeIndex: { type: 'number', minimum: 0 } }
+    },
+    List: {
+      description: 'Vertical list of items',
+      props: { items: { type: 'array', items: { type: ['string', 'object'] } } }
+    },
+    Table: {
+      description: 'Data table',
+      props: { columns: { type: 'array', required: true, items: { type: 'string' } }, rows: { type: 'array', items: { type: 'array' } } }
+    },
+    ProgressBar: {
+      description: 'Progress bar',
+      props: { value: { type: 'number', required: true, minimum: 0, maximum: 100 }, label: { type: 'string' } }
+    },
+    Divider: {
+      description: 'Horizontal rule',
+      props: {}
+    },
+    Tooltip: {
+      description: 'Tooltip bubble',
+      props: { text: { type: 'string', required: true } }
+    }
+  }
+};
+
+// -----------------------------------------------------------------------------
+// REGISTRY LOADING
+// -----------------------------------------------------------------------------
+
+/**
+ * Merge overrides into the default registry. Entries in `nodeTypes` or
+ * `components` replace the default of the same name; `null` removes it.
+ */
+function createRegistry(overrides = {}) {
+  const registry = {
+    version: overrides.version || DEFAULT_REGISTRY.version,
+    nodeTypes: { ...DEFAULT_REGISTRY.nodeTypes },
+    components: { ...DEFAULT_REGISTRY.components }
+  };
+  
+  ['nodeTypes', 'components'].forEach((section) => {
+    Object.entries(overrides[section] || {}).forEach(([name, definition]) => {
+      if (definition === null) {
+        delete registry[section][name];
+      } else {
+        registry[section][name] = { props: {}, ...definition };
+      }
+    });
+  });
+  
+  return registry;
+}
+
+/**
+ * Load a registry, optionally extended by a JSON file
+ */
+function loadRegistry(file) {
+  if (!file) return createRegistry();
+  const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+  console.log(`Loaded spec schema overrides from ${file}`);
+  return createRegistry(overrides);
+}
+
+// -----------------------------------------------------------------------------
+// VALIDATION
+// -----------------------------------------------------------------------------
+
+// Escape a key for use in a JSON pointer (RFC 6901)
+function pointer(base, key) {
+  return `${base}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function isColor(value) {
+  if (typeof value === 'string') return COLOR_HEX.test(value);
+  return Boolean(value) && typeof value === 'object' &&
+    ['r', 'g', 'b'].every((channel) => typeof value[channel] === 'number');
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'color': return isColor(value);
+    case 'spec': return typeOf(value) === 'object';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeOf(value) === type;
+  }
+}
+
+/**
+ * Validate a value against a prop schema, appending problems
+ */
+function validateValue(value, schema, path, registry, result) {
+  const types = schema.type ? [].concat(schema.type) : null;
+  
+  if (types && !types.some((type) => matchesType(value, type))) {
+    result.errors.push({ path, message: `Expected ${types.join(' or ')}, got ${typeOf(value)}` });
+    return;
+  }
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    result.errors.push({ path, message: `Must be one of: ${schema.enum.join(', ')}` });
+  }
+  
+  const numbers = typeof value === 'number' ? [value] : (Array.isArray(value) ? value.filter((v) => typeof v === 'number') : []);
+  numbers.forEach((number) => {
+    if (schema.minimum !== undefined && number < schema.minimum) {
+      result.errors.push({ path, message: `Must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && number > schema.maximum) {
+      result.errors.push({ path, message: `Must be <= ${schema.maximum}` });
+    }
+  });
+  
+  if (types && types.includes('spec') && typeOf(value) === 'object') {
+    validateNode(value, path, registry, result);
+  }
+  
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateValue(item, schema.items, pointer(path, i), registry, result));
+  }
+}
+
+/**
+ * Validate one spec node (and, through `children`, its subtree)
+ */
+function validateNode(node, path, registry, result) {
+  if (typeOf(node) !== 'object') {
+    result.errors.push({ path, message: `Spec node must be an object, got ${typeOf(node)}` });
+    return;
+  }
+  
+  let definition;
+  let label;
+  if (node.$ !== undefined) {
+    definition = registry.components[node.$];
+    label = node.$;
+    if (!definition) {
+      result.errors.push({ path: pointer(path, '$'), message: `Unknown component: ${node.$}` });
+      return;
+    }
+  } else if (node.type !== undefined) {
+    definition = registry.nodeTypes[node.type];
+    label = node.type;
+    if (!definition) {
+      result.errors.push({ path: pointer(path, 'type'), message: `Unknown node type: ${node.type}` });
+      return;
+    }
+  } else {
+    result.errors.push({ path, message: 'Spec node needs a "type" or a "$" component' });
+    return;
+  }
+  
+  const props = { ...COMMON_PROPS, ...definition.props };
+  
+  Object.entries(props).forEach(([name, schema]) => {
+    if (schema.required && node[name] === undefined) {
+      result.errors.push({ path: pointer(path, name), message: `Missing required prop "${name}" for ${label}` });
+    }
+  });
+  
+  Object.entries(node).forEach(([name, value]) => {
+    if (name === '$' || (name === 'type' && node.$ === undefined)) return;
+    const schema = props[name];
+    if (!schema) {
+      result.warnings.push({ path: pointer(path, name), message: `Unknown prop "${name}" for ${label}` });
+      return;
+    }
+    validateValue(value, schema, pointer(path, name), registry, result);
+  });
+}
+
+/**
+ * Validate a spec tree. `basePath` prefixes every JSON pointer (e.g. "/newChild").
+ * Returns { valid, errors: [{ path, message }], warnings: [{ path, message }] }.
+ */
+function validateSpec(spec, registry, basePath = '') {
+  const result = { errors: [], warnings: [] };
+  validateNode(spec, basePath, registry, result);
+  return { valid: result.errors.length === 0, ...result };
+}
+
+// -----------------------------------------------------------------------------
+// JSON SCHEMA
+// -----------------------------------------------------------------------------
+
+const COLOR_SCHEMA = {
+  anyOf: [
+    { type: 'string', pattern: '^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$' },
+    {
+      type: 'object',
+      properties: { r: { type: 'number' }, g: { type: 'number' }, b: { type: 'number' }, a: { type: 'number' } },
+      required: ['r', 'g', 'b']
+    }
+  ]
+};
+
+/**
+ * JSON Schema for one prop schema. Nested specs refer to `#/$defs/spec`.
+ */
+function propToJsonSchema(schema) {
+  const variants = (schema.type ? [].concat(schema.type) : []).map((type) => {
+    if (type === 'color') return COLOR_SCHEMA;
+    if (type === 'spec') return { $ref: '#/$defs/spec' };
+    
+    const variant = { type };
+    if (type === 'number') {
+      if (schema.minimum !== undefined) variant.minimum = schema.minimum;
+      if (schema.maximum !== undefined) variant.maximum = schema.maximum;
+    }
+    if (type === 'array' && schema.items) variant.items = propToJsonSchema(schema.items);
+    return variant;
+  });
+  
+  const result = variants.length === 1 ? { ...variants[0] } : (variants.length > 1 ? { anyOf: variants } : {});
+  if (schema.enum) result.enum = schema.enum;
+  if (schema.description) result.description = schema.description;
+  return result;
+}
+
+function definitionToJsonSchema(key, name, definition) {
+  const properties = { [key]: { const: name } };
+  const required = [key];
+  Object.entries({ ...COMMON_PROPS, ...definition.props }).forEach(([prop, schema]) => {
+    properties[prop] = propToJsonSchema(schema);
+    if (schema.required) required.push(prop);
+  });
+  
+  return {
+    type: 'object',
+    ...(definition.description && { description: definition.description }),
+    properties,
+    required
+  };
+}
+
+/**
+ * JSON Schema (draft 2020-12) for a spec node in a registry:
+ * { $defs: { spec }, $ref: '#/$defs/spec' }. Unknown props stay allowed,
+ * as validateSpec only warns about them.
+ */
+function toJsonSchema(registry) {
+  const variants = [
+    ...Object.entries(registry.nodeTypes).map(([name, definition]) => definitionToJsonSchema('type', name, definition)),
+    ...Object.entries(registry.components).map(([name, definition]) => definitionToJsonSchema('$', name, definition))
+  ];
+  return { $defs: { spec: { anyOf: variants } }, $ref: '#/$defs/spec' };
+}
+
+module.exports = {
+  DEFAULT_REGISTRY,
+  COMMON_PROPS,
+  createRegistry,
+  loadRegistry,
+  validateSpec,
+  toJsonSchema
+};
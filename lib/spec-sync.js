@@ -0,0 +1,364 @@
+// =============================================================================
+// SPEC SYNC - Plan the operations that turn a node tree into a desired spec
+// =============================================================================
+//
+// planSync(node, spec) compares a serialized node (as sent in selection-data)
+// with a spec in the DSL of lib/spec-schema.js and returns the operations
+// that make the node match it:
+//   update-node  props the spec sets that differ from the node
+//   delete-node  current children no spec child matches
+//   move-node    matched children that are out of order
+//   insert-child spec children no current child matches
+//
+// Only what the spec says is compared: props it leaves out are left alone,
+// and a spec without `children` leaves the node's children alone.
+//
+// Spec children are matched to current children by `id` (a node ID, never
+// sent to the plugin), then by kind and name, then, for spec children
+// without a name, by kind alone. The kind is the spec `type` or `$`
+// component; it cannot change in place, so a changed kind is a delete
+// and an insert.
+
+const COLOR_HEX = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// Figma node types each spec type renders as
+const NODE_TYPES = {
+  screen: ['FRAME'],
+  frame: ['FRAME'],
+  component: ['COMPONENT'],
+  section: ['SECTION'],
+  group: ['GROUP'],
+  text: ['TEXT'],
+  rectangle: ['RECTANGLE'],
+  ellipse: ['ELLIPSE'],
+  line: ['LINE'],
+  vector: ['VECTOR'],
+  image: ['RECTANGLE', 'FRAME'],
+  icon: ['INSTANCE', 'FRAME', 'VECTOR']
+};
+
+function syncError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// -----------------------------------------------------------------------------
+// READING NODE PROPS
+// -----------------------------------------------------------------------------
+
+function channelHex(value) {
+  return Math.round(Math.min(1, Math.max(0, value)) * 255).toString(16).padStart(2, '0');
+}
+
+/**
+ * A color as lowercase "#rrggbb" (or "#rrggbbaa" when not opaque)
+ */
+function normalizeColor(value) {
+  if (typeof value === 'string' && COLOR_HEX.test(value)) {
+    let hex = value.slice(1).toLowerCase();
+    if (hex.length === 3) hex = [...hex].map((c) => c + c).join('');
+    return hex.length === 8 && hex.endsWith('ff') ? `#${hex.slice(0, 6)}` : `#${hex}`;
+  }
+  if (value && typeof value === 'object' && typeof value.r === 'number') {
+    const alpha = value.a === undefined || value.a >= 1 ? '' : channelHex(value.a);
+    return `#${channelHex(value.r)}${channelHex(value.g)}${channelHex(value.b)}${alpha}`;
+  }
+  return value;
+}
+
+/**
+ * The first visible solid paint of a fills / strokes array
+ */
+function paintColor(paints) {
+  if (!Array.isArray(paints)) return undefined;
+  const paint = paints.find((p) => p && p.type === 'SOLID' && p.visible !== false);
+  if (!paint) return undefined;
+  const opacity = paint.opacity === undefined ? 1 : paint.opacity;
+  return normalizeColor({ ...paint.color, a: (paint.color.a === undefined ? 1 : paint.color.a) * opacity });
+}
+
+/**
+ * Padding as [top, right, bottom, left]
+ */
+function normalizePadding(value) {
+  if (typeof value === 'number') return [value, value, value, value];
+  if (!Array.isArray(value)) return value;
+  if (value.length === 2) return [value[0], value[1], value[0], value[1]];
+  if (value.length === 3) return [value[0], value[1], value[2], value[1]];
+  return value;
+}
+
+const FONT_WEIGHTS = {
+  thin: 100,
+  extralight: 200,
+  light: 300,
+  regular: 400,
+  medium: 500,
+  semibold: 600,
+  bold: 700,
+  extrabold: 800,
+  black: 900
+};
+
+function sizing(node, axis) {
+  const mode = axis === 'width' ? node.layoutSizingHorizontal : node.layoutSizingVertical;
+  return mode === 'FILL' || mode === 'HUG' ? mode.toLowerCase() : node[axis];
+}
+
+// Spec props whose node field has another name or shape
+const READERS = {
+  text: (node) => node.characters ?? node.text,
+  width: (node) => sizing(node, 'width'),
+  height: (node) => sizing(node, 'height'),
+  fill: (node) => (node.fill !== undefined ? normalizeColor(node.fill) : paintColor(node.fills)),
+  stroke: (node) => (node.stroke !== undefined ? normalizeColor(node.stroke) : paintColor(node.strokes)),
+  strokeWidth: (node) => node.strokeWidth ?? node.strokeWeight,
+  color: (node) => (node.color !== undefined ? normalizeColor(node.color) : paintColor(node.fills)),
+  layout: (node) => node.layout ?? (node.layoutMode ? node.layoutMode.toLowerCase() : undefined),
+  gap: (node) => node.gap ?? node.itemSpacing,
+  padding: (node) => {
+    if (node.padding !== undefined) return normalizePadding(node.padding);
+    if (node.paddingTop === undefined) return undefined;
+    return [node.paddingTop, node.paddingRight, node.paddingBottom, node.paddingLeft];
+  },
+  fontFamily: (node) => node.fontFamily ?? node.fontName?.family,
+  fontWeight: (node) => {
+    if (node.fontWeight !== undefined || !node.fontName) return node.fontWeight;
+    const style = String(node.fontName.style || '').toLowerCase().replace(/[\s-]|italic/g, '');
+    return FONT_WEIGHTS[style || 'regular'] ?? style;
+  },
+  lineHeight: (node) => {
+    const lineHeight = node.lineHeight;
+    if (!lineHeight || typeof lineHeight !== 'object') return lineHeight;
+    if (lineHeight.unit === 'PIXELS') return lineHeight.value;
+    return lineHeight.unit === 'PERCENT' ? `${lineHeight.value}%` : undefined;
+  },
+  align: (node) => {
+    if (node.align !== undefined) return node.align;
+    if (node.primaryAxisAlignItems === 'SPACE_BETWEEN') return 'space-between';
+    return { MIN: 'start', CENTER: 'center', MAX: 'end' }[node.counterAxisAlignItems];
+  },
+  clipContent: (node) => node.clipContent ?? node.clipsContent,
+  textAlign: (node) => node.textAlign ?? (node.textAlignHorizontal ? node.textAlignHorizontal.toLowerCase() : undefined)
+};
+
+/**
+ * The node's value for a spec prop, or undefined when the node doesn't say.
+ * Component properties match by name ("label" finds "Label#12:0").
+ */
+function readProp(node, prop) {
+  if (READERS[prop]) return READERS[prop](node);
+  if (node[prop] !== undefined) return node[prop];
+  
+  const properties = node.componentProperties || {};
+  const key = Object.keys(properties).find((name) => name.split('#')[0].toLowerCase() === prop.toLowerCase());
+  const property = key === undefined ? undefined : properties[key];
+  return property && typeof property === 'object' && 'value' in property ? property.value : property;
+}
+
+function normalizeValue(prop, value) {
+  if (['fill', 'stroke', 'color'].includes(prop)) return normalizeColor(value);
+  if (prop === 'padding') return normalizePadding(value);
+  return value;
+}
+
+function sameValue(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return Math.abs(a - b) < 0.01;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((value, i) => sameValue(value, b[i]));
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+// -----------------------------------------------------------------------------
+// MATCHING
+// -----------------------------------------------------------------------------
+
+function componentName(node) {
+  return node.componentName || node.mainComponent?.name || null;
+}
+
+/**
+ * Can the node stand for the spec node without being replaced?
+ */
+function sameKind(node, spec) {
+  if (spec.$ !== undefined) {
+    const component = componentName(node);
+    return component ? component === spec.$ : node.name === spec.$;
+  }
+  const types = NODE_TYPES[spec.type] || [String(spec.type).toUpperCase()];
+  return types.includes(String(node.type || '').toUpperCase());
+}
+
+function kindLabel(spec) {
+  return spec.$ !== undefined ? spec.$ : spec.type;
+}
+
+/**
+ * Pair spec children with current children. Returns one entry per spec
+ * child: the matched node, or null.
+ */
+function matchChildren(nodes, specs, path) {
+  const used = new Set();
+  const matched = specs.map(() => null);
+  
+  const claim = (i, predicate) => {
+    if (matched[i]) return;
+    const node = nodes.find((n) => !used.has(n) && predicate(n));
+    if (node) {
+      matched[i] = node;
+      used.add(node);
+    }
+  };
+  
+  specs.forEach((spec, i) => {
+    if (spec.id === undefined) return;
+    const node = nodes.find((n) => n.id === spec.id);
+    if (!node) throw syncError(400, `${path}/children/${i}: node ${spec.id} is not a child of this node`);
+    if (used.has(node)) throw syncError(400, `${path}/children/${i}: node ${spec.id} is used twice`);
+    matched[i] = node;
+    used.add(node);
+  });
+  specs.forEach((spec, i) => {
+    if (spec.name !== undefined) claim(i, (n) => n.name === spec.name && sameKind(n, spec));
+  });
+  specs.forEach((spec, i) => {
+    if (spec.name === undefined && spec.id === undefined) claim(i, (n) => sameKind(n, spec));
+  });
+  
+  return matched;
+}
+
+/**
+ * Indexes (into `positions`) of a longest increasing subsequence
+ */
+function longestIncreasing(positions) {
+  const tails = [];
+  const previous = [];
+  positions.forEach((position, i) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (positions[tails[mid]] < position) lo = mid + 1;
+      else hi = mid;
+    }
+    previous[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  });
+  
+  const result = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) result.add(i);
+  return result;
+}
+
+// -----------------------------------------------------------------------------
+// PLANNING
+// -----------------------------------------------------------------------------
+
+function withoutIds(spec) {
+  const { id, children, ...rest } = spec;
+  return Array.isArray(children) ? { ...rest, children: children.map(withoutIds) } : rest;
+}
+
+/**
+ * Plan the operations that make `node` match `spec`. `basePath` prefixes
+ * the JSON pointers in errors. Returns { operations, changes, summary }:
+ * `changes` has one entry per operation, describing it with the node's path
+ * and, for updates, the previous values.
+ */
+function planSync(node, spec, basePath = '') {
+  if (!sameKind(node, spec)) {
+    throw syncError(409, `Node ${node.id} is a ${node.type}, not a ${kindLabel(spec)}; its kind cannot be changed in place`);
+  }
+  
+  const operations = [];
+  const changes = [];
+  const add = (operation, change) => {
+    operations.push(operation);
+    changes.push(change);
+  };
+  
+  const visit = (current, desired, path, specPath) => {
+    const from = {};
+    const updates = {};
+    Object.entries(desired).forEach(([prop, value]) => {
+      if (['$', 'type', 'id', 'children'].includes(prop)) return;
+      const actual = readProp(current, prop);
+      if (actual !== undefined && sameValue(normalizeValue(prop, actual), normalizeValue(prop, value))) return;
+      updates[prop] = value;
+      from[prop] = actual === undefined ? null : actual;
+    });
+    if (Object.keys(updates).length > 0) {
+      add({ type: 'update-node', targetId: current.id, updates }, { type: 'update', nodeId: current.id, path, from, to: updates });
+    }
+    
+    if (!Array.isArray(desired.children)) return;
+    
+    const nodes = current.children || [];
+    const specs = desired.children;
+    const matched = matchChildren(nodes, specs, specPath);
+    const kept = new Set(matched.filter(Boolean));
+    
+    nodes.forEach((child) => {
+      if (kept.has(child)) return;
+      add({ type: 'delete-node', targetId: child.id }, { type: 'delete', nodeId: child.id, path: `${path} / ${child.name}` });
+    });
+    
+    // Children already in order stay put; the rest move next to the child
+    // before them, and new ones are inserted there
+    const order = nodes.filter((child) => kept.has(child));
+    const stable = longestIncreasing(matched.filter(Boolean).map((child) => order.indexOf(child)));
+    const stableNodes = new Set(matched.filter(Boolean).filter((child, i) => stable.has(i)));
+    
+    let previous = null;
+    specs.forEach((childSpec, i) => {
+      const child = matched[i];
+      const label = childSpec.name || (child && child.name) || kindLabel(childSpec);
+      
+      if (!child) {
+        const index = previous ? order.indexOf(previous) + 1 : 0;
+        const ref = { id: null, spec: childSpec };
+        order.splice(index, 0, ref);
+        previous = ref;
+        add(
+          { type: 'insert-child', targetId: current.id, childIndex: index, newChild: withoutIds(childSpec) },
+          { type: 'insert', parentId: current.id, path: `${path} / ${label}`, index }
+        );
+        return;
+      }
+      
+      if (!stableNodes.has(child)) {
+        order.splice(order.indexOf(child), 1);
+        const index = previous ? order.indexOf(previous) + 1 : 0;
+        order.splice(index, 0, child);
+        add(
+          { type: 'move-node', targetId: child.id, index },
+          { type: 'move', nodeId: child.id, path: `${path} / ${label}`, index }
+        );
+      }
+      previous = child;
+    });
+    
+    specs.forEach((childSpec, i) => {
+      if (matched[i]) visit(matched[i], childSpec, `${path} / ${matched[i].name}`, `${specPath}/children/${i}`);
+    });
+  };
+  
+  visit(node, spec, node.name || node.id, basePath);
+  
+  const summary = { update: 0, insert: 0, delete: 0, move: 0 };
+  changes.forEach((change) => { summary[change.type]++; });
+  return { operations, changes, summary };
+}
+
+module.exports = {
+  planSync,
+  readProp,
+  NODE_TYPES,
+  normalizeColor
+};
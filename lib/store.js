@@ -0,0 +1,222 @@
+// =============================================================================
+// CACHE STORE - Persistent selection and variables history
+// =============================================================================
+//
+// Keeps a bounded history of snapshots per Figma file, for two kinds of data:
+//   selection: { id, kind, fileKey, fileName, clientId, timestamp, nodeCount, data }
+//   variables: { id, kind, fileKey, fileName, clientId, timestamp, collectionCount, variables }
+//
+// The store holds its state in memory and hands the whole state to a backend
+// to persist. Backends implement:
+//   load()          -> state or null
+//   save(state)     -> Promise (called at most once per second)
+//   saveSync(state) -> optional, used on shutdown
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KINDS = ['selection', 'variables'];
+
+// Snapshots without a fileKey are grouped under this key
+const UNKNOWN_FILE = '_unknown';
+
+const SAVE_DELAY = 1000;
+
+// -----------------------------------------------------------------------------
+// BACKENDS
+// -----------------------------------------------------------------------------
+
+/**
+ * Keeps nothing across restarts
+ */
+function createMemoryBackend() {
+  return {
+    name: 'memory',
+    load: () => null,
+    save: async () => {},
+    saveSync: () => {}
+  };
+}
+
+/**
+ * Persists the state as one JSON file, written atomically (temp file + rename)
+ */
+function createFileBackend({ filePath }) {
+  const tempPath = `${filePath}.tmp`;
+  
+  return {
+    name: 'file',
+    filePath,
+    load() {
+      if (!fs.existsSync(filePath)) return null;
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    },
+    async save(state) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(state));
+      await fs.promises.rename(tempPath, filePath);
+    },
+    saveSync(state) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(state));
+      fs.renameSync(tempPath, filePath);
+    }
+  };
+}
+
+/**
+ * Pick a backend: "file", "memory", or a path to a module exporting
+ * createBackend(options)
+ */
+function createBackend(name, options) {
+  if (!name || name === 'file') return createFileBackend(options);
+  if (name === 'memory') return createMemoryBackend();
+  return require(path.resolve(name)).createBackend(options);
+}
+
+// -----------------------------------------------------------------------------
+// STORE
+// -----------------------------------------------------------------------------
+
+function hashContent(value) {
+  return crypto.createHash('sha1').update(JSON.stringify(value ?? null)).digest('hex');
+}
+
+function emptyState() {
+  return { version: 1, selection: {}, variables: {} };
+}
+
+// Snapshot without its (potentially large) payload
+function summarize(snapshot) {
+  const { data, variables, hash, ...summary } = snapshot;
+  return summary;
+}
+
+/**
+ * Create a cache store.
+ * options: { backend, filePath, historyLimit }
+ */
+function createStore(options = {}) {
+  const historyLimit = options.historyLimit || 20;
+  const backend = createBackend(options.backend, options);
+  
+  let state = emptyState();
+  try {
+    state = { ...emptyState(), ...(backend.load() || {}) };
+  } catch (err) {
+    console.error(`Failed to load cache store (${backend.name}), starting empty:`, err.message);
+  }
+  
+  let saveTimer = null;
+  let saving = Promise.resolve();
+  
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      saving = saving
+        .then(() => backend.save(state))
+        .catch((err) => console.error('Failed to save cache store:', err.message));
+    }, SAVE_DELAY);
+    saveTimer.unref();
+  }
+  
+  function historyFor(kind, fileKey) {
+    if (!KINDS.includes(kind)) throw new Error(`Unknown snapshot kind: ${kind}`);
+    const key = fileKey || UNKNOWN_FILE;
+    if (!state[kind][key]) state[kind][key] = [];
+    return state[kind][key];
+  }
+  
+  return {
+    backend: backend.name,
+    historyLimit,
+    
+    /**
+     * Record a snapshot. An unchanged payload only refreshes the latest
+     * snapshot's timestamp instead of adding a history entry.
+     */
+    addSnapshot(kind, snapshot) {
+      const history = historyFor(kind, snapshot.fileKey);
+      const hash = hashContent(kind === 'selection' ? snapshot.data : snapshot.variables);
+      const latest = history[history.length - 1];
+      
+      if (latest && latest.hash === hash) {
+        latest.timestamp = snapshot.timestamp;
+        latest.clientId = snapshot.clientId;
+        scheduleSave();
+        return latest;
+      }
+      
+      const stored = {
+        id: `snap_${snapshot.timestamp}_${Math.random().toString(36).substr(2, 9)}`,
+        kind,
+        ...snapshot,
+        fileKey: snapshot.fileKey || null,
+        hash
+      };
+      history.push(stored);
+      if (history.length > historyLimit) {
+        history.splice(0, history.length - historyLimit);
+      }
+      scheduleSave();
+      return stored;
+    },
+    
+    /**
+     * List snapshot summaries, newest first, optionally for one file
+     */
+    listSnapshots(kind, fileKey) {
+      const keys = fileKey ? [fileKey] : Object.keys(state[kind]);
+      return keys
+        .flatMap((key) => (state[kind][key] || []).slice().reverse())
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .map(summarize);
+    },
+    
+    /**
+     * Fetch one snapshot with its payload
+     */
+    getSnapshot(kind, snapshotId) {
+      for (const history of Object.values(state[kind])) {
+        const snapshot = history.find((s) => s.id === snapshotId);
+        if (snapshot) return snapshot;
+      }
+      return null;
+    },
+    
+    /**
+     * Most recent snapshot, optionally for one file
+     */
+    getLatest(kind, fileKey) {
+      const keys = fileKey ? [fileKey] : Object.keys(state[kind]);
+      let latest = null;
+      keys.forEach((key) => {
+        const history = state[kind][key] || [];
+        const candidate = history[history.length - 1];
+        if (candidate && (!latest || candidate.timestamp > latest.timestamp)) {
+          latest = candidate;
+        }
+      });
+      return latest;
+    },
+    
+    /**
+     * Write pending changes synchronously (used on shutdown)
+     */
+    flushSync() {
+      if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+      }
+      if (backend.saveSync) backend.saveSync(state);
+    }
+  };
+}
+
+module.exports = {
+  createStore,
+  createFileBackend,
+  createMemoryBackend
+};
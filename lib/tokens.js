@@ -0,0 +1,676 @@
+// =============================================================================
+// TOKENS - Normalize Figma Variables and export them as design tokens
+// =============================================================================
+//
+// The plugin's `variables-data` payload is normalized to:
+//   collections: [{ id, name, modes: [{ id, name }], defaultModeId }]
+//   variables:   [{ id, name, collectionId, type, description, valuesByMode }]
+// where `type` is COLOR | FLOAT | STRING | BOOLEAN and each value is a color
+// { r, g, b, a } (0-1 channels), a number, a string, a boolean, or an alias
+// { alias: variableId }.
+//
+// Export formats: dtcg, css, scss, tailwind, json. Aliases are either kept as
+// references ("reference") or replaced by the value they point to ("resolve").
+
+const FORMATS = ['dtcg', 'css', 'scss', 'tailwind', 'json'];
+const ALIAS_MODES = ['reference', 'resolve'];
+
+const CONTENT_TYPES = {
+  dtcg: 'application/json',
+  json: 'application/json',
+  css: 'text/css',
+  scss: 'text/x-scss',
+  tailwind: 'application/javascript'
+};
+
+const FILE_EXTENSIONS = {
+  dtcg: 'tokens.json',
+  json: 'json',
+  css: 'css',
+  scss: 'scss',
+  tailwind: 'tailwind.config.js'
+};
+
+// FLOAT variables whose names match this are emitted without a px unit
+const UNITLESS = /opacity|weight|z-?index|line-?height|ratio|scale|duration|delay|columns?|order|flex/i;
+
+// -----------------------------------------------------------------------------
+// NORMALIZATION
+// -----------------------------------------------------------------------------
+
+function normalizeType(type) {
+  const upper = String(type || '').toUpperCase();
+  if (upper === 'NUMBER') return 'FLOAT';
+  if (upper === 'COLOR' || upper === 'FLOAT' || upper === 'STRING' || upper === 'BOOLEAN') return upper;
+  return 'STRING';
+}
+
+// Modes may arrive as [{ modeId, name }], [{ id, name }] or { modeId: name }
+function normalizeModes(modes) {
+  if (Array.isArray(modes)) {
+    return modes.map((mode) => ({ id: String(mode.modeId || mode.id || mode.name), name: mode.name || String(mode.modeId || mode.id) }));
+  }
+  if (modes && typeof modes === 'object') {
+    return Object.entries(modes).map(([id, name]) => ({ id, name: String(name) }));
+  }
+  return [];
+}
+
+function normalizeValue(value) {
+  if (value && typeof value === 'object') {
+    if (value.type === 'VARIABLE_ALIAS') return { alias: value.id };
+    if (value.alias !== undefined) return { alias: value.alias };
+  }
+  return value;
+}
+
+/**
+ * Normalize a raw `variables` array (and optional `collections` array) as sent
+ * by the plugin
+ */
+function normalizeVariables(rawVariables = [], rawCollections = []) {
+  const collections = new Map();
+  
+  rawCollections.forEach((collection) => {
+    const modes = normalizeModes(collection.modes);
+    collections.set(String(collection.id || collection.name), {
+      id: String(collection.id || collection.name),
+      name: collection.name || String(collection.id),
+      modes,
+      defaultModeId: String(collection.defaultModeId || modes[0]?.id || '')
+    });
+  });
+  
+  const variables = rawVariables.map((raw) => {
+    const collectionObject = raw.collection && typeof raw.collection === 'object' ? raw.collection : null;
+    const collectionName = raw.collectionName || collectionObject?.name ||
+      (typeof raw.collection === 'string' ? raw.collection : null);
+    const collectionId = String(raw.variableCollectionId || raw.collectionId || collectionObject?.id || collectionName || 'default');
+    
+    if (!collections.has(collectionId)) {
+      collections.set(collectionId, {
+        id: collectionId,
+        name: collectionName || collectionId,
+        modes: [],
+        defaultModeId: ''
+      });
+    }
+    const collection = collections.get(collectionId);
+    
+    // Learn modes from the variable when the collection list didn't provide them
+    const valuesByMode = {};
+    const rawValues = raw.valuesByMode || raw.values || {};
+    const variableModes = normalizeModes(raw.modes || collectionObject?.modes);
+    Object.entries(rawValues).forEach(([modeKey, value]) => {
+      const known = collection.modes.find((m) => m.id === modeKey || m.name === modeKey) ||
+        variableModes.find((m) => m.id === modeKey || m.name === modeKey);
+      const mode = known || { id: modeKey, name: modeKey };
+      if (!collection.modes.some((m) => m.id === mode.id)) collection.modes.push(mode);
+      valuesByMode[mode.id] = normalizeValue(value);
+    });
+    if (!collection.defaultModeId && collection.modes.length > 0) {
+      collection.defaultModeId = String(raw.defaultModeId || collectionObject?.defaultModeId || collection.modes[0].id);
+    }
+    
+    return {
+      id: String(raw.id || `${collectionId}:${raw.name}`),
+      name: raw.name,
+      collectionId,
+      type: normalizeType(raw.resolvedType || raw.type),
+      description: raw.description || '',
+      valuesByMode
+    };
+  });
+  
+  // Aliases may name their target instead of giving its ID
+  const byName = new Map(variables.map((v) => [v.name, v.id]));
+  variables.forEach((variable) => {
+    Object.values(variable.valuesByMode).forEach((value) => {
+      if (value && value.alias !== undefined && !variables.some((v) => v.id === value.alias) && byName.has(value.alias)) {
+        value.alias = byName.get(value.alias);
+      }
+    });
+  });
+  
+  return { collections: [...collections.values()], variables };
+}
+
+// -----------------------------------------------------------------------------
+// VALUE HELPERS
+// -----------------------------------------------------------------------------
+
+function isAlias(value) {
+  return Boolean(value) && typeof value === 'object' && value.alias !== undefined;
+}
+
+function channelToHex(channel) {
+  return Math.round(Math.max(0, Math.min(1, channel)) * 255).toString(16).padStart(2, '0');
+}
+
+function colorToHex(color) {
+  if (typeof color === 'string') return color;
+  const hex = `#${channelToHex(color.r)}${channelToHex(color.g)}${channelToHex(color.b)}`;
+  return color.a !== undefined && color.a < 1 ? `${hex}${channelToHex(color.a)}` : hex;
+}
+
+// Lowercase kebab-case slug for CSS / SCSS names
+function slugify(text) {
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function pathSegments(name) {
+  return String(name).split('/').map((segment) => segment.trim()).filter(Boolean);
+}
+
+/**
+ * Index a normalized set for lookups
+ */
+function createIndex(normalized) {
+  return {
+    ...normalized,
+    variablesById: new Map(normalized.variables.map((v) => [v.id, v])),
+    collectionsById: new Map(normalized.collections.map((c) => [c.id, c]))
+  };
+}
+
+/**
+ * The mode an alias target is read in: the same mode when the target is in
+ * the same collection, otherwise the target collection's default mode
+ */
+function targetModeId(index, fromCollectionId, modeId, target) {
+  if (target.collectionId === fromCollectionId && target.valuesByMode[modeId] !== undefined) return modeId;
+  return index.collectionsById.get(target.collectionId)?.defaultModeId;
+}
+
+/**
+ * Follow an alias chain to a concrete value (null on broken or circular aliases)
+ */
+function resolveValue(index, variable, modeId, seen = new Set()) {
+  const value = variable.valuesByMode[modeId];
+  if (!isAlias(value)) return value;
+  if (seen.has(variable.id)) return null;
+  seen.add(variable.id);
+  
+  const target = index.variablesById.get(value.alias);
+  if (!target) return null;
+  return resolveValue(index, target, targetModeId(index, variable.collectionId, modeId, target), seen);
+}
+
+function formatNumber(variable, value) {
+  if (typeof value !== 'number') return String(value);
+  return UNITLESS.test(variable.name) ? String(value) : `${value}px`;
+}
+
+// Literal CSS / SCSS value
+function formatCssValue(variable, value) {
+  if (value === null || value === undefined) return 'initial';
+  switch (variable.type) {
+    case 'COLOR': return colorToHex(value);
+    case 'FLOAT': return formatNumber(variable, value);
+    case 'BOOLEAN': return value ? 'true' : 'false';
+    default: return JSON.stringify(String(value));
+  }
+}
+
+// -----------------------------------------------------------------------------
+// NAMING
+// -----------------------------------------------------------------------------
+
+function cssName(index, variable) {
+  const collection = index.collectionsById.get(variable.collectionId);
+  return `--${slugify(`${collection.name}-${pathSegments(variable.name).join('-')}`)}`;
+}
+
+// DTCG reference, e.g. "{Colors.brand.primary}"
+function dtcgReference(index, variable) {
+  const collection = index.collectionsById.get(variable.collectionId);
+  return `{${[collection.name, ...pathSegments(variable.name)].join('.')}}`;
+}
+
+function modeName(collection, modeId) {
+  return collection.modes.find((m) => m.id === modeId)?.name || modeId;
+}
+
+// -----------------------------------------------------------------------------
+// FORMATS
+// -----------------------------------------------------------------------------
+
+const DTCG_TYPES = { COLOR: 'color', FLOAT: 'number', STRING: 'string', BOOLEAN: 'boolean' };
+
+/**
+ * A variable's value in one mode as a plain token value: hex for colors,
+ * "{Collection.path}" for kept aliases
+ */
+function tokenValue(index, variable, modeId, aliases) {
+  const value = variable.valuesByMode[modeId];
+  if (isAlias(value) && aliases === 'reference') {
+    const target = index.variablesById.get(value.alias);
+    if (target) return dtcgReference(index, target);
+  }
+  const resolved = resolveValue(index, variable, modeId);
+  return variable.type === 'COLOR' && resolved ? colorToHex(resolved) : resolved;
+}
+
+/**
+ * W3C Design Tokens (DTCG) JSON. The default mode is the token value; the
+ * other modes go under $extensions["com.figma"].modes.
+ */
+function toDtcg(index, { aliases }) {
+  const root = {};
+  
+  index.collections.forEach((collection) => {
+    root[collection.name] = {
+      $extensions: {
+        'com.figma': {
+          collectionId: collection.id,
+          modes: collection.modes.map((m) => m.name),
+          defaultMode: modeName(collection, collection.defaultModeId)
+        }
+      }
+    };
+  });
+  
+  index.variables.forEach((variable) => {
+    const collection = index.collectionsById.get(variable.collectionId);
+    const segments = pathSegments(variable.name);
+    let group = root[collection.name];
+    segments.slice(0, -1).forEach((segment) => {
+      group[segment] = group[segment] || {};
+      group = group[segment];
+    });
+    
+    const token = {
+      $type: DTCG_TYPES[variable.type],
+      $value: tokenValue(index, variable, collection.defaultModeId, aliases)
+    };
+    if (variable.description) token.$description = variable.description;
+    
+    const modes = {};
+    collection.modes.forEach((mode) => {
+      modes[mode.name] = tokenValue(index, variable, mode.id, aliases);
+    });
+    token.$extensions = { 'com.figma': { variableId: variable.id, modes } };
+    
+    group[segments[segments.length - 1]] = token;
+  });
+  
+  return JSON.stringify(root, null, 2);
+}
+
+function cssValue(index, variable, modeId, aliases) {
+  const value = variable.valuesByMode[modeId];
+  if (isAlias(value) && aliases === 'reference') {
+    const target = index.variablesById.get(value.alias);
+    if (target) return `var(${cssName(index, target)})`;
+  }
+  return formatCssValue(variable, resolveValue(index, variable, modeId));
+}
+
+/**
+ * CSS custom properties: default modes in :root, one block per other mode,
+ * selected with [data-<collection>="<mode>"]
+ */
+function toCss(index, { aliases }) {
+  const blocks = [];
+  const rootLines = [];
+  
+  index.collections.forEach((collection) => {
+    const variables = index.variables.filter((v) => v.collectionId === collection.id);
+    if (variables.length === 0) return;
+    
+    rootLines.push(`  /* ${collection.name} (${modeName(collection, collection.defaultModeId)}) */`);
+    variables.forEach((variable) => {
+      rootLines.push(`  ${cssName(index, variable)}: ${cssValue(index, variable, collection.defaultModeId, aliases)};`);
+    });
+    
+    collection.modes
+      .filter((mode) => mode.id !== collection.defaultModeId)
+      .forEach((mode) => {
+        const lines = variables.map((variable) => (
+          `  ${cssName(index, variable)}: ${cssValue(index, variable, mode.id, aliases)};`
+        ));
+        blocks.push(`[data-${slugify(collection.name)}="${slugify(mode.name)}"] {\n${lines.join('\n')}\n}`);
+      });
+  });
+  
+  return [`:root {\n${rootLines.join('\n')}\n}`, ...blocks].join('\n\n') + '\n';
+}
+
+/**
+ * SCSS: one variable per collection/mode/token, then one map per
+ * collection and mode. Variables are emitted so that aliases come after the
+ * variables they reference.
+ */
+function toScss(index, { aliases }) {
+  const entries = [];
+  const entryName = (variable, modeId) => {
+    const collection = index.collectionsById.get(variable.collectionId);
+    return `$${slugify(`${collection.name}-${modeName(collection, modeId)}-${pathSegments(variable.name).join('-')}`)}`;
+  };
+  
+  const emitted = new Set();
+  const visiting = new Set();
+  const emit = (variable, modeId) => {
+    const key = `${variable.id}@${modeId}`;
+    if (emitted.has(key) || visiting.has(key)) return;
+    visiting.add(key);
+    
+    const value = variable.valuesByMode[modeId];
+    let output;
+    const target = isAlias(value) ? index.variablesById.get(value.alias) : null;
+    const targetMode = target && targetModeId(index, variable.collectionId, modeId, target);
+    // A reference back into the chain being emitted would use a variable
+    // before it is defined; like a broken alias, it gets the resolved value
+    if (target && aliases === 'reference' && !visiting.has(`${target.id}@${targetMode}`)) {
+      emit(target, targetMode);
+      output = entryName(target, targetMode);
+    } else {
+      output = formatCssValue(variable, resolveValue(index, variable, modeId));
+    }
+    
+    visiting.delete(key);
+    emitted.add(key);
+    entries.push(`${entryName(variable, modeId)}: ${output};`);
+  };
+  
+  index.collections.forEach((collection) => {
+    collection.modes.forEach((mode) => {
+      index.variables
+        .filter((v) => v.collectionId === collection.id && v.valuesByMode[mode.id] !== undefined)
+        .forEach((variable) => emit(variable, mode.id));
+    });
+  });
+  
+  const maps = [];
+  index.collections.forEach((collection) => {
+    collection.modes.forEach((mode) => {
+      const lines = index.variables
+        .filter((v) => v.collectionId === collection.id && v.valuesByMode[mode.id] !== undefined)
+        .map((variable) => `  '${slugify(pathSegments(variable.name).join('-'))}': ${entryName(variable, mode.id)},`);
+      if (lines.length === 0) return;
+      maps.push(`$${slugify(`${collection.name}-${mode.name}`)}: (\n${lines.join('\n')}\n);`);
+    });
+  });
+  
+  return `${entries.join('\n')}\n\n${maps.join('\n\n')}\n`;
+}
+
+// Tailwind theme key for a variable, and the words that name it
+const TAILWIND_CATEGORIES = [
+  { key: 'borderRadius', type: 'FLOAT', match: /radius|rounded/i },
+  { key: 'fontSize', type: 'FLOAT', match: /font-?size|text-?size/i },
+  { key: 'fontWeight', type: 'FLOAT', match: /font-?weight|weight/i },
+  { key: 'lineHeight', type: 'FLOAT', match: /line-?height|leading/i },
+  { key: 'letterSpacing', type: 'FLOAT', match: /letter-?spacing|tracking/i },
+  { key: 'borderWidth', type: 'FLOAT', match: /border-?width|stroke/i },
+  { key: 'opacity', type: 'FLOAT', match: /opacity/i },
+  { key: 'zIndex', type: 'FLOAT', match: /z-?index/i },
+  { key: 'spacing', type: 'FLOAT', match: /.*/ },
+  { key: 'colors', type: 'COLOR', match: /.*/ },
+  { key: 'fontFamily', type: 'STRING', match: /font-?family|typeface/i }
+];
+
+// Theme keys whose numeric values are lengths
+const TAILWIND_PX_KEYS = ['spacing', 'borderRadius', 'fontSize', 'letterSpacing', 'borderWidth'];
+
+// Leading path segments that only repeat the category name
+const TAILWIND_REDUNDANT = /^(colou?rs?|spacing|space|radius|radii|rounded|font|family|size|weight|font-?size|font-?weight|font-?family|line-?height|letter-?spacing|opacity|z-?index|border-?width)$/i;
+
+function setNested(target, segments, value) {
+  let node = target;
+  segments.slice(0, -1).forEach((segment) => {
+    if (typeof node[segment] !== 'object') {
+      node[segment] = node[segment] === undefined ? {} : { DEFAULT: node[segment] };
+    }
+    node = node[segment];
+  });
+  const last = segments[segments.length - 1];
+  if (typeof node[last] === 'object') {
+    node[last].DEFAULT = value;
+  } else {
+    node[last] = value;
+  }
+}
+
+/**
+ * Tailwind `theme.extend`. With aliases=reference every value is the CSS
+ * custom property (use together with the css export, which makes modes work);
+ * with aliases=resolve values are literals from `mode` (default mode otherwise).
+ */
+function toTailwind(index, { aliases, mode }) {
+  const extend = {};
+  
+  index.variables.forEach((variable) => {
+    const slug = slugify(variable.name);
+    const category = TAILWIND_CATEGORIES.find((c) => c.type === variable.type && c.match.test(slug));
+    if (!category) return;
+    
+    const collection = index.collectionsById.get(variable.collectionId);
+    const modeId = collection.modes.find((m) => m.name === mode || m.id === mode)?.id || collection.defaultModeId;
+    
+    let segments = pathSegments(variable.name).map(slugify);
+    while (segments.length > 1 && TAILWIND_REDUNDANT.test(segments[0])) {
+      segments = segments.slice(1);
+    }
+    
+    let value;
+    if (aliases === 'reference') {
+      value = `var(${cssName(index, variable)})`;
+    } else {
+      const resolved = resolveValue(index, variable, modeId);
+      if (variable.type === 'COLOR') {
+        value = resolved ? colorToHex(resolved) : null;
+      } else if (variable.type === 'FLOAT') {
+        value = TAILWIND_PX_KEYS.includes(category.key) ? `${resolved}px` : String(resolved);
+      } else {
+        value = [String(resolved)];
+      }
+    }
+    
+    extend[category.key] = extend[category.key] || {};
+    setNested(extend[category.key], segments, value);
+  });
+  
+  return `/** @type {import('tailwindcss').Config} */\nmodule.exports = ${JSON.stringify({ theme: { extend } }, null, 2)};\n`;
+}
+
+/**
+ * Plain JSON: collections with mode names and each variable's value per mode
+ */
+function toJson(index, { aliases }) {
+  const output = {
+    collections: index.collections.map((collection) => ({
+      name: collection.name,
+      id: collection.id,
+      modes: collection.modes.map((m) => m.name),
+      defaultMode: modeName(collection, collection.defaultModeId),
+      variables: index.variables
+        .filter((v) => v.collectionId === collection.id)
+        .map((variable) => {
+          const values = {};
+          collection.modes.forEach((mode) => {
+            values[mode.name] = tokenValue(index, variable, mode.id, aliases);
+          });
+          return {
+            id: variable.id,
+            name: variable.name,
+            type: variable.type,
+            description: variable.description || undefined,
+            values
+          };
+        })
+    }))
+  };
+  return JSON.stringify(output, null, 2);
+}
+
+// -----------------------------------------------------------------------------
+// DTCG IMPORT
+// -----------------------------------------------------------------------------
+
+const FROM_DTCG_TYPES = {
+  color: 'COLOR',
+  number: 'FLOAT',
+  dimension: 'FLOAT',
+  fontWeight: 'FLOAT',
+  duration: 'FLOAT',
+  string: 'STRING',
+  fontFamily: 'STRING',
+  boolean: 'BOOLEAN'
+};
+
+const DTCG_REFERENCE = /^\{([^{}]+)\}$/;
+
+/**
+ * Parse #rgb, #rgba, #rrggbb or #rrggbbaa
+ */
+function hexToColor(hex) {
+  let digits = hex.replace('#', '');
+  if (digits.length === 3 || digits.length === 4) digits = digits.split('').map((d) => d + d).join('');
+  const channel = (i) => parseInt(digits.slice(i, i + 2), 16) / 255;
+  return {
+    r: channel(0),
+    g: channel(2),
+    b: channel(4),
+    a: digits.length === 8 ? channel(6) : 1
+  };
+}
+
+function parseDtcgValue(value, type) {
+  if (typeof value === 'string' && DTCG_REFERENCE.test(value)) {
+    return { reference: value.match(DTCG_REFERENCE)[1] };
+  }
+  if (type === 'COLOR' && typeof value === 'string' && /^#[0-9a-f]{3,8}$/i.test(value)) {
+    return hexToColor(value);
+  }
+  if (type === 'FLOAT') {
+    if (value && typeof value === 'object' && value.value !== undefined) return Number(value.value);
+    if (typeof value === 'string') return parseFloat(value);
+  }
+  return value;
+}
+
+/**
+ * Parse a DTCG token file into a normalized variable set.
+ * Top-level groups are collections (as written by the dtcg export), unless
+ * `options.collection` names a single collection for the whole file. Modes
+ * come from $extensions["com.figma"].modes, with $value taking the default
+ * mode; tokens without them get one mode.
+ * Variable IDs are "<collection>/<path>".
+ */
+function parseDtcg(json, options = {}) {
+  const groups = options.collection ? { [options.collection]: json } : json;
+  const collections = [];
+  const variables = [];
+  
+  Object.entries(groups || {}).forEach(([collectionName, group]) => {
+    if (collectionName.startsWith('$') || !group || typeof group !== 'object') return;
+    
+    const figma = group.$extensions?.['com.figma'] || {};
+    const modeNames = [...(figma.modes || [])];
+    const collection = {
+      id: collectionName,
+      name: collectionName,
+      modes: [],
+      defaultModeId: figma.defaultMode || modeNames[0] || 'Default'
+    };
+    
+    const walk = (node, path, inheritedType) => {
+      const type = node.$type || inheritedType;
+      if (node.$value !== undefined) {
+        const variableType = FROM_DTCG_TYPES[type] || 'STRING';
+        const modes = node.$extensions?.['com.figma']?.modes;
+        const valuesByMode = {};
+        if (modes && Object.keys(modes).length > 0) {
+          Object.entries(modes).forEach(([modeName, value]) => {
+            if (!modeNames.includes(modeName)) modeNames.push(modeName);
+            valuesByMode[modeName] = parseDtcgValue(value, variableType);
+          });
+        }
+        // $value is what tools edit, so it wins for the default mode
+        valuesByMode[collection.defaultModeId] = parseDtcgValue(node.$value, variableType);
+        
+        const name = path.join('/');
+        variables.push({
+          id: `${collectionName}/${name}`,
+          name,
+          collectionId: collectionName,
+          type: variableType,
+          description: node.$description || '',
+          valuesByMode
+        });
+        return;
+      }
+      
+      Object.entries(node).forEach(([key, child]) => {
+        if (key.startsWith('$') || !child || typeof child !== 'object') return;
+        walk(child, [...path, key], type);
+      });
+    };
+    walk(group, [], undefined);
+    
+    if (!modeNames.includes(collection.defaultModeId)) modeNames.unshift(collection.defaultModeId);
+    collection.modes = modeNames.map((name) => ({ id: name, name }));
+    collections.push(collection);
+  });
+  
+  // Turn "{Collection.group.token}" references into aliases
+  const ids = new Map(variables.map((v) => [[v.collectionId, ...pathSegments(v.name)].join('.'), v.id]));
+  variables.forEach((variable) => {
+    Object.entries(variable.valuesByMode).forEach(([modeId, value]) => {
+      if (value && typeof value === 'object' && value.reference !== undefined) {
+        const target = ids.get(value.reference) ||
+          (options.collection ? ids.get(`${options.collection}.${value.reference}`) : undefined);
+        variable.valuesByMode[modeId] = target ? { alias: target } : null;
+      }
+    });
+  });
+  
+  return { collections, variables };
+}
+
+const EXPORTERS = {
+  dtcg: toDtcg,
+  css: toCss,
+  scss: toScss,
+  tailwind: toTailwind,
+  json: toJson
+};
+
+/**
+ * Export a normalized variable set.
+ * options: { format, aliases: 'reference' | 'resolve', mode }
+ * Returns { body, contentType, extension }.
+ */
+function exportTokens(normalized, options = {}) {
+  const format = options.format || 'dtcg';
+  const aliases = options.aliases || 'reference';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (expected ${FORMATS.join(', ')})`);
+  }
+  if (!ALIAS_MODES.includes(aliases)) {
+    throw new Error(`Unknown aliases option: ${aliases} (expected ${ALIAS_MODES.join(', ')})`);
+  }
+  
+  const body = EXPORTERS[format](createIndex(normalized), { aliases, mode: options.mode });
+  return { body, contentType: CONTENT_TYPES[format], extension: FILE_EXTENSIONS[format] };
+}
+
+module.exports = {
+  FORMATS,
+  ALIAS_MODES,
+  normalizeVariables,
+  createIndex,
+  resolveValue,
+  tokenValue,
+  colorToHex,
+  hexToColor,
+  slugify,
+  pathSegments,
+  exportTokens,
+  parseDtcg
+};
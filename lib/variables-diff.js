@@ -0,0 +1,353 @@
+// =============================================================================
+// VARIABLES DIFF - Compare two normalized variable sets
+// =============================================================================
+//
+// Collections are matched by name and modes by mode name, because IDs differ
+// between files. Variables are matched by ID when both sides come from the
+// same file, and by name otherwise. A variable whose ID stayed the same but
+// whose name changed is a rename. Across files, an unmatched removed/added pair
+// in the same collection, with the same type and the same values in every
+// mode, is also treated as a rename.
+
+const { createIndex, tokenValue, hexToColor } = require('./tokens');
+
+// Comparable value of a variable in a mode (aliases kept as references)
+function valueIn(index, variable, modeId) {
+  if (modeId === undefined || variable.valuesByMode[modeId] === undefined) return undefined;
+  return tokenValue(index, variable, modeId, 'reference');
+}
+
+function valuesByModeName(index, variable) {
+  const collection = index.collectionsById.get(variable.collectionId);
+  const values = {};
+  collection.modes.forEach((mode) => {
+    const value = valueIn(index, variable, mode.id);
+    if (value !== undefined) values[mode.name] = value;
+  });
+  return values;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function describeVariable(index, variable) {
+  return {
+    id: variable.id,
+    name: variable.name,
+    type: variable.type,
+    values: valuesByModeName(index, variable)
+  };
+}
+
+/**
+ * Diff `base` against `head` (both normalized with tokens.normalizeVariables
+ * or tokens.parseDtcg).
+ * Returns { summary: { added, removed, renamed, changed }, collections: [...] }.
+ */
+function diffVariables(base, head) {
+  const before = createIndex(base);
+  const after = createIndex(head);
+  
+  // IDs only mean something when both sides share them
+  const sharedIds = before.variables.some((v) => after.variablesById.has(v.id));
+  
+  const collectionNames = [...new Set([
+    ...before.collections.map((c) => c.name),
+    ...after.collections.map((c) => c.name)
+  ])];
+  
+  const collections = collectionNames.map((name) => {
+    const oldCollection = before.collections.find((c) => c.name === name);
+    const newCollection = after.collections.find((c) => c.name === name);
+    const oldVariables = oldCollection ? before.variables.filter((v) => v.collectionId === oldCollection.id) : [];
+    const newVariables = newCollection ? after.variables.filter((v) => v.collectionId === newCollection.id) : [];
+    
+    const entry = {
+      name,
+      status: !oldCollection ? 'added' : (!newCollection ? 'removed' : 'present'),
+      modesAdded: [],
+      modesRemoved: [],
+      added: [],
+      removed: [],
+      renamed: [],
+      changed: []
+    };
+    
+    if (oldCollection && newCollection) {
+      const oldModes = oldCollection.modes.map((m) => m.name);
+      const newModes = newCollection.modes.map((m) => m.name);
+      entry.modesAdded = newModes.filter((m) => !oldModes.includes(m));
+      entry.modesRemoved = oldModes.filter((m) => !newModes.includes(m));
+    }
+    
+    const matched = new Set();
+    const pairs = [];
+    oldVariables.forEach((oldVariable) => {
+      const match = newVariables.find((v) => !matched.has(v.id) &&
+        (sharedIds ? v.id === oldVariable.id : v.name === oldVariable.name));
+      if (match) {
+        matched.add(match.id);
+        pairs.push([oldVariable, match]);
+      } else {
+        entry.removed.push(oldVariable);
+      }
+    });
+    entry.added = newVariables.filter((v) => !matched.has(v.id));
+    
+    // Value-identical removed/added pairs are renames
+    if (!sharedIds) {
+      entry.removed = entry.removed.filter((oldVariable) => {
+        const oldValues = valuesByModeName(before, oldVariable);
+        const match = entry.added.find((v) => v.type === oldVariable.type &&
+          sameValue(valuesByModeName(after, v), oldValues));
+        if (!match) return true;
+        entry.added = entry.added.filter((v) => v !== match);
+        pairs.push([oldVariable, match]);
+        return false;
+      });
+    }
+    
+    pairs.forEach(([oldVariable, newVariable]) => {
+      if (oldVariable.name !== newVariable.name) {
+        entry.renamed.push({ id: newVariable.id, baseId: oldVariable.id, from: oldVariable.name, to: newVariable.name });
+      }
+      
+      const modes = [];
+      const oldValues = valuesByModeName(before, oldVariable);
+      const newValues = valuesByModeName(after, newVariable);
+      [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])].forEach((mode) => {
+        if (!sameValue(oldValues[mode], newValues[mode])) {
+          modes.push({ mode, from: oldValues[mode] ?? null, to: newValues[mode] ?? null });
+        }
+      });
+      
+      if (modes.length > 0 || oldVariable.type !== newVariable.type) {
+        entry.changed.push({
+          id: newVariable.id,
+          baseId: oldVariable.id,
+          name: newVariable.name,
+          typeFrom: oldVariable.type !== newVariable.type ? oldVariable.type : undefined,
+          type: newVariable.type,
+          modes
+        });
+      }
+    });
+    
+    entry.added = entry.added.map((v) => describeVariable(after, v));
+    entry.removed = entry.removed.map((v) => describeVariable(before, v));
+    return entry;
+  });
+  
+  const count = (key) => collections.reduce((sum, c) => sum + c[key].length, 0);
+  return {
+    summary: {
+      added: count('added'),
+      removed: count('removed'),
+      renamed: count('renamed'),
+      changed: count('changed')
+    },
+    collections: collections.filter((c) => c.status !== 'present' || c.modesAdded.length || c.modesRemoved.length ||
+      c.added.length || c.removed.length || c.renamed.length || c.changed.length)
+  };
+}
+
+// -----------------------------------------------------------------------------
+// MARKDOWN
+// -----------------------------------------------------------------------------
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '—';
+  return `\`${typeof value === 'string' ? value : JSON.stringify(value)}\``;
+}
+
+function formatValues(values) {
+  return Object.entries(values).map(([mode, value]) => `${mode} ${formatValue(value)}`).join(', ');
+}
+
+/**
+ * Render a diff as a Markdown changelog. `labels` names the two sides.
+ */
+function diffToMarkdown(diff, labels = {}) {
+  const { summary } = diff;
+  const lines = ['# Variables changelog', ''];
+  
+  if (labels.base || labels.head) {
+    lines.push(`_${labels.base || 'base'} → ${labels.head || 'head'}_`, '');
+  }
+  
+  lines.push(`**${summary.added} added · ${summary.removed} removed · ${summary.renamed} renamed · ${summary.changed} changed**`, '');
+  
+  if (diff.collections.length === 0) {
+    lines.push('No changes.');
+    return lines.join('\n') + '\n';
+  }
+  
+  diff.collections.forEach((collection) => {
+    const suffix = collection.status === 'present' ? '' : ` (collection ${collection.status})`;
+    lines.push(`## ${collection.name}${suffix}`, '');
+    
+    if (collection.modesAdded.length > 0) lines.push(`Modes added: ${collection.modesAdded.join(', ')}`, '');
+    if (collection.modesRemoved.length > 0) lines.push(`Modes removed: ${collection.modesRemoved.join(', ')}`, '');
+    
+    if (collection.added.length > 0) {
+      lines.push('### Added', '');
+      collection.added.forEach((v) => lines.push(`- \`${v.name}\` (${v.type}): ${formatValues(v.values)}`));
+      lines.push('');
+    }
+    if (collection.removed.length > 0) {
+      lines.push('### Removed', '');
+      collection.removed.forEach((v) => lines.push(`- \`${v.name}\` (${v.type})`));
+      lines.push('');
+    }
+    if (collection.renamed.length > 0) {
+      lines.push('### Renamed', '');
+      collection.renamed.forEach((r) => lines.push(`- \`${r.from}\` → \`${r.to}\``));
+      lines.push('');
+    }
+    if (collection.changed.length > 0) {
+      lines.push('### Changed', '', '| Variable | Mode | Before | After |', '|----------|------|--------|-------|');
+      collection.changed.forEach((change) => {
+        if (change.typeFrom) {
+          lines.push(`| \`${change.name}\` | type | ${change.typeFrom} | ${change.type} |`);
+        }
+        change.modes.forEach((m) => {
+          lines.push(`| \`${change.name}\` | ${m.mode} | ${formatValue(m.from)} | ${formatValue(m.to)} |`);
+        });
+      });
+      lines.push('');
+    }
+  });
+  
+  return lines.join('\n');
+}
+
+// -----------------------------------------------------------------------------
+// TOKEN IMPORT PLANNING
+// -----------------------------------------------------------------------------
+
+const TOKEN_REFERENCE = /^\{([^{}]+)\}$/;
+
+/**
+ * Convert a token value (as produced by tokens.tokenValue) into the value a
+ * variable-ops message carries: colors as { r, g, b, a }, references as
+ * { aliasName, collection }
+ */
+function toPluginValue(value, type) {
+  if (typeof value === 'string' && TOKEN_REFERENCE.test(value)) {
+    const [collection, ...path] = value.match(TOKEN_REFERENCE)[1].split('.');
+    return { aliasName: path.join('/'), collection };
+  }
+  if (type === 'COLOR' && typeof value === 'string' && /^#[0-9a-f]{3,8}$/i.test(value)) {
+    return hexToColor(value);
+  }
+  return value;
+}
+
+function splitAliases(values, type) {
+  const plain = {};
+  const aliases = {};
+  Object.entries(values).forEach(([mode, value]) => {
+    if (value === null || value === undefined) return;
+    const converted = toPluginValue(value, type);
+    if (converted && typeof converted === 'object' && converted.aliasName !== undefined) {
+      aliases[mode] = converted;
+    } else {
+      plain[mode] = converted;
+    }
+  });
+  return { plain, aliases };
+}
+
+/**
+ * Work out the variable-ops that turn `current` into `incoming` (both
+ * normalized). Renames keep the existing variable; only changed modes are
+ * set. Variables and collections missing from `incoming` are deleted only
+ * with `prune`; modes missing from it are always kept and listed in
+ * `skipped`. Alias values are set after every variable exists.
+ * Returns { operations, skipped, diff }.
+ */
+function planTokenImport(current, incoming, options = {}) {
+  const diff = diffVariables(current, incoming);
+  const operations = [];
+  const aliasOperations = [];
+  const skipped = [];
+  
+  diff.collections.forEach((collection) => {
+    if (collection.status === 'removed') {
+      if (options.prune) {
+        const existing = current.collections.find((c) => c.name === collection.name);
+        operations.push({ type: 'delete-collection', collectionId: existing.id });
+      }
+      return;
+    }
+    
+    if (collection.status === 'added') {
+      const created = incoming.collections.find((c) => c.name === collection.name);
+      operations.push({ type: 'create-collection', name: collection.name, modes: created.modes.map((m) => m.name) });
+    }
+    
+    collection.modesAdded.forEach((mode) => {
+      operations.push({ type: 'add-mode', collection: collection.name, name: mode });
+    });
+    // There is no operation that removes a mode, even with prune
+    if (collection.modesRemoved.length > 0) {
+      skipped.push({ collection: collection.name, reason: `Modes not in tokens were kept: ${collection.modesRemoved.join(', ')}` });
+    }
+    
+    collection.renamed.forEach((rename) => {
+      operations.push({ type: 'rename-variable', variableId: rename.baseId, name: rename.to });
+    });
+    
+    collection.changed.forEach((change) => {
+      if (change.typeFrom) {
+        skipped.push({ collection: collection.name, variable: change.name, reason: `Type change ${change.typeFrom} -> ${change.type} is not supported; delete and re-create the variable` });
+        return;
+      }
+      const values = {};
+      change.modes.forEach((m) => {
+        if (m.to !== null) values[m.mode] = m.to;
+      });
+      const { plain, aliases } = splitAliases(values, change.type);
+      if (Object.keys(plain).length > 0) {
+        operations.push({ type: 'set-values', variableId: change.baseId, values: plain });
+      }
+      if (Object.keys(aliases).length > 0) {
+        aliasOperations.push({ type: 'set-values', variableId: change.baseId, values: aliases });
+      }
+    });
+    
+    collection.added.forEach((variable) => {
+      const { plain, aliases } = splitAliases(variable.values, variable.type);
+      const source = incoming.variables.find((v) => v.id === variable.id);
+      operations.push({
+        type: 'create-variable',
+        collection: collection.name,
+        name: variable.name,
+        resolvedType: variable.type,
+        description: source?.description || undefined,
+        values: plain
+      });
+      if (Object.keys(aliases).length > 0) {
+        aliasOperations.push({ type: 'set-values', collection: collection.name, name: variable.name, values: aliases });
+      }
+    });
+    
+    if (options.prune) {
+      collection.removed.forEach((variable) => {
+        operations.push({ type: 'delete-variable', variableId: variable.id });
+      });
+    } else if (collection.removed.length > 0) {
+      skipped.push({ collection: collection.name, reason: `${collection.removed.length} variable(s) not in tokens were kept` });
+    }
+  });
+  
+  return { operations: [...operations, ...aliasOperations], skipped, diff };
+}
+
+module.exports = {
+  diffVariables,
+  diffToMarkdown,
+  toPluginValue,
+  planTokenImport
+};
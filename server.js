@@ -1,19 +1,143 @@
 const express = require('express');
 const { WebSocketServer } = require('ws');
 const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const readline = require('readline');
+const { EventEmitter } = require('events');
 const cors = require('cors');
+const specSchema = require('./lib/spec-schema');
+const { createStore } = require('./lib/store');
+const tokens = require('./lib/tokens');
+const { diffVariables, diffToMarkdown, toPluginValue, planTokenImport } = require('./lib/variables-diff');
+const llm = require('./lib/llm');
+const { createFrameAnalyzer } = require('./lib/frame-analysis');
+const naming = require('./lib/naming');
+const { createAuditLog, changedNodes, inverseOperations } = require('./lib/audit');
+const nodeQuery = require('./lib/query');
+const { planSync } = require('./lib/spec-sync');
+const codegen = require('./lib/codegen');
+const { createSandboxDocument } = require('./lib/sandbox');
+const protocol = require('./lib/protocol');
+const mcp = require('./lib/mcp');
+const renders = require('./lib/renders');
+const lint = require('./lib/lint');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({ server, verifyClient: verifyPluginClient });
 
+const SERVER_VERSION = '5.5';
 const PORT = process.env.PORT || 3000;
 const API_KEY = process.env.FIGMA_RELAY_API_KEY || 'change-this-key';
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || '';
+const LLM_PROVIDER = process.env.FIGMA_RELAY_LLM_PROVIDER || 'anthropic';
+const LLM_MODEL = process.env.FIGMA_RELAY_LLM_MODEL || '';
+const LLM_MAX_TOKENS = Number(process.env.FIGMA_RELAY_LLM_MAX_TOKENS || 4096);
+const LLM_BASE_URL = process.env.FIGMA_RELAY_LLM_BASE_URL || '';
+const LLM_API_KEY = process.env.FIGMA_RELAY_LLM_API_KEY || '';
+const LLM_TIMEOUT = Number(process.env.FIGMA_RELAY_LLM_TIMEOUT_SECONDS || 60) * 1000;
+const LLM_RETRIES = Number(process.env.FIGMA_RELAY_LLM_RETRIES || 2);
+const ANALYZE_CHUNK_SIZE = Number(process.env.FIGMA_RELAY_ANALYZE_CHUNK_SIZE || 10);
+const ANALYZE_MAX_PROMPT_CHARS = Number(process.env.FIGMA_RELAY_ANALYZE_MAX_PROMPT_CHARS || 40000);
+const ANALYZE_CACHE_SIZE = Number(process.env.FIGMA_RELAY_ANALYZE_CACHE_SIZE || 1000);
+const ANALYZE_CACHE_TTL = Number(process.env.FIGMA_RELAY_ANALYZE_CACHE_TTL_HOURS || 24) * 60 * 60 * 1000;
+const NAMING_FILE = process.env.FIGMA_RELAY_NAMING_FILE || '';
+const NAMING_PROFILE = process.env.FIGMA_RELAY_NAMING_PROFILE || 'default';
+const NAMING_RETRIES = Number(process.env.FIGMA_RELAY_NAMING_RETRIES || 1);
+const KEYS_FILE = process.env.FIGMA_RELAY_KEYS_FILE || '';
+const WS_AUTH_ENABLED = process.env.FIGMA_RELAY_WS_AUTH !== 'off';
+const SCHEMA_FILE = process.env.FIGMA_RELAY_SCHEMA_FILE || '';
+const STORE_BACKEND = process.env.FIGMA_RELAY_STORE || 'file';
+const STORE_PATH = process.env.FIGMA_RELAY_STORE_PATH || './data/relay-store.json';
+const HISTORY_LIMIT = Number(process.env.FIGMA_RELAY_HISTORY_LIMIT || 20);
+const AUDIT_LIMIT = Number(process.env.FIGMA_RELAY_AUDIT_LIMIT || 1000);
+const AUDIT_FILE = process.env.FIGMA_RELAY_AUDIT_FILE || '';
+const HEARTBEAT_INTERVAL = Number(process.env.FIGMA_RELAY_HEARTBEAT_SECONDS ?? 30) * 1000;
+const RESUME_GRACE = Number(process.env.FIGMA_RELAY_RESUME_GRACE_SECONDS ?? 60) * 1000;
+const SANDBOX_MODE = process.env.FIGMA_RELAY_SANDBOX === 'on';
+const MCP_STDIO = process.env.FIGMA_RELAY_MCP_STDIO === 'on';
+const EXPORT_MAX_BYTES = Number(process.env.FIGMA_RELAY_EXPORT_MAX_MB || 50) * 1024 * 1024;
+const EXPORT_PENDING_BYTES = Number(process.env.FIGMA_RELAY_EXPORT_PENDING_MB || 200) * 1024 * 1024;
+const EXPORT_CACHE_BYTES = Number(process.env.FIGMA_RELAY_EXPORT_CACHE_MB ?? 100) * 1024 * 1024;
+const EXPORT_URL_TTL = Number(process.env.FIGMA_RELAY_EXPORT_URL_TTL_MINUTES || 15) * 60 * 1000;
+const EXPORT_DOWNLOADS_BYTES = Number(process.env.FIGMA_RELAY_EXPORT_DOWNLOADS_MB || 200) * 1024 * 1024;
+
+// With MCP on stdio, stdout carries JSON-RPC messages, so logs go to stderr
+if (MCP_STDIO) console.log = console.error;
 
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 
+// =============================================================================
+// API KEYS & SCOPES
+// =============================================================================
+
+// read:    selection, variables and other cached data
+// write:   create, update, replace, insert, delete
+// analyze: LLM-backed frame analysis
+// admin:   session and key management
+// plugin:  connect over WebSocket as a Figma plugin
+const ALL_SCOPES = ['read', 'write', 'analyze', 'admin', 'plugin'];
+
+// Key store - Key: key string, Value: { label, scopes }
+let apiKeys = loadApiKeys();
+
+/**
+ * Build the key store from FIGMA_RELAY_API_KEY (all scopes) plus the
+ * optional keys file: { "keys": [{ "key": "...", "label": "...", "scopes": ["read"] }] }
+ */
+function loadApiKeys() {
+  const keys = new Map();
+  keys.set(API_KEY, { label: 'default', scopes: ALL_SCOPES });
+  
+  if (!KEYS_FILE) return keys;
+  
+  const config = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
+  (config.keys || []).forEach((entry, i) => {
+    if (!entry.key) {
+      throw new Error(`${KEYS_FILE}: keys[${i}] is missing "key"`);
+    }
+    const scopes = (entry.scopes || []).includes('*') ? ALL_SCOPES : (entry.scopes || []);
+    const unknown = scopes.filter((scope) => !ALL_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`${KEYS_FILE}: keys[${i}] has unknown scopes: ${unknown.join(', ')}`);
+    }
+    keys.set(entry.key, { label: entry.label || `key-${i + 1}`, scopes });
+  });
+  
+  console.log(`Loaded ${keys.size - 1} API key(s) from ${KEYS_FILE}`);
+  return keys;
+}
+
+// Reload the keys file without restarting
+process.on('SIGHUP', () => {
+  try {
+    apiKeys = loadApiKeys();
+  } catch (err) {
+    console.error('Failed to reload API keys, keeping previous set:', err.message);
+  }
+});
+
+/**
+ * Check the token a plugin passes as ?token= during the WebSocket handshake
+ */
+function verifyPluginClient(info, callback) {
+  if (!WS_AUTH_ENABLED) return callback(true);
+  
+  const url = new URL(info.req.url, 'http://localhost');
+  const authHeader = info.req.headers.authorization || '';
+  const token = url.searchParams.get('token') ||
+    (authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+  const key = token ? apiKeys.get(token) : null;
+  
+  if (!key) return callback(false, 401, 'Unauthorized');
+  if (!key.scopes.includes('plugin')) return callback(false, 403, 'Forbidden');
+  
+  info.req.apiKey = key;
+  callback(true);
+}
+
 // =============================================================================
 // CLIENT & DATA MANAGEMENT
 // =============================================================================
@@ -25,126 +149,629 @@ const figmaClients = new Set();
 const selectionCache = new Map();
 
 // Variables cache - stores Figma Variable collections (v5.2)
-// Key: clientId, Value: { timestamp, variables: [], fileKey }
+// Key: clientId, Value: { timestamp, variables: [], collections: [], fileKey, fileName, collectionCount }
 const variablesCache = new Map();
 
+// Persistent history of selection and variables snapshots, per file.
+// Survives disconnects and restarts; the Maps above only hold connected clients
+// (and disconnected ones during the resume grace period).
+const cacheStore = createStore({
+  backend: STORE_BACKEND,
+  filePath: STORE_PATH,
+  historyLimit: HISTORY_LIMIT
+});
+
+// Audit log of node mutations, with what each one replaced (for undo)
+const auditLog = createAuditLog({ limit: AUDIT_LIMIT, filePath: AUDIT_FILE });
+
 // Pending requests waiting for Figma response
-// Key: requestId, Value: { resolve, reject, timeout }
+// Key: requestId, Value: { resolve, reject, timeout, clientId, type }
 const pendingRequests = new Map();
 
+// Resume tokens - a plugin that reconnects with ?resume=<token> within the
+// grace period keeps its clientId, caches and paired sessions
+// Key: token, Value: { clientId, keyLabel, fileKey, fileName, disconnectedAt, timer }
+// disconnectedAt and timer are null while the client is connected
+const resumeTokens = new Map();
+
+// Spec DSL registry used to validate every outgoing spec
+const specRegistry = specSchema.loadRegistry(SCHEMA_FILE);
+
+// MCP tools, with spec arguments typed by the same registry
+const mcpTools = mcp.buildTools(specSchema.toJsonSchema(specRegistry));
+
+// MCP sessions over streamable HTTP
+// Key: sessionId, Value: { session, authorization, clientId, streams, lastUsedAt }
+// clientId is set for paired callers, whose resources are limited to their plugin
+const mcpSessions = new Map();
+const MCP_SESSION_TTL = 60 * 60 * 1000;
+
+// The stdio MCP session, when FIGMA_RELAY_MCP_STDIO=on
+let mcpStdioSession = null;
+
+// LLM provider and the frame analysis service shared by HTTP and WebSocket
+const llmProvider = llm.createProvider({
+  provider: LLM_PROVIDER,
+  model: LLM_MODEL,
+  maxTokens: LLM_MAX_TOKENS,
+  baseUrl: LLM_BASE_URL,
+  apiKey: LLM_API_KEY || (LLM_PROVIDER === 'anthropic' ? ANTHROPIC_API_KEY : ''),
+  timeoutMs: LLM_TIMEOUT,
+  retries: LLM_RETRIES
+});
+const frameAnalyzer = createFrameAnalyzer({
+  provider: llmProvider,
+  maxRetries: NAMING_RETRIES,
+  chunkSize: ANALYZE_CHUNK_SIZE,
+  maxPromptChars: ANALYZE_MAX_PROMPT_CHARS,
+  cacheSize: ANALYZE_CACHE_SIZE,
+  cacheTtlMs: ANALYZE_CACHE_TTL
+});
+
+// Naming convention profiles for frame analysis - Key: name, Value: profile
+const namingProfiles = naming.loadProfiles(NAMING_FILE);
+
 // Request timeout (30 seconds)
 const REQUEST_TIMEOUT = 30000;
 
+// Batches run many operations in one round trip (2 minutes, at most 500 operations)
+const BATCH_TIMEOUT = 120000;
+const MAX_BATCH_OPERATIONS = 500;
+
+// Node renders - binary transfers still arriving from plugins, finished
+// renders cached by node version, and temporary download links
+const renderTransfers = renders.createTransferStore({
+  maxBytes: EXPORT_MAX_BYTES,
+  maxPendingBytes: EXPORT_PENDING_BYTES,
+  ttlMs: BATCH_TIMEOUT
+});
+const renderCache = renders.createRenderCache({ maxBytes: EXPORT_CACHE_BYTES });
+const renderDownloads = renders.createDownloadStore({ maxBytes: EXPORT_DOWNLOADS_BYTES });
+
+// Create jobs - track each /api/figma/create spec until the plugin reports back
+// Key: jobId, Value: { id, status, spec, target, clientId, fileKey, sessionId, createdAt, updatedAt, expiresAt, rootNodeId, nodeIds, error }
+// clientId and fileKey are the delivering client's once the job is sent
+// status: queued -> sent -> succeeded | failed
+const jobs = new Map();
+
+// Queued specs wait this long for a plugin (default 10 minutes); finished jobs are kept for an hour
+const QUEUE_TTL = Number(process.env.FIGMA_RELAY_QUEUE_TTL_MINUTES || 10) * 60 * 1000;
+const JOB_RETENTION = 60 * 60 * 1000;
+
+// Analysis runs - analyze-frames results kept so /api/figma/apply-names can apply them by runId
+// Key: runId, Value: { id, profile, frames, suggestions, target, createdAt }
+const analysisRuns = new Map();
+const RUN_RETENTION = 60 * 60 * 1000;
+
+// Relay events - fanned out to SSE streams and webhooks
+const relayEvents = new EventEmitter();
+relayEvents.setMaxListeners(0);
+let eventSequence = 0;
+
+// Registered webhooks - Key: webhookId, Value: { id, url, secret, types, clientId, fileKey, createdAt, lastDelivery }
+const webhooks = new Map();
+
+// Webhook deliveries: 5 attempts, backoff 1s, 2s, 4s, 8s, 10s timeout per attempt
+const WEBHOOK_MAX_ATTEMPTS = 5;
+const WEBHOOK_TIMEOUT = 10000;
+
+const EVENT_TYPES = [
+  'client.connected',
+  'client.updated',
+  'client.disconnected',
+  'selection.updated',
+  'variables.updated',
+  'operation.result',
+  'job.updated'
+];
+
+// Pairing codes - short codes a plugin shows so an HTTP caller can pair with it
+// Key: code, Value: { clientId, expiresAt }
+const pairingCodes = new Map();
+
+// Paired sessions - bind an HTTP caller's token to one plugin client
+// Key: sessionId, Value: { id, tokenHash, clientId, fileKey, label, keyLabel, scopes, createdAt, expiresAt, lastUsedAt }
+const sessions = new Map();
+// Key: SHA-256 of the session token, Value: sessionId. Only the hash is kept,
+// and a lookup by hash does not compare the token itself.
+const sessionsByTokenHash = new Map();
+
+// Pairing code lifetime (5 minutes) and session lifetime (default 24 hours)
+const PAIRING_CODE_TTL = 5 * 60 * 1000;
+const SESSION_TTL = Number(process.env.FIGMA_RELAY_SESSION_TTL_HOURS || 24) * 60 * 60 * 1000;
+
+// Pairing code alphabet without look-alike characters (0/O, 1/I)
+const PAIRING_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
 // Generate unique request ID
 function generateRequestId() {
   return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
+// Generate unique job ID
+function generateJobId() {
+  return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Generate a short, human-typeable pairing code
+function generatePairingCode() {
+  let code = '';
+  for (let i = 0; i < 6; i++) {
+    code += PAIRING_CODE_ALPHABET[crypto.randomInt(PAIRING_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+// Create an Error carrying an HTTP status (and optional extra response fields)
+function httpError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
 // =============================================================================
 // WEBSOCKET HANDLING
 // =============================================================================
 
-wss.on('connection', (ws) => {
-  const clientId = `client_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+wss.on('connection', (ws, req) => {
+  const resumeToken = new URL(req.url, 'http://localhost').searchParams.get('resume');
+  const resumed = resumeClient(resumeToken, req.apiKey);
+  const clientId = resumed ? resumed.clientId : `client_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   ws.clientId = clientId;
+  ws.scopes = req.apiKey ? req.apiKey.scopes : ALL_SCOPES;
+  ws.isAlive = true;
+  // Until the plugin says hello it is treated as a protocol 1 plugin
+  ws.protocolVersion = 1;
+  ws.capabilities = protocol.LEGACY_CAPABILITIES;
+  ws.pluginVersion = null;
+  ws.connectedAt = Date.now();
+  if (resumed) {
+    ws.fileKey = resumed.fileKey;
+    ws.fileName = resumed.fileName;
+  }
+  ws.resumeToken = issueResumeToken(ws, req.apiKey);
   
-  console.log(`Figma plugin connected: ${clientId}`);
+  console.log(`Figma plugin ${resumed ? 'reconnected' : 'connected'}: ${clientId}${req.apiKey ? ` (key: ${req.apiKey.label})` : ''}`);
   figmaClients.add(ws);
+  emitRelayEvent('client.connected', ws, { resumed: Boolean(resumed) });
+  
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
   
-  ws.on('message', (message) => {
+  ws.on('message', (message, isBinary) => {
+    ws.isAlive = true;
     try {
-      const data = JSON.parse(message);
-      
-      // Handle ping/pong for keep-alive
-      if (data.type === 'ping') {
-        ws.send(JSON.stringify({ type: 'pong' }));
-        return;
-      }
-      
-      // Handle selection data from Figma
-      if (data.type === 'selection-data') {
-        selectionCache.set(clientId, {
-          timestamp: Date.now(),
-          data: data.selection,
-          nodeCount: data.nodeCount || 0
-        });
-        console.log(`Selection received from ${clientId}: ${data.nodeCount || 0} nodes`);
-        
-        // If this was a response to a pending request, resolve it
-        if (data.requestId && pendingRequests.has(data.requestId)) {
-          const pending = pendingRequests.get(data.requestId);
-          clearTimeout(pending.timeout);
-          pending.resolve(data);
-          pendingRequests.delete(data.requestId);
-        }
-        return;
-      }
-      
-      // Handle operation results from Figma
-      if (data.type === 'operation-result') {
-        if (data.requestId && pendingRequests.has(data.requestId)) {
-          const pending = pendingRequests.get(data.requestId);
-          clearTimeout(pending.timeout);
-          if (data.success) {
-            pending.resolve(data);
-          } else {
-            pending.reject(new Error(data.error || 'Operation failed'));
-          }
-          pendingRequests.delete(data.requestId);
+      // Binary frames are chunks of node renders
+      if (isBinary) {
+        try {
+          renderTransfers.addChunk(ws.clientId, message);
+        } catch (err) {
+          if (!err.requestId || !isPendingFor(err.requestId, ws.clientId)) throw err;
+          failExport(err.requestId, err);
         }
         return;
       }
-      
-      // Handle variables data from Figma (v5.2)
-      if (data.type === 'variables-data') {
-        variablesCache.set(clientId, {
-          timestamp: Date.now(),
-          variables: data.variables || [],
-          fileKey: data.fileKey || null,
-          fileName: data.fileName || null,
-          collectionCount: data.collectionCount || 0
-        });
-        console.log(`Variables received from ${clientId}: ${data.variables?.length || 0} variables from ${data.collectionCount || 0} collections`);
-        return;
-      }
-      
-      // Handle analyze-frames request via WebSocket (v5.5)
-      if (data.type === 'analyze-frames') {
-        handleAnalyzeFramesWS(ws, data.frames || []);
-        return;
-      }
-      
+      handlePluginMessage(ws, JSON.parse(message));
     } catch (err) {
       console.error('Message parse error:', err);
     }
   });
   
   ws.on('close', () => {
-    console.log(`Figma plugin disconnected: ${clientId}`);
     figmaClients.delete(ws);
-    selectionCache.delete(clientId);
-    variablesCache.delete(clientId);
+    // A reconnect with this socket's resume token already took over
+    if (ws.superseded) return;
+    
+    console.log(`Figma plugin disconnected: ${clientId}`);
+    emitRelayEvent('client.disconnected', ws, {});
+    failClientRequests(clientId);
+    detachClient(ws);
+    pairingCodes.forEach((value, code) => {
+      if (value.clientId === clientId) pairingCodes.delete(code);
+    });
   });
   
   ws.send(JSON.stringify({ 
     type: 'connected', 
     clientId: clientId,
-    message: 'Connected to Figma Relay Server v5.5' 
+    resumed: Boolean(resumed),
+    resumeToken: ws.resumeToken,
+    resumeGraceSeconds: RESUME_GRACE / 1000,
+    serverVersion: SERVER_VERSION,
+    protocolVersion: protocol.PROTOCOL_VERSION,
+    minProtocolVersion: protocol.MIN_PROTOCOL_VERSION,
+    message: `Connected to Figma Relay Server v${SERVER_VERSION}` 
   }));
+  
+  deliverQueuedJobs(ws);
 });
 
+/**
+ * Handle one message from a plugin (or from the sandbox stand-in)
+ */
+function handlePluginMessage(ws, message) {
+  const { clientId } = ws;
+  const data = protocol.migrateIncoming(message, ws.protocolVersion);
+  
+  // Handle ping/pong for keep-alive
+  if (data.type === 'ping') {
+    ws.send(JSON.stringify({ type: 'pong' }));
+    return;
+  }
+  
+  // Handle the plugin's protocol version and capabilities
+  if (data.type === 'hello') {
+    try {
+      Object.assign(ws, protocol.negotiate(data));
+    } catch (err) {
+      ws.send(JSON.stringify({ type: 'hello-ack', success: false, error: err.message }));
+      console.log(`Figma plugin ${clientId} rejected: ${err.message}`);
+      ws.close(1002, 'Unsupported protocol');
+      return;
+    }
+    ws.send(JSON.stringify({
+      type: 'hello-ack',
+      success: true,
+      protocolVersion: ws.protocolVersion,
+      serverVersion: SERVER_VERSION
+    }));
+    console.log(`Figma plugin ${clientId} speaks protocol ${ws.protocolVersion}${ws.pluginVersion ? ` (plugin ${ws.pluginVersion})` : ''}: ${ws.capabilities.join(', ')}`);
+    emitRelayEvent('client.updated', ws, describeCapabilities(ws));
+    deliverQueuedJobs(ws);
+    return;
+  }
+  
+  // Handle selection data from Figma
+  if (data.type === 'selection-data') {
+    rememberFile(ws, data);
+    deliverQueuedJobs(ws);
+    const selection = {
+      timestamp: Date.now(),
+      data: data.selection,
+      nodeCount: data.nodeCount || 0,
+      fileKey: ws.fileKey || null,
+      fileName: ws.fileName || null
+    };
+    selectionCache.set(clientId, selection);
+    if (!ws.sandbox) cacheStore.addSnapshot('selection', { clientId, ...selection });
+    console.log(`Selection received from ${clientId}: ${data.nodeCount || 0} nodes`);
+    emitRelayEvent('selection.updated', ws, { nodeCount: data.nodeCount || 0 });
+    
+    // If this was a response to a pending request, resolve it
+    if (isPendingFor(data.requestId, clientId)) {
+      const pending = pendingRequests.get(data.requestId);
+      clearTimeout(pending.timeout);
+      pending.resolve(data);
+      pendingRequests.delete(data.requestId);
+    }
+    return;
+  }
+  
+  // Handle find-nodes and read-node replies: the node trees asked for
+  if (data.type === 'nodes-data') {
+    if (isPendingFor(data.requestId, clientId)) {
+      const pending = pendingRequests.get(data.requestId);
+      clearTimeout(pending.timeout);
+      pending.resolve(data);
+      pendingRequests.delete(data.requestId);
+    }
+    return;
+  }
+  
+  // Handle operation results from Figma
+  if (data.type === 'operation-result') {
+    if (isPendingFor(data.requestId, clientId)) {
+      const pending = pendingRequests.get(data.requestId);
+      clearTimeout(pending.timeout);
+      emitRelayEvent('operation.result', ws, {
+        requestId: data.requestId,
+        operation: pending.type,
+        success: Boolean(data.success),
+        error: data.error || null
+      });
+      if (data.success) {
+        pending.resolve(data);
+      } else {
+        const err = new Error(data.error || 'Operation failed');
+        err.result = data;
+        pending.reject(err);
+      }
+      pendingRequests.delete(data.requestId);
+    }
+    return;
+  }
+  
+  // Handle the announcement of a node render about to arrive in binary chunks
+  if (data.type === 'export-data') {
+    if (isPendingFor(data.requestId, clientId)) {
+      try {
+        renderTransfers.begin(clientId, data);
+      } catch (err) {
+        failExport(data.requestId, err);
+      }
+    }
+    return;
+  }
+  
+  // Handle the end of an export: collect every transferred render
+  if (data.type === 'export-result') {
+    if (isPendingFor(data.requestId, clientId)) {
+      const pending = pendingRequests.get(data.requestId);
+      clearTimeout(pending.timeout);
+      pendingRequests.delete(data.requestId);
+      try {
+        if (!data.success) {
+          throw new Error(data.error || 'Export failed');
+        }
+        const exports = (data.exports || []).map((item) => (item.unchanged ? item : {
+          ...item,
+          buffer: renderTransfers.take(data.requestId, item.transferId).buffer
+        }));
+        pending.resolve({ ...data, exports });
+      } catch (err) {
+        pending.reject(err);
+      } finally {
+        renderTransfers.dropRequest(data.requestId);
+      }
+    }
+    return;
+  }
+  
+  // Handle the outcome of a create job
+  if (data.type === 'create-result') {
+    const job = jobs.get(data.jobId);
+    if (job && job.clientId === clientId && job.status === 'sent') {
+      // A job sent before the plugin reported its file learns it now
+      if (!job.fileKey && ws.fileKey) job.fileKey = ws.fileKey;
+      updateJob(job, data.success ? {
+        status: 'succeeded',
+        rootNodeId: data.rootNodeId || null,
+        nodeIds: data.nodeIds || []
+      } : {
+        status: 'failed',
+        error: data.error || 'Create failed'
+      });
+      console.log(`Job ${job.id} ${job.status} on ${clientId}`);
+    }
+    return;
+  }
+  
+  // Handle variables data from Figma (v5.2)
+  if (data.type === 'variables-data') {
+    rememberFile(ws, data);
+    deliverQueuedJobs(ws);
+    const variables = {
+      timestamp: Date.now(),
+      variables: data.variables || [],
+      collections: data.collections || [],
+      fileKey: data.fileKey || null,
+      fileName: data.fileName || null,
+      collectionCount: data.collectionCount || 0
+    };
+    variablesCache.set(clientId, variables);
+    if (!ws.sandbox) cacheStore.addSnapshot('variables', { clientId, ...variables });
+    console.log(`Variables received from ${clientId}: ${data.variables?.length || 0} variables from ${data.collectionCount || 0} collections`);
+    emitRelayEvent('variables.updated', ws, {
+      variableCount: data.variables?.length || 0,
+      collectionCount: data.collectionCount || 0
+    });
+    return;
+  }
+  
+  // Handle pairing code request from Figma
+  if (data.type === 'request-pairing-code') {
+    const code = createPairingCode(clientId);
+    ws.send(JSON.stringify({
+      type: 'pairing-code',
+      code,
+      expiresAt: pairingCodes.get(code).expiresAt
+    }));
+    console.log(`Pairing code issued to ${clientId}`);
+    return;
+  }
+  
+  // Handle analyze-frames request via WebSocket (v5.5)
+  if (data.type === 'analyze-frames') {
+    if (!ws.scopes.includes('analyze')) {
+      ws.send(JSON.stringify({ type: 'analyze-result', success: false, error: 'Missing scope: analyze' }));
+      return;
+    }
+    handleAnalyzeFramesWS(ws, data.frames || [], data.profile, data.cache !== false);
+    return;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// CONNECTION HEALTH & RESUMPTION
+// -----------------------------------------------------------------------------
+
+/**
+ * Give a connected plugin a new resume token
+ */
+function issueResumeToken(ws, apiKey) {
+  const token = crypto.randomBytes(24).toString('hex');
+  resumeTokens.set(token, {
+    clientId: ws.clientId,
+    keyLabel: apiKey ? apiKey.label : null,
+    fileKey: null,
+    fileName: null,
+    disconnectedAt: null,
+    timer: null
+  });
+  return token;
+}
+
+/**
+ * Redeem a resume token for its clientId. The token must have been issued
+ * to the same API key. A socket still open for that client (half-open, not
+ * yet reaped by the heartbeat) is closed and replaced. Returns the token's
+ * entry, or null for a missing, unknown or expired token.
+ */
+function resumeClient(token, apiKey) {
+  const entry = token ? resumeTokens.get(token) : null;
+  if (!entry || entry.keyLabel !== (apiKey ? apiKey.label : null)) return null;
+  
+  resumeTokens.delete(token);
+  clearTimeout(entry.timer);
+  
+  const previous = [...figmaClients].find((c) => c.clientId === entry.clientId);
+  if (previous) {
+    previous.superseded = true;
+    figmaClients.delete(previous);
+    failClientRequests(entry.clientId);
+    previous.terminate();
+    entry.fileKey = previous.fileKey || null;
+    entry.fileName = previous.fileName || null;
+  }
+  return entry;
+}
+
+/**
+ * Keep a disconnected client's caches for the resume grace period, then
+ * drop them with its token
+ */
+function detachClient(ws) {
+  const entry = resumeTokens.get(ws.resumeToken);
+  const forget = () => {
+    resumeTokens.delete(ws.resumeToken);
+    selectionCache.delete(ws.clientId);
+    variablesCache.delete(ws.clientId);
+  };
+  
+  if (!entry || RESUME_GRACE <= 0) {
+    forget();
+    return;
+  }
+  Object.assign(entry, {
+    fileKey: ws.fileKey || null,
+    fileName: ws.fileName || null,
+    disconnectedAt: Date.now(),
+    timer: setTimeout(forget, RESUME_GRACE)
+  });
+  entry.timer.unref();
+}
+
+/**
+ * Fail every request and create job still waiting on a client that went away
+ */
+function failClientRequests(clientId) {
+  pendingRequests.forEach((pending, requestId) => {
+    if (pending.clientId !== clientId) return;
+    clearTimeout(pending.timeout);
+    pendingRequests.delete(requestId);
+    pending.reject(httpError(502, `Figma client ${clientId} disconnected before responding`));
+  });
+  jobs.forEach((job) => {
+    if (job.status === 'sent' && job.clientId === clientId) {
+      updateJob(job, { status: 'failed', error: 'Figma client disconnected before reporting a result' });
+    }
+  });
+}
+
+// Ping every plugin; a socket that did not answer the previous ping is dead
+if (HEARTBEAT_INTERVAL > 0) {
+  setInterval(() => {
+    figmaClients.forEach((ws) => {
+      if (!ws.isAlive) {
+        console.log(`Figma plugin not responding, closing: ${ws.clientId}`);
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL).unref();
+}
+
+// -----------------------------------------------------------------------------
+// SANDBOX
+// -----------------------------------------------------------------------------
+
+// In-memory stand-in for a plugin. Requests that target it (`sandbox: true`,
+// or every untargeted request with FIGMA_RELAY_SANDBOX=on) are answered from
+// a virtual document instead of a Figma file.
+const SANDBOX_CLIENT_ID = 'sandbox';
+const sandboxDocument = createSandboxDocument();
+const sandboxClient = {
+  clientId: SANDBOX_CLIENT_ID,
+  sandbox: true,
+  readyState: 1,
+  fileKey: sandboxDocument.fileKey,
+  fileName: sandboxDocument.fileName,
+  scopes: ALL_SCOPES,
+  protocolVersion: protocol.PROTOCOL_VERSION,
+  // The virtual document has no renderer
+  capabilities: protocol.CAPABILITIES.filter((type) => type !== 'export-nodes'),
+  pluginVersion: SERVER_VERSION,
+  connectedAt: Date.now(),
+  send(text) {
+    const message = JSON.parse(text);
+    // Answer on a later tick, like a plugin, once the request is pending
+    setImmediate(() => {
+      sandboxDocument.handle(message).forEach((reply) => handlePluginMessage(sandboxClient, reply));
+    });
+  }
+};
+
+/**
+ * Report the sandbox's selection and variables, as a plugin does when it
+ * connects
+ */
+function publishSandbox() {
+  handlePluginMessage(sandboxClient, sandboxDocument.selectionData());
+  handlePluginMessage(sandboxClient, sandboxDocument.variablesData());
+}
+
+publishSandbox();
+
 // =============================================================================
 // MIDDLEWARE
 // =============================================================================
 
+// Accepts an API key or a paired session token. Sets req.apiKey or req.session,
+// and req.scopes either way.
 const authMiddleware = (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({ error: 'Missing authorization' });
   }
-  if (authHeader.split(' ')[1] !== API_KEY) {
+  const token = authHeader.split(' ')[1];
+  const key = apiKeys.get(token);
+  if (key) {
+    req.apiKey = key;
+    req.scopes = key.scopes;
+    return next();
+  }
+  
+  const session = findSessionByToken(token);
+  if (!session) {
     return res.status(401).json({ error: 'Invalid API key' });
   }
+  if (session.expiresAt <= Date.now()) {
+    deleteSession(session);
+    return res.status(401).json({ error: 'Session expired' });
+  }
+  session.lastUsedAt = Date.now();
+  req.session = session;
+  req.scopes = session.scopes;
+  next();
+};
+
+// Rejects callers whose key or session lacks the given scope
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.scopes || !req.scopes.includes(scope)) {
+    return res.status(403).json({ error: `Missing scope: ${scope}` });
+  }
+  next();
+};
+
+// Some endpoints need an API key itself, not a paired session token
+const requireApiKey = (req, res, next) => {
+  if (!req.apiKey) {
+    return res.status(403).json({ error: 'This endpoint requires an API key' });
+  }
   next();
 };
 
@@ -153,482 +780,2736 @@ const authMiddleware = (req, res, next) => {
 // =============================================================================
 
 /**
- * Send message to all connected Figma clients
+ * Record the file a client has open, as reported by the plugin
  */
-function broadcastToFigma(message) {
-  let sentCount = 0;
-  const messageStr = JSON.stringify(message);
-  
-  figmaClients.forEach((client) => {
-    if (client.readyState === 1) {
-      client.send(messageStr);
-      sentCount++;
-    }
-  });
-  
-  return sentCount;
+function rememberFile(ws, data) {
+  if (data.fileKey) ws.fileKey = data.fileKey;
+  if (data.fileName) ws.fileName = data.fileName;
 }
 
 /**
- * Send message and wait for response
+ * Public description of a connected client
  */
-function sendAndWait(message, timeoutMs = REQUEST_TIMEOUT) {
-  return new Promise((resolve, reject) => {
-    const requestId = generateRequestId();
-    message.requestId = requestId;
-    
-    const sentCount = broadcastToFigma(message);
-    
-    if (sentCount === 0) {
-      reject(new Error('No Figma clients connected'));
-      return;
-    }
-    
-    const timeout = setTimeout(() => {
-      pendingRequests.delete(requestId);
-      reject(new Error('Request timeout'));
-    }, timeoutMs);
-    
-    pendingRequests.set(requestId, { resolve, reject, timeout });
-  });
+function describeClient(ws) {
+  return {
+    clientId: ws.clientId,
+    fileKey: ws.fileKey || null,
+    fileName: ws.fileName || null
+  };
 }
 
 /**
- * Handle analyze-frames request via WebSocket (v5.5)
- * Calls Anthropic API and sends result back to the requesting client
+ * Protocol version and capabilities a client announced
  */
-async function handleAnalyzeFramesWS(clientWs, frames) {
-  if (!frames || frames.length === 0) {
-    clientWs.send(JSON.stringify({ type: 'analyze-result', success: false, error: 'No frames provided' }));
-    return;
+function describeCapabilities(ws) {
+  return {
+    protocolVersion: ws.protocolVersion,
+    pluginVersion: ws.pluginVersion,
+    capabilities: ws.capabilities
+  };
+}
+
+/**
+ * Refuse to send a client a message it did not say it can handle
+ */
+function assertCapable(client, message) {
+  const missing = protocol.missingCapabilities(message, client.capabilities);
+  if (missing.length > 0) {
+    throw httpError(501, `Figma client ${client.clientId} does not support ${missing.join(', ')} (protocol ${client.protocolVersion}); update the plugin`, {
+      client: describeClient(client),
+      missing,
+      ...describeCapabilities(client)
+    });
   }
+}
+
+/**
+ * Read the optional { clientId, fileKey } target from a request
+ * (body for POST, query string for GET, or an explicit `source` object).
+ * `sandbox: true` targets the sandbox; with FIGMA_RELAY_SANDBOX=on so does
+ * every request without a target, unless it sends `sandbox: false`.
+ * A paired session is always bound to its own client.
+ */
+function getTarget(req, source = req.method === 'GET' ? req.query : (req.body || {})) {
+  const target = {
+    clientId: source.clientId || null,
+    fileKey: source.fileKey || null
+  };
   
-  if (!ANTHROPIC_API_KEY) {
-    clientWs.send(JSON.stringify({ type: 'analyze-result', success: false, error: 'ANTHROPIC_API_KEY not configured' }));
-    return;
+  const sandbox = [true, 'true', '1'].includes(source.sandbox) ||
+    (SANDBOX_MODE && !req.session && !hasTarget(target) && ![false, 'false', '0'].includes(source.sandbox));
+  if (sandbox) {
+    if (target.clientId && target.clientId !== SANDBOX_CLIENT_ID) {
+      throw httpError(400, 'sandbox cannot be combined with another clientId');
+    }
+    target.clientId = SANDBOX_CLIENT_ID;
   }
   
-  const frameSummaries = frames.map((f, i) => {
-    return `Frame ${i + 1} (id: ${f.id}, current name: "${f.name}", size: ${f.width}x${f.height}):\n${f.nodeTree}`;
-  }).join('\n\n---\n\n');
+  if (req.session) {
+    if (target.clientId && target.clientId !== req.session.clientId) {
+      throw httpError(403, 'Session is paired with a different Figma client');
+    }
+    target.clientId = req.session.clientId;
+  }
   
-  const systemPrompt = `You are a Figma frame naming assistant. Analyze the node tree of each frame and suggest a descriptive Korean name.
-
-Rules:
-- Format: "PageName-NN_설명" (e.g., "Onboarding-01_스크립트 설치 안내", "Dashboard-01_매출 요약 카드")
-- PageName: Infer the logical page/section from content (English, PascalCase)
-- NN: Sequential number starting from 01
-- 설명: Brief Korean description of the frame's purpose (max 15 chars)
-- If multiple frames belong to the same logical page, use the same PageName with different NN
-- If you cannot determine a meaningful name, use "Unnamed-NN_프레임 설명"
+  return target;
+}
 
-Respond ONLY with a JSON array. Each element: {"frameId": "...", "suggestedName": "...", "pageName": "...", "reason": "..."}
-No markdown fences, no explanation outside the JSON.`;
+/**
+ * Check whether a target selector names a specific client or file
+ */
+function hasTarget(target) {
+  return Boolean(target && (target.clientId || target.fileKey));
+}
 
-  try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-haiku-4-5-20251001',
-        max_tokens: 4096,
-        system: systemPrompt,
-        messages: [
-          { role: 'user', content: `Analyze these ${frames.length} Figma frame(s) and suggest names:\n\n${frameSummaries}` }
-        ]
-      })
-    });
-    
-    if (!response.ok) {
-      const errText = await response.text();
-      console.error('Anthropic API error:', response.status, errText);
-      clientWs.send(JSON.stringify({ type: 'analyze-result', success: false, error: `API error: ${response.status}` }));
-      return;
+/**
+ * Pick exactly one connected client for a target selector.
+ * Throws 404 when nothing matches and 409 when the choice is ambiguous.
+ */
+function resolveTargetClient(target = {}) {
+  const connected = [...figmaClients].filter((client) => client.readyState === 1);
+  // The sandbox is only chosen by name, never as the only client
+  if (hasTarget(target)) connected.push(sandboxClient);
+  
+  if (target.clientId) {
+    const client = connected.find((c) => c.clientId === target.clientId);
+    if (!client) {
+      throw httpError(404, `Figma client not found: ${target.clientId}`);
     }
-    
-    const data = await response.json();
-    const text = data.content?.[0]?.text || '[]';
-    
-    let suggestions;
-    try {
-      suggestions = JSON.parse(text.replace(/```json|```/g, '').trim());
-    } catch (parseErr) {
-      console.error('LLM response parse error:', text);
-      clientWs.send(JSON.stringify({ type: 'analyze-result', success: false, error: 'Failed to parse LLM response' }));
-      return;
+    if (target.fileKey && client.fileKey !== target.fileKey) {
+      throw httpError(409, `Figma client ${target.clientId} does not have file ${target.fileKey} open`, {
+        client: describeClient(client)
+      });
     }
-    
-    console.log(`Frame analysis complete: ${suggestions.length} suggestions`);
-    clientWs.send(JSON.stringify({ type: 'analyze-result', success: true, suggestions: suggestions }));
-  } catch (err) {
-    console.error('Analyze frames error:', err);
-    clientWs.send(JSON.stringify({ type: 'analyze-result', success: false, error: err.message }));
+    return client;
+  }
+  
+  if (target.fileKey) {
+    const matches = connected.filter((c) => c.fileKey === target.fileKey);
+    if (matches.length === 0) {
+      throw httpError(404, `No Figma client has file ${target.fileKey} open`);
+    }
+    if (matches.length > 1) {
+      throw httpError(409, `File ${target.fileKey} is open in ${matches.length} Figma clients; specify clientId`, {
+        candidates: matches.map(describeClient)
+      });
+    }
+    return matches[0];
+  }
+  
+  if (connected.length === 0) {
+    throw httpError(503, 'No Figma clients connected');
+  }
+  if (connected.length > 1) {
+    throw httpError(409, `${connected.length} Figma clients connected; specify clientId or fileKey`, {
+      candidates: connected.map(describeClient)
+    });
   }
+  return connected[0];
 }
 
-// =============================================================================
+/**
+ * Apply changes to a job and stamp it
+ */
+function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: Date.now() });
+  emitRelayEvent('job.updated', { clientId: job.clientId, fileKey: job.fileKey }, describeJob(job));
+}
+
+/**
+ * Send a job's spec to a client and mark it sent
+ */
+function sendJob(job, client) {
+  sendToClient(client, {
+    type: 'create',
+    spec: job.spec,
+    jobId: job.id,
+    timestamp: Date.now()
+  });
+  updateJob(job, { status: 'sent', clientId: client.clientId, fileKey: client.fileKey || job.fileKey });
+}
+
+/**
+ * Check whether a queued job may be delivered to this client
+ */
+function jobMatchesClient(job, client) {
+  if (client.sandbox && job.target.clientId !== client.clientId) return false;
+  if (!client.capabilities.includes('create')) return false;
+  if (job.target.clientId && job.target.clientId !== client.clientId) return false;
+  if (job.target.fileKey && job.target.fileKey !== client.fileKey) return false;
+  return true;
+}
+
+/**
+ * Deliver queued create jobs (oldest first) to a client that just connected
+ * or just reported which file it has open
+ */
+function deliverQueuedJobs(client) {
+  if (client.readyState !== 1) return;
+  
+  const now = Date.now();
+  jobs.forEach((job) => {
+    if (job.status !== 'queued' || job.expiresAt <= now) return;
+    if (!jobMatchesClient(job, client)) return;
+    sendJob(job, client);
+    console.log(`Queued job ${job.id} delivered to ${client.clientId}`);
+  });
+}
+
+/**
+ * Public description of a job
+ */
+function describeJob(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    clientId: job.clientId,
+    fileKey: job.fileKey,
+    rootNodeId: job.rootNodeId,
+    nodeIds: job.nodeIds,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    expiresAt: job.status === 'queued' ? job.expiresAt : null
+  };
+}
+
+/**
+ * Publish a relay event to SSE streams and webhooks.
+ * `source` is the client the event is about ({ clientId, fileKey }).
+ */
+function emitRelayEvent(type, source, data) {
+  const event = {
+    id: ++eventSequence,
+    type,
+    clientId: source.clientId || null,
+    fileKey: source.fileKey || null,
+    timestamp: Date.now(),
+    data
+  };
+  relayEvents.emit('event', event);
+  
+  webhooks.forEach((webhook) => {
+    if (eventMatches(webhook, event)) {
+      deliverWebhook(webhook, event, 1);
+    }
+  });
+}
+
+/**
+ * Check an event against a { types, clientId, fileKey } filter
+ */
+function eventMatches(filter, event) {
+  if (filter.types && filter.types.length > 0 && !filter.types.includes(event.type)) return false;
+  if (filter.clientId && filter.clientId !== event.clientId) return false;
+  if (filter.fileKey && filter.fileKey !== event.fileKey) return false;
+  return true;
+}
+
+/**
+ * Parse a comma-separated or array list of event types.
+ * Throws 400 on unknown types.
+ */
+function parseEventTypes(value) {
+  if (!value) return [];
+  const types = (Array.isArray(value) ? value : String(value).split(','))
+    .map((type) => type.trim())
+    .filter(Boolean);
+  const unknown = types.filter((type) => !EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown event types: ${unknown.join(', ')}`, { eventTypes: EVENT_TYPES });
+  }
+  return types;
+}
+
+/**
+ * POST an event to a webhook, signed with its secret.
+ * Retries network errors, 429 and 5xx with exponential backoff.
+ */
+async function deliverWebhook(webhook, event, attempt) {
+  const body = JSON.stringify(event);
+  const timestamp = String(Date.now());
+  const signature = crypto.createHmac('sha256', webhook.secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  
+  let status = null;
+  let error = null;
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Relay-Event': event.type,
+        'X-Relay-Delivery': `${webhook.id}_${event.id}`,
+        'X-Relay-Timestamp': timestamp,
+        'X-Relay-Signature': `sha256=${signature}`
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+    });
+    status = response.status;
+    if (response.ok) {
+      webhook.lastDelivery = { eventId: event.id, status, attempt, success: true, timestamp: Date.now() };
+      return;
+    }
+    error = `HTTP ${status}`;
+  } catch (err) {
+    error = err.message;
+  }
+  
+  webhook.lastDelivery = { eventId: event.id, status, attempt, success: false, error, timestamp: Date.now() };
+  
+  const retryable = status === null || status === 429 || status >= 500;
+  if (!retryable || attempt >= WEBHOOK_MAX_ATTEMPTS || !webhooks.has(webhook.id)) {
+    console.error(`Webhook ${webhook.id} gave up on event ${event.id} after ${attempt} attempt(s): ${error}`);
+    return;
+  }
+  
+  setTimeout(() => deliverWebhook(webhook, event, attempt + 1), 1000 * 2 ** (attempt - 1)).unref();
+}
+
+/**
+ * Public description of a webhook (never includes the secret)
+ */
+function describeWebhook(webhook) {
+  return {
+    webhookId: webhook.id,
+    url: webhook.url,
+    types: webhook.types,
+    clientId: webhook.clientId,
+    fileKey: webhook.fileKey,
+    createdAt: webhook.createdAt,
+    lastDelivery: webhook.lastDelivery
+  };
+}
+
+/**
+ * Issue a pairing code for a connected client
+ */
+function createPairingCode(clientId) {
+  let code = generatePairingCode();
+  while (pairingCodes.has(code)) {
+    code = generatePairingCode();
+  }
+  pairingCodes.set(code, { clientId, expiresAt: Date.now() + PAIRING_CODE_TTL });
+  return code;
+}
+
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Find a session by its bearer token
+ */
+function findSessionByToken(token) {
+  const sessionId = sessionsByTokenHash.get(hashSessionToken(token));
+  return (sessionId && sessions.get(sessionId)) || null;
+}
+
+function deleteSession(session) {
+  sessions.delete(session.id);
+  sessionsByTokenHash.delete(session.tokenHash);
+}
+
+/**
+ * Public description of a session (never includes the token)
+ */
+function describeSession(session) {
+  const client = [...figmaClients].find((c) => c.clientId === session.clientId);
+  return {
+    sessionId: session.id,
+    clientId: session.clientId,
+    fileKey: client?.fileKey || session.fileKey,
+    label: session.label,
+    keyLabel: session.keyLabel,
+    scopes: session.scopes,
+    connected: Boolean(client),
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt,
+    lastUsedAt: session.lastUsedAt
+  };
+}
+
+/**
+ * Revoke a session and tell its plugin it is no longer paired
+ */
+function revokeSession(session) {
+  deleteSession(session);
+  const client = [...figmaClients].find((c) => c.clientId === session.clientId);
+  if (client && client.readyState === 1) {
+    sendToClient(client, { type: 'unpaired', sessionId: session.id });
+  }
+  console.log(`Session revoked: ${session.id}`);
+}
+
+/**
+ * Send message to a single Figma client
+ */
+function sendToClient(client, message) {
+  client.send(JSON.stringify(protocol.migrateOutgoing(message, client.protocolVersion)));
+}
+
+/**
+ * Check that a response belongs to a pending request addressed to this client
+ */
+function isPendingFor(requestId, clientId) {
+  if (!requestId || !pendingRequests.has(requestId)) return false;
+  return pendingRequests.get(requestId).clientId === clientId;
+}
+
+/**
+ * Reject a pending export before its export-result, and drop its transfers
+ */
+function failExport(requestId, err) {
+  const pending = pendingRequests.get(requestId);
+  clearTimeout(pending.timeout);
+  pendingRequests.delete(requestId);
+  renderTransfers.dropRequest(requestId);
+  pending.reject(err);
+}
+
+/**
+ * Send message to the targeted client and wait for its response
+ */
+function sendAndWait(message, target = {}, timeoutMs = REQUEST_TIMEOUT) {
+  return new Promise((resolve, reject) => {
+    let client;
+    try {
+      client = resolveTargetClient(target);
+      assertCapable(client, message);
+    } catch (err) {
+      reject(err);
+      return;
+    }
+    
+    const requestId = generateRequestId();
+    message.requestId = requestId;
+    
+    const timeout = setTimeout(() => {
+      pendingRequests.delete(requestId);
+      reject(httpError(504, 'Request timeout'));
+    }, timeoutMs);
+    
+    pendingRequests.set(requestId, { resolve, reject, timeout, clientId: client.clientId, type: message.type });
+    sendToClient(client, message);
+  });
+}
+
+/**
+ * Who made a request, for the audit log
+ */
+function describeCaller(req) {
+  return {
+    key: req.apiKey ? req.apiKey.label : req.session?.keyLabel || null,
+    sessionId: req.session?.id || null
+  };
+}
+
+/**
+ * Send a node mutation and record it in the audit log.
+ * Resolves to { result, operationId }; errors carry operationId in details.
+ */
+async function sendMutation(req, message, options = {}) {
+  const client = resolveTargetClient(options.target || getTarget(req));
+  assertCapable(client, message);
+  const entry = auditLog.record({
+    type: options.auditType || message.type,
+    caller: describeCaller(req),
+    clientId: client.clientId,
+    fileKey: client.fileKey || null,
+    payload: { ...message },
+    undoOf: options.undoOf || null
+  });
+  
+  try {
+    const result = await sendAndWait(message, { clientId: client.clientId }, options.timeoutMs);
+    auditLog.finish(entry, { result });
+    return { result, operationId: entry.id };
+  } catch (err) {
+    auditLog.finish(entry, { result: err.result, error: err });
+    err.details = { ...err.details, operationId: entry.id };
+    throw err;
+  }
+}
+
+/**
+ * Validate a node operation (the same shape as its WebSocket message).
+ * Returns an error message, or null when the operation is valid.
+ */
+function validateOperation(op) {
+  switch (op.type) {
+    case 'update-node':
+      if (!op.targetId) return 'Missing targetId';
+      if (!op.updates || Object.keys(op.updates).length === 0) return 'Missing updates';
+      return null;
+    case 'replace-child':
+      if (!op.targetId) return 'Missing targetId';
+      if (op.childIndex === undefined) return 'Missing childIndex';
+      if (!op.newChild) return 'Missing newChild spec';
+      return null;
+    case 'insert-child':
+      if (!op.targetId) return 'Missing targetId';
+      if (!op.newChild) return 'Missing newChild spec';
+      return null;
+    case 'delete-node':
+      if (!op.targetId) return 'Missing targetId';
+      return null;
+    case 'move-node':
+      if (!op.targetId) return 'Missing targetId';
+      if (!Number.isInteger(op.index) || op.index < 0) return 'index must be a non-negative integer';
+      return null;
+    default:
+      return `Unknown operation type: ${op.type}`;
+  }
+}
+
+// Variable write operations, sent together in one `variable-ops` message.
+// `path` is the endpoint under /api/figma/variables/.
+const VARIABLE_OPERATIONS = {
+  'create-collection': { path: 'collections/create', message: 'Collection created' },
+  'rename-collection': { path: 'collections/rename', message: 'Collection renamed' },
+  'delete-collection': { path: 'collections/delete', message: 'Collection deleted' },
+  'add-mode': { path: 'collections/add-mode', message: 'Mode added' },
+  'create-variable': { path: 'create', message: 'Variable created' },
+  'update-variable': { path: 'update', message: 'Variable updated' },
+  'rename-variable': { path: 'rename', message: 'Variable renamed' },
+  'delete-variable': { path: 'delete', message: 'Variable deleted' },
+  'set-values': { path: 'set-values', message: 'Variable values set' }
+};
+
+const VARIABLE_TYPES = ['COLOR', 'FLOAT', 'STRING', 'BOOLEAN'];
+
+/**
+ * Validate a variable write operation. Collections are addressed by
+ * collectionId or collection (name); variables by variableId, or by
+ * collection + name. Returns an error message, or null when valid.
+ */
+function validateVariableOperation(op) {
+  const hasCollection = Boolean(op.collectionId || op.collection);
+  const hasVariable = Boolean(op.variableId || (hasCollection && op.name));
+  
+  switch (op.type) {
+    case 'create-collection':
+      if (!op.name) return 'Missing name';
+      if (op.modes !== undefined && (!Array.isArray(op.modes) || op.modes.some((m) => typeof m !== 'string'))) {
+        return 'modes must be an array of mode names';
+      }
+      return null;
+    case 'rename-collection':
+    case 'add-mode':
+      if (!hasCollection) return 'Missing collectionId or collection';
+      if (!op.name) return 'Missing name';
+      return null;
+    case 'delete-collection':
+      if (!hasCollection) return 'Missing collectionId or collection';
+      return null;
+    case 'create-variable':
+      if (!hasCollection) return 'Missing collectionId or collection';
+      if (!op.name) return 'Missing name';
+      if (!VARIABLE_TYPES.includes(op.resolvedType)) return `resolvedType must be one of: ${VARIABLE_TYPES.join(', ')}`;
+      return null;
+    case 'update-variable':
+      if (!hasVariable) return 'Missing variableId';
+      if (op.description === undefined && op.scopes === undefined && op.hiddenFromPublishing === undefined && op.codeSyntax === undefined) {
+        return 'Nothing to update (description, scopes, hiddenFromPublishing or codeSyntax)';
+      }
+      return null;
+    case 'rename-variable':
+      if (!op.variableId) return 'Missing variableId';
+      if (!op.name) return 'Missing name';
+      return null;
+    case 'delete-variable':
+      if (!hasVariable) return 'Missing variableId';
+      return null;
+    case 'set-values':
+      if (!hasVariable) return 'Missing variableId';
+      if (!op.values || typeof op.values !== 'object' || Object.keys(op.values).length === 0) {
+        return 'Missing values (an object of mode name or ID -> value)';
+      }
+      return null;
+    default:
+      return `Unknown variable operation type: ${op.type}`;
+  }
+}
+
+/**
+ * Convert hex colors and "{Collection.path}" references in an operation's
+ * values to what the plugin expects
+ */
+function prepareVariableOperation(op) {
+  if (!op.values) return op;
+  
+  const variable = op.variableId ? findCachedVariable(op.variableId) : null;
+  const type = op.resolvedType || variable?.type;
+  const values = {};
+  Object.entries(op.values).forEach(([mode, value]) => {
+    values[mode] = toPluginValue(value, type);
+  });
+  return { ...op, values };
+}
+
+/**
+ * Look up a variable by ID in the live variables caches
+ */
+function findCachedVariable(variableId) {
+  for (const entry of variablesCache.values()) {
+    const raw = entry.variables.find((v) => v.id === variableId);
+    if (raw) return tokens.normalizeVariables([raw], entry.collections).variables[0];
+  }
+  return null;
+}
+
+/**
+ * Validate the spec carried by an operation (newChild) against the registry.
+ * Returns a list of { path, message } problems, pointers rooted at `basePath`.
+ */
+function validateOperationSpec(op, basePath = '') {
+  if (op.newChild === undefined || op.newChild === null) return [];
+  return specSchema.validateSpec(op.newChild, specRegistry, `${basePath}/newChild`).errors;
+}
+
+/**
+ * Validate an ordered batch of operations, including "@ref" node references.
+ * An insert-child or replace-child operation may set `ref` to name the node it
+ * creates; later operations can use "@name" as their targetId.
+ * Returns a list of { index, error } problems.
+ */
+function validateBatch(operations) {
+  const problems = [];
+  const refs = new Set();
+  
+  operations.forEach((op, index) => {
+    if (!op || typeof op !== 'object') {
+      problems.push({ index, error: 'Operation must be an object' });
+      return;
+    }
+    
+    const error = validateOperation(op);
+    if (error) problems.push({ index, error });
+    
+    validateOperationSpec(op, `/operations/${index}`).forEach((problem) => {
+      problems.push({ index, path: problem.path, error: problem.message });
+    });
+    
+    if (typeof op.targetId === 'string' && op.targetId.startsWith('@') && !refs.has(op.targetId.slice(1))) {
+      problems.push({ index, error: `Unknown reference ${op.targetId}; refs must be defined by an earlier operation` });
+    }
+    
+    if (op.ref !== undefined) {
+      if (op.type !== 'insert-child' && op.type !== 'replace-child') {
+        problems.push({ index, error: 'Only insert-child and replace-child can define a ref' });
+      } else if (typeof op.ref !== 'string' || !op.ref) {
+        problems.push({ index, error: 'ref must be a non-empty string' });
+      } else if (refs.has(op.ref)) {
+        problems.push({ index, error: `Duplicate ref: ${op.ref}` });
+      } else {
+        refs.add(op.ref);
+      }
+    }
+  });
+  
+  return problems;
+}
+
+/**
+ * Collect cache entries ('selection' or 'variables') for the targeted clients.
+ * Without a target every entry is returned. When no live client has data, the
+ * latest persisted snapshot is used (marked `persisted: true`), unless a
+ * specific clientId was asked for. A target that matches nothing throws 404.
+ */
+function getCacheEntries(kind, target = {}) {
+  const cache = kind === 'selection' ? selectionCache : variablesCache;
+  const entries = [];
+  
+  cache.forEach((value, clientId) => {
+    if (target.clientId && clientId !== target.clientId) return;
+    if (clientId === SANDBOX_CLIENT_ID && !hasTarget(target)) return;
+    if (target.fileKey && value.fileKey !== target.fileKey) return;
+    entries.push({ clientId, ...value });
+  });
+  
+  if (entries.length === 0 && !target.clientId) {
+    const snapshot = cacheStore.getLatest(kind, target.fileKey);
+    if (snapshot) {
+      entries.push({ ...snapshot, persisted: true });
+    }
+  }
+  
+  if (entries.length === 0 && hasTarget(target)) {
+    const what = target.clientId ? `client ${target.clientId}` : `file ${target.fileKey}`;
+    throw httpError(404, `No cached data for ${what}`);
+  }
+  
+  return entries;
+}
+
+/**
+ * Which file's history a request may read. Sessions only see the file their
+ * paired client has open.
+ */
+function getHistoryFileKey(req, fileKey = req.query.fileKey || null) {
+  if (!req.session) return fileKey;
+  
+  const client = [...figmaClients].find((c) => c.clientId === req.session.clientId);
+  const sessionFileKey = client?.fileKey || req.session.fileKey;
+  if (!sessionFileKey) {
+    throw httpError(404, 'Paired Figma client has not reported a fileKey');
+  }
+  if (fileKey && fileKey !== sessionFileKey) {
+    throw httpError(403, 'Session is paired with a different file');
+  }
+  return sessionFileKey;
+}
+
+/**
+ * Load one side of a variables diff. A source is one of:
+ *   { snapshotId }             stored snapshot
+ *   { tokens, collection? }    uploaded DTCG JSON
+ *   { clientId?, fileKey? }    current cache (latest when empty)
+ * Returns { variables (normalized), label }.
+ */
+function loadVariableSource(req, source = {}) {
+  if (source.snapshotId) {
+    const fileKey = getHistoryFileKey(req, null);
+    const snapshot = cacheStore.getSnapshot('variables', source.snapshotId);
+    if (!snapshot || (fileKey && snapshot.fileKey !== fileKey)) {
+      throw httpError(404, `Snapshot not found: ${source.snapshotId}`);
+    }
+    return {
+      variables: tokens.normalizeVariables(snapshot.variables, snapshot.collections),
+      label: `snapshot ${snapshot.id} (${snapshot.fileName || snapshot.fileKey || 'unknown file'}, ${new Date(snapshot.timestamp).toISOString()})`
+    };
+  }
+  
+  if (source.tokens) {
+    if (typeof source.tokens !== 'object') {
+      throw httpError(400, 'tokens must be a DTCG JSON object');
+    }
+    return {
+      variables: tokens.parseDtcg(source.tokens, { collection: source.collection }),
+      label: source.label || 'uploaded tokens'
+    };
+  }
+  
+  const entries = getCacheEntries('variables', getTarget(req, source));
+  if (entries.length === 0) {
+    throw httpError(404, 'No variables data available');
+  }
+  const latest = entries.sort((a, b) => b.timestamp - a.timestamp)[0];
+  return {
+    variables: tokens.normalizeVariables(latest.variables, latest.collections),
+    label: `${latest.persisted ? 'stored' : 'current'} variables of ${latest.fileName || latest.fileKey || latest.clientId}`
+  };
+}
+
+/**
+ * Send a failed request's error as JSON, keeping any status and details it carries
+ */
+function sendError(res, err, defaultStatus = 500) {
+  res.status(err.status || defaultStatus).json({
+    success: false,
+    error: err.message,
+    ...err.details
+  });
+}
+
+/**
+ * Pick the naming profile for an analyze-frames request (default when unset)
+ */
+function getNamingProfile(name) {
+  const profile = namingProfiles.get(name || NAMING_PROFILE);
+  if (!profile) {
+    throw httpError(400, `Unknown naming profile: ${name || NAMING_PROFILE}`, {
+      profiles: [...namingProfiles.keys()]
+    });
+  }
+  return profile;
+}
+
+/**
+ * Persist profile changes when a naming file is configured
+ */
+function saveNamingProfiles() {
+  if (!NAMING_FILE) return;
+  try {
+    naming.saveProfiles(NAMING_FILE, namingProfiles);
+  } catch (err) {
+    console.error('Failed to save naming profiles:', err.message);
+  }
+}
+
+/**
+ * Analyze frames and keep the run for /api/figma/apply-names.
+ * `target` is the client the frames came from, when known.
+ */
+async function runFrameAnalysis(frames, profileName, target, useCache = true) {
+  const profile = getNamingProfile(profileName);
+  const analysis = await frameAnalyzer.analyzeFrames(frames, { profile, useCache });
+  
+  const run = {
+    id: `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    profile: profile.name,
+    frames: frames.map((f) => ({ id: f.id, name: f.name })),
+    suggestions: analysis.suggestions,
+    target,
+    createdAt: Date.now()
+  };
+  analysisRuns.set(run.id, run);
+  
+  return { runId: run.id, ...analysis };
+}
+
+/**
+ * Handle analyze-frames request via WebSocket (v5.5)
+ * Runs the shared frame analyzer and sends the result back to the requesting client
+ */
+async function handleAnalyzeFramesWS(clientWs, frames, profileName, useCache) {
+  try {
+    const analysis = await runFrameAnalysis(frames, profileName, { clientId: clientWs.clientId, fileKey: clientWs.fileKey || null }, useCache);
+    console.log(`Frame analysis complete: ${analysis.suggestions.length} suggestions, ${analysis.failed.length} failed (${analysis.profile})`);
+    clientWs.send(JSON.stringify({ type: 'analyze-result', success: true, ...analysis }));
+  } catch (err) {
+    if (!err.status) console.error('Analyze frames error:', err);
+    clientWs.send(JSON.stringify({ type: 'analyze-result', success: false, error: err.message }));
+  }
+}
+
+// =============================================================================
 // API ENDPOINTS
 // =============================================================================
 
-// Health check
-app.get('/', (req, res) => {
-  res.json({ 
-    status: 'Figma Relay Server v5.5 is running',
-    version: '5.5',
-    clients: figmaClients.size,
-    features: ['bidirectional', 'selection-read', 'node-update', 'variable-sync', 'frame-naming']
+// Health check
+app.get('/', (req, res) => {
+  res.json({ 
+    status: `Figma Relay Server v${SERVER_VERSION} is running`,
+    version: SERVER_VERSION,
+    protocolVersion: protocol.PROTOCOL_VERSION,
+    minProtocolVersion: protocol.MIN_PROTOCOL_VERSION,
+    clients: figmaClients.size,
+    plugins: [...figmaClients].map(describeCapabilities),
+    features: ['bidirectional', 'selection-read', 'node-update', 'variable-sync', 'frame-naming', 'client-targeting', 'pairing', 'scoped-keys', 'batch', 'create-jobs', 'events', 'spec-validation', 'history', 'token-export', 'variables-diff', 'variable-write', 'llm-providers', 'naming-profiles', 'apply-names', 'analysis-cache', 'audit', 'undo', 'node-query', 'spec-sync', 'selection-export', 'heartbeat', 'resume', 'sandbox', 'capabilities', 'mcp', 'node-export', 'lint']
+  });
+});
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', version: SERVER_VERSION, clients: figmaClients.size });
+});
+
+// -----------------------------------------------------------------------------
+// CLIENTS - Connected plugins with their protocol version and capabilities
+// -----------------------------------------------------------------------------
+app.get('/api/figma/clients', authMiddleware, requireScope('read'), (req, res) => {
+  const clients = [...figmaClients, sandboxClient]
+    .filter((client) => !req.session || client.clientId === req.session.clientId)
+    .map((client) => ({
+      ...describeClient(client),
+      ...describeCapabilities(client),
+      sandbox: Boolean(client.sandbox),
+      connectedAt: client.connectedAt
+    }));
+  
+  res.json({
+    success: true,
+    protocolVersion: protocol.PROTOCOL_VERSION,
+    minProtocolVersion: protocol.MIN_PROTOCOL_VERSION,
+    count: clients.length,
+    clients
+  });
+});
+
+// -----------------------------------------------------------------------------
+// CREATE - Send new UI spec to Figma (existing functionality)
+// -----------------------------------------------------------------------------
+app.post('/api/figma/create', authMiddleware, requireScope('write'), (req, res) => {
+  const { clientId, fileKey, sandbox, ...spec } = req.body || {};
+  
+  if (!spec || !spec.type) {
+    return res.status(400).json({ error: 'Invalid spec: missing type' });
+  }
+  
+  const validation = specSchema.validateSpec(spec, specRegistry);
+  if (!validation.valid) {
+    return res.status(400).json({ error: 'Invalid spec', problems: validation.errors });
+  }
+  
+  let target;
+  let client = null;
+  try {
+    target = getTarget(req);
+    client = resolveTargetClient(target);
+    assertCapable(client, { type: 'create' });
+  } catch (err) {
+    // Queue when nothing is connected, or when the targeted file is not open yet.
+    // A missing clientId or an ambiguous target is still an error.
+    const canQueue = err.status === 503 || (err.status === 404 && !target?.clientId);
+    if (!canQueue) {
+      return sendError(res, err);
+    }
+  }
+  
+  const now = Date.now();
+  const job = {
+    id: generateJobId(),
+    status: 'queued',
+    spec,
+    target,
+    clientId: null,
+    fileKey: target.fileKey || null,
+    sessionId: req.session ? req.session.id : null,
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: now + QUEUE_TTL,
+    rootNodeId: null,
+    nodeIds: [],
+    error: null
+  };
+  jobs.set(job.id, job);
+  
+  if (!client) {
+    console.log(`Job ${job.id} queued until a Figma client connects`);
+    return res.status(202).json({
+      success: true,
+      message: 'No matching Figma client connected; spec queued',
+      clientCount: 0,
+      ...describeJob(job)
+    });
+  }
+  
+  sendJob(job, client);
+  
+  res.json({
+    success: true,
+    message: 'Spec sent to Figma',
+    clientCount: 1,
+    ...describeJob(job)
+  });
+});
+
+// -----------------------------------------------------------------------------
+// JOBS - Status of a create job
+// -----------------------------------------------------------------------------
+app.get('/api/figma/jobs/:jobId', authMiddleware, requireScope('read'), (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  
+  // Sessions only see their own jobs
+  if (!job || (req.session && job.sessionId !== req.session.id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.json({
+    success: true,
+    ...describeJob(job)
+  });
+});
+
+// -----------------------------------------------------------------------------
+// READ SELECTION - Get current selection from Figma (cached)
+// -----------------------------------------------------------------------------
+app.get('/api/figma/selection', authMiddleware, requireScope('read'), (req, res) => {
+  // Return cached selection data
+  let entries;
+  try {
+    entries = getCacheEntries('selection', getTarget(req));
+  } catch (err) {
+    return sendError(res, err);
+  }
+  
+  const selections = entries.map((value) => ({
+    clientId: value.clientId,
+    fileKey: value.fileKey || null,
+    timestamp: value.timestamp,
+    age: Date.now() - value.timestamp,
+    nodeCount: value.nodeCount,
+    persisted: Boolean(value.persisted),
+    data: value.data
+  }));
+  
+  if (selections.length === 0) {
+    return res.json({
+      success: true,
+      message: 'No selection data available. Click "Send Selection" in Figma plugin.',
+      selections: []
+    });
+  }
+  
+  // Return most recent selection
+  selections.sort((a, b) => b.timestamp - a.timestamp);
+  
+  res.json({
+    success: true,
+    message: 'Selection data retrieved',
+    latest: selections[0],
+    all: selections
+  });
+});
+
+// -----------------------------------------------------------------------------
+// SELECTION EXPORT - Cached selection as spec DSL, React JSX or HTML
+// -----------------------------------------------------------------------------
+app.get('/api/figma/selection/export', authMiddleware, requireScope('read'), (req, res) => {
+  const format = req.query.format || 'spec';
+  
+  if (!codegen.FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Unknown format: ${format}`, formats: codegen.FORMATS });
+  }
+  
+  let entries;
+  try {
+    entries = getCacheEntries('selection', getTarget(req));
+  } catch (err) {
+    return sendError(res, err);
+  }
+  
+  if (entries.length === 0) {
+    return res.status(404).json({ error: 'No selection data available. Click "Send Selection" in Figma plugin.' });
+  }
+  
+  const latest = entries.sort((a, b) => b.timestamp - a.timestamp)[0];
+  let roots = nodeQuery.rootsOf(latest.data);
+  if (req.query.nodeId) {
+    const node = nodeQuery.findById(roots, req.query.nodeId);
+    if (!node) {
+      return res.status(404).json({ error: `Node not in the cached selection: ${req.query.nodeId}` });
+    }
+    roots = [node];
+  }
+  if (roots.length === 0) {
+    return res.status(404).json({ error: 'The cached selection has no nodes' });
+  }
+  
+  const output = codegen.exportNodes(roots, {
+    format,
+    registry: specRegistry,
+    title: latest.fileName || roots[0].name
+  });
+  
+  output.warnings.forEach((warning) => console.warn(`Selection export: ${warning.nodeId}: ${warning.message}`));
+  if (req.query.download) {
+    const baseName = tokens.slugify(roots.length === 1 ? roots[0].name : latest.fileName || 'selection') || 'selection';
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.${output.extension}"`);
+  }
+  res.type(output.contentType).send(output.body);
+});
+
+// -----------------------------------------------------------------------------
+// QUERY - Find nodes by selector in the cached selection or the live document
+// -----------------------------------------------------------------------------
+const QUERY_SCOPES = ['selection', 'page', 'document'];
+
+app.post('/api/figma/query', authMiddleware, requireScope('read'), async (req, res) => {
+  const { selector, live } = req.body;
+  const scope = req.body.scope || (live ? 'page' : 'selection');
+  const limit = Math.min(Number(req.body.limit) || 100, 1000);
+  
+  if (!QUERY_SCOPES.includes(scope)) {
+    return res.status(400).json({ error: `scope must be one of: ${QUERY_SCOPES.join(', ')}` });
+  }
+  if (!live && scope !== 'selection') {
+    return res.status(400).json({ error: 'Searching the page or document needs live: true' });
+  }
+  
+  let alternatives;
+  try {
+    alternatives = nodeQuery.parseSelector(selector);
+  } catch (err) {
+    return sendError(res, err);
+  }
+  
+  let roots;
+  let source;
+  try {
+    if (live) {
+      const reply = await sendAndWait({
+        type: 'find-nodes',
+        selector,
+        scope,
+        timestamp: Date.now()
+      }, getTarget(req));
+      roots = nodeQuery.rootsOf(reply.nodes);
+      source = { type: 'live', scope };
+    } else {
+      const entries = getCacheEntries('selection', getTarget(req))
+        .sort((a, b) => b.timestamp - a.timestamp);
+      if (entries.length === 0) {
+        return res.status(404).json({ error: 'No selection data available. Click "Send Selection" in Figma plugin, or query with live: true.' });
+      }
+      roots = nodeQuery.rootsOf(entries[0].data);
+      source = { type: 'selection', clientId: entries[0].clientId, fileKey: entries[0].fileKey || null, timestamp: entries[0].timestamp };
+    }
+  } catch (err) {
+    return sendError(res, err);
+  }
+  
+  const { matches, truncated } = nodeQuery.findNodes(roots, alternatives, { limit });
+  
+  res.json({
+    success: true,
+    selector,
+    source,
+    count: matches.length,
+    truncated,
+    matches
+  });
+});
+
+// -----------------------------------------------------------------------------
+// EXPORT NODES - Render nodes as PNG, SVG or PDF in the plugin
+// -----------------------------------------------------------------------------
+const EXPORT_RESPONSES = ['file', 'url'];
+
+/**
+ * The relay's URL as the caller sees it (honours a TLS-terminating proxy)
+ */
+function publicBaseUrl(req) {
+  const proto = (req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim();
+  return `${proto}://${req.get('host')}`;
+}
+
+app.post('/api/figma/export', authMiddleware, requireScope('read'), async (req, res) => {
+  const { nodeIds } = req.body;
+  const format = String(req.body.format || 'PNG').toUpperCase();
+  const scale = req.body.scale === undefined ? 1 : Number(req.body.scale);
+  
+  if (!Array.isArray(nodeIds) || nodeIds.length === 0 || nodeIds.some((id) => typeof id !== 'string' || !id)) {
+    return res.status(400).json({ error: 'nodeIds must be a non-empty array of node IDs' });
+  }
+  if (!renders.FORMATS[format]) {
+    return res.status(400).json({ error: `Unknown format: ${req.body.format}`, formats: Object.keys(renders.FORMATS) });
+  }
+  if (!(scale > 0 && scale <= 4)) {
+    return res.status(400).json({ error: 'scale must be a number above 0 and at most 4' });
+  }
+  
+  const ids = [...new Set(nodeIds)];
+  const response = req.body.response || (ids.length === 1 ? 'file' : 'url');
+  if (!EXPORT_RESPONSES.includes(response)) {
+    return res.status(400).json({ error: `response must be one of: ${EXPORT_RESPONSES.join(', ')}` });
+  }
+  if (response === 'file' && ids.length > 1) {
+    return res.status(400).json({ error: 'Several nodes can only be returned as download URLs; use response: "url"' });
+  }
+  
+  // Only PNG renders depend on the scale
+  const renderScale = format === 'PNG' ? scale : 1;
+  let client;
+  let file;
+  let rendered;
+  try {
+    client = resolveTargetClient(getTarget(req));
+    file = client.fileKey || client.clientId;
+    
+    // Tell the plugin which versions the relay already has, so it can skip them
+    const known = {};
+    ids.forEach((nodeId) => {
+      const cached = renderCache.get(file, nodeId, format, renderScale);
+      if (cached) known[nodeId] = cached.version;
+    });
+    
+    const reply = await sendAndWait({
+      type: 'export-nodes',
+      nodeIds: ids,
+      format,
+      scale: renderScale,
+      known,
+      timestamp: Date.now()
+    }, { clientId: client.clientId }, BATCH_TIMEOUT);
+    
+    rendered = ids.map((nodeId) => {
+      const item = reply.exports.find((e) => e.nodeId === nodeId);
+      if (!item) {
+        throw httpError(502, `Plugin did not export node ${nodeId}`);
+      }
+      if (item.unchanged) {
+        const cached = renderCache.get(file, nodeId, format, renderScale);
+        if (!cached || cached.version !== item.version) {
+          throw httpError(502, `Plugin reported node ${nodeId} unchanged, but no render of version ${item.version} is cached`);
+        }
+        return { nodeId, version: cached.version, buffer: cached.buffer, cached: true };
+      }
+      if (item.version != null) {
+        renderCache.set(file, nodeId, format, renderScale, item.version, item.buffer);
+      }
+      return { nodeId, version: item.version ?? null, buffer: item.buffer, cached: false };
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+  
+  const { contentType, extension } = renders.FORMATS[format];
+  const filenameOf = (nodeId) => `${nodeId.replace(/[^\w-]+/g, '-')}.${extension}`;
+  
+  if (response === 'file') {
+    const [render] = rendered;
+    res.setHeader('Content-Disposition', `attachment; filename="${filenameOf(render.nodeId)}"`);
+    return res.type(contentType).send(render.buffer);
+  }
+  
+  const expiresAt = Date.now() + EXPORT_URL_TTL;
+  const baseUrl = publicBaseUrl(req);
+  let exports;
+  try {
+    exports = rendered.map((render) => {
+      const token = crypto.randomBytes(24).toString('hex');
+      renderDownloads.add(token, { buffer: render.buffer, contentType, filename: filenameOf(render.nodeId), expiresAt });
+      return {
+        nodeId: render.nodeId,
+        version: render.version,
+        bytes: render.buffer.length,
+        cached: render.cached,
+        url: `${baseUrl}/api/figma/renders/${token}`
+      };
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+  
+  res.json({
+    success: true,
+    clientId: client.clientId,
+    fileKey: client.fileKey || null,
+    format,
+    scale: renderScale,
+    expiresAt,
+    exports
+  });
+});
+
+// The download token is the credential, so links work without an API key
+app.get('/api/figma/renders/:token', (req, res) => {
+  const download = renderDownloads.get(req.params.token);
+  if (!download) {
+    return res.status(404).json({ error: 'Download link not found or expired' });
+  }
+  
+  res.setHeader('Content-Disposition', `attachment; filename="${download.filename}"`);
+  res.type(download.contentType).send(download.buffer);
+});
+
+// -----------------------------------------------------------------------------
+// LINT - Design and accessibility rules over the cached selection
+// -----------------------------------------------------------------------------
+app.post('/api/figma/lint', authMiddleware, requireScope('read'), async (req, res) => {
+  const { nodeId, apply } = req.body;
+  
+  if (apply !== undefined && typeof apply !== 'boolean' && !(Array.isArray(apply) && apply.every((id) => typeof id === 'string'))) {
+    return res.status(400).json({ error: 'apply must be true, false or an array of finding IDs' });
+  }
+  if (apply && !req.scopes.includes('write')) {
+    return res.status(403).json({ error: 'Missing scope: write' });
+  }
+  
+  let rules;
+  let profile;
+  let entries;
+  try {
+    rules = lint.resolveRules(req.body.rules);
+    profile = getNamingProfile(req.body.profile);
+    entries = getCacheEntries('selection', getTarget(req));
+  } catch (err) {
+    return sendError(res, err);
+  }
+  
+  if (entries.length === 0) {
+    return res.status(404).json({ error: 'No selection data available. Click "Send Selection" in Figma plugin.' });
+  }
+  
+  const latest = entries.sort((a, b) => b.timestamp - a.timestamp)[0];
+  let roots = nodeQuery.rootsOf(latest.data);
+  if (nodeId) {
+    const node = nodeQuery.findById(roots, nodeId);
+    if (!node) {
+      return res.status(404).json({ error: `Node not in the cached selection: ${nodeId}` });
+    }
+    roots = [node];
+  }
+  
+  // Variables of the same file, live or from the last snapshot
+  const variables = variablesCache.get(latest.clientId) ||
+    (latest.fileKey ? cacheStore.getLatest('variables', latest.fileKey) : null);
+  const result = lint.lintNodes(roots, {
+    rules,
+    profile,
+    variables: variables ? tokens.normalizeVariables(variables.variables, variables.collections) : null
+  });
+  
+  const report = {
+    source: { clientId: latest.clientId, fileKey: latest.fileKey || null, timestamp: latest.timestamp },
+    profile: profile.name,
+    ...result
+  };
+  
+  if (!apply) {
+    return res.json({ success: true, applied: false, ...report });
+  }
+  
+  const unknown = Array.isArray(apply) ? apply.filter((id) => !result.findings.some((finding) => finding.id === id)) : [];
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown finding IDs: ${unknown.join(', ')}`, ...report });
+  }
+  const chosen = result.findings.filter((finding) => finding.fix && (apply === true || apply.includes(finding.id)));
+  const operations = lint.planFixes(chosen);
+  if (operations.length === 0) {
+    return res.json({ success: true, message: 'No fixable findings', applied: false, ...report });
+  }
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    return res.status(400).json({ error: `Too many nodes to fix at once (max ${MAX_BATCH_OPERATIONS}); pass finding IDs in apply`, ...report });
+  }
+  
+  // A persisted snapshot's client may be gone; find the file again instead
+  const target = latest.persisted ? { ...getTarget(req), fileKey: latest.fileKey } : { clientId: latest.clientId };
+  try {
+    const { result: batch, operationId } = await sendMutation(req, {
+      type: 'batch',
+      operations,
+      atomic: true,
+      timestamp: Date.now()
+    }, { target, timeoutMs: BATCH_TIMEOUT });
+    
+    res.json({
+      success: true,
+      message: `${chosen.length} findings fixed on ${operations.length} nodes`,
+      applied: true,
+      operationId,
+      fixed: chosen.map((finding) => finding.id),
+      ...report,
+      results: batch.results || []
+    });
+  } catch (err) {
+    if (!err.result) {
+      return sendError(res, err);
+    }
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      applied: false,
+      operationId: err.details.operationId,
+      rolledBack: Boolean(err.result.rolledBack),
+      failedIndex: err.result.failedIndex,
+      ...report,
+      results: err.result.results || []
+    });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// HISTORY - Persisted selection and variables snapshots
+// -----------------------------------------------------------------------------
+['selection', 'variables'].forEach((kind) => {
+  app.get(`/api/figma/${kind}/history`, authMiddleware, requireScope('read'), (req, res) => {
+    let fileKey;
+    try {
+      fileKey = getHistoryFileKey(req);
+    } catch (err) {
+      return sendError(res, err);
+    }
+    
+    const snapshots = cacheStore.listSnapshots(kind, fileKey);
+    res.json({
+      success: true,
+      fileKey,
+      count: snapshots.length,
+      snapshots
+    });
+  });
+  
+  app.get(`/api/figma/${kind}/history/:snapshotId`, authMiddleware, requireScope('read'), (req, res) => {
+    let fileKey;
+    try {
+      fileKey = getHistoryFileKey(req);
+    } catch (err) {
+      return sendError(res, err);
+    }
+    
+    const snapshot = cacheStore.getSnapshot(kind, req.params.snapshotId);
+    if (!snapshot || (fileKey && snapshot.fileKey !== fileKey)) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    
+    const { hash, ...body } = snapshot;
+    res.json({
+      success: true,
+      snapshot: body
+    });
+  });
+});
+
+// -----------------------------------------------------------------------------
+// REQUEST SELECTION - Ask Figma to send current selection (async)
+// -----------------------------------------------------------------------------
+app.post('/api/figma/request-selection', authMiddleware, requireScope('read'), async (req, res) => {
+  try {
+    const result = await sendAndWait({
+      type: 'read-selection',
+      timestamp: Date.now()
+    }, getTarget(req));
+    
+    res.json({
+      success: true,
+      message: 'Selection retrieved',
+      data: result
+    });
+  } catch (err) {
+    sendError(res, err, 504);
+  }
+});
+
+// -----------------------------------------------------------------------------
+// UPDATE NODE - Update specific node by ID
+// -----------------------------------------------------------------------------
+app.post('/api/figma/update', authMiddleware, requireScope('write'), async (req, res) => {
+  const { targetId, updates } = req.body;
+  
+  const error = validateOperation({ type: 'update-node', targetId, updates });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const { result, operationId } = await sendMutation(req, {
+      type: 'update-node',
+      targetId,
+      updates,
+      timestamp: Date.now()
+    });
+    
+    res.json({
+      success: true,
+      message: 'Node updated',
+      operationId,
+      result
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// -----------------------------------------------------------------------------
+// REPLACE CHILDREN - Replace child at specific index
+// -----------------------------------------------------------------------------
+app.post('/api/figma/replace-child', authMiddleware, requireScope('write'), async (req, res) => {
+  const { targetId, childIndex, newChild } = req.body;
+  
+  const error = validateOperation({ type: 'replace-child', targetId, childIndex, newChild });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const problems = validateOperationSpec({ newChild });
+  if (problems.length > 0) {
+    return res.status(400).json({ error: 'Invalid newChild spec', problems });
+  }
+  
+  try {
+    const { result, operationId } = await sendMutation(req, {
+      type: 'replace-child',
+      targetId,
+      childIndex,
+      newChild,
+      timestamp: Date.now()
+    });
+    
+    res.json({
+      success: true,
+      message: 'Child replaced',
+      operationId,
+      result
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// -----------------------------------------------------------------------------
+// INSERT CHILD - Insert new child at specific index
+// -----------------------------------------------------------------------------
+app.post('/api/figma/insert-child', authMiddleware, requireScope('write'), async (req, res) => {
+  const { targetId, childIndex, newChild } = req.body;
+  
+  const error = validateOperation({ type: 'insert-child', targetId, newChild });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const problems = validateOperationSpec({ newChild });
+  if (problems.length > 0) {
+    return res.status(400).json({ error: 'Invalid newChild spec', problems });
+  }
+  
+  try {
+    const { result, operationId } = await sendMutation(req, {
+      type: 'insert-child',
+      targetId,
+      childIndex: childIndex !== undefined ? childIndex : -1, // -1 = append
+      newChild,
+      timestamp: Date.now()
+    });
+    
+    res.json({
+      success: true,
+      message: 'Child inserted',
+      operationId,
+      result
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// -----------------------------------------------------------------------------
+// DELETE NODE - Remove node by ID
+// -----------------------------------------------------------------------------
+app.post('/api/figma/delete', authMiddleware, requireScope('write'), async (req, res) => {
+  const { targetId } = req.body;
+  
+  const error = validateOperation({ type: 'delete-node', targetId });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const { result, operationId } = await sendMutation(req, {
+      type: 'delete-node',
+      targetId,
+      timestamp: Date.now()
+    });
+    
+    res.json({
+      success: true,
+      message: 'Node deleted',
+      operationId,
+      result
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// -----------------------------------------------------------------------------
+// BATCH - Run an ordered list of operations in one round trip
+// -----------------------------------------------------------------------------
+app.post('/api/figma/batch', authMiddleware, requireScope('write'), async (req, res) => {
+  const { operations, atomic } = req.body;
+  
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return res.status(400).json({ error: 'Missing or empty operations array' });
+  }
+  
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    return res.status(400).json({ error: `Too many operations (max ${MAX_BATCH_OPERATIONS})` });
+  }
+  
+  const problems = validateBatch(operations);
+  if (problems.length > 0) {
+    return res.status(400).json({ error: 'Invalid operations', problems });
+  }
+  
+  // -1 = append, as for /api/figma/insert-child
+  const normalized = operations.map((op) => (
+    op.type === 'insert-child' && op.childIndex === undefined ? { ...op, childIndex: -1 } : op
+  ));
+  
+  try {
+    const { result, operationId } = await sendMutation(req, {
+      type: 'batch',
+      operations: normalized,
+      atomic: Boolean(atomic),
+      timestamp: Date.now()
+    }, { timeoutMs: BATCH_TIMEOUT });
+    
+    res.json({
+      success: true,
+      message: `Batch of ${operations.length} operations applied`,
+      operationId,
+      results: result.results || [],
+      refs: result.refs || {},
+      result
+    });
+  } catch (err) {
+    if (!err.result) {
+      return sendError(res, err);
+    }
+    // The plugin ran the batch but an operation failed
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      operationId: err.details.operationId,
+      atomic: Boolean(atomic),
+      rolledBack: Boolean(err.result.rolledBack),
+      failedIndex: err.result.failedIndex,
+      results: err.result.results || []
+    });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// SYNC - Make a node match a spec with the fewest operations
+// -----------------------------------------------------------------------------
+
+/**
+ * Find a node for sync: in the latest cached selection that contains it
+ * (unless live), else fresh from the plugin with a `read-node` message.
+ * Returns { node, source, target }.
+ */
+async function readNodeForSync(req, nodeId, live) {
+  const target = getTarget(req);
+  
+  if (!live) {
+    let entries = [];
+    try {
+      entries = getCacheEntries('selection', target);
+    } catch (err) {
+      if (err.status !== 404) throw err;
+    }
+    // A persisted snapshot may be from a plugin that has since changed the file
+    const entry = entries
+      .filter((e) => !e.persisted)
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .find((e) => nodeQuery.findById(nodeQuery.rootsOf(e.data), nodeId));
+    if (entry) {
+      return {
+        node: nodeQuery.findById(nodeQuery.rootsOf(entry.data), nodeId),
+        source: { type: 'selection', clientId: entry.clientId, fileKey: entry.fileKey || null, timestamp: entry.timestamp },
+        target: hasTarget(target) ? target : { clientId: entry.clientId }
+      };
+    }
+  }
+  
+  const client = resolveTargetClient(target);
+  const reply = await sendAndWait({
+    type: 'read-node',
+    nodeId,
+    timestamp: Date.now()
+  }, { clientId: client.clientId });
+  const node = nodeQuery.findById(nodeQuery.rootsOf(reply.nodes), nodeId);
+  if (!node) {
+    throw httpError(404, `Node not found: ${nodeId}`);
+  }
+  return {
+    node,
+    source: { type: 'live', clientId: client.clientId, fileKey: client.fileKey || null, timestamp: Date.now() },
+    target: { clientId: client.clientId }
+  };
+}
+
+app.post('/api/figma/sync', authMiddleware, requireScope('write'), async (req, res) => {
+  const { targetId, spec, dryRun, live } = req.body || {};
+  
+  if (!targetId) {
+    return res.status(400).json({ error: 'Missing targetId' });
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return res.status(400).json({ error: 'Missing spec' });
+  }
+  
+  const validation = specSchema.validateSpec(spec, specRegistry, '/spec');
+  if (!validation.valid) {
+    return res.status(400).json({ error: 'Invalid spec', problems: validation.errors });
+  }
+  
+  let current;
+  let plan;
+  try {
+    current = await readNodeForSync(req, targetId, Boolean(live));
+    plan = planSync(current.node, spec, '/spec');
+  } catch (err) {
+    return sendError(res, err);
+  }
+  
+  const report = {
+    targetId,
+    source: current.source,
+    summary: plan.summary,
+    changes: plan.changes,
+    operations: plan.operations
+  };
+  
+  if (plan.operations.length > MAX_BATCH_OPERATIONS) {
+    return res.status(400).json({
+      error: `Sync needs ${plan.operations.length} operations (max ${MAX_BATCH_OPERATIONS}); sync a smaller part of the tree`,
+      ...report
+    });
+  }
+  
+  if (dryRun || plan.operations.length === 0) {
+    return res.json({
+      success: true,
+      message: plan.operations.length === 0 ? 'Node already matches the spec' : 'Dry run: nothing applied',
+      applied: false,
+      ...report
+    });
+  }
+  
+  try {
+    const { result, operationId } = await sendMutation(req, {
+      type: 'batch',
+      operations: plan.operations,
+      atomic: true,
+      timestamp: Date.now()
+    }, { target: current.target, timeoutMs: BATCH_TIMEOUT });
+    
+    res.json({
+      success: true,
+      message: `${plan.operations.length} operations applied`,
+      applied: true,
+      operationId,
+      ...report,
+      results: result.results || []
+    });
+  } catch (err) {
+    if (!err.result) {
+      return sendError(res, err);
+    }
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      applied: false,
+      operationId: err.details.operationId,
+      rolledBack: Boolean(err.result.rolledBack),
+      failedIndex: err.result.failedIndex,
+      ...report,
+      results: err.result.results || []
+    });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// AUDIT - Log of node mutations
+// -----------------------------------------------------------------------------
+
+/**
+ * Public view of an audit entry (previous state only on request)
+ */
+function describeAuditEntry(entry, withPreviousState = false) {
+  const { previousState, ...rest } = entry;
+  let undoable = true;
+  try {
+    inverseOperations(entry);
+  } catch (err) {
+    undoable = false;
+  }
+  return {
+    ...rest,
+    undoable,
+    ...(withPreviousState ? { previousState } : { hasPreviousState: Boolean(previousState) })
+  };
+}
+
+app.get('/api/figma/audit', authMiddleware, requireScope('read'), (req, res) => {
+  let target;
+  try {
+    target = getTarget(req);
+  } catch (err) {
+    return sendError(res, err);
+  }
+  
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const entries = auditLog.list({ ...target, type: req.query.type, key: req.query.key });
+  
+  res.json({
+    success: true,
+    count: Math.min(entries.length, limit),
+    total: entries.length,
+    entries: entries.slice(0, limit).map((entry) => describeAuditEntry(entry))
   });
 });
 
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', version: '5.5', clients: figmaClients.size });
+app.get('/api/figma/audit/:operationId', authMiddleware, requireScope('read'), (req, res) => {
+  const entry = auditLog.get(req.params.operationId);
+  
+  if (!entry || (req.session && entry.clientId !== req.session.clientId)) {
+    return res.status(404).json({ error: 'Operation not found' });
+  }
+  
+  res.json({
+    success: true,
+    entry: describeAuditEntry(entry, true)
+  });
 });
 
 // -----------------------------------------------------------------------------
-// CREATE - Send new UI spec to Figma (existing functionality)
+// UNDO - Replay the inverse of recent mutations
 // -----------------------------------------------------------------------------
-app.post('/api/figma/create', authMiddleware, (req, res) => {
-  const spec = req.body;
+app.post('/api/figma/undo', authMiddleware, requireScope('write'), async (req, res) => {
+  const { operationId } = req.body;
+  const count = req.body.count === undefined ? 1 : Number(req.body.count);
   
-  if (!spec || !spec.type) {
-    return res.status(400).json({ error: 'Invalid spec: missing type' });
+  if (!operationId && !(Number.isInteger(count) && count >= 1 && count <= 50)) {
+    return res.status(400).json({ error: 'count must be an integer from 1 to 50' });
   }
   
-  const sentCount = broadcastToFigma({
-    type: 'create',
-    spec: spec,
-    timestamp: Date.now()
+  let client;
+  let undone;
+  try {
+    const target = getTarget(req);
+    
+    if (operationId) {
+      const entry = auditLog.get(operationId);
+      if (!entry || (target.clientId && entry.clientId !== target.clientId)) {
+        return res.status(404).json({ error: 'Operation not found' });
+      }
+      const connected = [...figmaClients].some((c) => c.clientId === entry.clientId);
+      client = resolveTargetClient(connected || !entry.fileKey ? { clientId: entry.clientId } : { fileKey: entry.fileKey });
+      undone = [entry];
+    } else {
+      // Last N changes to the file open in the target client, newest first
+      client = resolveTargetClient(target);
+      undone = auditLog.list(client.fileKey ? { fileKey: client.fileKey } : { clientId: client.clientId })
+        .filter((entry) => entry.type !== 'undo' && !entry.undoneBy && changedNodes(entry))
+        .slice(0, count);
+      if (undone.length === 0) {
+        return res.status(404).json({ error: 'Nothing to undo' });
+      }
+    }
+  } catch (err) {
+    return sendError(res, err);
+  }
+  
+  let operations;
+  try {
+    operations = undone.flatMap((entry) => {
+      try {
+        return inverseOperations(entry);
+      } catch (err) {
+        throw httpError(err.status || 409, err.message, { operationId: entry.id });
+      }
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+  
+  const undoOf = undone.map((entry) => entry.id);
+  try {
+    const { result, operationId: undoId } = await sendMutation(req, {
+      type: 'batch',
+      operations,
+      atomic: true,
+      timestamp: Date.now()
+    }, { target: { clientId: client.clientId }, auditType: 'undo', undoOf, timeoutMs: BATCH_TIMEOUT });
+    
+    undone.forEach((entry) => auditLog.markUndone(entry, undoId));
+    
+    res.json({
+      success: true,
+      message: `Undid ${undone.length} operation${undone.length === 1 ? '' : 's'}`,
+      operationId: undoId,
+      undone: undoOf,
+      operations,
+      results: result.results || []
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({
+      success: false,
+      error: err.message,
+      ...err.details,
+      undone: [],
+      operations,
+      results: err.result?.results || []
+    });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// SANDBOX - Inspect, select in and reset the virtual document
+// -----------------------------------------------------------------------------
+app.get('/api/figma/sandbox', authMiddleware, requireScope('read'), (req, res) => {
+  res.json({
+    success: true,
+    ...describeClient(sandboxClient),
+    ...sandboxDocument.getDocument()
   });
+});
+
+app.post('/api/figma/sandbox/select', authMiddleware, requireScope('write'), (req, res) => {
+  const { nodeIds } = req.body || {};
+  if (!Array.isArray(nodeIds) || nodeIds.some((id) => typeof id !== 'string')) {
+    return res.status(400).json({ error: 'nodeIds must be an array of node IDs' });
+  }
+  
+  try {
+    sandboxDocument.select(nodeIds);
+  } catch (err) {
+    return sendError(res, err, 404);
+  }
+  handlePluginMessage(sandboxClient, sandboxDocument.selectionData());
+  res.json({ success: true, selection: nodeIds });
+});
+
+app.post('/api/figma/sandbox/reset', authMiddleware, requireScope('write'), (req, res) => {
+  const { nodes = [], variableOperations = [] } = req.body || {};
+  if (!Array.isArray(nodes) || !Array.isArray(variableOperations)) {
+    return res.status(400).json({ error: 'nodes and variableOperations must be arrays' });
+  }
+  
+  const problems = nodes.flatMap((spec, i) => specSchema.validateSpec(spec, specRegistry, `/nodes/${i}`).errors);
+  if (problems.length > 0) {
+    return res.status(400).json({ error: 'Invalid spec', problems });
+  }
+  for (let i = 0; i < variableOperations.length; i++) {
+    const error = validateVariableOperation(variableOperations[i]);
+    if (error) {
+      return res.status(400).json({ error: `Variable operation ${i}: ${error}`, index: i });
+    }
+  }
   
+  try {
+    sandboxDocument.reset({ nodes, variableOperations: variableOperations.map(prepareVariableOperation) });
+  } catch (err) {
+    sandboxDocument.reset();
+    publishSandbox();
+    return sendError(res, err, 400);
+  }
+  publishSandbox();
+  console.log(`Sandbox reset: ${nodes.length} nodes, ${variableOperations.length} variable operations`);
+  res.json({ success: true, ...sandboxDocument.getDocument() });
+});
+
+// -----------------------------------------------------------------------------
+// SCHEMA - Spec DSL registry used for validation
+// -----------------------------------------------------------------------------
+app.get('/api/figma/schema', authMiddleware, requireScope('read'), (req, res) => {
   res.json({
     success: true,
-    message: 'Spec sent to Figma',
-    clientCount: sentCount
+    commonProps: specSchema.COMMON_PROPS,
+    ...specRegistry
   });
 });
 
 // -----------------------------------------------------------------------------
-// READ SELECTION - Get current selection from Figma (cached)
+// GET VARIABLES - Get Figma Variable collections (v5.2)
 // -----------------------------------------------------------------------------
-app.get('/api/figma/selection', authMiddleware, (req, res) => {
-  // Return cached selection data
-  const selections = [];
+app.get('/api/figma/variables', authMiddleware, requireScope('read'), (req, res) => {
+  let entries;
+  try {
+    entries = getCacheEntries('variables', getTarget(req));
+  } catch (err) {
+    return sendError(res, err);
+  }
   
-  selectionCache.forEach((value, clientId) => {
-    selections.push({
-      clientId,
-      timestamp: value.timestamp,
-      age: Date.now() - value.timestamp,
-      nodeCount: value.nodeCount,
-      data: value.data
-    });
-  });
+  const allVariables = entries.map((value) => ({
+    clientId: value.clientId,
+    timestamp: value.timestamp,
+    age: Date.now() - value.timestamp,
+    fileKey: value.fileKey,
+    fileName: value.fileName,
+    collectionCount: value.collectionCount,
+    persisted: Boolean(value.persisted),
+    variables: value.variables
+  }));
   
-  if (selections.length === 0) {
+  if (allVariables.length === 0) {
     return res.json({
       success: true,
-      message: 'No selection data available. Click "Send Selection" in Figma plugin.',
-      selections: []
+      message: 'No variables data available. Variables are synced automatically when Figma plugin connects.',
+      variables: []
     });
   }
   
-  // Return most recent selection
-  selections.sort((a, b) => b.timestamp - a.timestamp);
+  // Return most recent
+  allVariables.sort((a, b) => b.timestamp - a.timestamp);
+  const latest = allVariables[0];
   
   res.json({
     success: true,
-    message: 'Selection data retrieved',
-    latest: selections[0],
-    all: selections
+    message: 'Variables retrieved',
+    clientId: latest.clientId,
+    fileKey: latest.fileKey,
+    fileName: latest.fileName,
+    collectionCount: latest.collectionCount,
+    variableCount: latest.variables.length,
+    variables: latest.variables,
+    persisted: latest.persisted,
+    timestamp: latest.timestamp
+  });
+});
+
+// -----------------------------------------------------------------------------
+// EXPORT VARIABLES - Cached variables as design tokens
+// -----------------------------------------------------------------------------
+app.get('/api/figma/variables/export', authMiddleware, requireScope('read'), (req, res) => {
+  const format = req.query.format || 'dtcg';
+  const aliases = req.query.aliases || 'reference';
+  
+  if (!tokens.FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Unknown format: ${format}`, formats: tokens.FORMATS });
+  }
+  if (!tokens.ALIAS_MODES.includes(aliases)) {
+    return res.status(400).json({ error: `Unknown aliases option: ${aliases}`, aliases: tokens.ALIAS_MODES });
+  }
+  
+  let entries;
+  try {
+    entries = getCacheEntries('variables', getTarget(req));
+  } catch (err) {
+    return sendError(res, err);
+  }
+  
+  if (entries.length === 0) {
+    return res.status(404).json({ error: 'No variables data available' });
+  }
+  
+  const latest = entries.sort((a, b) => b.timestamp - a.timestamp)[0];
+  const normalized = tokens.normalizeVariables(latest.variables, latest.collections);
+  const output = tokens.exportTokens(normalized, { format, aliases, mode: req.query.mode });
+  
+  if (req.query.download) {
+    const baseName = tokens.slugify(latest.fileName || latest.fileKey || 'figma') || 'figma';
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.${output.extension}"`);
+  }
+  res.type(output.contentType).send(output.body);
+});
+
+// -----------------------------------------------------------------------------
+// DIFF VARIABLES - Compare two variable sets (files, snapshots or uploaded tokens)
+// -----------------------------------------------------------------------------
+app.post('/api/figma/variables/diff', authMiddleware, requireScope('read'), (req, res) => {
+  const { base, head, format = 'json' } = req.body;
+  
+  if (!base || typeof base !== 'object') {
+    return res.status(400).json({ error: 'Missing base source' });
+  }
+  if (format !== 'json' && format !== 'markdown') {
+    return res.status(400).json({ error: `Unknown format: ${format}`, formats: ['json', 'markdown'] });
+  }
+  
+  let before;
+  let after;
+  try {
+    before = loadVariableSource(req, base);
+    after = loadVariableSource(req, head || {});
+  } catch (err) {
+    return sendError(res, err);
+  }
+  
+  const diff = diffVariables(before.variables, after.variables);
+  const labels = { base: before.label, head: after.label };
+  
+  if (format === 'markdown') {
+    return res.type('text/markdown').send(diffToMarkdown(diff, labels));
+  }
+  
+  res.json({
+    success: true,
+    ...labels,
+    ...diff,
+    markdown: diffToMarkdown(diff, labels)
+  });
+});
+
+// -----------------------------------------------------------------------------
+// WRITE VARIABLES - Create, update, rename and delete variables and collections
+// -----------------------------------------------------------------------------
+
+/**
+ * Send variable operations to the plugin as one `variable-ops` message
+ */
+function sendVariableOperations(req, operations) {
+  return sendAndWait({
+    type: 'variable-ops',
+    operations: operations.map(prepareVariableOperation),
+    timestamp: Date.now()
+  }, getTarget(req), BATCH_TIMEOUT);
+}
+
+Object.entries(VARIABLE_OPERATIONS).forEach(([type, { path, message }]) => {
+  app.post(`/api/figma/variables/${path}`, authMiddleware, requireScope('write'), async (req, res) => {
+    const { clientId, fileKey, sandbox, ...fields } = req.body;
+    const op = { ...fields, type };
+    
+    const error = validateVariableOperation(op);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    try {
+      const result = await sendVariableOperations(req, [op]);
+      res.json({
+        success: true,
+        message,
+        result
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
   });
 });
 
+app.post('/api/figma/variables/operations', authMiddleware, requireScope('write'), async (req, res) => {
+  const { operations } = req.body;
+  
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return res.status(400).json({ error: 'Missing or empty operations array' });
+  }
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    return res.status(400).json({ error: `Too many operations (max ${MAX_BATCH_OPERATIONS})` });
+  }
+  
+  const problems = operations
+    .map((op, index) => ({ index, error: op && typeof op === 'object' ? validateVariableOperation(op) : 'Operation must be an object' }))
+    .filter((problem) => problem.error);
+  if (problems.length > 0) {
+    return res.status(400).json({ error: 'Invalid operations', problems });
+  }
+  
+  try {
+    const result = await sendVariableOperations(req, operations);
+    res.json({
+      success: true,
+      message: `${operations.length} variable operations applied`,
+      results: result.results || [],
+      result
+    });
+  } catch (err) {
+    if (!err.result) {
+      return sendError(res, err);
+    }
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      failedIndex: err.result.failedIndex,
+      results: err.result.results || []
+    });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// IMPORT TOKENS - Apply a DTCG file with the minimal set of variable changes
+// -----------------------------------------------------------------------------
+app.post('/api/figma/variables/import', authMiddleware, requireScope('write'), async (req, res) => {
+  const { tokens: tokenFile, collection, prune, dryRun } = req.body;
+  
+  if (!tokenFile || typeof tokenFile !== 'object') {
+    return res.status(400).json({ error: 'Missing tokens (DTCG JSON object)' });
+  }
+  
+  let client;
+  try {
+    client = resolveTargetClient(getTarget(req));
+  } catch (err) {
+    return sendError(res, err);
+  }
+  
+  const cached = variablesCache.get(client.clientId);
+  if (!cached) {
+    return res.status(409).json({ error: 'Variables not synced from this Figma client yet; wait for variables-data and retry' });
+  }
+  
+  const current = tokens.normalizeVariables(cached.variables, cached.collections);
+  const incoming = tokens.parseDtcg(tokenFile, { collection });
+  const plan = planTokenImport(current, incoming, { prune: Boolean(prune) });
+  
+  if (dryRun || plan.operations.length === 0) {
+    return res.json({
+      success: true,
+      message: plan.operations.length === 0 ? 'Variables already match the tokens' : 'Dry run: nothing applied',
+      applied: false,
+      summary: plan.diff.summary,
+      operations: plan.operations,
+      skipped: plan.skipped
+    });
+  }
+  
+  try {
+    const result = await sendVariableOperations(req, plan.operations);
+    res.json({
+      success: true,
+      message: `${plan.operations.length} variable operations applied`,
+      applied: true,
+      summary: plan.diff.summary,
+      operations: plan.operations,
+      skipped: plan.skipped,
+      results: result.results || []
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({
+      success: false,
+      error: err.message,
+      applied: false,
+      operations: plan.operations,
+      results: err.result?.results || []
+    });
+  }
+});
+
 // -----------------------------------------------------------------------------
-// REQUEST SELECTION - Ask Figma to send current selection (async)
+// ANALYZE FRAMES - LLM-based frame naming (v5.5)
 // -----------------------------------------------------------------------------
-app.post('/api/figma/request-selection', authMiddleware, async (req, res) => {
+app.post('/api/figma/analyze-frames', authMiddleware, requireScope('analyze'), async (req, res) => {
   try {
-    const result = await sendAndWait({
-      type: 'read-selection',
-      timestamp: Date.now()
-    });
-    
+    const analysis = await runFrameAnalysis(req.body.frames, req.body.profile, getTarget(req), req.body.cache !== false);
     res.json({
       success: true,
-      message: 'Selection retrieved',
-      data: result
+      ...analysis
     });
   } catch (err) {
-    res.status(504).json({
-      success: false,
-      error: err.message
+    if (!err.status) console.error('Analyze frames error:', err);
+    res.status(err.status || 500).json({
+      error: err.message,
+      ...err.details,
+      ...(err.raw !== undefined && { raw: err.raw })
     });
   }
 });
 
 // -----------------------------------------------------------------------------
-// UPDATE NODE - Update specific node by ID
+// APPLY NAMES - Rename frames from accepted suggestions in one batch
 // -----------------------------------------------------------------------------
-app.post('/api/figma/update', authMiddleware, async (req, res) => {
-  const { targetId, updates } = req.body;
+app.post('/api/figma/apply-names', authMiddleware, requireScope('write'), async (req, res) => {
+  const { runId, frameIds, suggestions, renumber, dryRun } = req.body;
   
-  if (!targetId) {
-    return res.status(400).json({ error: 'Missing targetId' });
+  if (!runId && !Array.isArray(suggestions)) {
+    return res.status(400).json({ error: 'Provide runId or a suggestions array' });
   }
   
-  if (!updates || Object.keys(updates).length === 0) {
-    return res.status(400).json({ error: 'Missing updates' });
+  let run = null;
+  if (runId) {
+    run = analysisRuns.get(runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Analysis run not found or expired' });
+    }
   }
   
+  let profile;
+  let target;
   try {
-    const result = await sendAndWait({
-      type: 'update-node',
-      targetId,
-      updates,
-      timestamp: Date.now()
-    });
-    
-    res.json({
-      success: true,
-      message: 'Node updated',
-      result
-    });
+    profile = getNamingProfile(req.body.profile || run?.profile);
+    target = getTarget(req);
+    if (!hasTarget(target) && run) target = { ...target, ...run.target };
   } catch (err) {
-    res.status(500).json({
-      success: false,
-      error: err.message
-    });
+    return sendError(res, err);
   }
-});
-
-// -----------------------------------------------------------------------------
-// REPLACE CHILDREN - Replace child at specific index
-// -----------------------------------------------------------------------------
-app.post('/api/figma/replace-child', authMiddleware, async (req, res) => {
-  const { targetId, childIndex, newChild } = req.body;
   
-  if (!targetId) {
-    return res.status(400).json({ error: 'Missing targetId' });
+  // Explicit suggestions win; otherwise take the run's valid suggestions
+  const currentNames = new Map((run?.frames || []).map((f) => [f.id, f.name]));
+  const skipped = [];
+  let accepted = Array.isArray(suggestions) ? suggestions : run.suggestions.filter((suggestion) => {
+    if (suggestion.valid === false) skipped.push({ frameId: suggestion.frameId, problems: suggestion.problems || [] });
+    return suggestion.valid !== false;
+  });
+  if (Array.isArray(frameIds)) {
+    accepted = accepted.filter((suggestion) => frameIds.includes(suggestion.frameId));
   }
   
-  if (childIndex === undefined) {
-    return res.status(400).json({ error: 'Missing childIndex' });
+  const invalid = accepted.findIndex((suggestion) => !suggestion || !suggestion.frameId || typeof suggestion.suggestedName !== 'string' || !suggestion.suggestedName);
+  if (invalid !== -1) {
+    return res.status(400).json({ error: `suggestions[${invalid}] needs frameId and suggestedName` });
+  }
+  if (accepted.length === 0) {
+    return res.status(400).json({ error: 'No suggestions to apply', skipped });
+  }
+  if (accepted.length > MAX_BATCH_OPERATIONS) {
+    return res.status(400).json({ error: `Too many suggestions (max ${MAX_BATCH_OPERATIONS})` });
+  }
+  
+  const plan = naming.planRenames(accepted.map((suggestion) => ({
+    frameId: suggestion.frameId,
+    name: suggestion.suggestedName,
+    pageName: suggestion.pageName,
+    currentName: suggestion.currentName !== undefined ? suggestion.currentName : currentNames.get(suggestion.frameId)
+  })), profile, { renumber });
+  
+  const report = {
+    profile: profile.name,
+    runId: run?.id || null,
+    renames: plan.renames,
+    unchanged: plan.unchanged,
+    skipped,
+    issues: plan.issues
+  };
+  
+  if (plan.conflicts.length > 0) {
+    return res.status(409).json({
+      success: false,
+      error: 'Several frames would get the same name',
+      conflicts: plan.conflicts,
+      ...report
+    });
   }
   
-  if (!newChild) {
-    return res.status(400).json({ error: 'Missing newChild spec' });
+  if (dryRun || plan.renames.length === 0) {
+    return res.json({
+      success: true,
+      message: plan.renames.length === 0 ? 'All frames already have these names' : 'Dry run: nothing applied',
+      applied: false,
+      ...report
+    });
   }
   
   try {
-    const result = await sendAndWait({
-      type: 'replace-child',
-      targetId,
-      childIndex,
-      newChild,
+    const { result, operationId } = await sendMutation(req, {
+      type: 'batch',
+      operations: plan.renames.map((rename) => ({
+        type: 'update-node',
+        targetId: rename.frameId,
+        updates: { name: rename.to }
+      })),
+      atomic: true,
       timestamp: Date.now()
-    });
+    }, { target, timeoutMs: BATCH_TIMEOUT });
     
     res.json({
       success: true,
-      message: 'Child replaced',
-      result
+      message: `${plan.renames.length} frames renamed`,
+      applied: true,
+      operationId,
+      ...report,
+      results: result.results || []
     });
   } catch (err) {
+    if (!err.result) {
+      return sendError(res, err);
+    }
     res.status(500).json({
       success: false,
-      error: err.message
+      error: err.message,
+      applied: false,
+      operationId: err.details.operationId,
+      rolledBack: Boolean(err.result.rolledBack),
+      failedIndex: err.result.failedIndex,
+      ...report,
+      results: err.result.results || []
     });
   }
 });
 
 // -----------------------------------------------------------------------------
-// INSERT CHILD - Insert new child at specific index
+// NAMING PROFILES - Conventions analyze-frames can be asked to follow
 // -----------------------------------------------------------------------------
-app.post('/api/figma/insert-child', authMiddleware, async (req, res) => {
-  const { targetId, childIndex, newChild } = req.body;
+app.get('/api/figma/naming-profiles', authMiddleware, requireScope('analyze'), (req, res) => {
+  res.json({
+    success: true,
+    default: NAMING_PROFILE,
+    profiles: [...namingProfiles.values()]
+  });
+});
+
+app.post('/api/admin/naming-profiles', authMiddleware, requireScope('admin'), (req, res) => {
+  const { name, ...definition } = req.body;
   
-  if (!targetId) {
-    return res.status(400).json({ error: 'Missing targetId' });
+  const error = naming.validateProfile(name, definition);
+  if (error) {
+    return res.status(400).json({ error });
   }
   
-  if (!newChild) {
-    return res.status(400).json({ error: 'Missing newChild spec' });
+  const existed = namingProfiles.has(name);
+  const profile = naming.normalizeProfile(name, definition);
+  namingProfiles.set(name, profile);
+  saveNamingProfiles();
+  
+  res.json({
+    success: true,
+    message: existed ? 'Naming profile updated' : 'Naming profile created',
+    profile
+  });
+});
+
+app.post('/api/admin/naming-profiles/:name/delete', authMiddleware, requireScope('admin'), (req, res) => {
+  const { name } = req.params;
+  
+  if (!namingProfiles.has(name)) {
+    return res.status(404).json({ error: 'Naming profile not found' });
+  }
+  if (name === NAMING_PROFILE) {
+    return res.status(400).json({ error: 'Cannot delete the default naming profile' });
   }
   
+  namingProfiles.delete(name);
+  saveNamingProfiles();
+  res.json({ success: true, message: 'Naming profile deleted', name });
+});
+
+// -----------------------------------------------------------------------------
+// EVENTS - Server-Sent Events stream of plugin activity
+// -----------------------------------------------------------------------------
+app.get('/api/figma/events', authMiddleware, requireScope('read'), (req, res) => {
+  let filter;
   try {
-    const result = await sendAndWait({
-      type: 'insert-child',
-      targetId,
-      childIndex: childIndex !== undefined ? childIndex : -1, // -1 = append
-      newChild,
-      timestamp: Date.now()
-    });
-    
-    res.json({
-      success: true,
-      message: 'Child inserted',
-      result
-    });
+    filter = { ...getTarget(req), types: parseEventTypes(req.query.types) };
   } catch (err) {
-    res.status(500).json({
-      success: false,
-      error: err.message
-    });
+    return sendError(res, err);
   }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(': connected\n\n');
+  
+  const onEvent = (event) => {
+    if (!eventMatches(filter, event)) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  relayEvents.on('event', onEvent);
+  
+  // Comment line every 25s keeps proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+  
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    relayEvents.off('event', onEvent);
+  });
 });
 
 // -----------------------------------------------------------------------------
-// DELETE NODE - Remove node by ID
+// MCP - Model Context Protocol over streamable HTTP (and stdio)
 // -----------------------------------------------------------------------------
-app.post('/api/figma/delete', authMiddleware, async (req, res) => {
-  const { targetId } = req.body;
+
+/**
+ * Run one of this server's REST routes with the given Authorization header
+ */
+async function requestRelay(authorization, method, path, body) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    method,
+    headers: { Authorization: authorization, 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Start an MCP session whose tools act with the caller's credentials.
+ * Notifications go to the session's open GET streams unless `notify` is given.
+ */
+function openMcpSession(authorization, clientId, notify) {
+  const entry = { authorization, clientId, streams: new Set(), lastUsedAt: Date.now() };
+  entry.session = mcp.createMcpSession({
+    serverInfo: { name: 'figma-relay', version: SERVER_VERSION },
+    tools: mcpTools,
+    request: (method, path, body) => requestRelay(authorization, method, path, body),
+    clientIds: () => (clientId ? [clientId] : [...[...figmaClients].map((c) => c.clientId), SANDBOX_CLIENT_ID]),
+    notify: notify || ((message) => {
+      entry.streams.forEach((res) => res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`));
+    })
+  });
+  return entry;
+}
+
+/**
+ * Find the MCP session named by the Mcp-Session-Id header, or answer with
+ * the error. A session only works with the credentials that opened it.
+ */
+function findMcpSession(req, res) {
+  const sessionId = req.headers['mcp-session-id'];
+  const entry = sessionId ? mcpSessions.get(sessionId) : null;
+  if (!sessionId) {
+    res.status(400).json({ jsonrpc: '2.0', id: null, error: { code: mcp.ERROR_CODES.invalidRequest, message: 'Missing Mcp-Session-Id header' } });
+    return null;
+  }
+  if (!entry || entry.authorization !== req.headers.authorization) {
+    res.status(404).json({ jsonrpc: '2.0', id: null, error: { code: mcp.ERROR_CODES.invalidRequest, message: 'MCP session not found' } });
+    return null;
+  }
+  entry.lastUsedAt = Date.now();
+  return entry;
+}
+
+// Tell MCP sessions about new selection and variables data, and about
+// plugins coming and going
+relayEvents.on('event', (event) => {
+  [...mcpSessions.values(), mcpStdioSession].forEach((entry) => {
+    if (!entry || (entry.clientId && entry.clientId !== event.clientId)) return;
+    if (event.type === 'selection.updated') entry.session.resourceUpdated('selection', event.clientId);
+    if (event.type === 'variables.updated') entry.session.resourceUpdated('variables', event.clientId);
+    if (event.type === 'client.connected' || event.type === 'client.disconnected') entry.session.resourceListChanged();
+  });
+});
+
+app.post('/mcp', authMiddleware, requireScope('read'), async (req, res) => {
+  const batch = Array.isArray(req.body);
+  const messages = batch ? req.body : [req.body];
+  let entry;
   
-  if (!targetId) {
-    return res.status(400).json({ error: 'Missing targetId' });
+  if (messages.some((message) => message && message.method === 'initialize')) {
+    if (messages.length > 1) {
+      return res.status(400).json({ jsonrpc: '2.0', id: null, error: { code: mcp.ERROR_CODES.invalidRequest, message: 'initialize must be sent on its own' } });
+    }
+    entry = openMcpSession(req.headers.authorization, req.session ? req.session.clientId : null);
+    mcpSessions.set(entry.session.id, entry);
+    res.set('Mcp-Session-Id', entry.session.id);
+    console.log(`MCP session started: ${entry.session.id}`);
+  } else {
+    entry = findMcpSession(req, res);
+    if (!entry) return;
   }
   
-  try {
-    const result = await sendAndWait({
-      type: 'delete-node',
-      targetId,
-      timestamp: Date.now()
-    });
+  const responses = (await Promise.all(messages.map((message) => entry.session.handle(message)))).filter(Boolean);
+  if (responses.length === 0) {
+    return res.status(202).end();
+  }
+  res.json(batch ? responses : responses[0]);
+});
+
+app.get('/mcp', authMiddleware, requireScope('read'), (req, res) => {
+  const entry = findMcpSession(req, res);
+  if (!entry) return;
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(': connected\n\n');
+  entry.streams.add(res);
+  
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    entry.streams.delete(res);
+    entry.lastUsedAt = Date.now();
+  });
+});
+
+app.delete('/mcp', authMiddleware, (req, res) => {
+  const entry = findMcpSession(req, res);
+  if (!entry) return;
+  
+  entry.streams.forEach((stream) => stream.end());
+  mcpSessions.delete(entry.session.id);
+  console.log(`MCP session closed: ${entry.session.id}`);
+  res.status(204).end();
+});
+
+/**
+ * Serve MCP on stdin/stdout (one JSON-RPC message per line) with the main
+ * API key. Closing stdin stops the server.
+ */
+function startMcpStdio() {
+  const write = (message) => process.stdout.write(`${JSON.stringify(message)}\n`);
+  mcpStdioSession = openMcpSession(`Bearer ${API_KEY}`, null, write);
+  
+  const lines = readline.createInterface({ input: process.stdin });
+  lines.on('line', async (line) => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (err) {
+      write({ jsonrpc: '2.0', id: null, error: { code: mcp.ERROR_CODES.parse, message: 'Parse error' } });
+      return;
+    }
     
-    res.json({
-      success: true,
-      message: 'Node deleted',
-      result
-    });
-  } catch (err) {
-    res.status(500).json({
-      success: false,
-      error: err.message
-    });
+    const responses = (await Promise.all([].concat(message).map((m) => mcpStdioSession.session.handle(m)))).filter(Boolean);
+    if (responses.length > 0) write(Array.isArray(message) ? responses : responses[0]);
+  });
+  lines.on('close', shutdown);
+  console.log('MCP server listening on stdio');
+}
+
+// -----------------------------------------------------------------------------
+// PAIRING - Exchange a plugin's pairing code for a session token
+// -----------------------------------------------------------------------------
+app.post('/api/figma/pair', authMiddleware, requireApiKey, (req, res) => {
+  const code = String(req.body.code || '').trim().toUpperCase();
+  
+  if (!code) {
+    return res.status(400).json({ error: 'Missing code' });
+  }
+  
+  const pairing = pairingCodes.get(code);
+  if (!pairing || pairing.expiresAt <= Date.now()) {
+    pairingCodes.delete(code);
+    return res.status(404).json({ error: 'Invalid or expired pairing code' });
+  }
+  pairingCodes.delete(code);
+  
+  const client = [...figmaClients].find((c) => c.clientId === pairing.clientId);
+  if (!client) {
+    return res.status(404).json({ error: 'Figma client for this pairing code has disconnected' });
+  }
+  
+  const now = Date.now();
+  const token = `frs_${crypto.randomBytes(24).toString('hex')}`;
+  const session = {
+    id: `sess_${now}_${Math.random().toString(36).substr(2, 9)}`,
+    tokenHash: hashSessionToken(token),
+    clientId: client.clientId,
+    fileKey: client.fileKey || null,
+    label: req.body.label || null,
+    keyLabel: req.apiKey.label,
+    // Sessions never carry admin or plugin rights
+    scopes: req.apiKey.scopes.filter((scope) => scope !== 'admin' && scope !== 'plugin'),
+    createdAt: now,
+    expiresAt: now + SESSION_TTL,
+    lastUsedAt: null
+  };
+  sessions.set(session.id, session);
+  sessionsByTokenHash.set(session.tokenHash, session.id);
+  
+  if (client.readyState === 1) {
+    sendToClient(client, { type: 'paired', sessionId: session.id, label: session.label });
+  }
+  console.log(`Session ${session.id} paired with ${client.clientId}`);
+  
+  res.json({
+    success: true,
+    message: 'Paired with Figma client',
+    token,
+    ...describeSession(session)
+  });
+});
+
+// -----------------------------------------------------------------------------
+// UNPAIR - Revoke the session used to make this request
+// -----------------------------------------------------------------------------
+app.post('/api/figma/unpair', authMiddleware, (req, res) => {
+  if (!req.session) {
+    return res.status(400).json({ error: 'Request is not using a session token' });
   }
+  
+  revokeSession(req.session);
+  res.json({ success: true, message: 'Session revoked' });
 });
 
 // -----------------------------------------------------------------------------
-// GET VARIABLES - Get Figma Variable collections (v5.2)
+// ADMIN: SESSIONS - List and revoke paired sessions
 // -----------------------------------------------------------------------------
-app.get('/api/figma/variables', authMiddleware, (req, res) => {
-  const allVariables = [];
+app.get('/api/admin/sessions', authMiddleware, requireScope('admin'), (req, res) => {
+  const now = Date.now();
+  const list = [...sessions.values()]
+    .filter((session) => session.expiresAt > now)
+    .map(describeSession);
   
-  variablesCache.forEach((value, clientId) => {
-    allVariables.push({
-      clientId,
-      timestamp: value.timestamp,
-      age: Date.now() - value.timestamp,
-      fileKey: value.fileKey,
-      fileName: value.fileName,
-      collectionCount: value.collectionCount,
-      variables: value.variables
-    });
+  res.json({
+    success: true,
+    count: list.length,
+    sessions: list
   });
+});
+
+app.post('/api/admin/sessions/:sessionId/revoke', authMiddleware, requireScope('admin'), (req, res) => {
+  const session = sessions.get(req.params.sessionId);
   
-  if (allVariables.length === 0) {
-    return res.json({
-      success: true,
-      message: 'No variables data available. Variables are synced automatically when Figma plugin connects.',
-      variables: []
-    });
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
   }
   
-  // Return most recent
-  allVariables.sort((a, b) => b.timestamp - a.timestamp);
-  const latest = allVariables[0];
+  revokeSession(session);
+  res.json({ success: true, message: 'Session revoked', sessionId: session.id });
+});
+
+// -----------------------------------------------------------------------------
+// ADMIN: KEYS - List configured API keys (labels and scopes only)
+// -----------------------------------------------------------------------------
+app.get('/api/admin/keys', authMiddleware, requireScope('admin'), (req, res) => {
+  const keys = [...apiKeys.values()].map((key) => ({
+    label: key.label,
+    scopes: key.scopes
+  }));
   
   res.json({
     success: true,
-    message: 'Variables retrieved',
-    fileKey: latest.fileKey,
-    fileName: latest.fileName,
-    collectionCount: latest.collectionCount,
-    variableCount: latest.variables.length,
-    variables: latest.variables,
-    timestamp: latest.timestamp
+    count: keys.length,
+    keys
   });
 });
 
 // -----------------------------------------------------------------------------
-// ANALYZE FRAMES - LLM-based frame naming (v5.5)
+// ADMIN: WEBHOOKS - Register URLs that receive relay events as signed POSTs
 // -----------------------------------------------------------------------------
-app.post('/api/figma/analyze-frames', authMiddleware, async (req, res) => {
-  const { frames } = req.body;
+app.post('/api/admin/webhooks', authMiddleware, requireScope('admin'), (req, res) => {
+  const { url, clientId, fileKey } = req.body;
   
-  if (!frames || !Array.isArray(frames) || frames.length === 0) {
-    return res.status(400).json({ error: 'Missing or empty frames array' });
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return res.status(400).json({ error: 'Missing or invalid url' });
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return res.status(400).json({ error: 'Webhook url must be http or https' });
   }
   
-  if (!ANTHROPIC_API_KEY) {
-    return res.status(500).json({ error: 'ANTHROPIC_API_KEY not configured on server' });
+  let types;
+  try {
+    types = parseEventTypes(req.body.types);
+  } catch (err) {
+    return sendError(res, err);
   }
   
-  // Build frame summaries for LLM
-  const frameSummaries = frames.map((f, i) => {
-    return `Frame ${i + 1} (id: ${f.id}, current name: "${f.name}", size: ${f.width}x${f.height}):\n${f.nodeTree}`;
-  }).join('\n\n---\n\n');
+  const webhook = {
+    id: `hook_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    url: parsed.toString(),
+    secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+    types,
+    clientId: clientId || null,
+    fileKey: fileKey || null,
+    createdAt: Date.now(),
+    lastDelivery: null
+  };
+  webhooks.set(webhook.id, webhook);
+  console.log(`Webhook registered: ${webhook.id} -> ${webhook.url}`);
+  
+  res.json({
+    success: true,
+    message: 'Webhook registered',
+    secret: webhook.secret,
+    ...describeWebhook(webhook)
+  });
+});
+
+app.get('/api/admin/webhooks', authMiddleware, requireScope('admin'), (req, res) => {
+  res.json({
+    success: true,
+    count: webhooks.size,
+    webhooks: [...webhooks.values()].map(describeWebhook)
+  });
+});
+
+app.post('/api/admin/webhooks/:webhookId/delete', authMiddleware, requireScope('admin'), (req, res) => {
+  if (!webhooks.delete(req.params.webhookId)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
   
-  const systemPrompt = `You are a Figma frame naming assistant. Analyze the node tree of each frame and suggest a descriptive Korean name.
+  res.json({ success: true, message: 'Webhook deleted', webhookId: req.params.webhookId });
+});
 
-Rules:
-- Format: "PageName-NN_설명" (e.g., "Onboarding-01_스크립트 설치 안내", "Dashboard-01_매출 요약 카드")
-- PageName: Infer the logical page/section from content (English, PascalCase)
-- NN: Sequential number starting from 01
-- 설명: Brief Korean description of the frame's purpose (max 15 chars)
-- If multiple frames belong to the same logical page, use the same PageName with different NN
-- If you cannot determine a meaningful name, use "Unnamed-NN_프레임 설명"
+// =============================================================================
+// HOUSEKEEPING
+// =============================================================================
 
-Respond ONLY with a JSON array. Each element: {"frameId": "...", "suggestedName": "...", "pageName": "...", "reason": "..."}
-No markdown fences, no explanation outside the JSON.`;
+// Drop expired pairing codes, sessions, analysis runs, jobs, idle MCP sessions,
+// render download links and stalled render transfers every minute
+setInterval(() => {
+  const now = Date.now();
+  pairingCodes.forEach((value, code) => {
+    if (value.expiresAt <= now) pairingCodes.delete(code);
+  });
+  sessions.forEach((session) => {
+    if (session.expiresAt <= now) deleteSession(session);
+  });
+  analysisRuns.forEach((run, id) => {
+    if (run.createdAt + RUN_RETENTION <= now) analysisRuns.delete(id);
+  });
+  jobs.forEach((job, id) => {
+    if (job.status === 'queued' && job.expiresAt <= now) {
+      updateJob(job, { status: 'failed', error: 'Expired before a Figma client connected' });
+    } else if (job.status !== 'queued' && job.updatedAt + JOB_RETENTION <= now) {
+      jobs.delete(id);
+    }
+  });
+  mcpSessions.forEach((entry, id) => {
+    if (entry.streams.size === 0 && entry.lastUsedAt + MCP_SESSION_TTL <= now) mcpSessions.delete(id);
+  });
+  renderDownloads.sweep(now);
+  renderTransfers.sweep(now);
+}, 60 * 1000).unref();
 
+// Write the cache store before exiting (Railway sends SIGTERM on redeploy)
+function shutdown() {
   try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-haiku-4-5-20251001',
-        max_tokens: 4096,
-        system: systemPrompt,
-        messages: [
-          { role: 'user', content: `Analyze these ${frames.length} Figma frame(s) and suggest names:\n\n${frameSummaries}` }
-        ]
-      })
-    });
-    
-    if (!response.ok) {
-      const errText = await response.text();
-      console.error('Anthropic API error:', response.status, errText);
-      return res.status(502).json({ error: `Anthropic API error: ${response.status}` });
-    }
-    
-    const data = await response.json();
-    const text = data.content?.[0]?.text || '[]';
-    
-    // Parse LLM response
-    let suggestions;
-    try {
-      suggestions = JSON.parse(text.replace(/```json|```/g, '').trim());
-    } catch (parseErr) {
-      console.error('LLM response parse error:', text);
-      return res.status(502).json({ error: 'Failed to parse LLM response', raw: text });
-    }
-    
-    res.json({
-      success: true,
-      suggestions: suggestions
-    });
+    cacheStore.flushSync();
   } catch (err) {
-    console.error('Analyze frames error:', err);
-    res.status(500).json({ error: err.message });
+    console.error('Failed to flush cache store:', err.message);
   }
+  process.exit(0);
+}
+
+['SIGTERM', 'SIGINT'].forEach((signal) => {
+  process.on(signal, shutdown);
 });
 
 // =============================================================================
@@ -636,6 +3517,8 @@ No markdown fences, no explanation outside the JSON.`;
 // =============================================================================
 
 server.listen(PORT, () => {
-  console.log(`Figma Relay Server v5.5 running on port ${PORT}`);
+  console.log(`Figma Relay Server v${SERVER_VERSION} running on port ${PORT}`);
   console.log('Features: bidirectional communication, selection reading, node updates, variable sync, frame naming');
+  console.log(`LLM provider: ${llmProvider.name} (${llmProvider.model})`);
+  if (MCP_STDIO) startMcpStdio();
 });
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuditLog, changedNodes, inverseOperations } = require('../lib/audit');
+
+function finished(log, fields, outcome) {
+  return log.finish(log.record(fields), outcome);
+}
+
+test('inverseOperations undoes single operations from their previous state', () => {
+  const log = createAuditLog();
+  
+  const update = finished(log, { type: 'update-node', payload: { type: 'update-node', targetId: '1:2', updates: { name: 'New' } } }, {
+    result: { success: true, previousState: { properties: { name: 'Old' } } }
+  });
+  assert.deepEqual(inverseOperations(update), [{ type: 'update-node', targetId: '1:2', updates: { name: 'Old' } }]);
+  
+  const insert = finished(log, { type: 'insert-child', payload: { type: 'insert-child', targetId: '1:1', childIndex: 0, newChild: {} } }, {
+    result: { success: true, nodeId: '1:9' }
+  });
+  assert.deepEqual(inverseOperations(insert), [{ type: 'delete-node', targetId: '1:9' }]);
+  
+  const remove = finished(log, { type: 'delete-node', payload: { type: 'delete-node', targetId: '1:3' } }, {
+    result: { success: true, previousState: { parentId: '1:1', index: 2, node: { id: '1:3' } } }
+  });
+  assert.deepEqual(inverseOperations(remove), [{ type: 'restore-node', parentId: '1:1', index: 2, node: { id: '1:3' } }]);
+  
+  const replace = finished(log, { type: 'replace-child', payload: { type: 'replace-child', targetId: '1:1', childIndex: 1, newChild: {} } }, {
+    result: { success: true, nodeId: '1:10', previousState: { node: { id: '1:4' } } }
+  });
+  assert.deepEqual(inverseOperations(replace), [
+    { type: 'delete-node', targetId: '1:10' },
+    { type: 'restore-node', parentId: '1:1', index: 1, node: { id: '1:4' } }
+  ]);
+  
+  const move = finished(log, { type: 'move-node', payload: { type: 'move-node', targetId: '1:5', index: 0 } }, {
+    result: { success: true, previousState: { index: 3 } }
+  });
+  assert.deepEqual(inverseOperations(move), [{ type: 'move-node', targetId: '1:5', index: 3 }]);
+});
+
+test('inverseOperations undoes a batch last operation first, skipping failed ones', () => {
+  const log = createAuditLog();
+  const batch = finished(log, {
+    type: 'batch',
+    payload: {
+      type: 'batch',
+      operations: [
+        { type: 'insert-child', targetId: '1:1', newChild: {} },
+        { type: 'update-node', targetId: '1:2', updates: { name: 'x' } },
+        { type: 'delete-node', targetId: '1:3' }
+      ]
+    }
+  }, {
+    result: {
+      success: true,
+      results: [
+        { success: true, nodeId: '1:9' },
+        { success: true, previousState: { properties: { name: 'y' } } },
+        { success: false, error: 'Node not found' }
+      ]
+    }
+  });
+  
+  assert.deepEqual(inverseOperations(batch), [
+    { type: 'update-node', targetId: '1:2', updates: { name: 'y' } },
+    { type: 'delete-node', targetId: '1:9' }
+  ]);
+});
+
+test('inverseOperations refuses entries that cannot be undone', () => {
+  const log = createAuditLog();
+  const failed = finished(log, { type: 'update-node', payload: { type: 'update-node', targetId: '1:2', updates: {} } }, {
+    error: new Error('Node not found')
+  });
+  assert.throws(() => inverseOperations(failed), { status: 409, message: /did not change anything/ });
+  
+  const unreported = finished(log, { type: 'update-node', payload: { type: 'update-node', targetId: '1:2', updates: {} } }, {
+    result: { success: true }
+  });
+  assert.throws(() => inverseOperations(unreported), { status: 409, message: /previous properties/ });
+  
+  log.markUndone(unreported, 'op_undo');
+  assert.throws(() => inverseOperations(unreported), { status: 409, message: /already undone/ });
+});
+
+test('a rolled-back batch is skipped and the change before it can still be undone', () => {
+  const log = createAuditLog();
+  finished(log, { type: 'update-node', fileKey: 'F', payload: { type: 'update-node', targetId: '1:2', updates: { name: 'New' } } }, {
+    result: { success: true, previousState: { properties: { name: 'Old' } } }
+  });
+  const rolledBack = finished(log, {
+    type: 'batch',
+    fileKey: 'F',
+    payload: { type: 'batch', atomic: true, operations: [{ type: 'delete-node', targetId: '1:3' }, { type: 'delete-node', targetId: '7:7' }] }
+  }, {
+    result: { success: false, results: [{ success: true }, { success: false }], failedIndex: 1, rolledBack: true },
+    error: new Error('Node not found: 7:7')
+  });
+  
+  assert.equal(changedNodes(rolledBack), false);
+  
+  // The selection POST /api/figma/undo makes for { count }
+  const undone = log.list({ fileKey: 'F' })
+    .filter((entry) => entry.type !== 'undo' && !entry.undoneBy && changedNodes(entry))
+    .slice(0, 1);
+  assert.equal(undone.length, 1);
+  assert.deepEqual(inverseOperations(undone[0]), [{ type: 'update-node', targetId: '1:2', updates: { name: 'Old' } }]);
+});
+
+test('a non-atomic batch that failed part-way can be undone', () => {
+  const log = createAuditLog();
+  const partial = finished(log, {
+    type: 'batch',
+    payload: { type: 'batch', operations: [{ type: 'insert-child', targetId: '1:1', newChild: {} }, { type: 'delete-node', targetId: '7:7' }] }
+  }, {
+    result: { success: false, results: [{ success: true, nodeId: '1:9' }, { success: false }], rolledBack: false },
+    error: new Error('Node not found: 7:7')
+  });
+  
+  assert.equal(changedNodes(partial), true);
+  assert.deepEqual(inverseOperations(partial), [{ type: 'delete-node', targetId: '1:9' }]);
+});
+
+test('the audit file is compacted to the kept entries', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'audit.jsonl');
+  const lineCount = () => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).length;
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+  const update = { type: 'update-node', payload: { type: 'update-node', targetId: '1:2', updates: {} } };
+  const outcome = { result: { success: true, previousState: { properties: {} } } };
+  
+  const log = createAuditLog({ limit: 3, filePath });
+  for (let i = 0; i < 3; i++) finished(log, update, outcome);
+  await settle();
+  assert.equal(lineCount(), 3);
+  
+  // Appending past `limit` lines since the last rewrite rewrites the file
+  log.markUndone(log.list()[0], 'op_undo');
+  assert.equal(lineCount(), 3);
+  assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8').split('\n')[2]).undoneBy, 'op_undo');
+  
+  const reloaded = createAuditLog({ limit: 3, filePath });
+  assert.deepEqual(reloaded.list().map((entry) => entry.id), log.list().map((entry) => entry.id));
+  assert.equal(reloaded.list()[0].undoneBy, 'op_undo');
+  
+  // A file with more lines than the kept entries is rewritten on load
+  fs.appendFileSync(filePath, `${JSON.stringify({ id: log.list()[1].id, undoneBy: 'op_other' })}\n`);
+  const compacted = createAuditLog({ limit: 2, filePath });
+  assert.equal(lineCount(), 2);
+  assert.equal(compacted.list()[1].undoneBy, 'op_other');
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { startRelay, connectPlugin, closePlugin } = require('./helpers/relay');
+
+function keysFile(t, keys) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-keys-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'keys.json');
+  fs.writeFileSync(file, JSON.stringify({ keys }));
+  return file;
+}
+
+test('each endpoint requires its scope', async (t) => {
+  const relay = await startRelay({
+    FIGMA_RELAY_KEYS_FILE: keysFile(t, [
+      { key: 'reader', label: 'ci', scopes: ['read'] },
+      { key: 'writer', scopes: ['read', 'write'] },
+      { key: 'everything', scopes: ['*'] }
+    ])
+  });
+  t.after(() => relay.stop());
+  
+  assert.equal((await relay.request('GET', '/api/figma/clients', undefined, null)).status, 401);
+  assert.equal((await relay.request('GET', '/api/figma/clients', undefined, 'wrong')).status, 401);
+  assert.equal((await relay.request('GET', '/api/figma/clients', undefined, 'reader')).status, 200);
+  
+  const denied = await relay.request('POST', '/api/figma/create', { type: 'frame' }, 'reader');
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.error, 'Missing scope: write');
+  assert.equal((await relay.request('POST', '/api/figma/create', { type: 'frame' }, 'writer')).status, 202);
+  assert.equal((await relay.request('GET', '/api/admin/keys', undefined, 'writer')).status, 403);
+  
+  const keys = await relay.request('GET', '/api/admin/keys', undefined, 'everything');
+  assert.equal(keys.status, 200);
+  assert.deepEqual(keys.body.keys.map((k) => [k.label, k.scopes.length]), [
+    ['default', 5], ['ci', 1], ['key-2', 2], ['key-3', 5]
+  ]);
+  assert.ok(!JSON.stringify(keys.body).includes('reader'));
+});
+
+test('plugins need a key with the plugin scope', async (t) => {
+  const relay = await startRelay({
+    FIGMA_RELAY_KEYS_FILE: keysFile(t, [
+      { key: 'reader', scopes: ['read'] },
+      { key: 'plugin-only', scopes: ['plugin'] }
+    ])
+  });
+  t.after(() => relay.stop());
+  
+  assert.match((await connectPlugin(relay, { token: null })).error.message, /401/);
+  assert.match((await connectPlugin(relay, { token: 'reader' })).error.message, /403/);
+  
+  const plugin = await connectPlugin(relay, { token: 'plugin-only' });
+  t.after(() => closePlugin(plugin));
+  assert.ok(plugin.clientId);
+  
+  // The plugin's own key limits what it may ask the relay to do
+  plugin.send(JSON.stringify({ type: 'analyze-frames', frames: [] }));
+  assert.equal((await plugin.waitFor('analyze-result')).error, 'Missing scope: analyze');
+});
+
+test('WebSocket auth can be turned off', async (t) => {
+  const relay = await startRelay({ FIGMA_RELAY_WS_AUTH: 'off' });
+  t.after(() => relay.stop());
+  const plugin = await connectPlugin(relay, { token: null });
+  t.after(() => closePlugin(plugin));
+  assert.ok(plugin.clientId);
+});
+
+test('a keys file with unknown scopes stops the relay from starting', async (t) => {
+  await assert.rejects(
+    startRelay({ FIGMA_RELAY_KEYS_FILE: keysFile(t, [{ key: 'x', scopes: ['root'] }]) }),
+    /unknown scopes: root/
+  );
+});
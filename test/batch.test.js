@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startRelay } = require('./helpers/relay');
+
+test('batches against the sandbox', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.stop());
+  const batch = (operations, atomic) => relay.request('POST', '/api/figma/batch', { sandbox: true, atomic, operations });
+  const frame = async () => (await relay.request('GET', '/api/figma/sandbox')).body.document.children[0].children[0];
+  
+  await relay.request('POST', '/api/figma/sandbox/reset', { nodes: [{ type: 'frame', name: 'Page' }] });
+  const pageId = (await frame()).id;
+  
+  await t.test('rejects bad refs before anything is sent', async () => {
+    const res = await batch([
+      { type: 'update-node', targetId: '@card', updates: { name: 'x' } },
+      { type: 'insert-child', targetId: pageId, ref: 'card', newChild: { type: 'frame' } },
+      { type: 'insert-child', targetId: pageId, ref: 'card', newChild: { type: 'frame' } },
+      { type: 'update-node', targetId: pageId, ref: 'page', updates: { name: 'x' } },
+      { type: 'insert-child', targetId: pageId, newChild: { type: 'nope' } }
+    ]);
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.problems.map((p) => p.index), [0, 2, 3, 4]);
+    assert.match(res.body.problems[0].error, /Unknown reference @card/);
+    assert.match(res.body.problems[1].error, /Duplicate ref: card/);
+    assert.match(res.body.problems[2].error, /Only insert-child and replace-child/);
+    assert.equal((await batch([])).status, 400);
+  });
+  
+  await t.test('resolves @refs to nodes created earlier in the batch', async () => {
+    const res = await batch([
+      { type: 'insert-child', targetId: pageId, ref: 'card', newChild: { type: 'frame', name: 'Card' } },
+      { type: 'insert-child', targetId: '@card', ref: 'title', newChild: { type: 'text', text: 'Hi' } },
+      { type: 'update-node', targetId: '@title', updates: { name: 'Title' } }
+    ]);
+    assert.equal(res.status, 200);
+    assert.ok(res.body.operationId);
+    const [card] = (await frame()).children;
+    assert.equal(res.body.refs.card, card.id);
+    assert.equal(res.body.refs.title, card.children[0].id);
+    assert.equal(card.children[0].name, 'Title');
+  });
+  
+  await t.test('rolls an atomic batch back when an operation fails', async () => {
+    const before = await frame();
+    const res = await batch([
+      { type: 'update-node', targetId: pageId, updates: { name: 'Renamed' } },
+      { type: 'delete-node', targetId: '9:9' }
+    ], true);
+    assert.equal(res.status, 500);
+    assert.equal(res.body.rolledBack, true);
+    assert.equal(res.body.failedIndex, 1);
+    assert.deepEqual(await frame(), before);
+  });
+  
+  await t.test('keeps earlier operations of a failed batch that is not atomic', async () => {
+    const res = await batch([
+      { type: 'update-node', targetId: pageId, updates: { name: 'Renamed' } },
+      { type: 'delete-node', targetId: '9:9' }
+    ]);
+    assert.equal(res.status, 500);
+    assert.equal(res.body.rolledBack, false);
+    assert.equal((await frame()).name, 'Renamed');
+  });
+});
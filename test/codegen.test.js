@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRegistry } = require('../lib/spec-schema');
+const codegen = require('../lib/codegen');
+
+const registry = createRegistry();
+
+function card() {
+  return {
+    id: '1:1',
+    name: 'Card',
+    type: 'FRAME',
+    layoutMode: 'VERTICAL',
+    itemSpacing: 8,
+    paddingTop: 16,
+    paddingRight: 16,
+    paddingBottom: 16,
+    paddingLeft: 16,
+    width: 320,
+    height: 200,
+    opacity: 1,
+    visible: true,
+    fills: [{ type: 'SOLID', visible: true, opacity: 1, color: { r: 1, g: 1, b: 1 } }],
+    children: [
+      { id: '1:2', name: 'Title', type: 'TEXT', characters: 'Hello <world>', fontSize: 20, x: 5, y: 5 },
+      {
+        id: '1:3',
+        name: 'Primary',
+        type: 'INSTANCE',
+        componentName: 'Button',
+        componentProperties: { Variant: { type: 'VARIANT', value: 'Primary' }, Disabled: { type: 'VARIANT', value: 'false' } },
+        children: [{ id: '1:4', name: 'Label', type: 'TEXT', characters: 'Save' }]
+      }
+    ]
+  };
+}
+
+test('nodeToSpec reads primitives, leaves out defaults and maps instances to components', () => {
+  const spec = codegen.nodeToSpec(card(), registry);
+  assert.deepEqual(spec, {
+    type: 'frame',
+    name: 'Card',
+    width: 320,
+    height: 200,
+    fill: '#ffffff',
+    layout: 'vertical',
+    gap: 8,
+    padding: [16, 16, 16, 16],
+    children: [
+      { type: 'text', name: 'Title', characters: 'Hello <world>', fontSize: 20 },
+      { $: 'Button', name: 'Primary', label: 'Save', variant: 'primary', disabled: false }
+    ]
+  });
+});
+
+test('nodeToSpec keeps positions outside auto-layout and warns about unknown types', () => {
+  const warnings = [];
+  const spec = codegen.nodeToSpec({
+    id: '2:1',
+    name: 'Canvas',
+    type: 'FRAME',
+    children: [{ id: '2:2', name: 'Widget', type: 'WIDGET', x: 10.333, y: 4 }]
+  }, registry, null, warnings);
+  
+  assert.deepEqual(spec.children, [{ type: 'frame', name: 'Widget', x: 10.33, y: 4 }]);
+  assert.deepEqual(warnings, [{ nodeId: '2:2', message: 'Unknown node type WIDGET, exported as a frame' }]);
+});
+
+test('exportNodes renders JSX and HTML from the spec', () => {
+  const jsx = codegen.exportNodes([card()], { format: 'jsx', registry });
+  assert.equal(jsx.contentType, 'text/jsx');
+  assert.match(jsx.body, /^export function Card\(\) \{/);
+  assert.match(jsx.body, /display: "flex", flexDirection: "column", gap: 8/);
+  assert.match(jsx.body, /<span style=\{\{ fontSize: 20 \}\}>\{"Hello <world>"\}<\/span>/);
+  assert.match(jsx.body, /<button type="button">Save<\/button>/);
+  
+  const html = codegen.exportNodes([card()], { format: 'html', registry, title: 'Cards & more' });
+  assert.equal(html.extension, 'html');
+  assert.match(html.body, /<title>Cards &amp; more<\/title>/);
+  assert.match(html.body, /\.card \{\n\s+width: 320px;/);
+  assert.match(html.body, /<span class="title">Hello &lt;world&gt;<\/span>/);
+  
+  assert.equal(JSON.parse(codegen.exportNodes([card(), card()], { format: 'spec', registry }).body).length, 2);
+  assert.throws(() => codegen.exportNodes([card()], { format: 'vue', registry }), /Unknown format: vue/);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const { startRelay, connectPlugin, closePlugin, API_KEY } = require('./helpers/relay');
+
+/**
+ * Open an SSE stream; `next()` resolves to the next parsed event
+ */
+async function openEvents(relay, query = '') {
+  const controller = new AbortController();
+  const res = await fetch(`${relay.url}/api/figma/events${query}`, {
+    headers: { Authorization: `Bearer ${API_KEY}` },
+    signal: controller.signal
+  });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  return {
+    status: res.status,
+    async next() {
+      for (;;) {
+        const end = buffer.indexOf('\n\n');
+        if (end !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const data = block.split('\n').find((line) => line.startsWith('data: '));
+          if (data) return JSON.parse(data.slice(6));
+          continue;
+        }
+        const { value } = await reader.read();
+        buffer += decoder.decode(value, { stream: true });
+      }
+    },
+    close: () => controller.abort()
+  };
+}
+
+/**
+ * Receive webhook POSTs; answers with the statuses given, then 200
+ */
+function startReceiver(statuses = []) {
+  const deliveries = [];
+  let waiting = null;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      deliveries.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200).end();
+      if (waiting) waiting();
+    });
+  });
+  
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    deliveries,
+    /** Wait until `count` deliveries have arrived */
+    async received(count) {
+      while (deliveries.length < count) {
+        await new Promise((done) => { waiting = done; });
+      }
+      return deliveries;
+    },
+    close: () => new Promise((done) => server.close(done))
+  })));
+}
+
+test('the event stream sends matching relay events', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.stop());
+  
+  assert.equal((await relay.request('GET', '/api/figma/events?types=client.bogus')).status, 400);
+  
+  const events = await openEvents(relay, '?types=client.connected,client.disconnected');
+  t.after(() => events.close());
+  assert.equal(events.status, 200);
+  
+  const plugin = await connectPlugin(relay);
+  const connected = await events.next();
+  assert.equal(connected.type, 'client.connected');
+  assert.equal(connected.clientId, plugin.clientId);
+  
+  await closePlugin(plugin);
+  const disconnected = await events.next();
+  assert.equal(disconnected.type, 'client.disconnected');
+  assert.ok(disconnected.id > connected.id);
+});
+
+test('webhooks are signed and retried on server errors', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.stop());
+  const receiver = await startReceiver([503]);
+  t.after(() => receiver.close());
+  
+  assert.equal((await relay.request('POST', '/api/admin/webhooks', { url: 'ftp://example.com' })).status, 400);
+  const registered = await relay.request('POST', '/api/admin/webhooks', { url: receiver.url, types: ['client.connected'] });
+  assert.equal(registered.status, 200);
+  assert.match(registered.body.secret, /^whsec_/);
+  const listed = await relay.request('GET', '/api/admin/webhooks');
+  assert.ok(!JSON.stringify(listed.body).includes(registered.body.secret));
+  
+  const plugin = await connectPlugin(relay);
+  t.after(() => closePlugin(plugin));
+  const [failed, delivered] = await receiver.received(2);
+  assert.equal(delivered.body, failed.body);
+  
+  const { headers, body } = delivered;
+  const expected = crypto.createHmac('sha256', registered.body.secret)
+    .update(`${headers['x-relay-timestamp']}.${body}`)
+    .digest('hex');
+  assert.equal(headers['x-relay-signature'], `sha256=${expected}`);
+  assert.equal(headers['x-relay-event'], 'client.connected');
+  assert.equal(JSON.parse(body).clientId, plugin.clientId);
+  
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  const hook = (await relay.request('GET', '/api/admin/webhooks')).body.webhooks[0];
+  assert.equal(hook.lastDelivery.attempt, 2);
+  assert.equal(hook.lastDelivery.success, true);
+});
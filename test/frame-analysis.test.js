@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const naming = require('../lib/naming');
+const { createProvider } = require('../lib/llm');
+const { createFrameAnalyzer, chunkFrames, parseSuggestions } = require('../lib/frame-analysis');
+
+const english = naming.normalizeProfile('english', naming.BUILTIN_PROFILES.english);
+
+function frame(id, nodeTree = 'FRAME') {
+  return { id, name: `Frame ${id}`, width: 100, height: 100, nodeTree };
+}
+
+/**
+ * Provider that answers each call with the next reply (a function of the
+ * request, or an Error to throw) and records the requests
+ */
+function scriptedProvider(replies) {
+  const requests = [];
+  return {
+    name: 'scripted',
+    model: 'test',
+    requests,
+    async complete(request) {
+      requests.push(request);
+      const reply = replies.shift();
+      if (reply instanceof Error) throw reply;
+      return JSON.stringify(typeof reply === 'function' ? reply(request) : reply);
+    }
+  };
+}
+
+test('chunkFrames splits by frame count and prompt size, truncating huge trees', () => {
+  const frames = [frame('1', 'x'.repeat(30)), frame('2', 'x'.repeat(30)), frame('3'), frame('4', 'x'.repeat(500))];
+  const chunks = chunkFrames(frames, 2, 100);
+  assert.deepEqual(chunks.map((chunk) => chunk.map((f) => f.id)), [['1', '2'], ['3'], ['4']]);
+  assert.equal(chunks[2][0].nodeTree.length, 100);
+  assert.match(chunks[2][0].nodeTree, /node tree truncated\)$/);
+});
+
+test('parseSuggestions accepts fenced JSON and rejects anything but an array', () => {
+  assert.deepEqual(parseSuggestions('```json\n[{"frameId":"1"}]\n```'), [{ frameId: '1' }]);
+  assert.throws(() => parseSuggestions('{"frameId":"1"}'), { status: 502, message: 'Failed to parse LLM response' });
+});
+
+test('the mock provider names frames and the results are cached', async () => {
+  const analyzer = createFrameAnalyzer({ provider: createProvider({ provider: 'mock' }) });
+  const frames = [frame('1'), frame('2', 'TEXT')];
+  
+  const first = await analyzer.analyzeFrames(frames, { profile: english });
+  assert.deepEqual(first.suggestions.map((s) => [s.suggestedName, s.valid]), [['Mock-01_Frame 1', true], ['Mock-02_Frame 2', true]]);
+  assert.equal(first.cached, 0);
+  
+  const second = await analyzer.analyzeFrames(frames, { profile: english });
+  assert.equal(second.cached, 2);
+  assert.equal(second.attempts, 0);
+  assert.deepEqual(second.suggestions.map((s) => s.suggestedName), ['Mock-01_Frame 1', 'Mock-02_Frame 2']);
+  
+  assert.equal((await analyzer.analyzeFrames(frames, { profile: english, useCache: false })).cached, 0);
+  await assert.rejects(analyzer.analyzeFrames([], { profile: english }), { status: 400 });
+});
+
+test('names that break the convention are sent back to the model', async () => {
+  const provider = scriptedProvider([
+    [{ frameId: '1', suggestedName: 'totally wrong' }, { frameId: '2', suggestedName: 'Home-02_Ok' }],
+    [{ frameId: '1', suggestedName: 'Home-01_Fixed' }]
+  ]);
+  const analyzer = createFrameAnalyzer({ provider, maxRetries: 1 });
+  
+  const result = await analyzer.analyzeFrames([frame('1'), frame('2')], { profile: english });
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(result.suggestions.map((s) => s.suggestedName), ['Home-01_Fixed', 'Home-02_Ok']);
+  assert.match(provider.requests[1].prompt, /- 1: "totally wrong": .*does not match/);
+  assert.doesNotMatch(provider.requests[1].prompt, /id: 2,/);
+});
+
+test('chunks share page numbering, and a failed chunk only fails its frames', async () => {
+  const provider = scriptedProvider([
+    ({ mock }) => mock.map((s) => ({ ...s, suggestedName: `Home-01_${s.frameId}` })),
+    new Error('upstream down'),
+    ({ mock }) => mock.map((s) => ({ ...s, suggestedName: `Home-01_${s.frameId}` }))
+  ]);
+  const analyzer = createFrameAnalyzer({ provider, chunkSize: 1, maxRetries: 0 });
+  
+  const result = await analyzer.analyzeFrames([frame('1'), frame('2'), frame('3')], { profile: english });
+  assert.equal(result.chunks, 3);
+  assert.equal(result.partial, true);
+  assert.deepEqual(result.failed, [{ frameId: '2', error: 'upstream down' }]);
+  assert.deepEqual(result.suggestions.map((s) => s.suggestedName), ['Home-01_1', 'Home-02_3']);
+  assert.match(provider.requests[2].prompt, /- Home: last number 1/);
+  
+  const failing = createFrameAnalyzer({ provider: scriptedProvider([Object.assign(new Error('down'), { status: 502 })]) });
+  await assert.rejects(failing.analyzeFrames([frame('1')], { profile: english }), { status: 502 });
+});
@@ -0,0 +1,184 @@
+// =============================================================================
+// Test helpers: run server.js on a free port and connect fake plugins to it
+// =============================================================================
+
+const { spawn } = require('node:child_process');
+const net = require('node:net');
+const path = require('node:path');
+const WebSocket = require('ws');
+
+const API_KEY = 'test-key';
+
+/**
+ * Ask the OS for a free port
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the relay with an in-memory store and wait until it listens.
+ * Extra env vars override the defaults.
+ */
+async function startRelay(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+    cwd: path.join(__dirname, '..', '..'),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      FIGMA_RELAY_API_KEY: API_KEY,
+      FIGMA_RELAY_STORE: 'memory',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Relay did not start:\n${output}`)), 10000);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('running on port')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Relay exited with ${code}:\n${output}`));
+    });
+  });
+  
+  const url = `http://127.0.0.1:${port}`;
+  
+  return {
+    url,
+    wsUrl: `ws://127.0.0.1:${port}`,
+    apiKey: API_KEY,
+    
+    /** Send a JSON request; resolves to { status, body } */
+    async request(method, pathname, body, key = API_KEY) {
+      const res = await fetch(url + pathname, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(key ? { Authorization: `Bearer ${key}` } : {})
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await res.text();
+      let parsed = text;
+      try {
+        parsed = JSON.parse(text);
+      } catch (err) {
+        // Not JSON; keep the text
+      }
+      return { status: res.status, headers: res.headers, body: parsed };
+    },
+    
+    stop() {
+      return new Promise((resolve) => {
+        if (child.exitCode !== null) return resolve();
+        child.removeAllListeners('exit');
+        child.on('exit', () => resolve());
+        process.kill(child.pid);
+      });
+    }
+  };
+}
+
+/**
+ * Connect a fake plugin. It records every message, optionally sends
+ * `hello` and a fileKey, and answers requests through `respond` (default:
+ * a successful operation-result). `wsOptions` go to the ws client.
+ * Resolves once the relay says `connected`, or with `closeCode`/`error`
+ * set when the connection is refused.
+ */
+function connectPlugin(relay, options = {}) {
+  const { token = API_KEY, hello, fileKey, query = '', respond, wsOptions } = options;
+  const params = [token ? `token=${token}` : '', query].filter(Boolean).join('&');
+  
+  return new Promise((resolve) => {
+    const ws = new WebSocket(`${relay.wsUrl}/${params ? `?${params}` : ''}`, wsOptions);
+    ws.received = [];
+    
+    /** Wait for the next message of a type (or one already received) */
+    ws.waitFor = (type, timeoutMs = 5000) => new Promise((done, fail) => {
+      const seen = ws.received.find((m) => m.type === type && !m.waited);
+      if (seen) {
+        seen.waited = true;
+        return done(seen);
+      }
+      const timer = setTimeout(() => fail(new Error(`No ${type} message`)), timeoutMs);
+      const onMessage = (data, isBinary) => {
+        if (isBinary) return;
+        const message = JSON.parse(data);
+        if (message.type !== type) return;
+        clearTimeout(timer);
+        ws.off('message', onMessage);
+        const stored = ws.received.find((m) => m.type === type && !m.waited);
+        if (stored) stored.waited = true;
+        done(message);
+      };
+      ws.on('message', onMessage);
+    });
+    
+    ws.on('message', (data, isBinary) => {
+      if (isBinary) return;
+      const message = JSON.parse(data);
+      ws.received.push(message);
+      
+      if (message.type === 'connected') {
+        ws.clientId = message.clientId;
+        ws.resumeToken = message.resumeToken;
+        if (hello) ws.send(JSON.stringify({ type: 'hello', ...hello }));
+        if (fileKey) ws.send(JSON.stringify({ type: 'variables-data', fileKey, variables: [], collectionCount: 0 }));
+        // Give the relay a moment to record hello and the fileKey
+        setTimeout(() => resolve(ws), 50);
+        return;
+      }
+      
+      if (!message.requestId) return;
+      const reply = respond
+        ? respond(message, ws)
+        : { type: 'operation-result', success: true, from: ws.clientId };
+      if (reply) ws.send(JSON.stringify({ requestId: message.requestId, ...reply }));
+    });
+    ws.on('error', (err) => {
+      ws.error = err;
+      resolve(ws);
+    });
+    ws.on('close', (code) => {
+      ws.closeCode = code;
+      resolve(ws);
+    });
+  });
+}
+
+/**
+ * Close a fake plugin and wait until the socket is gone
+ */
+function closePlugin(ws) {
+  return new Promise((resolve) => {
+    if (ws.readyState === WebSocket.CLOSED) return resolve();
+    ws.once('close', () => resolve());
+    ws.close();
+  });
+}
+
+module.exports = {
+  API_KEY,
+  startRelay,
+  connectPlugin,
+  closePlugin
+};
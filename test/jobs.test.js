@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startRelay, connectPlugin, closePlugin } = require('./helpers/relay');
+
+const spec = { type: 'frame', name: 'Card' };
+
+test('a create job queues until a client connects, then tracks its result', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.stop());
+  
+  const queued = await relay.request('POST', '/api/figma/create', spec);
+  assert.equal(queued.status, 202);
+  assert.equal(queued.body.status, 'queued');
+  assert.ok(queued.body.expiresAt > Date.now());
+  const jobPath = `/api/figma/jobs/${queued.body.jobId}`;
+  
+  const plugin = await connectPlugin(relay, { fileKey: 'FILE_A' });
+  t.after(() => closePlugin(plugin));
+  const sent = await plugin.waitFor('create');
+  assert.equal(sent.jobId, queued.body.jobId);
+  assert.deepEqual(sent.spec, spec);
+  
+  const pending = (await relay.request('GET', jobPath)).body;
+  assert.equal(pending.status, 'sent');
+  assert.equal(pending.clientId, plugin.clientId);
+  assert.equal(pending.expiresAt, null);
+  
+  plugin.send(JSON.stringify({ type: 'create-result', jobId: sent.jobId, success: true, rootNodeId: '5:1', nodeIds: ['5:1', '5:2'] }));
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  const done = (await relay.request('GET', jobPath)).body;
+  assert.equal(done.status, 'succeeded');
+  assert.equal(done.fileKey, 'FILE_A');
+  assert.deepEqual(done.nodeIds, ['5:1', '5:2']);
+  
+  // A connected client gets the job straight away
+  const direct = await relay.request('POST', '/api/figma/create', spec);
+  assert.equal(direct.status, 200);
+  const { jobId } = await plugin.waitFor('create');
+  plugin.send(JSON.stringify({ type: 'create-result', jobId, success: false, error: 'Font missing' }));
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal((await relay.request('GET', `/api/figma/jobs/${jobId}`)).body.error, 'Font missing');
+  
+  assert.equal((await relay.request('GET', '/api/figma/jobs/job_nope')).status, 404);
+});
+
+test('a job for a file waits for a client with that file open', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.stop());
+  const other = await connectPlugin(relay, { fileKey: 'FILE_A' });
+  t.after(() => closePlugin(other));
+  
+  const queued = await relay.request('POST', '/api/figma/create', { ...spec, fileKey: 'FILE_B' });
+  assert.equal(queued.status, 202);
+  assert.equal(queued.body.fileKey, 'FILE_B');
+  
+  const plugin = await connectPlugin(relay, { fileKey: 'FILE_B' });
+  t.after(() => closePlugin(plugin));
+  assert.equal((await plugin.waitFor('create')).jobId, queued.body.jobId);
+  assert.ok(!other.received.some((m) => m.type === 'create'));
+  
+  // An unknown clientId is never queued
+  assert.equal((await relay.request('POST', '/api/figma/create', { ...spec, clientId: 'nope' })).status, 404);
+});
+
+test('sessions only see their own jobs', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.stop());
+  const plugin = await connectPlugin(relay);
+  t.after(() => closePlugin(plugin));
+  
+  plugin.send(JSON.stringify({ type: 'request-pairing-code' }));
+  const { code } = await plugin.waitFor('pairing-code');
+  const { token } = (await relay.request('POST', '/api/figma/pair', { code })).body;
+  
+  const mine = await relay.request('POST', '/api/figma/create', spec, token);
+  const theirs = await relay.request('POST', '/api/figma/create', spec);
+  assert.equal((await relay.request('GET', `/api/figma/jobs/${mine.body.jobId}`, undefined, token)).status, 200);
+  assert.equal((await relay.request('GET', `/api/figma/jobs/${theirs.body.jobId}`, undefined, token)).status, 404);
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const lint = require('../lib/lint');
+const naming = require('../lib/naming');
+const { normalizeVariables } = require('../lib/tokens');
+
+const english = naming.normalizeProfile('english', naming.BUILTIN_PROFILES.english);
+
+function solid(r, g, b) {
+  return [{ type: 'SOLID', visible: true, opacity: 1, color: { r, g, b } }];
+}
+
+function variables() {
+  return normalizeVariables([
+    { id: 'V:1', name: 'brand', collectionId: 'C:1', resolvedType: 'COLOR', valuesByMode: { m: { r: 1, g: 0, b: 0, a: 1 } } },
+    { id: 'V:2', name: 'spacing/md', collectionId: 'C:1', resolvedType: 'FLOAT', valuesByMode: { m: 16 } },
+    { id: 'V:3', name: 'radius/md', collectionId: 'C:1', resolvedType: 'FLOAT', valuesByMode: { m: 8 } }
+  ], [{ id: 'C:1', name: 'Tokens', modes: [{ modeId: 'm', name: 'Default' }] }]);
+}
+
+function screen() {
+  return {
+    id: '1:1',
+    name: 'Home-01_Start',
+    type: 'FRAME',
+    fills: solid(1, 1, 1),
+    layoutMode: 'VERTICAL',
+    itemSpacing: 8,
+    paddingTop: 16,
+    paddingRight: 16,
+    paddingBottom: 16,
+    paddingLeft: 16,
+    children: [
+      { id: '1:2', name: 'Hint', type: 'TEXT', characters: 'Hint', fontSize: 14, fills: solid(0.8, 0.8, 0.8) },
+      { id: '1:3', name: 'Banner', type: 'RECTANGLE', width: 100, height: 10, fills: solid(1, 0, 0) },
+      {
+        id: '1:4',
+        name: 'Button',
+        type: 'FRAME',
+        width: 80,
+        height: 32,
+        children: [{ id: '1:5', name: 'Icon button', type: 'FRAME', width: 16, height: 16 }]
+      },
+      { id: '1:6', name: 'Frame 12', type: 'FRAME', layoutMode: 'HORIZONTAL', itemSpacing: 6, children: [] }
+    ]
+  };
+}
+
+test('resolveRules merges options and rejects bad ones', () => {
+  const rules = lint.resolveRules({ contrast: { level: 'AAA' }, naming: false, 'off-grid': true });
+  assert.equal(rules.contrast.level, 'AAA');
+  assert.equal(rules.contrast.severity, 'error');
+  assert.equal(rules.naming, undefined);
+  assert.equal(rules['off-grid'].grid, 4);
+  
+  assert.throws(() => lint.resolveRules({ spelling: true }), { status: 400, message: /Unknown lint rules: spelling/ });
+  assert.throws(() => lint.resolveRules({ contrast: { level: 'A' } }), /must be AA or AAA/);
+  assert.throws(() => lint.resolveRules({ 'off-grid': { grid: 0 } }), /grid must be a positive number/);
+  assert.throws(() => lint.resolveRules({ 'touch-target': { pattern: '(' } }), /not a valid regular expression/);
+  assert.throws(() => lint.resolveRules({ naming: { severity: 'fatal' } }), /severity must be one of/);
+  assert.throws(() => lint.resolveRules([]), /must be an object/);
+});
+
+test('contrastRatio follows WCAG', () => {
+  assert.equal(lint.contrastRatio({ r: 0, g: 0, b: 0 }, { r: 1, g: 1, b: 1 }), 21);
+  assert.equal(lint.contrastRatio({ r: 1, g: 0, b: 0 }, { r: 1, g: 0, b: 0 }), 1);
+});
+
+test('lintNodes finds each rule\'s problems with fixes', () => {
+  const { findings, summary, skipped, nodeCount } = lint.lintNodes([screen()], { variables: variables(), profile: english });
+  const byId = Object.fromEntries(findings.map((finding) => [finding.id, finding]));
+  
+  assert.equal(nodeCount, 6);
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(Object.keys(byId).sort(), [
+    'contrast@1:2',
+    'hardcoded-color@1:3/fills',
+    'hardcoded-spacing@1:1',
+    'naming@1:6',
+    'off-grid@1:6',
+    'touch-target@1:4'
+  ]);
+  
+  const contrast = byId['contrast@1:2'];
+  assert.equal(contrast.severity, 'error');
+  assert.equal(contrast.path, 'Home-01_Start / Hint');
+  assert.ok(contrast.details.ratio < 4.5);
+  assert.ok(lint.contrastRatio(hexColor(contrast.fix.color), { r: 1, g: 1, b: 1 }) >= 4.5);
+  
+  assert.deepEqual(byId['hardcoded-color@1:3/fills'].fix, { boundVariables: { fills: [{ type: 'VARIABLE_ALIAS', id: 'V:1' }] } });
+  assert.deepEqual(Object.keys(byId['hardcoded-spacing@1:1'].fix.boundVariables),
+    ['paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft']);
+  assert.deepEqual(byId['touch-target@1:4'].fix, { height: 44 });
+  assert.deepEqual(byId['off-grid@1:6'].fix, { gap: 8 });
+  assert.match(byId['naming@1:6'].message, /default layer name/);
+  assert.deepEqual(summary.byRule, { contrast: 1, 'hardcoded-spacing': 1, 'hardcoded-color': 1, 'touch-target': 1, naming: 1, 'off-grid': 1 });
+  assert.equal(summary.fixable, 5);
+});
+
+test('bound values, hidden layers and disabled rules are not reported', () => {
+  const node = screen();
+  node.children[1].boundVariables = { fills: [{ type: 'VARIABLE_ALIAS', id: 'V:1' }] };
+  node.children[2].visible = false;
+  const rules = lint.resolveRules({ contrast: false, naming: false, 'off-grid': false });
+  const { findings } = lint.lintNodes([node], { variables: variables(), rules });
+  assert.deepEqual(findings.map((finding) => finding.id), ['hardcoded-spacing@1:1']);
+});
+
+test('binding rules are skipped without variables, and frame names use the profile', () => {
+  const node = { id: '2:1', name: 'home start', type: 'FRAME', children: [] };
+  const { findings, skipped } = lint.lintNodes([node], { profile: english });
+  assert.deepEqual(skipped.map((s) => s.rule), ['hardcoded-color', 'hardcoded-spacing']);
+  assert.equal(findings[0].rule, 'naming');
+  assert.equal(findings[0].severity, 'warning');
+  assert.match(findings[0].message, /does not match/);
+  
+  assert.deepEqual(lint.lintNodes([node]).skipped.map((s) => s.rule), ['hardcoded-color', 'hardcoded-spacing', 'naming']);
+});
+
+test('planFixes merges the fixes for a node into one update', () => {
+  const findings = [
+    { nodeId: '1:1', fix: { width: 44 } },
+    { nodeId: '1:1', fix: { boundVariables: { fills: ['a'] } } },
+    { nodeId: '1:1', fix: { boundVariables: { strokes: ['b'] } } },
+    { nodeId: '1:2', fix: null }
+  ];
+  assert.deepEqual(lint.planFixes(findings), [
+    { type: 'update-node', targetId: '1:1', updates: { width: 44, boundVariables: { fills: ['a'], strokes: ['b'] } } }
+  ]);
+});
+
+function hexColor(hex) {
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+  return { r, g, b };
+}
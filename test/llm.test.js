@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createProvider } = require('../lib/llm');
+
+/**
+ * Fake LLM API. `replies` are [status, body, headers] answered in order;
+ * every request is recorded.
+ */
+function startApi(t, replies) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      const [status, reply, headers = {}] = replies.shift();
+      if (status === 'hang') return;
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers }).end(JSON.stringify(reply));
+    });
+  });
+  t.after(() => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve({
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1/`,
+    requests
+  })));
+}
+
+test('createProvider fills in defaults and rejects unknown providers', () => {
+  const provider = createProvider({ provider: 'openai' });
+  assert.equal(provider.model, 'gpt-4o-mini');
+  assert.equal(provider.baseUrl, 'https://api.openai.com/v1');
+  assert.equal(createProvider().name, 'anthropic');
+  assert.equal(createProvider({ provider: 'mock' }).baseUrl, null);
+  assert.throws(() => createProvider({ provider: 'bard' }), /Unknown LLM provider: bard/);
+});
+
+test('the mock provider returns the caller\'s mock reply', async () => {
+  const provider = createProvider({ provider: 'mock' });
+  assert.equal(await provider.complete({ prompt: 'x', mock: { names: ['A'] } }), '{"names":["A"]}');
+  assert.equal(await provider.complete({ prompt: 'x' }), 'null');
+});
+
+test('the anthropic provider sends a Messages API request', async (t) => {
+  const api = await startApi(t, [[200, { content: [{ type: 'text', text: 'hi' }] }]]);
+  const provider = createProvider({ provider: 'anthropic', baseUrl: api.baseUrl, apiKey: 'sk', model: 'm', maxTokens: 10 });
+  
+  assert.equal(await provider.complete({ system: 'sys', prompt: 'hello' }), 'hi');
+  const [request] = api.requests;
+  assert.equal(request.url, '/v1/messages');
+  assert.equal(request.headers['x-api-key'], 'sk');
+  assert.deepEqual(request.body, { model: 'm', max_tokens: 10, system: 'sys', messages: [{ role: 'user', content: 'hello' }] });
+  
+  await assert.rejects(createProvider({ provider: 'anthropic' }).complete({ prompt: 'x' }), { status: 500 });
+});
+
+test('the openai provider works without a key for local servers', async (t) => {
+  const api = await startApi(t, [[200, { choices: [{ message: { content: 'ok' } }] }]]);
+  const provider = createProvider({ provider: 'openai', baseUrl: api.baseUrl });
+  
+  assert.equal(await provider.complete({ system: 'sys', prompt: 'hello' }), 'ok');
+  const [request] = api.requests;
+  assert.equal(request.url, '/v1/chat/completions');
+  assert.equal(request.headers.authorization, undefined);
+  assert.deepEqual(request.body.messages.map((m) => m.role), ['system', 'user']);
+});
+
+test('rate limits and server errors are retried, client errors are not', async (t) => {
+  const api = await startApi(t, [
+    [429, {}, { 'Retry-After': '0' }],
+    [503, {}],
+    [200, { choices: [{ message: { content: 'third time' } }] }],
+    [400, { error: 'bad' }]
+  ]);
+  const provider = createProvider({ provider: 'openai', baseUrl: api.baseUrl, retries: 2, retryDelayMs: 1 });
+  
+  assert.equal(await provider.complete({ prompt: 'x' }), 'third time');
+  await assert.rejects(provider.complete({ prompt: 'x' }), { status: 502, upstreamStatus: 400 });
+  assert.equal(api.requests.length, 4);
+});
+
+test('a request that takes too long fails with 504 once retries run out', async (t) => {
+  const api = await startApi(t, [['hang'], ['hang']]);
+  const provider = createProvider({ provider: 'openai', baseUrl: api.baseUrl, timeoutMs: 50, retries: 1, retryDelayMs: 1 });
+  
+  await assert.rejects(provider.complete({ prompt: 'x' }), { status: 504, message: 'LLM API request timeout' });
+  assert.equal(api.requests.length, 2);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mcp = require('../lib/mcp');
+const specSchema = require('../lib/spec-schema');
+const { startRelay, API_KEY } = require('./helpers/relay');
+
+const tools = mcp.buildTools(specSchema.toJsonSchema(specSchema.createRegistry()));
+
+/**
+ * Session whose REST calls answer from `routes` ("METHOD /path" -> [status, body])
+ */
+function session(routes = {}) {
+  const calls = [];
+  const notifications = [];
+  const mcpSession = mcp.createMcpSession({
+    serverInfo: { name: 'test', version: '0' },
+    tools,
+    request: async (method, path, body) => {
+      calls.push({ method, path, body });
+      const [status, reply] = routes[`${method} ${path}`] || [404, { error: 'Not found' }];
+      return { status, body: reply };
+    },
+    clientIds: () => ['client_1'],
+    notify: (message) => notifications.push(message)
+  });
+  return { mcpSession, calls, notifications };
+}
+
+const rpc = (id, method, params) => ({ jsonrpc: '2.0', id, method, params });
+
+test('handle answers malformed messages, unknown methods and notifications', async () => {
+  const { mcpSession } = session();
+  assert.deepEqual(await mcpSession.handle({ id: 1, method: 'ping' }), {
+    jsonrpc: '2.0', id: 1, error: { code: mcp.ERROR_CODES.invalidRequest, message: 'Invalid JSON-RPC message' }
+  });
+  assert.equal((await mcpSession.handle(null)).error.code, mcp.ERROR_CODES.invalidRequest);
+  assert.equal((await mcpSession.handle(rpc(2, 'prompts/list'))).error.code, mcp.ERROR_CODES.methodNotFound);
+  assert.equal(await mcpSession.handle({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+  assert.deepEqual(await mcpSession.handle(rpc(3, 'ping')), { jsonrpc: '2.0', id: 3, result: {} });
+});
+
+test('initialize picks a supported protocol version', async () => {
+  const { mcpSession } = session();
+  assert.equal((await mcpSession.handle(rpc(1, 'initialize', { protocolVersion: '2025-03-26' }))).result.protocolVersion, '2025-03-26');
+  assert.equal((await mcpSession.handle(rpc(2, 'initialize', { protocolVersion: '1999-01-01' }))).result.protocolVersion, mcp.PROTOCOL_VERSIONS[0]);
+});
+
+test('tools/call runs the tool\'s route and flags HTTP errors', async () => {
+  const { mcpSession, calls } = session({
+    'POST /api/figma/create': [202, { jobId: 'job_1' }],
+    'GET /api/figma/jobs/job%2F1': [404, { error: 'Job not found' }]
+  });
+  
+  const created = await mcpSession.handle(rpc(1, 'tools/call', { name: 'create', arguments: { spec: { type: 'frame' }, fileKey: 'F' } }));
+  assert.equal(created.result.isError, false);
+  assert.deepEqual(created.result.structuredContent, { jobId: 'job_1' });
+  assert.deepEqual(calls[0], { method: 'POST', path: '/api/figma/create', body: { type: 'frame', fileKey: 'F' } });
+  
+  const missing = await mcpSession.handle(rpc(2, 'tools/call', { name: 'get_job', arguments: { jobId: 'job/1' } }));
+  assert.equal(missing.result.isError, true);
+  assert.match(missing.result.content[0].text, /Job not found/);
+  
+  const unknown = await mcpSession.handle(rpc(3, 'tools/call', { name: 'explode' }));
+  assert.deepEqual(unknown.error, { code: mcp.ERROR_CODES.invalidParams, message: 'Unknown tool: explode' });
+  const badArgs = await mcpSession.handle(rpc(4, 'tools/call', { name: 'get_job', arguments: [] }));
+  assert.equal(badArgs.error.message, 'arguments must be an object');
+});
+
+test('resources are read through REST routes, and subscriptions get updates', async () => {
+  const { mcpSession, calls, notifications } = session({
+    'GET /api/figma/selection': [200, { selections: [] }],
+    'GET /api/figma/variables?clientId=client_1': [500, { error: 'boom' }]
+  });
+  await mcpSession.handle(rpc(1, 'initialize', {}));
+  
+  const list = await mcpSession.handle(rpc(2, 'resources/list'));
+  assert.ok(list.result.resources.some((r) => r.uri === 'figma://clients/client_1/selection'));
+  
+  const read = await mcpSession.handle(rpc(3, 'resources/read', { uri: 'figma://selection' }));
+  assert.deepEqual(JSON.parse(read.result.contents[0].text), { selections: [] });
+  
+  const failed = await mcpSession.handle(rpc(4, 'resources/read', { uri: 'figma://clients/client_1/variables' }));
+  assert.deepEqual(failed.error, { code: mcp.ERROR_CODES.internal, message: 'boom', data: { error: 'boom' } });
+  assert.equal((await mcpSession.handle(rpc(5, 'resources/subscribe', { uri: 'figma://comments' }))).error.code, mcp.ERROR_CODES.invalidParams);
+  assert.equal(calls.length, 2);
+  
+  await mcpSession.handle(rpc(6, 'resources/subscribe', { uri: 'figma://clients/client_1/selection' }));
+  mcpSession.resourceUpdated('selection', 'client_1');
+  mcpSession.resourceUpdated('variables', 'client_1');
+  assert.deepEqual(notifications, [{
+    jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri: 'figma://clients/client_1/selection' }
+  }]);
+});
+
+test('the HTTP transport tracks sessions by Mcp-Session-Id', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.stop());
+  const post = (body, headers = {}) => fetch(`${relay.url}/mcp`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${API_KEY}`, 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  
+  const init = await post(rpc(1, 'initialize', {}));
+  const sessionId = init.headers.get('mcp-session-id');
+  assert.ok(sessionId);
+  
+  assert.equal((await post(rpc(2, 'ping'))).status, 400);
+  assert.equal((await post(rpc(2, 'ping'), { 'Mcp-Session-Id': 'mcp_nope' })).status, 404);
+  assert.equal((await post([rpc(2, 'initialize', {}), rpc(3, 'ping')])).status, 400);
+  
+  const batch = await post([rpc(2, 'ping'), rpc(3, 'tools/list')], { 'Mcp-Session-Id': sessionId });
+  const [pong, list] = await batch.json();
+  assert.deepEqual(pong.result, {});
+  assert.ok(list.result.tools.some((tool) => tool.name === 'create'));
+  
+  const closed = await fetch(`${relay.url}/mcp`, { method: 'DELETE', headers: { Authorization: `Bearer ${API_KEY}`, 'Mcp-Session-Id': sessionId } });
+  assert.equal(closed.status, 204);
+  assert.equal((await post(rpc(4, 'ping'), { 'Mcp-Session-Id': sessionId })).status, 404);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const naming = require('../lib/naming');
+
+const english = naming.normalizeProfile('english', naming.BUILTIN_PROFILES.english);
+const korean = naming.normalizeProfile('default', naming.BUILTIN_PROFILES.default);
+
+test('checkName splits a name into its parts', () => {
+  const check = naming.checkName('Onboarding-01_Install script guide', english);
+  assert.equal(check.valid, true);
+  assert.deepEqual(check.parts, { page: 'Onboarding', nn: '01', description: 'Install script guide' });
+  assert.deepEqual(naming.checkName('Onboarding-01_스크립트 설치 안내', korean).warnings, []);
+});
+
+test('checkName reports padding, range, length and locale problems', () => {
+  assert.deepEqual(naming.checkName('Home-1_Start', english).problems, ['{nn} must be zero-padded to 2 digits']);
+  assert.deepEqual(naming.checkName('Home-00_Start', english).problems, ['{nn} must start at 1']);
+  assert.deepEqual(naming.checkName('Home-10000_Start', english).problems, ['{nn} must be at most 9999']);
+  assert.match(naming.checkName('home_start', english).problems[0], /does not match/);
+  assert.deepEqual(naming.checkName(`Home-01_${'x'.repeat(31)}`, english).problems, ['{description} is longer than 30 characters']);
+  assert.equal(naming.checkName('Home-01_Install guide', korean).valid, true);
+  assert.deepEqual(naming.checkName('Home-01_Install guide', korean).warnings, ['{description} does not look like Korean']);
+});
+
+test('validateProfile rejects malformed profiles', () => {
+  assert.equal(naming.validateProfile('team', { pattern: '{page}_{description}' }), null);
+  assert.match(naming.validateProfile('team', { pattern: '{page}-{nn}' }), /must contain \{description\}/);
+  assert.match(naming.validateProfile('team', { pattern: '{size}_{description}' }), /Unknown placeholder \{size\}/);
+  assert.match(naming.validateProfile('team', { pattern: '{description}', numbering: { padding: 9 } }), /padding/);
+  assert.match(naming.validateProfile('bad name', { pattern: '{description}' }), /name must be/);
+});
+
+test('loadProfiles and saveProfiles keep only changes to the built-in profiles', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-naming-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'profiles.json');
+  
+  const profiles = naming.loadProfiles(file);
+  assert.deepEqual([...profiles.keys()], ['default', 'english', 'screen-path']);
+  profiles.set('team', naming.normalizeProfile('team', { pattern: '{page}_{description}', maxLength: 20 }));
+  profiles.set('english', { ...profiles.get('english'), maxLength: 40 });
+  profiles.delete('screen-path');
+  naming.saveProfiles(file, profiles);
+  
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepEqual(Object.keys(saved).sort(), ['english', 'screen-path', 'team']);
+  assert.equal(saved['screen-path'], null);
+  
+  const reloaded = naming.loadProfiles(file);
+  assert.deepEqual([...reloaded.keys()], ['default', 'english', 'team']);
+  assert.equal(reloaded.get('english').maxLength, 40);
+  assert.deepEqual(reloaded.get('team').numbering, { start: 1, padding: 2, scope: 'page' });
+  
+  fs.writeFileSync(file, JSON.stringify({ broken: { pattern: '{page}' } }));
+  assert.throws(() => naming.loadProfiles(file), /Naming profile "broken".*must contain \{description\}/);
+});
+
+test('buildSystemPrompt describes only the placeholders a profile uses', () => {
+  const prompt = naming.buildSystemPrompt(korean);
+  assert.match(prompt, /Format: "\{page\}-\{nn\}_\{description\}" \(e\.g\., "Onboarding-01_스크립트 설치 안내"/);
+  assert.match(prompt, /starting from 01, zero-padded to 2 digits, counted separately for each page/);
+  assert.match(prompt, /Brief Korean description .* \(max 15 chars\)/);
+  
+  const flat = naming.buildSystemPrompt(naming.normalizeProfile('flat', { pattern: '{description}', locale: 'en' }));
+  assert.doesNotMatch(flat, /\{page\}:|\{nn\}:/);
+  assert.match(flat, /Brief English description/);
+});
+
+test('formatName fills placeholders and leaves unknown ones', () => {
+  assert.equal(naming.formatName(english, { page: 'Home', nn: '02', description: 'Start' }), 'Home-02_Start');
+  assert.equal(naming.formatName(english, { page: 'Home' }), 'Home-{nn}_{description}');
+});
+
+test('reviewSuggestions repairs page casing, padding and length', () => {
+  const [suggestion] = naming.reviewSuggestions([
+    { frameId: '1:2', suggestedName: 'home-1_Start', pageName: 'home screen', number: 3, description: 'Start' }
+  ], english);
+  assert.equal(suggestion.valid, true);
+  assert.equal(suggestion.repaired, true);
+  assert.equal(suggestion.suggestedName, 'HomeScreen-03_Start');
+  assert.equal(suggestion.originalName, 'home-1_Start');
+});
+
+test('renumberSuggestions numbers each page in frame order', () => {
+  const suggestions = naming.renumberSuggestions([
+    { suggestedName: 'Home-05_A', valid: true },
+    { suggestedName: 'Cart-02_B', valid: true },
+    { suggestedName: 'Home-05_C', valid: true },
+    { suggestedName: 'bad', valid: false }
+  ], english);
+  assert.deepEqual(suggestions.map((s) => s.suggestedName), ['Home-01_A', 'Cart-01_B', 'Home-02_C', 'bad']);
+});
+
+test('planRenames reports conflicts and gaps, and renumbers in order', () => {
+  const plan = naming.planRenames([
+    { frameId: '1', name: 'Home-01_A', currentName: 'Home-01_A' },
+    { frameId: '2', name: 'Home-04_B', currentName: 'Frame 2' },
+    { frameId: '3', name: 'Home-04_C', currentName: 'Frame 3' },
+    { frameId: '4', name: 'Home-07_D', currentName: 'Frame 4' },
+    { frameId: '5', name: 'Loose name', currentName: 'Frame 5' }
+  ], english);
+  
+  assert.deepEqual(plan.issues.numberConflicts, [{ page: 'Home', number: 4, frameIds: ['2', '3'] }]);
+  assert.deepEqual(plan.issues.gaps, [{ page: 'Home', missing: [{ from: 2, to: 3 }, { from: 5, to: 6 }] }]);
+  assert.equal(plan.issues.unparsed[0].frameId, '5');
+  assert.deepEqual(plan.unchanged, [{ frameId: '1', name: 'Home-01_A' }]);
+  assert.deepEqual(plan.renames.map((r) => r.to), ['Home-02_B', 'Home-03_C', 'Home-04_D', 'Loose name']);
+  assert.equal(plan.renames[0].renumbered, true);
+  assert.deepEqual(plan.conflicts, []);
+});
+
+test('planRenames keeps numbers with renumber off and reports the conflicts', () => {
+  const plan = naming.planRenames([
+    { frameId: '1', name: 'Home-01_A' },
+    { frameId: '2', name: 'Home-01_A' }
+  ], english, { renumber: false });
+  assert.deepEqual(plan.conflicts, [{ name: 'Home-01_A', frameIds: ['1', '2'] }]);
+  assert.deepEqual(plan.issues.duplicates, plan.conflicts);
+});
+
+test('planRenames reports a gap up to a huge number as one range', () => {
+  const plan = naming.planRenames([{ frameId: '1', name: 'Page-999999999_x' }], english, { renumber: false });
+  assert.deepEqual(plan.issues.gaps, [{ page: 'Page', missing: [{ from: 1, to: 999999998 }] }]);
+});
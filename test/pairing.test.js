@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startRelay, connectPlugin, closePlugin } = require('./helpers/relay');
+
+async function pair(relay, plugin, label) {
+  plugin.send(JSON.stringify({ type: 'request-pairing-code' }));
+  const { code } = await plugin.waitFor('pairing-code');
+  const res = await relay.request('POST', '/api/figma/pair', { code: code.toLowerCase(), label });
+  return { ...res, code };
+}
+
+test('a pairing code becomes a session token bound to its client', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.stop());
+  const plugin = await connectPlugin(relay);
+  const other = await connectPlugin(relay);
+  t.after(() => Promise.all([plugin, other].map(closePlugin)));
+  
+  const paired = await pair(relay, plugin, 'laptop');
+  assert.equal(paired.status, 200);
+  assert.match(paired.body.token, /^frs_/);
+  assert.equal(paired.body.clientId, plugin.clientId);
+  assert.equal((await plugin.waitFor('paired')).label, 'laptop');
+  
+  // Codes are single use
+  const reused = await relay.request('POST', '/api/figma/pair', { code: paired.code });
+  assert.equal(reused.status, 404);
+  
+  const { token } = paired.body;
+  const selection = await relay.request('POST', '/api/figma/request-selection', {}, token);
+  assert.equal(selection.body.data.from, plugin.clientId);
+  assert.equal((await relay.request('POST', '/api/figma/request-selection', { clientId: other.clientId }, token)).status, 403);
+  
+  // Sessions cannot pair or administer
+  assert.equal((await relay.request('POST', '/api/figma/pair', { code: 'X' }, token)).status, 403);
+  assert.equal((await relay.request('GET', '/api/admin/sessions', undefined, token)).status, 403);
+  const sessions = await relay.request('GET', '/api/admin/sessions');
+  assert.deepEqual(sessions.body.sessions.map((s) => s.clientId), [plugin.clientId]);
+  
+  assert.equal((await relay.request('POST', '/api/figma/unpair', {}, token)).status, 200);
+  assert.equal((await relay.request('POST', '/api/figma/request-selection', {}, token)).status, 401);
+});
+
+test('admins can revoke sessions', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.stop());
+  const plugin = await connectPlugin(relay);
+  t.after(() => closePlugin(plugin));
+  
+  const { body } = await pair(relay, plugin);
+  assert.equal((await relay.request('POST', `/api/admin/sessions/${body.sessionId}/revoke`)).status, 200);
+  assert.equal((await relay.request('GET', '/api/figma/clients', undefined, body.token)).status, 401);
+  assert.equal((await relay.request('POST', `/api/admin/sessions/${body.sessionId}/revoke`)).status, 404);
+});
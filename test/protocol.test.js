@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const protocol = require('../lib/protocol');
+
+test('negotiate settles on the lower protocol version', () => {
+  assert.deepEqual(protocol.negotiate({ protocolVersion: 99, capabilities: ['create', 'create', 'batch'], pluginVersion: '1.4.0' }), {
+    protocolVersion: protocol.PROTOCOL_VERSION,
+    capabilities: ['create', 'batch'],
+    pluginVersion: '1.4.0'
+  });
+  assert.deepEqual(protocol.negotiate({ protocolVersion: 1, capabilities: [], pluginVersion: 3 }), {
+    protocolVersion: 1,
+    capabilities: [],
+    pluginVersion: null
+  });
+});
+
+test('negotiate rejects a malformed hello with 400', () => {
+  assert.throws(() => protocol.negotiate({ capabilities: [] }), { status: 400, message: /protocolVersion/ });
+  assert.throws(() => protocol.negotiate({ protocolVersion: 0, capabilities: [] }), { status: 400, message: /no longer supported/ });
+  assert.throws(() => protocol.negotiate({ protocolVersion: 2 }), { status: 400, message: /capabilities/ });
+  assert.throws(() => protocol.negotiate({ protocolVersion: 2, capabilities: [1] }), { status: 400, message: /capabilities/ });
+});
+
+test('plugins without a hello keep every message type from before the handshake', () => {
+  ['batch', 'variable-ops', 'find-nodes', 'read-node', 'move-node', 'restore-node'].forEach((type) => {
+    assert.ok(protocol.LEGACY_CAPABILITIES.includes(type), type);
+  });
+  assert.equal(protocol.LEGACY_CAPABILITIES.includes('export-nodes'), false);
+});
+
+test('missingCapabilities checks a message and every operation of a batch', () => {
+  const legacy = protocol.LEGACY_CAPABILITIES;
+  assert.deepEqual(protocol.missingCapabilities({ type: 'update-node' }, legacy), []);
+  assert.deepEqual(protocol.missingCapabilities({ type: 'export-nodes' }, legacy), ['export-nodes']);
+  assert.deepEqual(protocol.missingCapabilities({
+    type: 'batch',
+    operations: [{ type: 'update-node' }, { type: 'move-node' }, { type: 'move-node' }]
+  }, ['batch', 'update-node']), ['move-node']);
+  assert.deepEqual(protocol.missingCapabilities({ type: 'batch', operations: [{ type: 'restore-node' }] }, []), ['batch', 'restore-node']);
+  // Messages that are not capabilities (e.g. ping) are always allowed
+  assert.deepEqual(protocol.missingCapabilities({ type: 'ping' }, []), []);
+});
+
+test('migrations rewrite messages for older plugins and back', () => {
+  const migrations = [
+    {
+      version: 3,
+      description: 'rename targetId to nodeId',
+      outgoing: { 'update-node': ({ nodeId, ...rest }) => ({ ...rest, targetId: nodeId }) },
+      incoming: { 'operation-result': ({ node, ...rest }) => ({ ...rest, nodeId: node }) }
+    },
+    {
+      version: 4,
+      description: 'rename updates to changes',
+      outgoing: { 'update-node': ({ changes, ...rest }) => ({ ...rest, updates: changes }) }
+    }
+  ];
+  
+  const current = { type: 'update-node', nodeId: '1:2', changes: { name: 'x' } };
+  assert.deepEqual(protocol.migrateOutgoing(current, 2, migrations), { type: 'update-node', targetId: '1:2', updates: { name: 'x' } });
+  assert.deepEqual(protocol.migrateOutgoing(current, 3, migrations), { type: 'update-node', nodeId: '1:2', updates: { name: 'x' } });
+  assert.equal(protocol.migrateOutgoing(current, 4, migrations), current);
+  
+  assert.deepEqual(protocol.migrateIncoming({ type: 'operation-result', node: '1:2' }, 2, migrations), { type: 'operation-result', nodeId: '1:2' });
+  assert.deepEqual(protocol.migrateIncoming({ type: 'operation-result', nodeId: '1:2' }, 3, migrations), { type: 'operation-result', nodeId: '1:2' });
+  
+  // Without a list, the relay's own (empty) migrations apply
+  assert.equal(protocol.migrateOutgoing(current, 1), current);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSelector, findNodes, findById, rootsOf } = require('../lib/query');
+
+const page = {
+  id: '1:1',
+  name: 'Page',
+  type: 'FRAME',
+  layout: { mode: 'VERTICAL' },
+  children: [
+    {
+      id: '1:2',
+      name: 'Card/Primary',
+      type: 'FRAME',
+      children: [
+        { id: '1:3', name: 'Title', type: 'TEXT', characters: 'Sign in', fontSize: 24 },
+        {
+          id: '1:4',
+          name: 'Body',
+          type: 'FRAME',
+          children: [{ id: '1:5', name: 'Hint', type: 'TEXT', characters: 'Forgot password?', fontSize: 12, visible: false }]
+        }
+      ]
+    },
+    { id: '1:6', name: 'Footer', type: 'TEXT', text: 'Sign up', fontSize: 12 },
+    { id: '1:7', name: 'Logo', type: 'INSTANCE' }
+  ]
+};
+
+function ids(selector, options) {
+  return findNodes([page], parseSelector(selector), options).matches.map((match) => match.id);
+}
+
+test('parseSelector builds alternatives of steps', () => {
+  assert.deepEqual(parseSelector('FRAME:name(Card*) > text[fontSize >= 20], instance'), [
+    [
+      { combinator: null, type: 'FRAME', tests: [], pseudos: [{ name: 'name', arg: 'Card*' }] },
+      { combinator: 'child', type: 'TEXT', tests: [{ prop: 'fontSize', op: '>=', value: 20 }], pseudos: [] }
+    ],
+    [{ combinator: null, type: 'INSTANCE', tests: [], pseudos: [] }]
+  ]);
+  
+  const [[step]] = parseSelector('*[visible = false][name = "a ] b"][locked]');
+  assert.equal(step.type, null);
+  assert.deepEqual(step.tests, [
+    { prop: 'visible', op: '=', value: false },
+    { prop: 'name', op: '=', value: 'a ] b' },
+    { prop: 'locked', op: 'exists' }
+  ]);
+});
+
+test('parseSelector rejects invalid selectors with 400', () => {
+  assert.throws(() => parseSelector(''), { status: 400, message: 'Missing selector' });
+  assert.throws(() => parseSelector('TEXT:color(red)'), { status: 400, message: /unknown :color/ });
+  assert.throws(() => parseSelector('TEXT[fontSize 12]'), { status: 400, message: /expected a comparison/ });
+  assert.throws(() => parseSelector('TEXT[name = "x]'), { status: 400, message: /unterminated string/ });
+  assert.throws(() => parseSelector('FRAME >'), { status: 400, message: /ends early/ });
+  assert.throws(() => parseSelector('FRAME!'), { status: 400, message: /unexpected "!"/ });
+});
+
+test('findNodes matches types, names, text and properties', () => {
+  assert.deepEqual(ids('TEXT'), ['1:3', '1:5', '1:6']);
+  assert.deepEqual(ids('*:name(card/*)'), ['1:2']);
+  assert.deepEqual(ids('TEXT:text(sign)'), ['1:3', '1:6']);
+  assert.deepEqual(ids('TEXT[fontSize < 20]'), ['1:5', '1:6']);
+  assert.deepEqual(ids('[visible = false]'), ['1:5']);
+  assert.deepEqual(ids('[layout.mode = "VERTICAL"]'), ['1:1']);
+  assert.deepEqual(ids('[name ~= "?ogo"]'), ['1:7']);
+  assert.deepEqual(ids('TEXT[visible != false]'), ['1:3', '1:6']);
+});
+
+test('findNodes follows descendant and child combinators', () => {
+  assert.deepEqual(ids('FRAME:name(Card*) TEXT'), ['1:3', '1:5']);
+  assert.deepEqual(ids('FRAME:name(Card*) > TEXT'), ['1:3']);
+  assert.deepEqual(ids('FRAME > FRAME > FRAME > TEXT'), ['1:5']);
+  assert.deepEqual(ids('INSTANCE, TEXT:name(Footer)'), ['1:6', '1:7']);
+});
+
+test('findNodes reports paths and truncates at the limit', () => {
+  const result = findNodes([page], parseSelector('TEXT'), { limit: 2 });
+  assert.equal(result.truncated, true);
+  assert.deepEqual(result.matches[1], {
+    id: '1:5',
+    name: 'Hint',
+    type: 'TEXT',
+    path: 'Page / Card/Primary / Body / Hint',
+    ancestorIds: ['1:1', '1:2', '1:4']
+  });
+});
+
+test('rootsOf and findById read selection payloads', () => {
+  assert.deepEqual(rootsOf({ selection: [page] }), [page]);
+  assert.deepEqual(rootsOf({ nodes: [page] }), [page]);
+  assert.deepEqual(rootsOf(page), [page]);
+  assert.deepEqual(rootsOf([page]), [page]);
+  assert.deepEqual(rootsOf(null), []);
+  
+  assert.equal(findById([page], '1:5').name, 'Hint');
+  assert.equal(findById([page], '9:9'), null);
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseChunkFrame, createTransferStore, createRenderCache, createDownloadStore } = require('../lib/renders');
+
+function frame(transferId, index, bytes) {
+  const header = Buffer.from(JSON.stringify({ transferId, index }));
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(header.length);
+  return Buffer.concat([length, header, bytes]);
+}
+
+function announce(store, transferId, byteLength, chunkCount) {
+  store.begin('c1', { requestId: 'r1', transferId, nodeId: '1:2', format: 'PNG', version: 'v1', byteLength, chunkCount });
+}
+
+test('parseChunkFrame splits a frame into header and bytes', () => {
+  const { header, payload } = parseChunkFrame(frame('t1', 2, Buffer.from('abc')));
+  assert.deepEqual(header, { transferId: 't1', index: 2 });
+  assert.equal(payload.toString(), 'abc');
+  
+  assert.throws(() => parseChunkFrame(Buffer.from([1, 2])), { status: 400, message: /too short/ });
+  const long = Buffer.alloc(8);
+  long.writeUInt32BE(100);
+  assert.throws(() => parseChunkFrame(long), { status: 400, message: /longer than frame/ });
+  const notJson = Buffer.concat([Buffer.from([0, 0, 0, 3]), Buffer.from('{{{')]);
+  assert.throws(() => parseChunkFrame(notJson), { status: 400, message: /not JSON/ });
+  const noIndex = Buffer.from(JSON.stringify({ transferId: 't1' }));
+  const noIndexLength = Buffer.alloc(4);
+  noIndexLength.writeUInt32BE(noIndex.length);
+  assert.throws(() => parseChunkFrame(Buffer.concat([noIndexLength, noIndex])), { status: 400, message: /transferId and index/ });
+});
+
+test('a transfer reassembles chunks sent out of order', () => {
+  const store = createTransferStore();
+  announce(store, 't1', 6, 3);
+  store.addChunk('c1', frame('t1', 2, Buffer.from('ef')));
+  store.addChunk('c1', frame('t1', 0, Buffer.from('ab')));
+  store.addChunk('c1', frame('t1', 1, Buffer.from('cd')));
+  
+  const transfer = store.take('r1', 't1');
+  assert.equal(transfer.buffer.toString(), 'abcdef');
+  assert.equal(transfer.version, 'v1');
+  assert.throws(() => store.take('r1', 't1'), { status: 502, message: /unknown transfer/ });
+});
+
+test('a transfer checks its announced size and chunk count', () => {
+  const store = createTransferStore({ maxBytes: 10 });
+  assert.throws(() => announce(store, 'big', 11, 1), { status: 413 });
+  assert.throws(() => store.begin('c1', { requestId: 'r1', transferId: 't1', chunkCount: 1 }), { status: 400 });
+  
+  announce(store, 'short', 4, 2);
+  store.addChunk('c1', frame('short', 0, Buffer.from('ab')));
+  assert.throws(() => store.take('r1', 'short'), { status: 502, message: /incomplete \(1\/2 chunks\)/ });
+  
+  announce(store, 'small', 4, 2);
+  store.addChunk('c1', frame('small', 0, Buffer.from('a')));
+  store.addChunk('c1', frame('small', 1, Buffer.from('b')));
+  assert.throws(() => store.take('r1', 'small'), { status: 502, message: /2 bytes, expected 4/ });
+  
+  announce(store, 'range', 4, 2);
+  assert.throws(() => store.addChunk('c1', frame('range', 2, Buffer.from('a'))), { status: 400, message: /out of range/ });
+});
+
+test('a transfer is dropped with 413 once it receives more than it announced', () => {
+  const store = createTransferStore();
+  announce(store, 't1', 4, 2);
+  store.addChunk('c1', frame('t1', 0, Buffer.from('abc')));
+  // Sending a chunk again replaces its bytes
+  store.addChunk('c1', frame('t1', 0, Buffer.from('ab')));
+  assert.throws(() => store.addChunk('c1', frame('t1', 1, Buffer.from('cde'))), (err) => {
+    assert.equal(err.status, 413);
+    assert.equal(err.requestId, 'r1');
+    return true;
+  });
+  assert.throws(() => store.take('r1', 't1'), { status: 502, message: /unknown transfer/ });
+});
+
+test('a transfer announcement is bounded in chunks, total bytes and ID reuse', () => {
+  const store = createTransferStore({ maxBytes: 10, maxPendingBytes: 15 });
+  assert.throws(() => announce(store, 'many', 0, 4e9), { status: 400, message: /4000000000 chunks for 0 bytes/ });
+  assert.throws(() => announce(store, 'split', 3, 4), { status: 400 });
+  announce(store, 'empty', 0, 1);
+  
+  announce(store, 't1', 10, 2);
+  assert.throws(() => store.begin('c2', { requestId: 'r2', transferId: 't1', byteLength: 1, chunkCount: 1 }), { status: 409 });
+  assert.throws(() => announce(store, 't2', 6, 1), { status: 503, message: /in progress/ });
+  assert.deepEqual(store.stats(), { transfers: 2, bytes: 10, maxBytes: 15 });
+  
+  // Finished and dropped transfers free their bytes
+  store.dropRequest('r1');
+  assert.deepEqual(store.stats(), { transfers: 0, bytes: 0, maxBytes: 15 });
+  announce(store, 't2', 6, 1);
+});
+
+test('chunks from another client or for unknown transfers are ignored', () => {
+  const store = createTransferStore();
+  announce(store, 't1', 2, 1);
+  store.addChunk('c2', frame('t1', 0, Buffer.from('xx')));
+  store.addChunk('c1', frame('nope', 0, Buffer.from('xx')));
+  assert.throws(() => store.take('r1', 't1'), { status: 502, message: /incomplete/ });
+});
+
+test('transfers are dropped per request and after their TTL', () => {
+  const store = createTransferStore({ ttlMs: 1000 });
+  announce(store, 't1', 1, 1);
+  store.dropRequest('r1');
+  assert.throws(() => store.take('r1', 't1'), { status: 502 });
+  
+  announce(store, 't2', 1, 1);
+  store.sweep(Date.now() + 1000);
+  assert.throws(() => store.take('r1', 't2'), { status: 502 });
+});
+
+test('the render cache evicts least recently used renders past its byte limit', () => {
+  const cache = createRenderCache({ maxBytes: 10 });
+  cache.set('F', 'a', 'PNG', 1, 'v1', Buffer.alloc(4));
+  cache.set('F', 'b', 'PNG', 1, 'v1', Buffer.alloc(4));
+  assert.equal(cache.get('F', 'a', 'PNG', 1).version, 'v1');
+  cache.set('F', 'c', 'PNG', 1, 'v1', Buffer.alloc(4));
+  
+  assert.equal(cache.get('F', 'b', 'PNG', 1), null);
+  assert.ok(cache.get('F', 'a', 'PNG', 1));
+  assert.deepEqual(cache.stats(), { entries: 2, bytes: 8, maxBytes: 10 });
+  
+  cache.set('F', 'd', 'PNG', 1, 'v1', Buffer.alloc(11));
+  assert.equal(cache.get('F', 'd', 'PNG', 1), null);
+  assert.equal(cache.get('F', 'a', 'PNG', 2), null);
+});
+
+test('download links are bounded by total bytes, oldest evicted first', () => {
+  const downloads = createDownloadStore({ maxBytes: 10 });
+  const link = (size, expiresAt = Date.now() + 1000) => ({ buffer: Buffer.alloc(size), contentType: 'image/png', filename: 'a.png', expiresAt });
+  downloads.add('a', link(4));
+  downloads.add('b', link(4));
+  downloads.add('c', link(4));
+  
+  assert.equal(downloads.get('a'), null);
+  assert.equal(downloads.get('b').filename, 'a.png');
+  assert.deepEqual(downloads.stats(), { entries: 2, bytes: 8, maxBytes: 10 });
+  assert.throws(() => downloads.add('d', link(11)), { status: 413 });
+  assert.equal(downloads.stats().entries, 2);
+});
+
+test('download links expire', () => {
+  const downloads = createDownloadStore({ maxBytes: 10 });
+  const now = Date.now();
+  downloads.add('a', { buffer: Buffer.alloc(4), contentType: 'image/png', filename: 'a.png', expiresAt: now + 1000 });
+  assert.equal(downloads.get('a', now + 1000), null);
+  
+  downloads.sweep(now + 1000);
+  assert.deepEqual(downloads.stats(), { entries: 0, bytes: 0, maxBytes: 10 });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startRelay, connectPlugin, closePlugin } = require('./helpers/relay');
+
+async function clients(relay) {
+  return (await relay.request('GET', '/api/figma/clients')).body.clients.filter((c) => !c.sandbox);
+}
+
+test('a plugin that reconnects with its resume token keeps its clientId and file', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.stop());
+  
+  const first = await connectPlugin(relay, { fileKey: 'FILE_A' });
+  assert.equal(first.received[0].resumed, false);
+  assert.ok(first.resumeToken);
+  await closePlugin(first);
+  
+  const resumed = await connectPlugin(relay, { query: `resume=${first.resumeToken}` });
+  t.after(() => closePlugin(resumed));
+  assert.equal(resumed.clientId, first.clientId);
+  assert.equal(resumed.received[0].resumed, true);
+  assert.notEqual(resumed.resumeToken, first.resumeToken);
+  assert.deepEqual((await clients(relay)).map((c) => [c.clientId, c.fileKey]), [[first.clientId, 'FILE_A']]);
+  
+  // Tokens are single use
+  const again = await connectPlugin(relay, { query: `resume=${first.resumeToken}` });
+  t.after(() => closePlugin(again));
+  assert.notEqual(again.clientId, first.clientId);
+});
+
+test('resuming replaces a half-open socket for the same client', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.stop());
+  
+  const stale = await connectPlugin(relay);
+  const fresh = await connectPlugin(relay, { query: `resume=${stale.resumeToken}` });
+  t.after(() => closePlugin(fresh));
+  
+  await new Promise((resolve) => (stale.closeCode ? resolve() : stale.once('close', resolve)));
+  assert.equal(fresh.clientId, stale.clientId);
+  assert.deepEqual((await clients(relay)).map((c) => c.clientId), [fresh.clientId]);
+});
+
+test('the heartbeat closes plugins that stop answering pings', async (t) => {
+  const relay = await startRelay({ FIGMA_RELAY_HEARTBEAT_SECONDS: '0.1', FIGMA_RELAY_RESUME_GRACE_SECONDS: '0' });
+  t.after(() => relay.stop());
+  
+  const silent = await connectPlugin(relay, { wsOptions: { autoPong: false } });
+  const alive = await connectPlugin(relay);
+  t.after(() => Promise.all([silent, alive].map(closePlugin)));
+  
+  await new Promise((resolve) => setTimeout(resolve, 500));
+  assert.deepEqual((await clients(relay)).map((c) => c.clientId), [alive.clientId]);
+  
+  // Without a grace period the token is gone as soon as the socket is
+  const retry = await connectPlugin(relay, { query: `resume=${silent.resumeToken}` });
+  t.after(() => closePlugin(retry));
+  assert.notEqual(retry.clientId, silent.clientId);
+});
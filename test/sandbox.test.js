@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSandboxDocument } = require('../lib/sandbox');
+const { planSync } = require('../lib/spec-sync');
+
+const cardSpec = {
+  type: 'frame',
+  name: 'Card',
+  layout: 'vertical',
+  gap: 8,
+  padding: [16, 24],
+  fill: '#ff0000',
+  children: [
+    { type: 'text', text: 'Title', fontSize: 20, fontWeight: 700 },
+    { $: 'Button', label: 'Save' }
+  ]
+};
+
+function pageChildren(sandbox) {
+  return sandbox.getDocument().document.children[0].children;
+}
+
+test('create builds nodes the spec reads back unchanged, and selects them', () => {
+  const sandbox = createSandboxDocument({ fileKey: 'FILE' });
+  const [result, selection] = sandbox.handle({ type: 'create', jobId: 'job_1', spec: cardSpec });
+  
+  assert.deepEqual(result, { type: 'create-result', jobId: 'job_1', success: true, rootNodeId: '1:1', nodeIds: ['1:1', '1:2', '1:3'] });
+  assert.equal(selection.type, 'selection-data');
+  assert.equal(selection.fileKey, 'FILE');
+  assert.deepEqual(selection.selection.map((node) => node.id), ['1:1']);
+  
+  const [card] = pageChildren(sandbox);
+  assert.equal(card.layoutMode, 'VERTICAL');
+  assert.deepEqual([card.paddingTop, card.paddingRight, card.paddingBottom, card.paddingLeft], [16, 24, 16, 24]);
+  assert.deepEqual(planSync(card, cardSpec).operations, []);
+  
+  const [failed] = sandbox.handle({ type: 'create', jobId: 'job_2', spec: { type: 'text', children: [] } });
+  assert.equal(failed.success, false);
+});
+
+test('node operations report the previous state, and restore-node puts a node back', () => {
+  const sandbox = createSandboxDocument({ seed: { nodes: [cardSpec] } });
+  
+  const [update] = sandbox.handle({ type: 'update-node', requestId: 'r1', targetId: '1:2', updates: { text: 'Hello', fontSize: 24 } });
+  assert.equal(update.requestId, 'r1');
+  assert.deepEqual(update.previousState, { properties: { text: 'Title', fontSize: 20 } });
+  
+  const [deleted] = sandbox.handle({ type: 'delete-node', requestId: 'r2', targetId: '1:2' });
+  assert.deepEqual(pageChildren(sandbox)[0].children.map((n) => n.id), ['1:3']);
+  
+  const { parentId, index, node } = deleted.previousState;
+  const [restored] = sandbox.handle({ type: 'restore-node', requestId: 'r3', parentId, index, node });
+  assert.equal(restored.success, true);
+  assert.deepEqual(pageChildren(sandbox)[0].children.map((n) => n.characters ?? n.name), ['Hello', 'Button']);
+  
+  const [move] = sandbox.handle({ type: 'move-node', requestId: 'r4', targetId: '1:3', index: 5 });
+  assert.deepEqual([move.success, move.error], [false, 'Index 5 out of range (0-1)']);
+  const [page] = sandbox.handle({ type: 'delete-node', requestId: 'r5', targetId: '0:1' });
+  assert.match(page.error, /Cannot delete PAGE/);
+  const [leaf] = sandbox.handle({ type: 'insert-child', requestId: 'r6', targetId: '1:3', newChild: { type: 'text' } });
+  assert.match(leaf.error, /cannot have children/);
+});
+
+test('variable operations create collections, variables and aliases', () => {
+  const sandbox = createSandboxDocument();
+  const [data, result] = sandbox.handle({
+    type: 'variable-ops',
+    requestId: 'r1',
+    operations: [
+      { type: 'create-collection', name: 'Colors', modes: ['Light', 'Dark'] },
+      { type: 'create-variable', collection: 'Colors', name: 'brand', resolvedType: 'COLOR', values: { Light: { r: 1, g: 0, b: 0, a: 1 } } },
+      { type: 'create-variable', collection: 'Colors', name: 'link', resolvedType: 'COLOR', values: { Dark: { aliasName: 'brand', collection: 'Colors' } } }
+    ]
+  });
+  
+  assert.equal(result.success, true);
+  assert.equal(data.collectionCount, 1);
+  const [brand, link] = data.variables;
+  assert.deepEqual(Object.values(link.valuesByMode), [{ type: 'VARIABLE_ALIAS', id: brand.id }]);
+  
+  const [, failed] = sandbox.handle({
+    type: 'variable-ops',
+    requestId: 'r2',
+    operations: [{ type: 'set-values', collection: 'Colors', name: 'brand', values: { Dim: 1 } }]
+  });
+  assert.equal(failed.error, 'Operation 0 (set-values) failed: Mode not found in Colors: Dim');
+});
+
+test('reset and select replace the document and the selection', () => {
+  const sandbox = createSandboxDocument();
+  sandbox.handle({ type: 'create', spec: { type: 'frame' } });
+  sandbox.reset({ nodes: [{ type: 'frame', name: 'A' }, { type: 'frame', name: 'B' }] });
+  
+  assert.deepEqual(pageChildren(sandbox).map((n) => [n.id, n.name]), [['1:1', 'A'], ['1:2', 'B']]);
+  sandbox.select(['1:2']);
+  assert.deepEqual(sandbox.handle({ type: 'read-selection', requestId: 'r1' })[0].selection.map((n) => n.name), ['B']);
+  assert.throws(() => sandbox.select(['9:9']), /Node not found: 9:9/);
+  assert.deepEqual(sandbox.handle({ type: 'pong' }), []);
+});
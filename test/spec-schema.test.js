@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const specSchema = require('../lib/spec-schema');
+
+const registry = specSchema.createRegistry();
+
+test('validateSpec accepts primitives and components, nested in children', () => {
+  const result = specSchema.validateSpec({
+    type: 'frame',
+    layout: 'vertical',
+    fill: '#fff',
+    children: [
+      { type: 'text', text: 'Hello', color: { r: 0, g: 0, b: 0 } },
+      { $: 'Button', label: 'Save', variant: 'primary', size: 'md' }
+    ]
+  }, registry);
+  assert.deepEqual(result, { valid: true, errors: [], warnings: [] });
+});
+
+test('validateSpec reports problems as JSON pointers', () => {
+  const result = specSchema.validateSpec({
+    type: 'frame',
+    opacity: 2,
+    fill: 'red',
+    mood: 'happy',
+    children: [
+      { $: 'Button', variant: 'huge' },
+      { type: 'blob' },
+      'text'
+    ]
+  }, registry, '/newChild');
+  
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors, [
+    { path: '/newChild/opacity', message: 'Must be <= 1' },
+    { path: '/newChild/fill', message: 'Expected color, got string' },
+    { path: '/newChild/children/0/label', message: 'Missing required prop "label" for Button' },
+    { path: '/newChild/children/0/variant', message: 'Must be one of: primary, secondary, tertiary, ghost, danger, link' },
+    { path: '/newChild/children/1/type', message: 'Unknown node type: blob' },
+    { path: '/newChild/children/2', message: 'Expected spec, got string' }
+  ]);
+  assert.deepEqual(result.warnings, [{ path: '/newChild/mood', message: 'Unknown prop "mood" for frame' }]);
+  assert.match(specSchema.validateSpec({}, registry).errors[0].message, /needs a "type" or a "\$" component/);
+  assert.match(specSchema.validateSpec([], registry).errors[0].message, /must be an object, got array/);
+});
+
+test('createRegistry adds, replaces and removes definitions', () => {
+  const custom = specSchema.createRegistry({
+    components: {
+      Avatar: { props: { initials: { type: 'string', required: true } } },
+      Badge: null
+    },
+    nodeTypes: { text: { props: {} } }
+  });
+  
+  assert.equal(specSchema.validateSpec({ $: 'Avatar', initials: 'AB' }, custom).valid, true);
+  assert.match(specSchema.validateSpec({ $: 'Badge', label: 'x' }, custom).errors[0].message, /Unknown component: Badge/);
+  assert.equal(specSchema.validateSpec({ type: 'text', text: 'x' }, custom).warnings.length, 1);
+  assert.ok(registry.components.Badge, 'the default registry is not changed');
+});
+
+test('toJsonSchema describes every node type and component', () => {
+  const schema = specSchema.toJsonSchema(registry);
+  const variants = schema.$defs.spec.anyOf;
+  assert.equal(schema.$ref, '#/$defs/spec');
+  assert.equal(variants.length, Object.keys(registry.nodeTypes).length + Object.keys(registry.components).length);
+  
+  const button = variants.find((v) => v.properties.$?.const === 'Button');
+  assert.deepEqual(button.required, ['$', 'label']);
+  assert.deepEqual(button.properties.size, { type: 'string', enum: ['sm', 'md', 'lg'] });
+  assert.deepEqual(button.properties.children, { type: 'array', items: { $ref: '#/$defs/spec' } });
+  assert.deepEqual(button.properties.width.anyOf, [{ type: 'number' }, { type: 'string' }]);
+  assert.ok(button.properties.fill.anyOf[0].pattern);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planSync, readProp, normalizeColor } = require('../lib/spec-sync');
+
+function card() {
+  return {
+    id: '1:1',
+    name: 'Card',
+    type: 'FRAME',
+    layoutMode: 'VERTICAL',
+    itemSpacing: 8,
+    fills: [{ type: 'SOLID', visible: true, opacity: 1, color: { r: 1, g: 0, b: 0 } }],
+    children: [
+      { id: '1:2', name: 'Title', type: 'TEXT', characters: 'Hello' },
+      { id: '1:3', name: 'Body', type: 'TEXT', characters: 'Text' },
+      { id: '1:4', name: 'Old', type: 'RECTANGLE' },
+      { id: '1:5', name: 'Action', type: 'INSTANCE', componentName: 'Button', componentProperties: { 'Label#1:0': { type: 'TEXT', value: 'Go' } } }
+    ]
+  };
+}
+
+test('readProp reads spec props from Figma fields and component properties', () => {
+  const node = card();
+  assert.equal(readProp(node, 'fill'), '#ff0000');
+  assert.equal(readProp(node, 'layout'), 'vertical');
+  assert.equal(readProp(node, 'gap'), 8);
+  assert.equal(readProp(node.children[0], 'text'), 'Hello');
+  assert.equal(readProp(node.children[3], 'label'), 'Go');
+  assert.equal(normalizeColor('#FF0000FF'), '#ff0000');
+  assert.equal(normalizeColor({ r: 0, g: 0, b: 1, a: 0.5 }), '#0000ff80');
+});
+
+test('a spec the node already matches plans nothing', () => {
+  const plan = planSync(card(), { type: 'frame', layout: 'vertical', gap: 8, fill: '#F00' });
+  assert.deepEqual(plan.operations, []);
+  assert.deepEqual(plan.summary, { update: 0, insert: 0, delete: 0, move: 0 });
+});
+
+test('planSync updates, deletes, moves and inserts with as few operations as it can', () => {
+  const plan = planSync(card(), {
+    type: 'frame',
+    gap: 12,
+    children: [
+      { type: 'text', name: 'Body', text: 'Text' },
+      { type: 'text', name: 'Title', text: 'Hi' },
+      { $: 'Button', label: 'Go' },
+      { type: 'ellipse', name: 'Dot' }
+    ]
+  });
+  
+  assert.deepEqual(plan.operations, [
+    { type: 'update-node', targetId: '1:1', updates: { gap: 12 } },
+    { type: 'delete-node', targetId: '1:4' },
+    { type: 'move-node', targetId: '1:3', index: 0 },
+    { type: 'insert-child', targetId: '1:1', childIndex: 3, newChild: { type: 'ellipse', name: 'Dot' } },
+    { type: 'update-node', targetId: '1:2', updates: { text: 'Hi' } }
+  ]);
+  assert.deepEqual(plan.changes[0], { type: 'update', nodeId: '1:1', path: 'Card', from: { gap: 8 }, to: { gap: 12 } });
+  assert.equal(plan.changes[2].path, 'Card / Body');
+  assert.deepEqual(plan.summary, { update: 2, insert: 1, delete: 1, move: 1 });
+});
+
+test('children match by id first, and a changed kind is a delete and an insert', () => {
+  const plan = planSync(card(), {
+    type: 'frame',
+    children: [
+      { id: '1:3', type: 'text', name: 'Renamed' },
+      { type: 'rectangle', name: 'Title' }
+    ]
+  });
+  assert.deepEqual(plan.operations.map((op) => [op.type, op.targetId]), [
+    ['delete-node', '1:2'],
+    ['delete-node', '1:4'],
+    ['delete-node', '1:5'],
+    ['insert-child', '1:1'],
+    ['update-node', '1:3']
+  ]);
+  assert.equal(plan.operations[3].childIndex, 1);
+  assert.deepEqual(plan.operations[4].updates, { name: 'Renamed' });
+});
+
+test('planSync rejects a changed root kind and unknown child ids', () => {
+  assert.throws(() => planSync(card(), { type: 'text' }), { status: 409 });
+  assert.throws(() => planSync(card(), { type: 'frame', children: [{ id: '9:9', type: 'text' }] }, '/spec'),
+    { status: 400, message: '/spec/children/0: node 9:9 is not a child of this node' });
+  assert.throws(() => planSync(card(), { type: 'frame', children: [{ id: '1:2', type: 'text' }, { id: '1:2', type: 'text' }] }),
+    /used twice/);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createStore } = require('../lib/store');
+
+function selection(fileKey, timestamp, data) {
+  return { fileKey, clientId: 'c1', timestamp, nodeCount: 1, data };
+}
+
+test('addSnapshot keeps a bounded history per file', () => {
+  const store = createStore({ backend: 'memory', historyLimit: 2 });
+  store.addSnapshot('selection', selection('A', 1, { id: '1' }));
+  store.addSnapshot('selection', selection('A', 2, { id: '2' }));
+  store.addSnapshot('selection', selection('A', 3, { id: '3' }));
+  store.addSnapshot('selection', selection('B', 4, { id: '4' }));
+  
+  assert.deepEqual(store.listSnapshots('selection', 'A').map((s) => s.timestamp), [3, 2]);
+  assert.deepEqual(store.listSnapshots('selection').map((s) => s.fileKey), ['B', 'A', 'A']);
+  assert.equal(store.listSnapshots('selection')[0].data, undefined);
+  assert.equal(store.getLatest('selection').fileKey, 'B');
+  assert.equal(store.getLatest('selection', 'A').data.id, '3');
+  assert.equal(store.getLatest('variables'), null);
+});
+
+test('an unchanged payload refreshes the latest snapshot instead of adding one', () => {
+  const store = createStore({ backend: 'memory' });
+  const first = store.addSnapshot('selection', selection(null, 1, { id: '1' }));
+  const again = store.addSnapshot('selection', { ...selection(null, 5, { id: '1' }), clientId: 'c2' });
+  
+  assert.equal(again.id, first.id);
+  assert.deepEqual(store.listSnapshots('selection').map((s) => [s.timestamp, s.clientId, s.fileKey]), [[5, 'c2', null]]);
+  assert.equal(store.getSnapshot('selection', first.id).data.id, '1');
+  assert.equal(store.getSnapshot('selection', 'snap_nope'), null);
+  assert.throws(() => store.addSnapshot('comments', selection('A', 1, {})), /Unknown snapshot kind/);
+});
+
+test('the file backend persists the history across stores', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'nested', 'store.json');
+  
+  const store = createStore({ filePath });
+  const saved = store.addSnapshot('variables', { fileKey: 'A', clientId: 'c1', timestamp: 1, collectionCount: 1, variables: [{ id: 'V:1' }] });
+  store.flushSync();
+  
+  const reopened = createStore({ filePath });
+  assert.deepEqual(reopened.getSnapshot('variables', saved.id).variables, [{ id: 'V:1' }]);
+  assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+  
+  fs.writeFileSync(filePath, '{ not json');
+  assert.deepEqual(createStore({ filePath }).listSnapshots('variables'), []);
+});
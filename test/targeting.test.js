@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startRelay, connectPlugin, closePlugin } = require('./helpers/relay');
+
+test('requests go to the one matching client, or fail with 503, 404 or 409', async (t) => {
+  const relay = await startRelay();
+  t.after(() => relay.stop());
+  const select = (target) => relay.request('POST', '/api/figma/request-selection', target);
+  
+  assert.equal((await select({})).status, 503);
+  
+  const first = await connectPlugin(relay, { fileKey: 'FILE_A' });
+  const untargeted = await select({});
+  assert.equal(untargeted.status, 200);
+  assert.equal(untargeted.body.data.from, first.clientId);
+  
+  const second = await connectPlugin(relay, { fileKey: 'FILE_A' });
+  const third = await connectPlugin(relay, { fileKey: 'FILE_B' });
+  t.after(() => Promise.all([first, second, third].map(closePlugin)));
+  
+  const ambiguous = await select({});
+  assert.equal(ambiguous.status, 409);
+  assert.equal(ambiguous.body.candidates.length, 3);
+  
+  const sameFile = await select({ fileKey: 'FILE_A' });
+  assert.equal(sameFile.status, 409);
+  assert.deepEqual(sameFile.body.candidates.map((c) => c.clientId).sort(), [first.clientId, second.clientId].sort());
+  
+  assert.equal((await select({ fileKey: 'FILE_B' })).body.data.from, third.clientId);
+  assert.equal((await select({ clientId: second.clientId })).body.data.from, second.clientId);
+  assert.equal((await select({ fileKey: 'FILE_C' })).status, 404);
+  assert.equal((await select({ clientId: 'nope' })).status, 404);
+  assert.equal((await select({ clientId: third.clientId, fileKey: 'FILE_A' })).status, 409);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tokens = require('../lib/tokens');
+
+const red = { r: 1, g: 0, b: 0, a: 1 };
+
+function variables(list) {
+  return tokens.normalizeVariables(
+    list.map(([id, name, type, value]) => ({ id, name, collectionId: 'C', resolvedType: type, valuesByMode: { m: value } })),
+    [{ id: 'C', name: 'Colors', modes: [{ modeId: 'm', name: 'Light' }] }]
+  );
+}
+
+test('hexToColor parses every hex length, with and without alpha', () => {
+  assert.deepEqual(tokens.hexToColor('#f00'), red);
+  assert.deepEqual(tokens.hexToColor('#ff0000'), red);
+  assert.deepEqual(tokens.hexToColor('#f008'), { r: 1, g: 0, b: 0, a: 0x88 / 255 });
+  assert.deepEqual(tokens.hexToColor('#ff000080'), { r: 1, g: 0, b: 0, a: 0x80 / 255 });
+  assert.equal(tokens.colorToHex(tokens.hexToColor('#ff000080')), '#ff000080');
+});
+
+test('normalizeVariables accepts modes and aliases in the shapes plugins send', () => {
+  const normalized = tokens.normalizeVariables([
+    { id: 'V:1', name: 'brand', variableCollectionId: 'C:1', resolvedType: 'COLOR', valuesByMode: { m1: red } },
+    { id: 'V:2', name: 'link', variableCollectionId: 'C:1', resolvedType: 'COLOR', valuesByMode: { m1: { type: 'VARIABLE_ALIAS', id: 'V:1' } } },
+    { name: 'gap', collection: 'Spacing', type: 'number', values: { Default: 8 } }
+  ], [{ id: 'C:1', name: 'Colors', modes: { m1: 'Light' } }]);
+  
+  assert.deepEqual(normalized.collections.map((c) => [c.name, c.modes, c.defaultModeId]), [
+    ['Colors', [{ id: 'm1', name: 'Light' }], 'm1'],
+    ['Spacing', [{ id: 'Default', name: 'Default' }], 'Default']
+  ]);
+  assert.deepEqual(normalized.variables[1].valuesByMode, { m1: { alias: 'V:1' } });
+  assert.equal(normalized.variables[2].type, 'FLOAT');
+});
+
+test('aliases are kept as references or resolved', () => {
+  const normalized = variables([['c', 'brand/primary', 'COLOR', red], ['d', 'link', 'COLOR', { alias: 'c' }], ['e', 'space/md', 'FLOAT', 16]]);
+  const css = tokens.exportTokens(normalized, { format: 'css' }).body;
+  assert.match(css, /--colors-link: var\(--colors-brand-primary\);/);
+  assert.match(css, /--colors-space-md: 16px;/);
+  assert.match(tokens.exportTokens(normalized, { format: 'css', aliases: 'resolve' }).body, /--colors-link: #ff0000;/);
+  
+  const dtcg = JSON.parse(tokens.exportTokens(normalized, { format: 'dtcg' }).body);
+  assert.equal(dtcg.Colors.link.$value, '{Colors.brand.primary}');
+  assert.equal(dtcg.Colors.brand.primary.$value, '#ff0000');
+  assert.throws(() => tokens.exportTokens(normalized, { format: 'xml' }), /Unknown format/);
+});
+
+test('SCSS defines every variable before it is referenced, even with circular aliases', () => {
+  const normalized = variables([['a', 'a', 'COLOR', { alias: 'b' }], ['b', 'b', 'COLOR', { alias: 'a' }], ['c', 'c', 'COLOR', { alias: 'a' }]]);
+  const lines = tokens.exportTokens(normalized, { format: 'scss' }).body.split('\n\n')[0].split('\n');
+  
+  const defined = new Set();
+  lines.forEach((line) => {
+    const [name, value] = line.replace(/;$/, '').split(': ');
+    if (value.startsWith('$')) assert.ok(defined.has(value), `${name} uses ${value} before it is defined`);
+    defined.add(name);
+  });
+  assert.deepEqual(lines, [
+    '$colors-light-b: initial;',
+    '$colors-light-a: $colors-light-b;',
+    '$colors-light-c: $colors-light-a;'
+  ]);
+});
+
+test('parseDtcg reads an export back, with modes and references', () => {
+  const normalized = variables([['c', 'brand/primary', 'COLOR', { ...red, a: 0.5 }], ['d', 'link', 'COLOR', { alias: 'c' }]]);
+  const parsed = tokens.parseDtcg(JSON.parse(tokens.exportTokens(normalized, { format: 'dtcg' }).body));
+  
+  assert.deepEqual(parsed.collections.map((c) => c.name), ['Colors']);
+  const primary = parsed.variables.find((v) => v.name === 'brand/primary');
+  assert.equal(tokens.colorToHex(Object.values(primary.valuesByMode)[0]), '#ff000080');
+  const link = parsed.variables.find((v) => v.name === 'link');
+  assert.equal(Object.values(link.valuesByMode)[0].alias, primary.id);
+});
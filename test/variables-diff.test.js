@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeVariables } = require('../lib/tokens');
+const { diffVariables, diffToMarkdown, toPluginValue, planTokenImport } = require('../lib/variables-diff');
+
+const red = { r: 1, g: 0, b: 0, a: 1 };
+const blue = { r: 0, g: 0, b: 1, a: 1 };
+
+function fileVariables() {
+  return normalizeVariables([
+    { id: 'V:1', name: 'brand', collectionId: 'C:1', resolvedType: 'COLOR', valuesByMode: { m1: red, m2: red } },
+    { id: 'V:2', name: 'old', collectionId: 'C:1', resolvedType: 'FLOAT', valuesByMode: { m1: 1, m2: 2 } }
+  ], [{ id: 'C:1', name: 'Colors', modes: [{ modeId: 'm1', name: 'Light' }, { modeId: 'm2', name: 'Dark' }] }]);
+}
+
+function tokenVariables() {
+  return normalizeVariables([
+    { id: 'brand', name: 'brand', collection: 'Colors', type: 'color', values: { Light: blue } },
+    { id: 'accent', name: 'accent', collection: 'Colors', type: 'color', values: { Light: { alias: 'brand' } } }
+  ], [{ name: 'Colors', modes: [{ name: 'Light' }] }]);
+}
+
+test('diffVariables matches across files by name and finds renames by value', () => {
+  const before = normalizeVariables([{ id: 'A:1', name: 'space/sm', collectionId: 'S', resolvedType: 'FLOAT', valuesByMode: { m: 4 } }],
+    [{ id: 'S', name: 'Spacing', modes: [{ modeId: 'm', name: 'Default' }] }]);
+  const after = normalizeVariables([{ id: 'B:1', name: 'spacing/small', collectionId: 'T', resolvedType: 'FLOAT', valuesByMode: { n: 4 } }],
+    [{ id: 'T', name: 'Spacing', modes: [{ modeId: 'n', name: 'Default' }] }]);
+  
+  const [collection] = diffVariables(before, after).collections;
+  assert.deepEqual(collection.renamed.map((r) => [r.from, r.to]), [['space/sm', 'spacing/small']]);
+  assert.deepEqual(collection.added, []);
+  assert.deepEqual(collection.removed, []);
+  assert.match(diffToMarkdown(diffVariables(before, after)), /`space\/sm` → `spacing\/small`/);
+});
+
+test('diffVariables matches by ID within a file and reports modes, values and collections', () => {
+  const head = normalizeVariables([
+    { id: 'V:1', name: 'brand/primary', collectionId: 'C:1', resolvedType: 'COLOR', valuesByMode: { m1: red, m3: blue } },
+    { id: 'V:3', name: 'accent', collectionId: 'C:1', resolvedType: 'COLOR', valuesByMode: { m1: { alias: 'V:1' }, m3: blue } },
+    { id: 'V:4', name: 'gap', collectionId: 'C:2', resolvedType: 'FLOAT', valuesByMode: { n: 8 } }
+  ], [
+    { id: 'C:1', name: 'Colors', modes: [{ modeId: 'm1', name: 'Light' }, { modeId: 'm3', name: 'Dim' }] },
+    { id: 'C:2', name: 'Spacing', modes: [{ modeId: 'n', name: 'Default' }] }
+  ]);
+  
+  const diff = diffVariables(fileVariables(), head);
+  assert.deepEqual(diff.summary, { added: 2, removed: 1, renamed: 1, changed: 1 });
+  
+  const [colors, spacing] = diff.collections;
+  assert.deepEqual([colors.modesAdded, colors.modesRemoved], [['Dim'], ['Dark']]);
+  assert.deepEqual(colors.added, [{ id: 'V:3', name: 'accent', type: 'COLOR', values: { Light: '{Colors.brand.primary}', Dim: '#0000ff' } }]);
+  assert.deepEqual(colors.removed.map((v) => v.name), ['old']);
+  assert.deepEqual(colors.renamed, [{ id: 'V:1', baseId: 'V:1', from: 'brand', to: 'brand/primary' }]);
+  assert.deepEqual(colors.changed[0].modes, [
+    { mode: 'Dark', from: '#ff0000', to: null },
+    { mode: 'Dim', from: null, to: '#0000ff' }
+  ]);
+  assert.equal(spacing.status, 'added');
+  
+  const markdown = diffToMarkdown(diff, { base: 'v1', head: 'v2' });
+  assert.match(markdown, /_v1 → v2_/);
+  assert.match(markdown, /\*\*2 added · 1 removed · 1 renamed · 1 changed\*\*/);
+  assert.match(markdown, /## Spacing \(collection added\)/);
+  assert.match(markdown, /\| `brand\/primary` \| Dark \| `#ff0000` \| — \|/);
+  assert.match(diffToMarkdown(diffVariables(head, head)), /No changes\./);
+});
+
+test('diffVariables reports type changes', () => {
+  const head = normalizeVariables([
+    { id: 'V:1', name: 'brand', collectionId: 'C:1', resolvedType: 'COLOR', valuesByMode: { m1: red, m2: red } },
+    { id: 'V:2', name: 'old', collectionId: 'C:1', resolvedType: 'STRING', valuesByMode: { m1: '1', m2: '2' } }
+  ], [{ id: 'C:1', name: 'Colors', modes: [{ modeId: 'm1', name: 'Light' }, { modeId: 'm2', name: 'Dark' }] }]);
+  
+  const [change] = diffVariables(fileVariables(), head).collections[0].changed;
+  assert.equal(change.typeFrom, 'FLOAT');
+  assert.equal(change.type, 'STRING');
+  assert.match(diffToMarkdown(diffVariables(fileVariables(), head)), /\| `old` \| type \| FLOAT \| STRING \|/);
+});
+
+test('toPluginValue converts colors and references', () => {
+  assert.deepEqual(toPluginValue('#ff0000', 'COLOR'), red);
+  assert.deepEqual(toPluginValue('{Colors.brand.primary}', 'COLOR'), { aliasName: 'brand/primary', collection: 'Colors' });
+  assert.equal(toPluginValue(4, 'FLOAT'), 4);
+});
+
+test('planTokenImport sets changed values and creates variables, aliases last', () => {
+  const plan = planTokenImport(fileVariables(), tokenVariables());
+  assert.deepEqual(plan.operations, [
+    { type: 'set-values', variableId: 'V:1', values: { Light: blue } },
+    { type: 'create-variable', collection: 'Colors', name: 'accent', resolvedType: 'COLOR', description: undefined, values: {} },
+    { type: 'set-values', collection: 'Colors', name: 'accent', values: { Light: { aliasName: 'brand', collection: 'Colors' } } }
+  ]);
+  assert.deepEqual(plan.skipped, [
+    { collection: 'Colors', reason: 'Modes not in tokens were kept: Dark' },
+    { collection: 'Colors', reason: '1 variable(s) not in tokens were kept' }
+  ]);
+});
+
+test('planTokenImport with prune deletes variables and still reports kept modes', () => {
+  const plan = planTokenImport(fileVariables(), tokenVariables(), { prune: true });
+  assert.ok(plan.operations.some((op) => op.type === 'delete-variable' && op.variableId === 'V:2'));
+  assert.deepEqual(plan.skipped, [{ collection: 'Colors', reason: 'Modes not in tokens were kept: Dark' }]);
+});
+
+test('planTokenImport skips type changes and deletes collections only with prune', () => {
+  const current = fileVariables();
+  const incoming = normalizeVariables([
+    { id: 'brand', name: 'brand', collection: 'Colors', type: 'string', values: { Light: 'red', Dark: 'red' } },
+    { id: 'old', name: 'old', collection: 'Colors', type: 'float', values: { Light: 1, Dark: 2 } }
+  ], [{ name: 'Colors', modes: [{ name: 'Light' }, { name: 'Dark' }] }]);
+  const plan = planTokenImport(current, incoming);
+  assert.deepEqual(plan.operations, []);
+  assert.match(plan.skipped[0].reason, /Type change COLOR -> STRING is not supported/);
+  
+  const empty = normalizeVariables([], []);
+  assert.deepEqual(planTokenImport(current, empty).operations, []);
+  assert.deepEqual(planTokenImport(current, empty, { prune: true }).operations, [{ type: 'delete-collection', collectionId: 'C:1' }]);
+});